@@ -0,0 +1,18 @@
+// Order amendment rules applied by services/amendmentService.js
+const AMENDMENT_CONFIG = {
+  // What can still change in each status. items covers adding and removing lines;
+  // pickup and delivery cover rescheduling.
+  rules: {
+    pending: ['items', 'pickupAddress', 'deliveryAddress', 'pickup', 'delivery'],
+    confirmed: ['items', 'pickupAddress', 'deliveryAddress', 'pickup', 'delivery'],
+    assigned: ['items', 'pickupAddress', 'deliveryAddress', 'pickup', 'delivery'],
+    in_progress: ['deliveryAddress', 'delivery'],
+    ready_for_pickup: ['deliveryAddress', 'delivery'],
+    picked_up: ['deliveryAddress', 'delivery'],
+    ready_for_delivery: ['deliveryAddress', 'delivery'],
+  },
+  // Once a provider has the order, changes wait for them to acknowledge
+  acknowledgmentStatuses: ['assigned', 'in_progress', 'ready_for_pickup', 'picked_up', 'ready_for_delivery'],
+};
+
+module.exports = { AMENDMENT_CONFIG };
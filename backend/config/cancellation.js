@@ -0,0 +1,11 @@
+// Customer cancellation rules applied by services/cancellationService.js
+const CANCELLATION_CONFIG = {
+  // Share of the order total kept once the garments have been collected
+  afterPickupFeePercent: parseFloat(process.env.CANCELLATION_FEE_PERCENT) || 20,
+  // Smallest fee charged after pickup, in cedis
+  minimumFee: 5,
+  // Once the provider starts work the order can no longer be cancelled by the customer
+  processingStatuses: ['in_progress', 'ready_for_pickup', 'picked_up', 'ready_for_delivery'],
+};
+
+module.exports = { CANCELLATION_CONFIG };
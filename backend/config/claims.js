@@ -0,0 +1,16 @@
+// Damage, loss and dispute claim rules applied by services/claimService.js
+const CLAIMS_CONFIG = {
+  // Order statuses a claim can be raised from; garments are with the provider or back with the customer
+  claimableStatuses: ['picked_up', 'ready_for_delivery', 'completed'],
+  // How long after completion a customer can still raise a claim
+  windowDays: parseInt(process.env.CLAIM_WINDOW_DAYS) || 14,
+  // Photos per claim, across the customer and the provider
+  maxEvidence: 10,
+
+  // A redo is picked up this many hours after it is approved unless the admin sets a date
+  redoPickupLeadHours: 24,
+  // Turnaround used for a redo when the original order's can't be worked out
+  redoTurnaroundHours: 48,
+};
+
+module.exports = { CLAIMS_CONFIG };
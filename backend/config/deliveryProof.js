@@ -0,0 +1,17 @@
+// Proof-of-delivery rules applied by services/deliveryProofService.js
+const DELIVERY_PROOF_CONFIG = {
+  // otp: the driver enters the code emailed to the customer; signature: the recipient signs on the
+  // driver's device; photo: the driver photographs the garments at the door
+  methods: ['otp', 'signature', 'photo'],
+
+  codeLength: 6,
+  // The code is sent when the order becomes ready for delivery, so it has to last until the
+  // delivery window
+  codeExpiryHours: parseInt(process.env.DELIVERY_CODE_EXPIRY_HOURS) || 48,
+  // Minimum wait before a new code can be requested
+  resendAfterSeconds: 60,
+  // Wrong entries allowed per code before a new one has to be sent
+  maxCodeAttempts: 5,
+};
+
+module.exports = { DELIVERY_PROOF_CONFIG };
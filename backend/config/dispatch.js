@@ -0,0 +1,31 @@
+// Automatic dispatch rules applied by services/dispatchService.js
+const DISPATCH_CONFIG = {
+  // Set AUTO_DISPATCH=false to go back to manual and self-assignment only
+  enabled: process.env.AUTO_DISPATCH !== 'false',
+
+  // How long a provider has to accept or decline an offer
+  offerTimeoutMinutes: parseInt(process.env.DISPATCH_OFFER_TIMEOUT_MINUTES) || 15,
+  // Providers tried before the order goes to the admin queue
+  maxOffers: 5,
+  // How often expired offers are cascaded to the next candidate
+  checkIntervalMinutes: 1,
+
+  // Assigned orders not started within this many hours of assignment (or of pickup, if later)
+  // go back for reassignment; 0 turns it off
+  autoReleaseHours: parseInt(process.env.ASSIGNMENT_AUTO_RELEASE_HOURS ?? '4'),
+  autoReleaseCheckMinutes: 15,
+
+  // Open orders at which the load score reaches zero
+  loadCeiling: 10,
+  // Rating assumed for providers without approved reviews yet
+  defaultRating: 3,
+
+  // Score weights (each component is scored 0-1)
+  weights: {
+    rating: 0.4,
+    load: 0.4,
+    hours: 0.2,
+  },
+};
+
+module.exports = { DISPATCH_CONFIG };
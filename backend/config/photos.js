@@ -0,0 +1,24 @@
+// Order photo rules applied by services/orderPhotoService.js
+const path = require('path');
+
+const PHOTO_CONFIG = {
+  // Kept outside the public /uploads directory so photos are only served to people on the order
+  storageDir: process.env.ORDER_PHOTO_DIR || path.join(__dirname, '..', 'storage', 'order-photos'),
+
+  maxFileSizeMb: parseInt(process.env.ORDER_PHOTO_MAX_MB) || 10,
+  maxFilesPerUpload: 10,
+  allowedTypes: ['image/jpeg', 'image/png', 'image/webp'],
+
+  // Longest side of a thumbnail, in pixels
+  thumbnailSize: 320,
+
+  // Order statuses each kind of photo can be taken in
+  stages: {
+    intake: ['assigned', 'in_progress'],
+    delivery: ['ready_for_delivery', 'completed'],
+    // The recipient's signature, captured as an image for proof of delivery
+    signature: ['ready_for_delivery'],
+  },
+};
+
+module.exports = { PHOTO_CONFIG };
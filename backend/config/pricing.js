@@ -0,0 +1,67 @@
+// Pricing rules applied by services/pricingService.js
+// Amounts are in Ghana Cedis (¢)
+
+// A number from the environment, or the fallback when unset or not a number; 0 is kept
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const PRICING_CONFIG = {
+  tax: {
+    label: 'VAT',
+    rate: parseFloat(process.env.TAX_RATE) || 0.1,
+    // Service categories that are not taxed, e.g. ['specialty']
+    exemptCategories: [],
+  },
+
+  deliveryFee: {
+    // Used when neither a zone nor coordinates match
+    defaultFee: 5,
+    // Flat fee per city (keys are lowercase)
+    zones: {
+      accra: 5,
+      tema: 8,
+      kasoa: 10,
+      kumasi: 12,
+    },
+    // Distance pricing from the processing hub, used when the pickup address has coordinates
+    distance: {
+      enabled: true,
+      hub: { latitude: 5.6037, longitude: -0.187 },
+      baseFee: 5,
+      includedKm: 3,
+      perKm: 1.5,
+      maxFee: 40,
+    },
+    // Orders with a subtotal at or above this amount ship free (null to disable)
+    freeAboveSubtotal: null,
+  },
+
+  urgency: {
+    // Flat express surcharge for isUrgent orders
+    urgentFlatFee: 5,
+    // Percentage surcharge on the subtotal per priority level
+    priorityRates: {
+      low: 0,
+      normal: 0,
+      high: 0.1,
+      urgent: 0.25,
+    },
+  },
+
+  // Services priced by weight (pricingUnit 'kg' or 'load')
+  weight: {
+    // Smallest billable weight for a per-kg line
+    minimumKg: 1,
+    // Kilograms in one machine load
+    kgPerLoad: 6,
+    // Weighed prices that move the total by more than this share of the estimate need customer approval
+    approvalThreshold: envNumber('REPRICE_APPROVAL_THRESHOLD', 0.1),
+  },
+
+  // A client-submitted subtotal may differ from the server by at most this amount
+  tolerance: 0.01,
+};
+
+module.exports = { PRICING_CONFIG };
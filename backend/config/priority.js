@@ -0,0 +1,35 @@
+// Express turnaround and status deadline rules applied by services/priorityService.js
+const PRIORITY_CONFIG = {
+  // Queue order, most pressing first
+  rank: { urgent: 0, high: 1, normal: 2, low: 3 },
+
+  // Turnarounds customers choose at checkout and the priority each one sets. The surcharge
+  // comes from PRICING_CONFIG.urgency: the priority rate, plus the flat fee for urgent orders.
+  turnarounds: {
+    standard: { label: 'Standard', priority: 'normal', isUrgent: false },
+    express: { label: 'Express', priority: 'high', isUrgent: false },
+    rush: { label: 'Rush', priority: 'urgent', isUrgent: true },
+  },
+
+  // Share of the services' normal processing time needed between pickup and delivery,
+  // never less than SLOT_CONFIG.sameDayTurnaroundHours
+  turnaroundFactor: { urgent: 0.25, high: 0.5, normal: 1, low: 1 },
+
+  // Hours an order may spend in each status. 'assigned' is counted from the end of the pickup
+  // window and 'ready_for_delivery' from the end of the delivery window when those are later.
+  statusDeadlineHours: {
+    pending: { urgent: 1, high: 2, normal: 6, low: 24 },
+    confirmed: { urgent: 1, high: 2, normal: 6, low: 24 },
+    assigned: { urgent: 2, high: 4, normal: 8, low: 24 },
+    in_progress: { urgent: 6, high: 12, normal: 36, low: 72 },
+    ready_for_pickup: { urgent: 2, high: 4, normal: 12, low: 24 },
+    picked_up: { urgent: 2, high: 4, normal: 12, low: 24 },
+    ready_for_delivery: { urgent: 2, high: 4, normal: 8, low: 24 },
+  },
+
+  // Priorities whose missed deadlines are sent to admins, and how often to look
+  alertPriorities: ['urgent', 'high'],
+  checkIntervalMinutes: parseInt(process.env.DEADLINE_CHECK_MINUTES) || 10,
+};
+
+module.exports = { PRIORITY_CONFIG };
@@ -0,0 +1,22 @@
+// Turnaround promise and late-delivery compensation rules applied by services/slaService.js
+const SLA_CONFIG = {
+  // Minutes past the end of the promised window before a pickup or delivery counts as late
+  graceMinutes: parseInt(process.env.SLA_GRACE_MINUTES) || 30,
+
+  compensation: {
+    enabled: process.env.SLA_COMPENSATION !== 'false',
+    // 'points' gives a fixed number of loyalty points; 'credit' gives a share of the order total
+    // as loyalty credit worth that many cedis
+    type: process.env.SLA_COMPENSATION_TYPE === 'credit' ? 'credit' : 'points',
+    // The highest tier the delivery reached applies
+    tiers: [
+      { lateHours: 0, points: 100, percent: 5 },
+      { lateHours: 12, points: 250, percent: 10 },
+      { lateHours: 24, points: 500, percent: 20 },
+    ],
+    // Cap on credit for a single order, in cedis
+    maxCredit: 50,
+  },
+};
+
+module.exports = { SLA_CONFIG };
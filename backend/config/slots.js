@@ -0,0 +1,29 @@
+// Pickup and delivery slot rules applied by services/slotService.js
+// Times are Ghana local time (GMT, no daylight saving), so dates are handled in UTC.
+const SLOT_CONFIG = {
+  // Windows offered on every open day unless an area overrides them
+  defaultWindows: ['08:00-10:00', '10:00-12:00', '12:00-14:00', '14:00-16:00', '16:00-18:00'],
+  // Orders per window per area, for each of pickup and delivery
+  defaultCapacity: 10,
+  // Days of the week with no slots (0 = Sunday)
+  closedDays: [0],
+
+  // Per service area overrides (keys are lowercase city names, matching pricing zones)
+  areas: {
+    accra: { capacity: 15 },
+    tema: { capacity: 8 },
+    kasoa: { capacity: 5, windows: ['09:00-12:00', '13:00-16:00'] },
+    kumasi: { capacity: 6, windows: ['09:00-12:00', '13:00-16:00'], closedDays: [0, 6] },
+  },
+
+  // How far ahead customers can book, and how soon a window can still be booked
+  bookingHorizonDays: 14,
+  minLeadTimeHours: 2,
+
+  // Processing time when a service's estimatedTime cannot be read
+  defaultTurnaroundHours: 24,
+  // What "Same day" services need between pickup and delivery
+  sameDayTurnaroundHours: 6,
+};
+
+module.exports = { SLOT_CONFIG };
@@ -7,6 +7,7 @@ const STATIC_SERVICES = [
     category: "wash-fold",
     basePrice: 15.0,
     price: 15.0, // Add price field for frontend compatibility
+    pricingUnit: "kg", // Price is per kilogram
     estimatedTime: "24-48 hours",
     requirements: "Separate by color and fabric type",
     isActive: true,
@@ -20,6 +21,7 @@ const STATIC_SERVICES = [
     category: "wash-fold",
     basePrice: 25.0,
     price: 25.0,
+    pricingUnit: "kg",
     estimatedTime: "24-48 hours",
     requirements: "Premium detergents and fabric care",
     isActive: true,
@@ -33,6 +35,7 @@ const STATIC_SERVICES = [
     category: "wash-fold",
     basePrice: 35.0,
     price: 35.0,
+    pricingUnit: "kg",
     estimatedTime: "Same day",
     requirements: "Drop off by 10 AM for same-day service",
     isActive: true,
@@ -0,0 +1,20 @@
+// Recurring order rules applied by services/subscriptionService.js
+const SUBSCRIPTION_CONFIG = {
+  // Days between pickups; monthly keeps the same weekday of the month (e.g. the 2nd Tuesday)
+  cadenceDays: {
+    weekly: 7,
+    biweekly: 14,
+  },
+
+  // The reminder goes out this long before pickup, then the order is created a day later,
+  // leaving the customer time to skip or pause
+  reminderDaysBeforePickup: 3,
+  generateDaysBeforePickup: 2,
+
+  // Delivery is booked this many days after pickup unless the subscription says otherwise
+  defaultDeliveryAfterDays: 2,
+
+  checkIntervalMinutes: 60,
+};
+
+module.exports = { SUBSCRIPTION_CONFIG };
@@ -0,0 +1,31 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/laundry-app';
+
+// Fill in the normalized email and phone keys for users created before they were stored, so
+// referral checks can find existing customers by an indexed lookup. Safe to re-run.
+async function migrateContactKeys() {
+  await mongoose.connect(MONGODB_URI);
+
+  const users = User.find({}).select('email phoneNumber +emailKey +phoneKey').cursor();
+
+  let migrated = 0;
+  for await (const user of users) {
+    const emailKey = User.normalizeEmail(user.email);
+    const phoneKey = User.normalizePhone(user.phoneNumber);
+    if (user.emailKey === emailKey && user.phoneKey === phoneKey) continue;
+
+    await User.updateOne({ _id: user._id }, { $set: { emailKey, phoneKey } });
+    migrated += 1;
+  }
+
+  console.log(`Stored contact keys for ${migrated} users.`);
+  process.exit(0);
+}
+
+migrateContactKeys().catch(err => {
+  console.error('Error migrating contact keys:', err);
+  process.exit(1);
+});
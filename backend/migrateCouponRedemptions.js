@@ -0,0 +1,41 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Coupon = require('./models/Coupon');
+const CouponRedemption = require('./models/CouponRedemption');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/laundry-app';
+
+// Move redemptions embedded in coupon documents into the couponredemptions collection and drop
+// them from the coupon. usageCount already counts the applied ones. Safe to re-run.
+async function migrateCouponRedemptions() {
+  await mongoose.connect(MONGODB_URI);
+  await CouponRedemption.syncIndexes();
+
+  // The field is no longer on the schema, so read the raw documents
+  const coupons = await Coupon.collection.find({ 'redemptions.0': { $exists: true } }).toArray();
+
+  let moved = 0;
+  for (const coupon of coupons) {
+    for (const redemption of coupon.redemptions) {
+      const result = await CouponRedemption.updateOne(
+        { coupon: coupon._id, order: redemption.order },
+        { $setOnInsert: { ...redemption, coupon: coupon._id } },
+        { upsert: true }
+      );
+      moved += result.upsertedCount;
+    }
+
+    await Coupon.collection.updateOne({ _id: coupon._id }, { $unset: { redemptions: '' } });
+    console.log(`Moved ${coupon.redemptions.length} redemption(s) off ${coupon.code}`);
+  }
+
+  await Coupon.collection.dropIndex('redemptions.order_1').catch(() => {});
+
+  console.log(`Moved ${moved} redemptions from ${coupons.length} coupons.`);
+  process.exit(0);
+}
+
+migrateCouponRedemptions().catch(err => {
+  console.error('Error migrating coupon redemptions:', err);
+  process.exit(1);
+});
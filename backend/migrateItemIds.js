@@ -0,0 +1,56 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('./models/Order');
+const Claim = require('./models/Claim');
+const OrderPhoto = require('./models/OrderPhoto');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/laundry-app';
+
+// Replace garment codes that came from the client (ITEM-<timestamp>-<random>) with server codes
+// of the form ORD-XXXXXXXX-NNN, and point the order's claims and photos at the new codes.
+// Run before the unique index on items.clothingItems.itemId is built; safe to re-run.
+async function migrateItemIds() {
+  await mongoose.connect(MONGODB_URI);
+
+  const orders = await Order.find({ 'items.clothingItems.0': { $exists: true } });
+
+  let migratedOrders = 0;
+  let migratedGarments = 0;
+
+  for (const order of orders) {
+    const prefix = `${order.orderNumber}-`;
+    const renamed = new Map();
+
+    // Clear the foreign codes first so the new sequence starts after the order's own codes only
+    for (const item of order.items) {
+      for (const ci of item.clothingItems || []) {
+        if (ci.itemId && !ci.itemId.startsWith(prefix)) {
+          renamed.set(ci, ci.itemId);
+          ci.itemId = undefined;
+        }
+      }
+    }
+    if (renamed.size === 0) continue;
+
+    order.assignItemIds();
+    await Order.updateOne({ _id: order._id }, { $set: { items: order.items } });
+
+    for (const [ci, previous] of renamed) {
+      // Claims and photos stored the code upper-cased
+      await Claim.updateMany({ order: order._id, itemId: previous.toUpperCase() }, { $set: { itemId: ci.itemId } });
+      await OrderPhoto.updateMany({ order: order._id, itemId: previous.toUpperCase() }, { $set: { itemId: ci.itemId } });
+    }
+
+    migratedOrders += 1;
+    migratedGarments += renamed.size;
+    console.log(`Re-coded ${renamed.size} garment(s) on ${order.orderNumber}`);
+  }
+
+  console.log(`Re-coded ${migratedGarments} garments on ${migratedOrders} orders.`);
+  process.exit(0);
+}
+
+migrateItemIds().catch(err => {
+  console.error('Error migrating garment codes:', err);
+  process.exit(1);
+});
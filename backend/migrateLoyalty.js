@@ -0,0 +1,40 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const LoyaltyProgram = require('./models/LoyaltyProgram');
+const { buildAccountFromLegacy } = require('./services/loyaltyService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/laundry-app';
+
+// Carry legacy User.loyaltyPoints / loyaltyHistory balances over to LoyaltyProgram accounts.
+// Safe to re-run: users that already have an account are skipped.
+async function migrateLoyalty() {
+  await mongoose.connect(MONGODB_URI);
+
+  const existingAccounts = await LoyaltyProgram.distinct('user');
+  const users = await User.find({
+    _id: { $nin: existingAccounts },
+    $or: [
+      { loyaltyPoints: { $gt: 0 } },
+      { 'loyaltyHistory.0': { $exists: true } }
+    ]
+  });
+
+  let migrated = 0;
+  let migratedPoints = 0;
+
+  for (const user of users) {
+    const account = await LoyaltyProgram.create(buildAccountFromLegacy(user));
+    migrated += 1;
+    migratedPoints += account.points;
+    console.log(`Migrated ${user.email}: ${account.points} points, tier ${account.tier}`);
+  }
+
+  console.log(`Migrated ${migrated} accounts (${migratedPoints} points). ${existingAccounts.length} accounts already existed.`);
+  process.exit(0);
+}
+
+migrateLoyalty().catch(err => {
+  console.error('Error migrating loyalty balances:', err);
+  process.exit(1);
+});
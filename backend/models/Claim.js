@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+const CLAIM_STATUSES = ['submitted', 'provider_responded', 'approved', 'rejected', 'withdrawn'];
+
+// Photo backing up a claim or a provider's response
+const evidenceSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot exceed 200 characters'],
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'service_provider', 'customer'],
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One entry per status change
+const claimHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: CLAIM_STATUSES,
+    required: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'service_provider', 'customer', 'system'],
+    default: 'system',
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+  },
+}, { _id: false });
+
+const claimSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Provider who handled the order; the claim counts against them
+  serviceProvider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // clothingItems.itemId of the garment concerned; unset for claims about the whole order
+  itemId: {
+    type: String,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ['damage', 'loss', 'dispute'],
+    required: true,
+  },
+  description: {
+    type: String,
+    required: [true, 'Describe what went wrong'],
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters'],
+  },
+  // What the customer is asking for
+  requestedAmount: {
+    type: Number,
+    min: [0, 'Requested amount cannot be negative'],
+  },
+  evidence: [evidenceSchema],
+  status: {
+    type: String,
+    enum: CLAIM_STATUSES,
+    default: 'submitted',
+  },
+  statusHistory: [claimHistorySchema],
+  providerResponse: {
+    position: {
+      type: String,
+      enum: ['accepts', 'disputes'],
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Response cannot exceed 2000 characters'],
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    respondedAt: Date,
+  },
+  decision: {
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Decision notes cannot exceed 1000 characters'],
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    decidedAt: Date,
+  },
+  // How an approved claim was made good
+  compensation: {
+    type: {
+      type: String,
+      enum: ['refund', 'credit', 'redo'],
+    },
+    amount: Number,
+    // Loyalty points given for a credit
+    points: Number,
+    refundId: mongoose.Schema.Types.ObjectId,
+    redoOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    appliedAt: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+claimSchema.index({ order: 1 });
+claimSchema.index({ customer: 1, createdAt: -1 });
+claimSchema.index({ serviceProvider: 1, status: 1 });
+claimSchema.index({ status: 1, createdAt: -1 });
+
+// Virtual for claim number
+claimSchema.virtual('claimNumber').get(function () {
+  return `CLM-${this._id.toString().slice(-8).toUpperCase()}`;
+});
+
+claimSchema.set('toJSON', { virtuals: true });
+
+claimSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('Claim', claimSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const CouponRedemption = require('./CouponRedemption');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Upper bound for percentage discounts
+  maxDiscountAmount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative'],
+    default: null
+  },
+  minOrderAmount: {
+    type: Number,
+    min: [0, 'Minimum order amount cannot be negative'],
+    default: 0
+  },
+  // Empty lists mean the coupon applies to every service
+  applicableServices: [String],
+  applicableCategories: [String],
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+  // Global cap across all customers (null for unlimited)
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null
+  },
+  perCustomerLimit: {
+    type: Number,
+    min: [1, 'Per-customer limit must be at least 1'],
+    default: 1
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Applied redemptions; each one is a CouponRedemption document
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+  }
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  next();
+});
+
+// Check the validity window
+couponSchema.methods.isWithinValidity = function(date = new Date()) {
+  if (this.validFrom && date < this.validFrom) return false;
+  if (this.validUntil && date > this.validUntil) return false;
+  return true;
+};
+
+// Count applied redemptions for a customer
+couponSchema.methods.getCustomerUsage = function(customerId) {
+  return CouponRedemption.countDocuments({ coupon: this._id, customer: customerId, status: 'applied' });
+};
+
+couponSchema.virtual('remainingUses').get(function() {
+  if (this.usageLimit === null || this.usageLimit === undefined) return null;
+  return Math.max(0, this.usageLimit - this.usageCount);
+});
+
+couponSchema.set('toJSON', { virtuals: true });
+
+couponSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('Coupon', couponSchema);
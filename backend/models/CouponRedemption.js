@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// One use of a coupon on an order. Kept out of the coupon document so popular coupons don't grow
+// without bound; the coupon keeps the running count.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount amount cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'reversed'],
+    default: 'applied'
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reversedAt: Date
+});
+
+// A coupon can be redeemed once per order
+couponRedemptionSchema.index({ coupon: 1, order: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, customer: 1, status: 1 });
+couponRedemptionSchema.index({ coupon: 1, redeemedAt: -1 });
+couponRedemptionSchema.index({ order: 1, status: 1 });
+
+couponRedemptionSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -1,6 +1,14 @@
 
 const mongoose = require('mongoose');
 
+// Tiers are reached by lifetime points earned; benefits apply to pricing and earning
+const LOYALTY_TIERS = [
+  { name: 'bronze', minTotalEarned: 0, benefits: { discount: 0, pointsMultiplier: 1, freeDelivery: false } },
+  { name: 'silver', minTotalEarned: 2000, benefits: { discount: 5, pointsMultiplier: 1.2, freeDelivery: false } },
+  { name: 'gold', minTotalEarned: 5000, benefits: { discount: 10, pointsMultiplier: 1.5, freeDelivery: true } },
+  { name: 'platinum', minTotalEarned: 10000, benefits: { discount: 15, pointsMultiplier: 2, freeDelivery: true } }
+];
+
 const loyaltyAccountSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -29,14 +37,20 @@ const loyaltyAccountSchema = new mongoose.Schema({
   transactions: [{
     type: {
       type: String,
-      enum: ['earned', 'redeemed', 'expired'],
+      enum: ['earned', 'redeemed', 'expired', 'released'],
       required: true
     },
+    // Positive for credits (earned, released), negative for debits (redeemed, expired)
     points: {
       type: Number,
       required: true
     },
     description: String,
+    // Set on earned entries once they have lapsed
+    expired: {
+      type: Boolean,
+      default: false
+    },
     orderId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Order'
@@ -48,7 +62,8 @@ const loyaltyAccountSchema = new mongoose.Schema({
   }],
   referralCode: {
     type: String,
-    unique: true
+    unique: true,
+    uppercase: true
   },
   referredBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -59,19 +74,49 @@ const loyaltyAccountSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Bonuses are paid once the referee's first order is completed and paid
+    status: {
+      type: String,
+      enum: ['pending', 'qualified'],
+      default: 'pending'
+    },
     pointsEarned: {
       type: Number,
       default: 0
     },
+    refereePointsEarned: {
+      type: Number,
+      default: 0
+    },
+    // Normalised contact details, used to spot repeat sign-ups
+    refereeEmail: String,
+    refereePhone: String,
+    qualifyingOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    qualifiedAt: Date,
     createdAt: {
       type: Date,
       default: Date.now
     }
-  }]
+  }],
+  // Last expiry warning, so each batch of expiring points is only announced once
+  lastExpiryWarning: {
+    sentAt: Date,
+    expiresAt: Date,
+    points: Number
+  },
+  // When balances from the legacy User.loyaltyPoints ledger were carried over
+  migratedAt: Date
 }, {
   timestamps: true
 });
 
+loyaltyAccountSchema.index({ 'referrals.user': 1 });
+loyaltyAccountSchema.index({ 'referrals.refereeEmail': 1 });
+loyaltyAccountSchema.index({ 'referrals.refereePhone': 1 });
+
 // Generate referral code before saving
 loyaltyAccountSchema.pre('save', async function(next) {
   if (!this.referralCode) {
@@ -80,60 +125,80 @@ loyaltyAccountSchema.pre('save', async function(next) {
   next();
 });
 
+// Work out the tier for a lifetime points total
+loyaltyAccountSchema.statics.getTierFor = function(totalEarned) {
+  return [...LOYALTY_TIERS].reverse().find(tier => totalEarned >= tier.minTotalEarned);
+};
+
 // Calculate tier based on total earned points
 loyaltyAccountSchema.methods.updateTier = function() {
-  if (this.totalEarned >= 10000) {
-    this.tier = 'platinum';
-  } else if (this.totalEarned >= 5000) {
-    this.tier = 'gold';
-  } else if (this.totalEarned >= 2000) {
-    this.tier = 'silver';
-  } else {
-    this.tier = 'bronze';
-  }
+  this.tier = this.constructor.getTierFor(this.totalEarned).name;
   return this.save();
 };
 
-// Add points
-loyaltyAccountSchema.methods.addPoints = function(points, description, orderId = null) {
-  this.points += points;
-  this.totalEarned += points;
-  this.transactions.push({
-    type: 'earned',
-    points,
-    description,
-    orderId
-  });
-  return this.updateTier();
+// Add points and return the updated account. The balance moves with $inc so a reservation or
+// restore made at the same time is not overwritten.
+loyaltyAccountSchema.methods.addPoints = async function(points, description, orderId = null) {
+  const Account = this.constructor;
+  const updated = await Account.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $inc: { points, totalEarned: points },
+      $push: {
+        transactions: {
+          type: 'earned',
+          points,
+          description,
+          orderId,
+          createdAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+
+  const tier = Account.getTierFor(updated.totalEarned).name;
+  if (tier !== updated.tier) {
+    // Skipped if another credit landed meanwhile; that credit sets the tier for the newer total
+    await Account.updateOne({ _id: this._id, totalEarned: updated.totalEarned }, { $set: { tier } });
+    updated.tier = tier;
+  }
+  return updated;
 };
 
-// Redeem points
-loyaltyAccountSchema.methods.redeemPoints = function(points, description) {
-  if (this.points < points) {
+// Redeem points and return the updated account; the balance check is part of the update
+loyaltyAccountSchema.methods.redeemPoints = async function(points, description) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, points: { $gte: points } },
+    {
+      $inc: { points: -points, totalRedeemed: points },
+      $push: {
+        transactions: {
+          type: 'redeemed',
+          points: -points,
+          description,
+          createdAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
     throw new Error('Insufficient points');
   }
-  
-  this.points -= points;
-  this.totalRedeemed += points;
-  this.transactions.push({
-    type: 'redeemed',
-    points: -points,
-    description
-  });
-  return this.save();
+  return updated;
 };
 
 // Get tier benefits
 loyaltyAccountSchema.virtual('tierBenefits').get(function() {
-  const benefits = {
-    bronze: { discount: 0, pointsMultiplier: 1, freeDelivery: false },
-    silver: { discount: 5, pointsMultiplier: 1.2, freeDelivery: false },
-    gold: { discount: 10, pointsMultiplier: 1.5, freeDelivery: true },
-    platinum: { discount: 15, pointsMultiplier: 2, freeDelivery: true }
-  };
-  return benefits[this.tier];
+  const tier = LOYALTY_TIERS.find(t => t.name === this.tier) || LOYALTY_TIERS[0];
+  return tier.benefits;
 });
 
 loyaltyAccountSchema.set('toJSON', { virtuals: true });
 
-module.exports = mongoose.model('LoyaltyProgram', loyaltyAccountSchema);
+const LoyaltyProgram = mongoose.model('LoyaltyProgram', loyaltyAccountSchema);
+
+LoyaltyProgram.LOYALTY_TIERS = LOYALTY_TIERS;
+
+module.exports = LoyaltyProgram;
@@ -1,11 +1,43 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
 
+// Stations a garment is scanned through, in processing order
+const GARMENT_STATIONS = ['received', 'washing', 'drying', 'pressing', 'packed', 'returned'];
+
+// One scan of a garment at a station; by is null when the system recorded it
+const stationScanSchema = new mongoose.Schema({
+  station: {
+    type: String,
+    enum: GARMENT_STATIONS,
+    required: true,
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'service_provider', 'customer', 'system'],
+    default: 'system',
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Scan notes cannot exceed 200 characters'],
+  },
+}, { _id: false });
+
 const clothingItemSchema = new mongoose.Schema({
+  // Garment code printed on the tag: the order number and a sequence, e.g. ORD-1A2B3C4D-001.
+  // Always assigned by the server (see assignItemIds) and unique across orders.
   itemId: {
     type: String,
     required: true,
-    unique: false, // Unique within the order context
   },
   description: {
     type: String,
@@ -35,6 +67,27 @@ const clothingItemSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Special instructions cannot exceed 200 characters'],
   },
+  // Last station the garment was scanned at; unset until it is received
+  station: {
+    type: String,
+    enum: GARMENT_STATIONS,
+  },
+  stationHistory: [stationScanSchema],
+  // Flagged when a received garment can't be found before delivery
+  isMissing: {
+    type: Boolean,
+    default: false,
+  },
+  missingReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Missing reason cannot exceed 200 characters'],
+  },
+  missingAt: Date,
+  missingFlaggedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
 });
 
 const orderItemSchema = new mongoose.Schema({
@@ -46,11 +99,24 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Items, kilograms or loads depending on pricingUnit
   quantity: {
     type: Number,
     required: true,
     min: [1, 'Quantity must be at least 1'],
   },
+  pricingUnit: {
+    type: String,
+    enum: ['item', 'kg', 'load'],
+    default: 'item',
+  },
+  // Customer's estimate for weight-priced lines, kept once the line is weighed
+  estimatedQuantity: Number,
+  // Weight recorded at intake
+  weighedKg: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+  },
   unitPrice: {
     type: Number,
     required: true,
@@ -70,6 +136,134 @@ const orderItemSchema = new mongoose.Schema({
   clothingItems: [clothingItemSchema],
 });
 
+const ORDER_STATUSES = ['pending', 'confirmed', 'assigned', 'in_progress', 'ready_for_pickup', 'picked_up', 'ready_for_delivery', 'completed', 'cancelled'];
+
+// One entry per status change; changedBy is null when the system made the change
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'service_provider', 'customer', 'system'],
+    default: 'system',
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Status notes cannot exceed 500 characters'],
+  },
+}, { _id: false });
+
+// One hand-off of the order between providers; by is null when the system made it
+const assignmentHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['assigned', 'reassigned', 'declined', 'released', 'auto_released'],
+    required: true,
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  previousProvider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'service_provider', 'customer', 'system'],
+    default: 'system',
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// One offer of the order to a provider by the dispatch engine
+const dispatchOfferSchema = new mongoose.Schema({
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  score: Number,
+  status: {
+    type: String,
+    enum: ['offered', 'accepted', 'declined', 'expired', 'withdrawn'],
+    default: 'offered',
+  },
+  offeredAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: Date,
+  respondedAt: Date,
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+  },
+}, { _id: false });
+
+// A change requested after checkout. Changes to an order a provider already holds wait for
+// the provider to acknowledge them before they are applied.
+const amendmentSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['applied', 'pending_acknowledgment', 'declined', 'withdrawn'],
+    required: true,
+  },
+  // The requested changes, as validated when they were submitted
+  changes: mongoose.Schema.Types.Mixed,
+  summary: [String],
+  previousTotal: Number,
+  newTotal: Number,
+  paymentAction: String,
+  paymentAmount: Number,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  role: String,
+  requestedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  respondedAt: Date,
+  responseNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Response notes cannot exceed 500 characters'],
+  },
+});
+
 const orderSchema = new mongoose.Schema({
   customer: {
     type: mongoose.Schema.Types.ObjectId,
@@ -83,9 +277,13 @@ const orderSchema = new mongoose.Schema({
   items: [orderItemSchema],
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'assigned', 'in_progress', 'ready_for_pickup', 'picked_up', 'ready_for_delivery', 'completed', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending',
   },
+  statusHistory: [statusHistorySchema],
+  assignmentHistory: [assignmentHistorySchema],
+  // When the current provider took the order; drives auto-release
+  assignedAt: Date,
   totalAmount: {
     type: Number,
     required: true,
@@ -106,11 +304,42 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Delivery fee cannot be negative'],
   },
+  surcharge: {
+    type: Number,
+    default: 0,
+    min: [0, 'Surcharge cannot be negative'],
+  },
   discount: {
     type: Number,
     default: 0,
     min: [0, 'Discount cannot be negative'],
   },
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+    },
+    code: String,
+    discount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  // Loyalty points held against this order until payment settles
+  loyaltyRedemption: {
+    points: Number,
+    discountValue: Number,
+    status: {
+      type: String,
+      enum: ['reserved', 'consumed', 'released'],
+    },
+    reservedAt: Date,
+    settledAt: Date,
+  },
+  // Snapshot of the server-side quote the totals were computed from
+  pricingBreakdown: {
+    type: mongoose.Schema.Types.Mixed,
+  },
   pickupAddress: {
     type: {
       type: String,
@@ -122,6 +351,10 @@ const orderSchema = new mongoose.Schema({
     state: String,
     zipCode: String,
     instructions: String,
+    coordinates: {
+      latitude: Number,
+      longitude: Number,
+    },
   },
   deliveryAddress: {
     type: {
@@ -134,6 +367,10 @@ const orderSchema = new mongoose.Schema({
     state: String,
     zipCode: String,
     instructions: String,
+    coordinates: {
+      latitude: Number,
+      longitude: Number,
+    },
   },
   pickupDate: {
     type: Date,
@@ -143,8 +380,138 @@ const orderSchema = new mongoose.Schema({
     type: Date,
     required: true,
   },
+  // Booked pickup/delivery windows (see services/slotService.js)
+  pickupSlot: {
+    area: String,
+    date: String,
+    window: String,
+    start: Date,
+    end: Date,
+  },
+  deliverySlot: {
+    area: String,
+    date: String,
+    window: String,
+    start: Date,
+    end: Date,
+  },
+  // Weight of the laundry in kg once known; counts towards provider kg limits
+  totalWeightKg: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+  },
+  weighedAt: Date,
+  weighedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Price change after weighing; large changes wait for the customer's approval
+  repricing: {
+    status: {
+      type: String,
+      enum: ['pending_approval', 'approved', 'rejected', 'applied'],
+    },
+    previousTotal: Number,
+    proposedTotal: Number,
+    // The repriced lines and totals, applied once approved
+    proposal: mongoose.Schema.Types.Mixed,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    requestedAt: Date,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    decidedAt: Date,
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Repricing notes cannot exceed 500 characters'],
+    },
+  },
+  // Stamped by the lifecycle: collected from the customer, and delivered
   actualPickupDate: Date,
   actualDeliveryDate: Date,
+  // One-time code emailed to the customer for proof of delivery; only the hash is stored
+  deliveryCode: {
+    codeHash: {
+      type: String,
+      select: false,
+    },
+    sentAt: Date,
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+  },
+  // Required to complete a delivery unless an admin overrides (see services/deliveryProofService.js)
+  proofOfDelivery: {
+    method: {
+      type: String,
+      enum: ['otp', 'signature', 'photo', 'admin_override'],
+    },
+    recipientName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Recipient name cannot exceed 100 characters'],
+    },
+    signature: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderPhoto',
+    },
+    photos: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderPhoto',
+    }],
+    location: {
+      latitude: Number,
+      longitude: Number,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Delivery notes cannot exceed 500 characters'],
+    },
+    overrideReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Override reason cannot exceed 500 characters'],
+    },
+    capturedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'service_provider'],
+    },
+    capturedAt: Date,
+  },
+  // Turnaround promise against what happened (see services/slaService.js). Late minutes are
+  // negative when early.
+  sla: {
+    pickupDue: Date,
+    pickupLateMinutes: Number,
+    pickupOnTime: Boolean,
+    deliveryDue: Date,
+    deliveryLateMinutes: Number,
+    deliveryOnTime: Boolean,
+    turnaroundHours: Number,
+    evaluatedAt: Date,
+    compensation: {
+      type: {
+        type: String,
+        enum: ['points', 'credit'],
+      },
+      points: Number,
+      amount: Number,
+      issuedAt: Date,
+      error: String,
+    },
+  },
   estimatedPickupTime: String,
   estimatedDeliveryTime: String,
   payment: {
@@ -171,11 +538,71 @@ const orderSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Cancellation reason cannot exceed 200 characters'],
   },
+  amendments: [amendmentSchema],
+  // Outcome of the cancellation policy (see services/cancellationService.js)
+  cancellation: {
+    stage: {
+      type: String,
+      enum: ['before_pickup', 'after_pickup', 'processing'],
+    },
+    fee: Number,
+    feePercent: Number,
+    refundAmount: Number,
+    refundStatus: {
+      type: String,
+      enum: ['not_applicable', 'pending', 'completed', 'failed'],
+    },
+    refundError: String,
+    pointsRestored: Number,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    role: String,
+    cancelledAt: Date,
+  },
   refundAmount: {
     type: Number,
     default: 0,
     min: [0, 'Refund amount cannot be negative'],
   },
+  // Subscription that generated this order, if any
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+  },
+  // Order this one was repeated from, and the saved template it was placed from, if any
+  reorderedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderTemplate',
+  },
+  // Set on free re-clean orders raised to settle a claim against this one
+  redoOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  // Amount credited to the provider's earnings when the order completed
+  providerEarnings: {
+    amount: Number,
+    creditedAt: Date,
+  },
+  // Automatic dispatch state (see services/dispatchService.js)
+  dispatch: {
+    status: {
+      type: String,
+      enum: ['offered', 'assigned', 'queued', 'closed'],
+    },
+    offers: [dispatchOfferSchema],
+    // Offers made before this were in an earlier round (an admin re-run starts a new one)
+    roundStartedAt: Date,
+    // Set when the order lands in the admin queue because nobody took it
+    queuedAt: Date,
+    queueReason: String,
+  },
   isUrgent: {
     type: Boolean,
     default: false,
@@ -185,6 +612,10 @@ const orderSchema = new mongoose.Schema({
     enum: ['low', 'normal', 'high', 'urgent'],
     default: 'normal',
   },
+  // When the order should have left its current status (see services/priorityService.js)
+  statusDeadline: Date,
+  // The deadline admins were last alerted about, so each miss is reported once
+  deadlineAlertedFor: Date,
 }, {
   timestamps: true,
 });
@@ -196,6 +627,15 @@ orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ pickupDate: 1 });
 orderSchema.index({ deliveryDate: 1 });
+orderSchema.index({ status: 1, assignedAt: 1 });
+orderSchema.index({ status: 1, statusDeadline: 1 });
+orderSchema.index({ serviceProvider: 1, 'sla.evaluatedAt': 1 });
+orderSchema.index({ 'dispatch.status': 1 });
+orderSchema.index({ 'dispatch.offers.provider': 1, 'dispatch.offers.status': 1 });
+orderSchema.index(
+  { 'items.clothingItems.itemId': 1 },
+  { unique: true, partialFilterExpression: { 'items.clothingItems.itemId': { $exists: true } } }
+);
 
 // Virtual for order number
 orderSchema.virtual('orderNumber').get(function () {
@@ -219,7 +659,7 @@ orderSchema.virtual('duration').get(function () {
 // Method to calculate total
 orderSchema.methods.calculateTotal = function () {
   this.subtotal = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
-  this.totalAmount = this.subtotal + this.tax + this.deliveryFee - this.discount;
+  this.totalAmount = this.subtotal + this.tax + this.deliveryFee + (this.surcharge || 0) - this.discount;
   return this.totalAmount;
 };
 
@@ -232,11 +672,29 @@ orderSchema.methods.updateStatus = function (newStatus, notes = '') {
   return this.save();
 };
 
-// Method to generate unique item ID
+// Method to generate unique item ID: the next sequence after the highest one in the order, so
+// codes are never reused when garments are added or removed
 orderSchema.methods.generateItemId = function () {
   const orderNumber = this.orderNumber || `ORD-${this._id.toString().slice(-8).toUpperCase()}`;
-  const itemCount = this.items.reduce((total, item) => total + (item.clothingItems?.length || 0), 0);
-  return `${orderNumber}-${String(itemCount + 1).padStart(3, '0')}`;
+  const prefix = `${orderNumber}-`;
+  const lastSequence = this.items
+    .flatMap(item => item.clothingItems || [])
+    .reduce((highest, ci) => {
+      const sequence = ci.itemId?.startsWith(prefix) ? parseInt(ci.itemId.slice(prefix.length), 10) : 0;
+      return sequence > highest ? sequence : highest;
+    }, 0);
+  return `${prefix}${String(lastSequence + 1).padStart(3, '0')}`;
+};
+
+// Method to give every garment without a code the next one in sequence
+orderSchema.methods.assignItemIds = function () {
+  for (const item of this.items) {
+    for (const ci of item.clothingItems || []) {
+      if (!ci.itemId || typeof ci.itemId !== 'string' || ci.itemId.trim() === '') {
+        ci.itemId = this.generateItemId();
+      }
+    }
+  }
 };
 
 // Method to add clothing item
@@ -287,40 +745,34 @@ orderSchema.methods.getAllClothingItems = function () {
   return allItems;
 };
 
-// Pre-save middleware to calculate total and ensure clothing item IDs
+// Garment codes and details are required, so they are filled in before validation
+orderSchema.pre('validate', function (next) {
+  if (Array.isArray(this.items)) {
+    this.assignItemIds();
+    for (const orderItem of this.items) {
+      for (const ci of orderItem.clothingItems || []) {
+        // Fallbacks to keep data consistent
+        if (!ci.serviceName && orderItem.serviceName) ci.serviceName = orderItem.serviceName;
+        if (typeof ci.unitPrice !== 'number' || isNaN(ci.unitPrice)) ci.unitPrice = orderItem.unitPrice || 0;
+      }
+    }
+  }
+  next();
+});
+
+// Pre-save middleware to calculate total
 orderSchema.pre('save', function (next) {
   // Recalculate totals when relevant fields change
   if (
     this.isModified('items') ||
     this.isModified('tax') ||
     this.isModified('deliveryFee') ||
+    this.isModified('surcharge') ||
     this.isModified('discount')
   ) {
     this.calculateTotal();
   }
 
-  // Ensure each clothing item has a unique itemId within the order
-  try {
-    if (Array.isArray(this.items)) {
-      for (const orderItem of this.items) {
-        if (Array.isArray(orderItem.clothingItems)) {
-          for (const ci of orderItem.clothingItems) {
-            // Assign ID if missing
-            if (!ci.itemId || typeof ci.itemId !== 'string' || ci.itemId.trim() === '') {
-              ci.itemId = this.generateItemId();
-            }
-            // Fallbacks to keep data consistent
-            if (!ci.serviceName && orderItem.serviceName) ci.serviceName = orderItem.serviceName;
-            if (typeof ci.unitPrice !== 'number' || isNaN(ci.unitPrice)) ci.unitPrice = orderItem.unitPrice || 0;
-          }
-        }
-      }
-    }
-  } catch (e) {
-    // Do not block save on ID backfill errors; continue
-    // You can log here if needed
-  }
-
   next();
 });
 
@@ -332,4 +784,8 @@ orderSchema.set('toJSON', {
 // Add pagination plugin
 orderSchema.plugin(mongoosePaginate);
 
-module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
+const Order = mongoose.model('Order', orderSchema);
+
+Order.ORDER_STATUSES = ORDER_STATUSES;
+
+module.exports = Order;
\ No newline at end of file
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A photo of an order's garments at intake or delivery, or a recipient's signature. Files live under PHOTO_CONFIG.storageDir.
+const orderPhotoSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  // clothingItems.itemId of the garment shown; unset for photos of the whole order
+  itemId: {
+    type: String,
+    trim: true,
+  },
+  stage: {
+    type: String,
+    enum: ['intake', 'delivery', 'signature'],
+    required: true,
+  },
+  // Paths relative to the storage directory
+  file: {
+    type: String,
+    required: true,
+  },
+  thumbnail: {
+    type: String,
+    required: true,
+  },
+  mimeType: {
+    type: String,
+    required: true,
+  },
+  size: Number,
+  width: Number,
+  height: Number,
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot exceed 200 characters'],
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'service_provider'],
+  },
+}, {
+  timestamps: true,
+});
+
+orderPhotoSchema.index({ order: 1, stage: 1, createdAt: 1 });
+orderPhotoSchema.index({ order: 1, itemId: 1 });
+
+// Authenticated URLs; the files themselves are not publicly served
+orderPhotoSchema.virtual('url').get(function () {
+  return `/api/photos/${this._id}`;
+});
+
+orderPhotoSchema.virtual('thumbnailUrl').get(function () {
+  return `/api/photos/${this._id}/thumbnail`;
+});
+
+orderPhotoSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.file;
+    delete ret.thumbnail;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('OrderPhoto', orderPhotoSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const addressSchema = {
+  type: {
+    type: String,
+    enum: ['home', 'work', 'other'],
+    default: 'home',
+  },
+  street: String,
+  city: String,
+  state: String,
+  zipCode: String,
+  instructions: String,
+  coordinates: {
+    latitude: Number,
+    longitude: Number,
+  },
+};
+
+// A saved line; unitPrice is the catalogue price when it was saved, used to flag price changes
+const templateItemSchema = new mongoose.Schema({
+  service: {
+    type: String,
+    required: true,
+  },
+  serviceName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+  },
+  unitPrice: {
+    type: Number,
+    min: [0, 'Unit price cannot be negative'],
+  },
+  specialInstructions: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Special instructions cannot exceed 200 characters'],
+  },
+}, { _id: false });
+
+const orderTemplateSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters'],
+  },
+  items: {
+    type: [templateItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required'],
+  },
+  pickupAddress: addressSchema,
+  deliveryAddress: addressSchema,
+  paymentMethod: {
+    type: String,
+    enum: ['credit_card', 'debit_card', 'bank_transfer', 'cash', 'digital_wallet', 'momo', 'mobile_money'],
+  },
+  momoPhone: String,
+  momoNetwork: String,
+  specialInstructions: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Special instructions cannot exceed 500 characters'],
+  },
+  timesOrdered: {
+    type: Number,
+    default: 0,
+  },
+  lastOrderedAt: Date,
+}, {
+  timestamps: true,
+});
+
+orderTemplateSchema.index({ customer: 1, name: 1 }, { unique: true });
+
+orderTemplateSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('OrderTemplate', orderTemplateSchema);
@@ -31,6 +31,25 @@ const orderTrackingSchema = new mongoose.Schema({
   }],
   estimatedDelivery: Date,
   actualDelivery: Date,
+  // Copy of the order's proof of delivery
+  proofOfDelivery: {
+    method: String,
+    recipientName: String,
+    signature: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderPhoto'
+    },
+    photos: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderPhoto'
+    }],
+    overrideReason: String,
+    capturedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    capturedAt: Date
+  },
   driverInfo: {
     name: String,
     phone: String,
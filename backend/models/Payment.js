@@ -52,7 +52,7 @@ const paymentSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   transactionId: {
@@ -60,6 +60,16 @@ const paymentSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  // Paystack references retired before they were paid (the amount changed or checkout was
+  // re-opened); a late charge on one is still matched to this payment
+  voidedReferences: [String],
+  // A Paystack charge that didn't match the amount due, held for an admin to resolve
+  amountMismatch: {
+    expected: Number,
+    received: Number,
+    reference: String,
+    detectedAt: Date
+  },
   // Add paidAt field
   paidAt: {
     type: Date
@@ -84,12 +94,17 @@ const paymentSchema = new mongoose.Schema({
     status: {
       type: String,
       required: true,
-      enum: ['pending', 'processing', 'completed', 'failed', 'cancelled']
+      enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'partially_refunded', 'refunded']
     },
+    // Null when the change came from the system (webhooks, jobs)
     changedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true
+      default: null
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'service_provider', 'customer', 'system']
     },
     changedAt: {
       type: Date,
@@ -111,7 +126,79 @@ const paymentSchema = new mongoose.Schema({
   refundReason: {
     type: String,
     maxlength: [200, 'Refund reason cannot exceed 200 characters']
-  }
+  },
+  // Extra amounts owed after the original payment was collected (e.g. a heavier order than estimated)
+  supplementaryCharges: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Charge amount must be greater than zero']
+    },
+    reason: {
+      type: String,
+      required: true,
+      maxlength: [200, 'Charge reason cannot exceed 200 characters']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'cancelled'],
+      default: 'pending'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    settledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    settledAt: Date,
+    method: String
+  }],
+  // Ledger of every refund issued against this payment
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Refund amount must be greater than zero']
+    },
+    reason: {
+      type: String,
+      required: true,
+      maxlength: [200, 'Refund reason cannot exceed 200 characters']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'pending'
+    },
+    channel: {
+      type: String,
+      enum: ['paystack', 'manual'],
+      default: 'manual'
+    },
+    gatewayRefundId: String,
+    gatewayResponse: mongoose.Schema.Types.Mixed,
+    earningsAdjusted: {
+      type: Number,
+      default: 0
+    },
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    processedAt: Date,
+    failedAt: Date
+  }]
 }, {
   timestamps: true
 });
@@ -123,6 +210,7 @@ paymentSchema.index({ serviceProvider: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ createdAt: -1 });
 paymentSchema.index({ transactionId: 1 });
+paymentSchema.index({ voidedReferences: 1 });
 
 // Virtual for payment status
 paymentSchema.virtual('isCompleted').get(function() {
@@ -137,18 +225,46 @@ paymentSchema.virtual('isFailed').get(function() {
   return this.status === 'failed';
 });
 
+// Amount still available for refunds
+paymentSchema.virtual('refundableAmount').get(function() {
+  return Math.max(0, Math.round((this.amount - (this.refundAmount || 0)) * 100) / 100);
+});
+
+// Supplementary charges still to be collected
+paymentSchema.virtual('outstandingAmount').get(function() {
+  const pending = (this.supplementaryCharges || [])
+    .filter(charge => charge.status === 'pending')
+    .reduce((sum, charge) => sum + charge.amount, 0);
+  return Math.round(pending * 100) / 100;
+});
+
 // Pre-save middleware to update timestamps
 paymentSchema.pre('save', function(next) {
-  if (this.isModified('status')) {
+  this.$locals.statusChanged = this.isModified('status');
+
+  // Skip if the route already recorded this status change
+  const lastEntry = this.statusHistory[this.statusHistory.length - 1];
+  if (this.isModified('status') && (!lastEntry || lastEntry.status !== this.status)) {
     this.statusHistory.push({
       status: this.status,
-      changedBy: this.constructor.modelName === 'User' ? this._id : this.customer, // Simplified for demo
+      // Callers that know the actor record the entry themselves
+      changedBy: null,
+      role: 'system',
       changedAt: new Date()
     });
   }
   next();
 });
 
+// Settle loyalty points held against the order once the payment outcome is known
+paymentSchema.post('save', async function(doc) {
+  if (doc.$locals.statusChanged) {
+    doc.$locals.statusChanged = false;
+    const { handlePaymentStatusChange } = require('../services/loyaltyService');
+    await handlePaymentStatusChange(doc);
+  }
+});
+
 // Static method to get payment statistics
 paymentSchema.statics.getPaymentStats = async function(query = {}) {
   const stats = await this.aggregate([
@@ -180,16 +296,94 @@ paymentSchema.methods.processPayment = async function() {
   }, 2000);
 };
 
-// Instance method to refund payment
-paymentSchema.methods.refundPayment = async function(amount, reason) {
-  if (amount > this.amount) {
-    throw new Error('Refund amount cannot exceed payment amount');
+// Instance method to reserve a refund in the ledger before it is sent anywhere. Returns
+// { payment, refund } with the updated payment, or null when the refund would take refunds past
+// what was paid; the balance check is part of the update so concurrent refunds cannot overrun it.
+paymentSchema.methods.reserveRefund = async function(amount, reason, { initiatedBy = null, channel = 'manual' } = {}) {
+  const refundId = new mongoose.Types.ObjectId();
+  const payment = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: { $in: ['completed', 'partially_refunded'] },
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$refundAmount', 0] }, amount] }, { $add: ['$amount', 0.005] }] }
+    },
+    {
+      $push: { refunds: { _id: refundId, amount, reason, status: 'pending', channel, initiatedBy } },
+      $inc: { refundAmount: amount },
+      $set: { refundedAt: new Date(), refundReason: reason }
+    },
+    { new: true }
+  );
+  if (!payment) return null;
+
+  await payment.syncRefundStatus(initiatedBy, `Refund of ¢${amount.toFixed(2)}: ${reason}`);
+  return { payment, refund: payment.refunds.id(refundId) };
+};
+
+// Instance method to record the outcome of a pending refund (status 'completed' or still
+// 'pending' at the gateway) and return the updated payment
+paymentSchema.methods.settleRefund = async function(refundId, { status, gatewayRefundId, gatewayResponse } = {}) {
+  const update = { 'refunds.$.status': status };
+  if (status === 'completed') update['refunds.$.processedAt'] = new Date();
+  if (gatewayRefundId) update['refunds.$.gatewayRefundId'] = gatewayRefundId;
+  if (gatewayResponse) update['refunds.$.gatewayResponse'] = gatewayResponse;
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, refunds: { $elemMatch: { _id: refundId, status: 'pending' } } },
+    { $set: update },
+    { new: true }
+  );
+};
+
+// Instance method to reverse a pending refund that was never paid out (the gateway rejected it
+// or could not be reached). Returns the updated payment, or null if it was no longer pending.
+paymentSchema.methods.failRefund = async function(refundId, gatewayResponse) {
+  const refundEntry = this.refunds.id(refundId);
+  if (!refundEntry) return null;
+
+  const payment = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refunds: { $elemMatch: { _id: refundId, status: 'pending' } } },
+    {
+      $set: {
+        'refunds.$.status': 'failed',
+        'refunds.$.failedAt': new Date(),
+        'refunds.$.gatewayResponse': gatewayResponse
+      },
+      $inc: { refundAmount: -refundEntry.amount }
+    },
+    { new: true }
+  );
+  if (!payment) return null;
+
+  await payment.syncRefundStatus(null, `Refund of ¢${refundEntry.amount.toFixed(2)} failed at gateway`);
+  return payment;
+};
+
+// Derive refunded / partially_refunded status from the refund total. Skipped if another refund
+// changed the total meanwhile; that one sets the status for the newer total.
+paymentSchema.methods.syncRefundStatus = async function(changedBy, notes) {
+  let nextStatus = 'completed';
+  if (this.refundAmount > 0.005) {
+    nextStatus = this.refundAmount >= this.amount - 0.005 ? 'refunded' : 'partially_refunded';
+  }
+  if (nextStatus === this.status) return;
+
+  const entry = {
+    status: nextStatus,
+    changedBy: changedBy || this.customer,
+    changedAt: new Date(),
+    notes: notes ? notes.slice(0, 200) : ''
+  };
+  const result = await this.constructor.updateOne(
+    { _id: this._id, refundAmount: this.refundAmount },
+    { $set: { status: nextStatus }, $push: { statusHistory: entry } }
+  );
+  if (result.modifiedCount) {
+    // Mirror the stored change without leaving it to be written again on a later save
+    this.status = nextStatus;
+    this.statusHistory.push(entry);
+    this.$clearModifiedPaths();
   }
-  
-  this.refundAmount = amount;
-  this.refundedAt = new Date();
-  this.refundReason = reason;
-  await this.save();
 };
 
 // Add pagination plugin
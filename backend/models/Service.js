@@ -20,6 +20,12 @@ const serviceSchema = new mongoose.Schema({
     required: [true, 'Base price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // What basePrice is charged per: each item, each kilogram, or each machine load
+  pricingUnit: {
+    type: String,
+    enum: ['item', 'kg', 'load'],
+    default: 'item'
+  },
   estimatedTime: {
     type: String,
     required: [true, 'Estimated time is required']
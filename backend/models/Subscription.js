@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const addressSchema = {
+  type: {
+    type: String,
+    enum: ['home', 'work', 'other'],
+    default: 'home',
+  },
+  street: String,
+  city: String,
+  state: String,
+  zipCode: String,
+  instructions: String,
+  coordinates: {
+    latitude: Number,
+    longitude: Number,
+  },
+};
+
+// A service and quantity ordered on every occurrence
+const subscriptionItemSchema = new mongoose.Schema({
+  service: {
+    type: String,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+  },
+  specialInstructions: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Special instructions cannot exceed 200 characters'],
+  },
+}, { _id: false });
+
+// One scheduled pickup: the order it produced, or why it was skipped or failed
+const occurrenceSchema = new mongoose.Schema({
+  pickupDate: {
+    type: String, // YYYY-MM-DD
+    required: true,
+  },
+  outcome: {
+    type: String,
+    enum: ['created', 'skipped', 'failed'],
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  error: String,
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const subscriptionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters'],
+  },
+  items: {
+    type: [subscriptionItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required'],
+  },
+  cadence: {
+    type: String,
+    enum: ['weekly', 'biweekly', 'monthly'],
+    required: true,
+  },
+  pickupDay: {
+    type: String,
+    enum: WEEKDAYS,
+    required: true,
+  },
+  // Slot windows such as '08:00-10:00'; without them orders are booked by date only
+  pickupWindow: String,
+  deliveryWindow: String,
+  deliveryAfterDays: {
+    type: Number,
+    min: [0, 'Delivery cannot be before pickup'],
+  },
+  pickupAddress: addressSchema,
+  deliveryAddress: addressSchema,
+  paymentMethod: {
+    type: String,
+    required: true,
+    enum: ['credit_card', 'debit_card', 'bank_transfer', 'cash', 'digital_wallet', 'momo', 'mobile_money'],
+  },
+  momoPhone: String,
+  momoNetwork: String,
+  specialInstructions: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Special instructions cannot exceed 500 characters'],
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled'],
+    default: 'active',
+  },
+  // Next pickup to generate an order for, YYYY-MM-DD
+  nextPickupDate: {
+    type: String,
+    required: true,
+  },
+  // Pickup date the last reminder email was sent for
+  reminderSentFor: String,
+  pausedAt: Date,
+  // Paused subscriptions restart on this date (YYYY-MM-DD) if set
+  resumeOn: String,
+  cancelledAt: Date,
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Cancellation reason cannot exceed 200 characters'],
+  },
+  occurrences: [occurrenceSchema],
+}, {
+  timestamps: true,
+});
+
+subscriptionSchema.index({ customer: 1, status: 1 });
+subscriptionSchema.index({ status: 1, nextPickupDate: 1 });
+
+// Virtual for subscription number
+subscriptionSchema.virtual('subscriptionNumber').get(function () {
+  return `SUB-${this._id.toString().slice(-8).toUpperCase()}`;
+});
+
+subscriptionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Booking counter for one pickup or delivery window in one area on one day
+const timeSlotSchema = new mongoose.Schema({
+  area: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // YYYY-MM-DD
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD']
+  },
+  // HH:MM-HH:MM
+  window: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['pickup', 'delivery'],
+    required: true
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reservations: [{
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['active', 'released'],
+      default: 'active'
+    },
+    reservedAt: {
+      type: Date,
+      default: Date.now
+    },
+    releasedAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+timeSlotSchema.index({ area: 1, date: 1, window: 1, type: 1 }, { unique: true });
+timeSlotSchema.index({ 'reservations.order': 1 });
+
+timeSlotSchema.virtual('available').get(function() {
+  return Math.max(0, this.capacity - this.booked);
+});
+
+timeSlotSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('TimeSlot', timeSlotSchema);
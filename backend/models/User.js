@@ -1,6 +1,19 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Lowercase, and drop +tags and Gmail dots so aliases of one inbox compare equal
+const normalizeEmail = (email) => {
+  const [local = '', domain = ''] = String(email || '').trim().toLowerCase().split('@');
+  let name = local.split('+')[0];
+  if (domain === 'gmail.com' || domain === 'googlemail.com') {
+    name = name.replace(/\./g, '');
+  }
+  return `${name}@${domain === 'googlemail.com' ? 'gmail.com' : domain}`;
+};
+
+// Compare phone numbers on their last nine digits (local and +233 forms match)
+const normalizePhone = (phoneNumber) => String(phoneNumber || '').replace(/\D/g, '').slice(-9);
+
 const userSchema = new mongoose.Schema({
   firstName: {
     type: String,
@@ -33,6 +46,16 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Phone number is required'],
     trim: true
   },
+  // Normalized contact details, kept in step with email and phoneNumber, so the same inbox or
+  // phone can be found with an indexed lookup whatever form it was entered in
+  emailKey: {
+    type: String,
+    select: false
+  },
+  phoneKey: {
+    type: String,
+    select: false
+  },
   role: {
     type: String,
     enum: ['customer', 'service_provider', 'admin'],
@@ -87,15 +110,17 @@ const userSchema = new mongoose.Schema({
       default: 'UTC'
     }
   },
+  // Mirror of the LoyaltyProgram account balance, kept for clients that read it off the user
   loyaltyPoints: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Legacy ledger, carried over to LoyaltyProgram by migrateLoyalty.js and no longer written
   loyaltyHistory: [{
     type: {
       type: String,
-      enum: ['earned', 'redeemed', 'expired'],
+      enum: ['earned', 'redeemed', 'expired', 'released'],
       required: true
     },
     points: {
@@ -130,6 +155,43 @@ const userSchema = new mongoose.Schema({
       saturday: { open: String, close: String },
       sunday: { open: String, close: String }
     },
+    // Recurring breaks within the working day; no days means every day
+    breaks: [{
+      days: [{
+        type: String,
+        enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+      }],
+      start: String,
+      end: String,
+      label: String
+    }],
+    // One-off closures and holidays, YYYY-MM-DD inclusive
+    closures: [{
+      startDate: String,
+      endDate: String,
+      type: {
+        type: String,
+        enum: ['closure', 'holiday'],
+        default: 'closure'
+      },
+      reason: String
+    }],
+    // Most orders the provider will pick up in a day; unset means no limit
+    dailyCapacity: {
+      type: Number,
+      min: 0
+    },
+    // Workload limits; unset means no limit
+    capacity: {
+      maxConcurrentOrders: { type: Number, min: 0 },
+      maxItemsPerDay: { type: Number, min: 0 },
+      maxKgPerDay: { type: Number, min: 0 },
+      // Items per day for individual services (service ID or name)
+      serviceLimits: [{
+        service: { type: String, required: true },
+        maxItemsPerDay: { type: Number, min: 0, required: true }
+      }]
+    },
     description: String,
     licenseNumber: String
   },
@@ -205,6 +267,14 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ role: 1 });
 userSchema.index({ status: 1 });
+userSchema.index({ emailKey: 1 });
+userSchema.index({ phoneKey: 1 });
+
+userSchema.pre('validate', function(next) {
+  if (this.isModified('email')) this.emailKey = normalizeEmail(this.email);
+  if (this.isModified('phoneNumber')) this.phoneKey = normalizePhone(this.phoneNumber);
+  next();
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -239,41 +309,11 @@ userSchema.methods.hasPermission = function(permission) {
   return false;
 };
 
-// Loyalty points methods
-userSchema.methods.addLoyaltyPoints = function(points, description, orderId = null) {
-  this.loyaltyPoints += points;
-  this.loyaltyHistory.push({
-    type: 'earned',
-    points: points,
-    description: description,
-    orderId: orderId
-  });
-  return this.save();
-};
-
-userSchema.methods.redeemLoyaltyPoints = function(points, description) {
-  if (this.loyaltyPoints < points) {
-    throw new Error('Insufficient loyalty points');
-  }
-  this.loyaltyPoints -= points;
-  this.loyaltyHistory.push({
-    type: 'redeemed',
-    points: points,
-    description: description
-  });
-  return this.save();
-};
-
+// Mirrored balance; the LoyaltyProgram account holds the ledger
 userSchema.methods.getLoyaltyPoints = function() {
   return this.loyaltyPoints;
 };
 
-userSchema.methods.getLoyaltyHistory = function(limit = 10) {
-  return this.loyaltyHistory
-    .sort((a, b) => b.timestamp - a.timestamp)
-    .slice(0, limit);
-};
-
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -288,8 +328,15 @@ userSchema.set('toJSON', {
     delete ret.resetPasswordExpire;
     delete ret.emailVerificationToken;
     delete ret.emailVerificationExpire;
+    delete ret.emailKey;
+    delete ret.phoneKey;
     return ret;
   }
 });
 
-module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
+const User = mongoose.model('User', userSchema);
+
+User.normalizeEmail = normalizeEmail;
+User.normalizePhone = normalizePhone;
+
+module.exports = User; 
\ No newline at end of file
@@ -6,6 +6,8 @@ const Review = require('../models/Review');
 const Service = require('../models/Service');
 const User = require('../models/User');
 const { protect, admin } = require('../middleware/auth');
+const { getProviderClaimRates } = require('../services/claimService');
+const { getProviderSla } = require('../services/slaService');
 
 // Get dashboard overview
 router.get('/dashboard', protect, async (req, res) => {
@@ -92,6 +94,13 @@ router.get('/dashboard', protect, async (req, res) => {
       ]);
     }
 
+    // On-time record for service providers, over the same period when one is given
+    let slaStats = null;
+    if (req.user.role === 'service_provider') {
+      const { providers } = await getProviderSla({ from: startDate, to: endDate, providerId: req.user.id });
+      slaStats = providers[0] || null;
+    }
+
     res.json({
       success: true,
       data: {
@@ -107,7 +116,8 @@ router.get('/dashboard', protect, async (req, res) => {
           averageRating: reviewStats[0]?.avgRating || 0,
           totalReviews: reviewStats[0]?.count || 0
         },
-        services: serviceStats
+        services: serviceStats,
+        sla: slaStats
       }
     });
   } catch (error) {
@@ -568,6 +578,53 @@ router.get('/top-performers', protect, admin, async (req, res) => {
   }
 });
 
+// Claims per provider against the orders they completed (admin only)
+router.get('/claims', protect, admin, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const rates = await getProviderClaimRates({ from: startDate, to: endDate });
+
+    res.json({
+      success: true,
+      data: rates
+    });
+  } catch (error) {
+    console.error('Get claim analytics error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch claim analytics'
+    });
+  }
+});
+
+// On-time pickup and delivery rates and late-delivery compensation per provider
+// Admins see every provider (or one with providerId); providers see their own
+router.get('/sla', protect, async (req, res) => {
+  try {
+    if (!['admin', 'service_provider'].includes(req.user.role)) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const { startDate, endDate, providerId } = req.query;
+    const report = await getProviderSla({
+      from: startDate,
+      to: endDate,
+      providerId: req.user.role === 'admin' ? providerId : req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get SLA analytics error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch SLA analytics'
+    });
+  }
+});
+
 // Main analytics endpoint for admin dashboard
 router.get('/', protect, admin, async (req, res) => {
   try {
@@ -2,6 +2,7 @@ const express = require('express');
 const User = require('../models/User');
 const { protect, generateToken } = require('../middleware/auth');
 const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/emailService');
+const { validateReferral, linkReferral } = require('../services/referralService');
 
 const router = express.Router();
 
@@ -59,7 +60,7 @@ const checkEmailAndSendVerification = async (req, res) => {
 // @access  Public
 const register = async (req, res) => {
   try {
-    const { firstName, lastName, email, password, phoneNumber, role, verificationCode } = req.body;
+    const { firstName, lastName, email, password, phoneNumber, role, verificationCode, referralCode } = req.body;
 
     // Check if user exists in database
     const userExists = await User.findOne({ email });
@@ -84,6 +85,18 @@ const register = async (req, res) => {
       return res.status(400).json({ error: 'Verification code expired. Please request a new one.' });
     }
 
+    // Check the referral before creating the account so abuse is rejected up front
+    let referral = null;
+    if (referralCode) {
+      try {
+        referral = await validateReferral(referralCode, { email, phoneNumber });
+      } catch (referralError) {
+        return res.status(referralError.statusCode || 500).json({
+          error: referralError.statusCode ? referralError.message : 'Server error'
+        });
+      }
+    }
+
     // Create user in database
     const user = await User.create({
       firstName,
@@ -99,6 +112,14 @@ const register = async (req, res) => {
     // Remove from pending registrations
     pendingRegistrations.delete(email);
 
+    if (referral) {
+      try {
+        await linkReferral(referral, user._id);
+      } catch (referralError) {
+        console.error('Link referral error:', referralError);
+      }
+    }
+
     if (user) {
       res.status(201).json({
         message: 'Registration successful!',
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const { protect, admin, serviceProvider } = require('../middleware/auth');
+const {
+  getProviderAvailability,
+  updateProviderAvailability,
+  addClosure,
+  removeClosure
+} = require('../services/providerAvailabilityService');
+const { getProviderCapacity, updateProviderCapacity } = require('../services/providerCapacityService');
+
+// Get the logged-in provider's weekly hours, breaks, closures and daily capacity
+router.get('/me', protect, serviceProvider, async (req, res) => {
+  try {
+    const availability = await getProviderAvailability(req.user.id);
+    res.json({ success: true, data: availability });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch availability'
+    });
+  }
+});
+
+// Update weekly hours, breaks and/or daily capacity
+// Body: { operatingHours: { monday: { open, close } | null, ... }, breaks: [{ days, start, end, label }], dailyCapacity }
+router.put('/me', protect, serviceProvider, async (req, res) => {
+  try {
+    const { operatingHours, breaks, dailyCapacity } = req.body;
+    const availability = await updateProviderAvailability(req.user.id, { operatingHours, breaks, dailyCapacity });
+    res.json({ success: true, data: availability, message: 'Availability updated' });
+  } catch (error) {
+    console.error('Update availability error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update availability'
+    });
+  }
+});
+
+// Add a one-off closure or holiday
+// Body: { startDate: 'YYYY-MM-DD', endDate?: 'YYYY-MM-DD', type: 'closure' | 'holiday', reason }
+router.post('/me/closures', protect, serviceProvider, async (req, res) => {
+  try {
+    const availability = await addClosure(req.user.id, req.body);
+    res.status(201).json({ success: true, data: availability, message: 'Closure added' });
+  } catch (error) {
+    console.error('Add closure error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to add closure'
+    });
+  }
+});
+
+router.delete('/me/closures/:closureId', protect, serviceProvider, async (req, res) => {
+  try {
+    const availability = await removeClosure(req.user.id, req.params.closureId);
+    res.json({ success: true, data: availability, message: 'Closure removed' });
+  } catch (error) {
+    console.error('Remove closure error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to remove closure'
+    });
+  }
+});
+
+// Get the logged-in provider's workload limits and today's utilization
+router.get('/me/capacity', protect, serviceProvider, async (req, res) => {
+  try {
+    const capacity = await getProviderCapacity(req.user.id);
+    res.json({ success: true, data: capacity });
+  } catch (error) {
+    console.error('Get capacity error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch capacity'
+    });
+  }
+});
+
+// Update workload limits; null removes a limit
+// Body: { maxConcurrentOrders, maxItemsPerDay, maxKgPerDay, serviceLimits: [{ service, maxItemsPerDay }] }
+router.put('/me/capacity', protect, serviceProvider, async (req, res) => {
+  try {
+    const capacity = await updateProviderCapacity(req.user.id, req.body);
+    res.json({ success: true, data: capacity, message: 'Capacity updated' });
+  } catch (error) {
+    console.error('Update capacity error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update capacity'
+    });
+  }
+});
+
+// Any provider's limits and utilization (admin only)
+router.get('/:providerId/capacity', protect, admin, async (req, res) => {
+  try {
+    const capacity = await getProviderCapacity(req.params.providerId);
+    res.json({ success: true, data: capacity });
+  } catch (error) {
+    console.error('Get provider capacity error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch capacity'
+    });
+  }
+});
+
+// Set a provider's limits (admin only)
+router.put('/:providerId/capacity', protect, admin, async (req, res) => {
+  try {
+    const capacity = await updateProviderCapacity(req.params.providerId, req.body);
+    res.json({ success: true, data: capacity, message: 'Capacity updated' });
+  } catch (error) {
+    console.error('Update provider capacity error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update capacity'
+    });
+  }
+});
+
+// Any provider's availability (admin only)
+router.get('/:providerId', protect, admin, async (req, res) => {
+  try {
+    const availability = await getProviderAvailability(req.params.providerId);
+    res.json({ success: true, data: availability });
+  } catch (error) {
+    console.error('Get provider availability error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch availability'
+    });
+  }
+});
+
+module.exports = router;
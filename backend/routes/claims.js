@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { protect, admin, serviceProvider, customer } = require('../middleware/auth');
+const { actorFrom } = require('../services/orderLifecycle');
+const {
+  submitClaim,
+  addEvidence,
+  respondToClaim,
+  decideClaim,
+  withdrawClaim,
+  listClaims,
+  getClaim
+} = require('../services/claimService');
+
+// List claims: customers see their own, providers the ones against them, admins all
+// Query: status, type, orderId, providerId (admin), page, limit
+router.get('/', protect, async (req, res) => {
+  try {
+    const claims = await listClaims(actorFrom(req.user), req.query);
+    res.json({ success: true, data: claims });
+  } catch (error) {
+    console.error('Get claims error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch claims'
+    });
+  }
+});
+
+// Submit a claim on an order (customer only)
+// Body: { orderId, itemId?, type: 'damage' | 'loss' | 'dispute', description, requestedAmount?, evidence?: [{ url, caption }] }
+router.post('/', protect, customer, async (req, res) => {
+  try {
+    const claim = await submitClaim(actorFrom(req.user), req.body);
+    res.status(201).json({ success: true, data: claim, message: `Claim ${claim.claimNumber} submitted` });
+  } catch (error) {
+    console.error('Submit claim error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to submit claim'
+    });
+  }
+});
+
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const claim = await getClaim(req.params.id, actorFrom(req.user));
+    res.json({ success: true, data: claim });
+  } catch (error) {
+    console.error('Get claim error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch claim'
+    });
+  }
+});
+
+// Add photos to an open claim
+// Body: { evidence: [{ url, caption }] }
+router.post('/:id/evidence', protect, async (req, res) => {
+  try {
+    const claim = await addEvidence(req.params.id, actorFrom(req.user), req.body.evidence);
+    res.json({ success: true, data: claim, message: 'Evidence added' });
+  } catch (error) {
+    console.error('Add claim evidence error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to add evidence'
+    });
+  }
+});
+
+// Provider's response to a claim against them
+// Body: { position: 'accepts' | 'disputes', message, evidence? }
+router.post('/:id/respond', protect, serviceProvider, async (req, res) => {
+  try {
+    const claim = await respondToClaim(req.params.id, actorFrom(req.user), req.body);
+    res.json({ success: true, data: claim, message: 'Response recorded' });
+  } catch (error) {
+    console.error('Respond to claim error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to record response'
+    });
+  }
+});
+
+// Approve or reject a claim (admin only)
+// Body: { decision: 'approve' | 'reject', notes, compensation?: { type: 'refund' | 'credit' | 'redo', amount?, pickupDate? } }
+router.post('/:id/decide', protect, admin, async (req, res) => {
+  try {
+    const claim = await decideClaim(req.params.id, actorFrom(req.user), req.body);
+    res.json({ success: true, data: claim, message: `Claim ${claim.status}` });
+  } catch (error) {
+    console.error('Decide claim error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to decide claim'
+    });
+  }
+});
+
+// Withdraw an open claim (customer only)
+router.post('/:id/withdraw', protect, customer, async (req, res) => {
+  try {
+    const claim = await withdrawClaim(req.params.id, actorFrom(req.user), req.body.reason);
+    res.json({ success: true, data: claim, message: 'Claim withdrawn' });
+  } catch (error) {
+    console.error('Withdraw claim error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to withdraw claim'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { protect, admin } = require('../middleware/auth');
+const { priceOrder } = require('../services/pricingService');
+
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscountAmount',
+  'minOrderAmount',
+  'applicableServices',
+  'applicableCategories',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perCustomerLimit',
+  'firstOrderOnly',
+  'isActive'
+];
+
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+};
+
+// Validate a coupon against a basket (customers)
+router.post('/validate', protect, async (req, res) => {
+  try {
+    const { code, items, pickupAddress, isUrgent, priority } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ success: false, error: 'Coupon code is required' });
+    }
+
+    const quote = await priceOrder({
+      items,
+      pickupAddress,
+      isUrgent,
+      priority,
+      couponCode: code,
+      customerId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: {
+        code: quote.coupon.code,
+        discount: quote.coupon.discount,
+        quote
+      },
+      message: `Coupon applied: ¢${quote.coupon.discount.toFixed(2)} off`
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to validate coupon'
+    });
+  }
+});
+
+// Get all coupons (admin only)
+router.get('/', protect, admin, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, isActive, search } = req.query;
+    const query = {};
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    if (search) {
+      query.code = { $regex: search, $options: 'i' };
+    }
+
+    const options = {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 }
+    };
+
+    const coupons = await Coupon.paginate(query, options);
+
+    res.json({
+      success: true,
+      data: coupons
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch coupons' });
+  }
+});
+
+// Get coupon by ID (admin only)
+router.get('/:id', protect, admin, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ success: false, error: 'Coupon not found' });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch coupon' });
+  }
+});
+
+// Get redemption history for a coupon (admin only)
+router.get('/:id/redemptions', protect, admin, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const coupon = await Coupon.findById(req.params.id).select('usageCount');
+
+    if (!coupon) {
+      return res.status(404).json({ success: false, error: 'Coupon not found' });
+    }
+
+    const redemptions = await CouponRedemption.paginate({ coupon: coupon._id }, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { redeemedAt: -1 },
+      populate: [
+        { path: 'customer', select: 'firstName lastName email' },
+        { path: 'order', select: 'status totalAmount createdAt' }
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: redemptions.docs,
+      count: redemptions.totalDocs,
+      page: redemptions.page,
+      totalPages: redemptions.totalPages,
+      usageCount: coupon.usageCount
+    });
+  } catch (error) {
+    console.error('Get coupon redemptions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch coupon redemptions' });
+  }
+});
+
+// Create coupon (admin only)
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const coupon = await Coupon.create({
+      ...pickEditableFields(req.body),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: coupon,
+      message: 'Coupon created successfully'
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, error: 'Coupon code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: 'Failed to create coupon' });
+  }
+});
+
+// Update coupon (admin only)
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ success: false, error: 'Coupon not found' });
+    }
+
+    Object.assign(coupon, pickEditableFields(req.body));
+    await coupon.save();
+
+    res.json({
+      success: true,
+      data: coupon,
+      message: 'Coupon updated successfully'
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, error: 'Coupon code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update coupon' });
+  }
+});
+
+// Delete coupon (admin only) - coupons with redemptions are deactivated to keep history
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ success: false, error: 'Coupon not found' });
+    }
+
+    if (await CouponRedemption.exists({ coupon: coupon._id })) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({ success: true, message: 'Coupon has redemptions and was deactivated instead' });
+    }
+
+    await Coupon.deleteOne({ _id: coupon._id });
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete coupon' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const { protect, admin, serviceProvider } = require('../middleware/auth');
+const {
+  rankProviders,
+  dispatchOrder,
+  acceptOffer,
+  declineOffer,
+  getProviderOffers,
+  getDispatchQueue
+} = require('../services/dispatchService');
+
+// Offers waiting on the logged-in provider
+router.get('/offers', protect, serviceProvider, async (req, res) => {
+  try {
+    const offers = await getProviderOffers(req.user.id);
+
+    res.json({
+      success: true,
+      data: offers.map(({ order, ...offer }) => ({
+        ...offer,
+        order: {
+          ...order.toObject(),
+          dispatch: undefined,
+          formattedTotal: `¢${order.totalAmount.toFixed(2)}`
+        }
+      })),
+      count: offers.length
+    });
+  } catch (error) {
+    console.error('Get dispatch offers error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch offers' });
+  }
+});
+
+// Accept an offer; the order is assigned to the provider
+router.post('/offers/:orderId/accept', protect, serviceProvider, async (req, res) => {
+  try {
+    const order = await acceptOffer(req.params.orderId, req.user.id);
+
+    await order.populate([
+      { path: 'customer', select: 'firstName lastName email phoneNumber' },
+      { path: 'serviceProvider', select: 'firstName lastName email phoneNumber businessDetails' },
+    ]);
+
+    res.json({ success: true, data: order, message: 'Offer accepted and order assigned to you' });
+  } catch (error) {
+    console.error('Accept dispatch offer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to accept offer'
+    });
+  }
+});
+
+// Decline an offer; the order moves on to the next candidate
+router.post('/offers/:orderId/decline', protect, serviceProvider, async (req, res) => {
+  try {
+    const reason = req.body.reason ? String(req.body.reason).slice(0, 200) : '';
+    await declineOffer(req.params.orderId, req.user.id, reason);
+
+    res.json({ success: true, message: 'Offer declined' });
+  } catch (error) {
+    console.error('Decline dispatch offer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to decline offer'
+    });
+  }
+});
+
+// Orders nobody accepted, waiting for manual assignment (admin only)
+router.get('/queue', protect, admin, async (req, res) => {
+  try {
+    const orders = await getDispatchQueue();
+    res.json({ success: true, data: orders, count: orders.length });
+  } catch (error) {
+    console.error('Get dispatch queue error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch dispatch queue' });
+  }
+});
+
+// How every provider scores for an order (admin only)
+router.get('/orders/:orderId/candidates', protect, admin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    const candidates = await rankProviders(order);
+    res.json({ success: true, data: { orderId: order._id, dispatch: order.dispatch, candidates } });
+  } catch (error) {
+    console.error('Get dispatch candidates error:', error);
+    res.status(500).json({ success: false, error: 'Failed to score providers' });
+  }
+});
+
+// Start a fresh dispatch round for an order, e.g. from the queue (admin only)
+router.post('/orders/:orderId/run', protect, admin, async (req, res) => {
+  try {
+    const result = await dispatchOrder(req.params.orderId, { restart: true });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Run dispatch error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to dispatch order'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const { protect } = require('../middleware/auth');
+const { actorFrom } = require('../services/orderLifecycle');
+const {
+  STATIONS,
+  findGarment,
+  scanGarment,
+  getOrderGarments,
+  flagMissingGarments,
+  renderCode,
+  buildTag,
+  buildOrderTags,
+  assertCanView
+} = require('../services/garmentTagService');
+
+const loadOrder = async (req, res) => {
+  const order = await Order.findById(req.params.orderId).populate('customer', 'firstName lastName');
+  if (!order) {
+    res.status(404).json({ success: false, error: 'Order not found' });
+    return null;
+  }
+  assertCanView(order, actorFrom(req.user));
+  return order;
+};
+
+// Stations garments can be scanned at, in processing order
+router.get('/stations', protect, (req, res) => {
+  res.json({ success: true, data: STATIONS });
+});
+
+// Every garment on an order with its station, plus unaccounted and missing garments
+router.get('/orders/:orderId', protect, async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    res.json({ success: true, data: getOrderGarments(order) });
+  } catch (error) {
+    console.error('Get order garments error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch garments'
+    });
+  }
+});
+
+// Printable tags for every garment on an order
+router.get('/orders/:orderId/tags', protect, async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const tags = await buildOrderTags(order);
+    res.json({ success: true, data: tags, count: tags.length });
+  } catch (error) {
+    console.error('Get order tags error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to build tags'
+    });
+  }
+});
+
+// Flag garments missing before delivery (assigned provider or admin)
+// Body: { reason, itemCodes? } — without itemCodes, every received garment not yet packed is flagged
+router.post('/orders/:orderId/missing', protect, async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const { flagged } = await flagMissingGarments(order, req.body, actorFrom(req.user));
+
+    res.json({
+      success: true,
+      data: getOrderGarments(order),
+      message: `${flagged.length} garment(s) flagged missing`
+    });
+  } catch (error) {
+    console.error('Flag missing garments error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to flag garments'
+    });
+  }
+});
+
+// Look a garment up by the code on its tag
+router.get('/:itemCode', protect, async (req, res) => {
+  try {
+    const { order, garment, itemIndex } = await findGarment(req.params.itemCode, actorFrom(req.user));
+
+    res.json({
+      success: true,
+      data: {
+        garment,
+        itemIndex,
+        order: {
+          _id: order._id,
+          orderNumber: order.orderNumber,
+          status: order.status,
+          customer: order.customer,
+          serviceProvider: order.serviceProvider
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Garment lookup error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to look up garment'
+    });
+  }
+});
+
+// Printable tag payload: code text plus QR and Code128 renders as SVG
+router.get('/:itemCode/tag', protect, async (req, res) => {
+  try {
+    const { order, garment, item } = await findGarment(req.params.itemCode, actorFrom(req.user));
+    const tag = await buildTag(order, garment, item);
+
+    res.json({ success: true, data: tag });
+  } catch (error) {
+    console.error('Get garment tag error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to build tag'
+    });
+  }
+});
+
+// Tag code as an image for label printers: symbology is qr or code128, ?format=png|svg (default png)
+router.get('/:itemCode/tag/:symbology', protect, async (req, res) => {
+  try {
+    const { garment } = await findGarment(req.params.itemCode, actorFrom(req.user));
+    const format = req.query.format === 'svg' ? 'svg' : 'png';
+    const image = await renderCode(garment.itemId, req.params.symbology, format);
+
+    res.set('Content-Type', format === 'svg' ? 'image/svg+xml' : 'image/png');
+    res.set('Content-Disposition', `inline; filename="${garment.itemId}-${req.params.symbology}.${format}"`);
+    res.send(image);
+  } catch (error) {
+    console.error('Render garment tag error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to render tag'
+    });
+  }
+});
+
+// Scan a garment at a station (assigned provider or admin)
+// Body: { station: 'received' | 'washing' | 'drying' | 'pressing' | 'packed' | 'returned', notes? }
+router.post('/:itemCode/scan', protect, async (req, res) => {
+  try {
+    const { station, notes } = req.body;
+    const { order, garment, duplicate } = await scanGarment(req.params.itemCode, station, actorFrom(req.user), notes);
+    const summary = getOrderGarments(order);
+
+    res.json({
+      success: true,
+      data: { garment, unaccounted: summary.unaccounted, byStation: summary.byStation },
+      message: duplicate
+        ? `${garment.itemId} is already at ${station}`
+        : `${garment.itemId} scanned at ${station}`
+    });
+  } catch (error) {
+    console.error('Scan garment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to scan garment'
+    });
+  }
+});
+
+module.exports = router;
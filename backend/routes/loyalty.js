@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, admin } = require('../middleware/auth');
 const {
   getLoyaltyStatus,
-  redeemPoints,
-  awardPointsForReferral,
-  awardPointsForReview
+  awardPointsForReview,
+  getUpcomingExpirations,
+  LOYALTY_CONFIG
 } = require('../services/loyaltyService');
+const { getReferrals } = require('../services/referralService');
+const { runJob } = require('../services/scheduler');
 
 // @desc    Get user's loyalty status
 // @route   GET /api/loyalty/status
@@ -21,60 +23,67 @@ router.get('/status', protect, async (req, res) => {
   }
 });
 
-// @desc    Redeem loyalty points
-// @route   POST /api/loyalty/redeem
+// @desc    Get user's referral code and referrals
+// @route   GET /api/loyalty/referrals
 // @access  Private
-router.post('/redeem', protect, async (req, res) => {
+router.get('/referrals', protect, async (req, res) => {
   try {
-    const { points } = req.body;
+    const referrals = await getReferrals(req.user._id);
+    res.json(referrals);
+  } catch (error) {
+    console.error('Get referrals error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Award points for review
+// @route   POST /api/loyalty/review
+// @access  Private
+router.post('/review', protect, async (req, res) => {
+  try {
+    const { orderId } = req.body;
 
-    if (!points || points <= 0) {
-      return res.status(400).json({ error: 'Valid points amount is required' });
+    if (!orderId) {
+      return res.status(400).json({ error: 'Order ID is required' });
     }
 
-    const result = await redeemPoints(req.user._id, points);
+    const result = await awardPointsForReview(req.user._id, orderId);
     res.json(result);
   } catch (error) {
-    console.error('Redeem points error:', error);
+    console.error('Award review points error:', error);
     res.status(400).json({ error: error.message });
   }
 });
 
-// @desc    Award points for referral (admin only)
-// @route   POST /api/loyalty/referral
+// @desc    Run the point expiry job now
+// @route   POST /api/loyalty/expiry/run
 // @access  Private/Admin
-router.post('/referral', protect, async (req, res) => {
+router.post('/expiry/run', protect, admin, async (req, res) => {
   try {
-    const { userId, description } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
-
-    const result = await awardPointsForReferral(userId, description);
+    const result = await runJob('loyaltyPointExpiry');
     res.json(result);
   } catch (error) {
-    console.error('Award referral points error:', error);
+    console.error('Run point expiry error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// @desc    Award points for review
-// @route   POST /api/loyalty/review
-// @access  Private
-router.post('/review', protect, async (req, res) => {
+// @desc    Points expiring in the next N days
+// @route   GET /api/loyalty/expiry/upcoming?days=30
+// @access  Private/Admin
+router.get('/expiry/upcoming', protect, admin, async (req, res) => {
   try {
-    const { orderId } = req.body;
+    const days = parseInt(req.query.days) || LOYALTY_CONFIG.expiryWarningDays;
 
-    if (!orderId) {
-      return res.status(400).json({ error: 'Order ID is required' });
+    if (days < 1 || days > LOYALTY_CONFIG.pointsExpiryDays) {
+      return res.status(400).json({ error: `Days must be between 1 and ${LOYALTY_CONFIG.pointsExpiryDays}` });
     }
 
-    const result = await awardPointsForReview(req.user._id, orderId);
-    res.json(result);
+    const report = await getUpcomingExpirations({ days });
+    res.json(report);
   } catch (error) {
-    console.error('Award review points error:', error);
-    res.status(400).json({ error: error.message });
+    console.error('Get upcoming expirations error:', error);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
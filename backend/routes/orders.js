@@ -1,11 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
+const User = require('../models/User');
 const { protect, admin, serviceProvider, customer } = require('../middleware/auth');
 const Payment = require('../models/Payment'); // Import Payment model
-const OrderTracking = require('../models/OrderTracking'); // Import OrderTracking model
-const { sendOrderStatusEmail } = require('../services/emailService'); // Import email service
-const { awardPointsForOrder } = require('../services/loyaltyService'); // Import loyalty service
+const {
+  calculatePointsDiscount,
+  reservePointsForOrder,
+} = require('../services/loyaltyService'); // Import loyalty service
+const { priceOrder, setQuotedDiscount } = require('../services/pricingService');
+const { createOrder, previewReorder, reorder } = require('../services/orderService');
+const { syncPendingPayment } = require('../services/orderPaymentService');
+const {
+  actorFrom,
+  transitionOrder,
+  assignProvider,
+  getAvailableTransitions,
+} = require('../services/orderLifecycle');
+const { getOrderTimeline } = require('../services/orderHistoryService');
+const { releaseOrder } = require('../services/dispatchService');
+const { getUtilization } = require('../services/providerCapacityService');
+const { recordWeights, approveRepricing, rejectRepricing } = require('../services/repricingService');
+const { getCancellationQuote, cancelOrder } = require('../services/cancellationService');
+const {
+  resolveTurnaround,
+  getTurnaroundOptions,
+  compareQueue,
+  describeDeadline,
+  getOverdueOrders,
+} = require('../services/priorityService');
+const {
+  getAmendmentOptions,
+  requestAmendment,
+  acknowledgeAmendment,
+  declineAmendment,
+  withdrawAmendment,
+} = require('../services/amendmentService');
+const {
+  sendDeliveryCode,
+  recordProofOfDelivery,
+  getProofOfDelivery,
+} = require('../services/deliveryProofService');
 
 // Get all orders (with filtering)
 router.get('/', protect, async (req, res) => {
@@ -66,6 +101,27 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// Turnarounds customers can choose at checkout
+router.get('/turnarounds', protect, (req, res) => {
+  res.json({ success: true, data: getTurnaroundOptions() });
+});
+
+// Open orders past the deadline for their current status, most pressing first (admin only)
+// Query: priority (comma separated)
+router.get('/overdue', protect, admin, async (req, res) => {
+  try {
+    const orders = await getOverdueOrders({ priority: req.query.priority });
+    res.json({
+      success: true,
+      data: orders.map(order => ({ ...order.toJSON(), ...describeDeadline(order) })),
+      count: orders.length,
+    });
+  } catch (error) {
+    console.error('Get overdue orders error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch overdue orders' });
+  }
+});
+
 // Get order by ID
 router.get('/:id', protect, async (req, res) => {
   try {
@@ -95,347 +151,217 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// Get the audit timeline for an order (status changes, tracking and payments)
+router.get('/:id/history', protect, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    if (req.user.role !== 'admin' &&
+        order.customer.toString() !== req.user.id &&
+        order.serviceProvider?.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const timeline = await getOrderTimeline(order);
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        timeline,
+      },
+      count: timeline.length,
+    });
+  } catch (error) {
+    console.error('Get order history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch order history' });
+  }
+});
+
+// Get a server-side price quote without creating an order
+router.post('/quote', protect, async (req, res) => {
+  try {
+    const { items, pickupAddress, couponCode, loyaltyPoints } = req.body;
+    const { priority, isUrgent } = resolveTurnaround(req.body);
+
+    const quote = await priceOrder({ items, pickupAddress, isUrgent, priority, couponCode, loyaltyPoints, customerId: req.user.id });
+
+    res.json({
+      success: true,
+      data: {
+        ...quote,
+        formattedTotal: `¢${quote.totalAmount.toFixed(2)}`,
+      },
+    });
+  } catch (error) {
+    console.error('Order quote error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to price order',
+    });
+  }
+});
+
 // Create new order
 router.post('/', protect, customer, async (req, res) => {
   try {
     console.log('Received order data:', req.body);
 
-    const { STATIC_SERVICES } = require('../config/staticServices');
-
-    const {
-      items,
-      pickupAddress,
-      deliveryAddress,
-      pickupDate,
-      deliveryDate,
-      paymentMethod,
-      specialInstructions,
-      subtotal,
-      tax,
-      deliveryFee,
-      momoPhone,
-      momoNetwork,
-    } = req.body;
-
-    // Validate required fields
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'At least one item is required',
-      });
-    }
+    const order = await createOrder(req.user.id, req.body, { actor: actorFrom(req.user) });
 
-    if (!pickupAddress || !deliveryAddress) {
-      return res.status(400).json({
-        success: false,
-        error: 'Pickup and delivery addresses are required',
-      });
-    }
+    res.status(201).json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    console.error('Create order error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to create order' });
+  }
+});
 
-    if (!pickupDate || !deliveryDate) {
-      return res.status(400).json({
-        success: false,
-        error: 'Pickup and delivery dates are required',
-      });
-    }
+// Preview repeating a past order: today's prices and any retired or repriced services (owner only)
+router.get('/:id/reorder', protect, customer, async (req, res) => {
+  try {
+    const preview = await previewReorder(req.params.id, actorFrom(req.user));
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    console.error('Preview reorder error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to preview reorder'
+    });
+  }
+});
 
-    if (!paymentMethod) {
-      return res.status(400).json({
-        success: false,
-        error: 'Payment method is required',
-      });
+// Repeat a past order as a new pending order at today's prices (owner only)
+// Body: { pickupDate, deliveryDate } or { pickupSlot, deliverySlot }; optional paymentMethod,
+//       addresses, specialInstructions, couponCode, loyaltyPoints override the original
+router.post('/:id/reorder', protect, customer, async (req, res) => {
+  try {
+    const { order, changes } = await reorder(req.params.id, actorFrom(req.user), req.body);
+    res.status(201).json({
+      success: true,
+      data: order,
+      changes,
+      message: changes.length > 0
+        ? `Order placed; ${changes.length} service(s) changed since the original order`
+        : 'Order placed'
+    });
+  } catch (error) {
+    console.error('Reorder error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to reorder'
+    });
+  }
+});
+
+// Spend loyalty points against a pending order before it is paid
+router.post('/:id/apply-points', protect, customer, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('payment');
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
     }
 
-    // Validate service IDs exist in static services
-    console.log('Available static services:', STATIC_SERVICES.map(s => ({ id: s._id, name: s.name })));
+    if (order.customer.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
 
-    for (const item of items) {
-      console.log(`Checking service: ${item.service}`);
-      if (!item.service) {
-        console.log('Service ID is missing or null');
-        return res.status(400).json({
-          success: false,
-          error: 'Service is required',
-        });
-      }
+    if (order.status !== 'pending') {
+      return res.status(400).json({ success: false, error: 'Points can only be applied to pending orders' });
+    }
 
-      const service = STATIC_SERVICES.find(s => s._id === item.service);
-      if (!service) {
-        console.log(`Service ${item.service} not found in static services`);
-        console.log('Available service IDs:', STATIC_SERVICES.map(s => s._id));
-        return res.status(400).json({
-          success: false,
-          error: `Service ${item.service} not found`,
-        });
-      }
+    if (order.payment && !['pending', 'failed'].includes(order.payment.status)) {
+      return res.status(400).json({ success: false, error: `Payment is already ${order.payment.status}` });
+    }
 
-      console.log(`Service ${item.service} found:`, service.name);
-    }
-
-    // Process items for the order document
-    const processedItems = [];
-    let calculatedSubtotal = 0;
-
-    for (const item of items) {
-      const service = STATIC_SERVICES.find(s => s._id === item.service);
-      const quantity = parseInt(item.quantity) || 1;
-      const unitPrice = parseFloat(item.unitPrice) || service.price || 0;
-
-      // If clothingItems are provided, compute total from them and persist details
-      let clothingItems = Array.isArray(item.clothingItems) ? item.clothingItems.map(ci => ({
-        itemId: ci.itemId,
-        description: ci.description,
-        service: item.service,
-        serviceName: item.serviceName || service.name,
-        unitPrice: parseFloat(ci.unitPrice) || 0,
-        specialInstructions: ci.specialInstructions || '',
-        isConfirmed: !!ci.isConfirmed,
-      })) : [];
-
-      const totalPrice = clothingItems.length > 0
-        ? clothingItems.reduce((sum, ci) => sum + (parseFloat(ci.unitPrice) || 0), 0)
-        : (quantity * unitPrice);
-
-      processedItems.push({
-        service: item.service, // Store the static service ID as a string
-        serviceName: item.serviceName || service.name,
-        quantity: quantity,
-        unitPrice: unitPrice,
-        totalPrice: totalPrice,
-        specialInstructions: item.specialInstructions || '',
-        clothingItems: clothingItems,
-      });
+    if (order.loyaltyRedemption?.status === 'reserved') {
+      return res.status(400).json({ success: false, error: 'Loyalty points are already applied to this order' });
+    }
 
-      calculatedSubtotal += totalPrice;
-    }
-
-    const finalSubtotal = parseFloat(subtotal) || calculatedSubtotal;
-    const finalTax = parseFloat(tax) || finalSubtotal * 0.1; // Example tax calculation
-    const finalDeliveryFee = parseFloat(deliveryFee) || 5; // Example delivery fee
-    const finalTotal = finalSubtotal + finalTax + finalDeliveryFee;
-
-    // Create order data
-    const orderData = {
-      customer: req.user.id,
-      serviceProvider: null,
-      items: processedItems,
-      status: 'pending',
-      subtotal: finalSubtotal,
-      tax: finalTax,
-      deliveryFee: finalDeliveryFee,
-      totalAmount: finalTotal,
-      pickupAddress: {
-        type: pickupAddress.type || 'home',
-        street: pickupAddress.street,
-        city: pickupAddress.city,
-        state: pickupAddress.state,
-        zipCode: pickupAddress.zipCode,
-        instructions: pickupAddress.instructions || '',
-      },
-      deliveryAddress: {
-        type: deliveryAddress.type || 'home',
-        street: deliveryAddress.street,
-        city: deliveryAddress.city,
-        state: deliveryAddress.state,
-        zipCode: deliveryAddress.zipCode,
-        instructions: deliveryAddress.instructions || '',
-      },
-      pickupDate: new Date(pickupDate),
-      deliveryDate: new Date(deliveryDate),
-      paymentMethod: paymentMethod || 'cash',
-      notes: {
-        customer: specialInstructions || '',
-        serviceProvider: '',
-        admin: '',
-      },
-      ...(paymentMethod === 'momo' && {
-        momoPhone,
-        momoNetwork,
-      }),
-    };
+    const { points, discountValue } = calculatePointsDiscount(req.body.points, order.totalAmount);
+    await reservePointsForOrder(req.user.id, order._id, points, order.orderNumber);
 
-    console.log('Final order data:', JSON.stringify(orderData, null, 2));
-
-    const order = await Order.create(orderData);
-
-    // Create a new payment document for the order
-    const paymentData = {
-      order: order._id,
-      customer: req.user.id,
-      serviceProvider: order.serviceProvider, // Can be null initially
-      amount: order.totalAmount,
-      paymentMethod: orderData.paymentMethod,
-      paymentDetails: orderData.paymentMethod === 'momo' ? { phoneNumber: momoPhone, momoNetwork } : {},
-      status: 'pending', // Initial payment status
-      statusHistory: [{
-        status: 'pending',
-        changedBy: req.user.id,
-        changedAt: new Date(),
-        notes: 'Payment initiated with order creation'
-      }]
+    setQuotedDiscount(order, 'loyalty', { label: `${points} loyalty points`, points, amount: discountValue });
+    order.discount = Math.round((order.discount + discountValue) * 100) / 100;
+    order.loyaltyRedemption = {
+      points,
+      discountValue,
+      status: 'reserved',
+      reservedAt: new Date(),
     };
+    await order.save();
 
-    const payment = await Payment.create(paymentData);
-
-    // Link the payment to the order
- order.payment = payment._id;
- await order.save();
+    await syncPendingPayment(order, {
+      changedBy: req.user.id,
+      notes: `Applied ${points} loyalty points (¢${discountValue.toFixed(2)})`,
+    });
 
     await order.populate([
       { path: 'customer', select: 'firstName lastName email phoneNumber' },
- { path: 'serviceProvider', select: 'firstName lastName email phoneNumber businessDetails' },
- { path: 'payment' } // Populate the payment details after linking
+      { path: 'payment' },
     ]);
 
-    res.status(201).json({
+    res.json({
       success: true,
       data: order,
+      message: `Applied ${points} points for ¢${discountValue.toFixed(2)} off`,
     });
   } catch (error) {
-    console.error('Create order error:', error);
-    res.status(500).json({ success: false, error: error.message || 'Failed to create order' });
+    console.error('Apply loyalty points error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to apply loyalty points',
+    });
   }
 });
 
 // Update order status
 router.put('/:id/status', protect, async (req, res) => {
   try {
-    const { status } = req.body;
-    
-    // Validate status
-    const validStatuses = ['pending', 'confirmed', 'assigned', 'in_progress', 'ready_for_pickup', 'picked_up', 'ready_for_delivery', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    const { status, notes, proofOverrideReason } = req.body;
+
+    if (!Order.ORDER_STATUSES.includes(status)) {
       return res.status(400).json({ 
         success: false, 
         error: `Invalid status: ${status}` 
       });
     }
 
-    const order = await Order.findById(req.params.id);
+    let order = await Order.findById(req.params.id);
 
     if (!order) {
       return res.status(404).json({ success: false, error: 'Order not found' });
     }
 
-    // Check permissions
-    if (req.user.role === 'service_provider') {
-      // Service providers can only update orders assigned to them
-      if (!order.serviceProvider || order.serviceProvider.toString() !== req.user.id) {
-        return res.status(403).json({ 
-          success: false, 
-          error: 'You can only update orders assigned to you' 
-        });
-      }
-    } else if (req.user.role === 'customer') {
-      if (order.customer.toString() !== req.user.id) {
-        return res.status(403).json({ success: false, error: 'Access denied' });
-      }
-    }
-
-    const validTransitions = {
-      pending: ['confirmed', 'cancelled'],
-      confirmed: ['assigned', 'in_progress', 'cancelled'],
-      assigned: ['confirmed', 'in_progress', 'cancelled'],
-      in_progress: ['ready_for_pickup', 'cancelled'],
-      ready_for_pickup: ['picked_up', 'cancelled'],
-      picked_up: ['ready_for_delivery', 'cancelled'],
-      ready_for_delivery: ['completed', 'cancelled'],
-      completed: [],
-      cancelled: [],
-    };
-
-    if (!validTransitions[order.status].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error: `Cannot change status from ${order.status} to ${status}`,
-      });
-    }
-
-    // Store old status for email notification
-    const oldStatus = order.status;
-    
-    // Update the order
-    order.status = status;
-    
-    // Initialize statusHistory if it doesn't exist
-    if (!order.statusHistory) {
-      order.statusHistory = [];
+    // Cancellations go through the cancellation policy so fees, refunds and releases are applied
+    if (status === 'cancelled') {
+      ({ order } = await cancelOrder(order._id, actorFrom(req.user), { reason: notes }));
+    } else {
+      // Admins can complete a delivery that has no proof of delivery by giving a reason
+      await transitionOrder(order, status, { actor: actorFrom(req.user), notes, proofOverride: proofOverrideReason });
     }
 
-    order.statusHistory.push({
-      status,
-      changedBy: req.user.id,
-      changedAt: new Date(),
-      notes: req.body.notes || '',
-    });
-
-    await order.save();
-    
-    // Find or create OrderTracking document and update location/status
-    let tracking = await OrderTracking.findOne({ order: order._id });
-    if (!tracking) tracking = new OrderTracking({ order: order._id });
-
-    // Map order status to tracking currentLocation enum
-    const statusToTracking = {
-      pending: 'pending',
-      confirmed: 'pickup_scheduled',
-      assigned: 'in_transit_to_facility',
-      in_progress: 'cleaning',
-      ready_for_pickup: 'at_facility',
-      picked_up: 'picked_up',
-      ready_for_delivery: 'ready_for_delivery',
-      completed: 'delivered',
-      cancelled: 'pending', // neutral fallback
-    };
-    const trackingLocation = statusToTracking[status] || 'pending';
-    await tracking.updateLocation(trackingLocation, req.body.notes, req.user.id);
     // Populate the order with user details
     await order.populate([
       { path: 'customer', select: 'firstName lastName email phoneNumber' },
       { path: 'serviceProvider', select: 'firstName lastName email phoneNumber businessDetails' },
     ]);
 
-    // Send email notification to customer about status change
-    try {
-      const customerName = `${order.customer.firstName} ${order.customer.lastName}`;
-      const orderNumber = order.orderNumber;
-      const allClothingItems = order.getAllClothingItems();
-
-      await sendOrderStatusEmail(
-        order.customer.email,
-        customerName,
-        orderNumber,
-        oldStatus,
-        status,
-        allClothingItems
-      );
-      console.log(`📧 Status update email sent to ${order.customer.email} for order ${orderNumber}`);
-    } catch (emailError) {
-      console.error('⚠️ Failed to send status update email:', emailError);
-      // Don't fail the request if email fails
-    }
-
-    // Award loyalty points if order is completed
-    if (status === 'completed' && oldStatus !== 'completed') {
-      try {
-        const loyaltyResult = await awardPointsForOrder(order._id);
-        if (loyaltyResult.success && loyaltyResult.pointsAwarded > 0) {
-          console.log(`🎉 Awarded ${loyaltyResult.pointsAwarded} loyalty points to customer ${order.customer._id} for order ${order._id}`);
-        }
-      } catch (loyaltyError) {
-        console.error('⚠️ Failed to award loyalty points:', loyaltyError);
-        // Don't fail the request if loyalty points fail
-      }
-    }
-
     // Add formatted total for frontend (Ghana Cedis)
     const orderWithFormatted = {
       ...order.toObject(),
       formattedTotal: `¢${order.totalAmount.toFixed(2)}`
     };
 
-    console.log(`Order ${order._id} status updated from ${oldStatus} to ${status} by user ${req.user.id}`);
-
     res.json({
       success: true,
       data: orderWithFormatted,
@@ -443,13 +369,142 @@ router.put('/:id/status', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Update order status error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      error: error.message || 'Failed to update order status' 
+      error: error.statusCode ? error.message : 'Failed to update order status' 
+    });
+  }
+});
+
+// What cancelling would cost right now: stage, fee and refund
+// Query: chargeFee=true (admin cancelling on the customer's behalf)
+router.get('/:id/cancel', protect, async (req, res) => {
+  try {
+    const quote = await getCancellationQuote(req.params.id, actorFrom(req.user), {
+      chargeFee: req.query.chargeFee === 'true'
+    });
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    console.error('Get cancellation quote error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to check cancellation'
+    });
+  }
+});
+
+// Cancel an order under the cancellation policy
+// Body: { reason } (required for customers), chargeFee? (admin only)
+router.post('/:id/cancel', protect, async (req, res) => {
+  try {
+    const actor = actorFrom(req.user);
+    const { order, cancellation } = await cancelOrder(req.params.id, actor, {
+      reason: req.body.reason,
+      chargeFee: actor.role === 'admin' && req.body.chargeFee === true
+    });
+
+    const refundNote = {
+      completed: ` ¢${cancellation.refundAmount.toFixed(2)} has been refunded.`,
+      pending: ` A refund of ¢${cancellation.refundAmount.toFixed(2)} is being processed.`,
+      failed: ' The refund could not be processed automatically and will be handled by our team.'
+    }[cancellation.refundStatus] || '';
+
+    res.json({
+      success: true,
+      data: order,
+      cancellation,
+      message: `Order cancelled${cancellation.fee > 0 ? ` with a ¢${cancellation.fee.toFixed(2)} cancellation fee` : ''}.${refundNote}`
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to cancel order'
+    });
+  }
+});
+
+// Proof of delivery and when the delivery code was last sent (customer, assigned provider or admin)
+router.get('/:id/proof-of-delivery', protect, async (req, res) => {
+  try {
+    const proof = await getProofOfDelivery(req.params.id, actorFrom(req.user));
+    res.json({ success: true, data: proof });
+  } catch (error) {
+    console.error('Get proof of delivery error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch proof of delivery',
+    });
+  }
+});
+
+// Email the customer a new delivery code (customer, assigned provider or admin)
+router.post('/:id/delivery-code', protect, async (req, res) => {
+  try {
+    const sent = await sendDeliveryCode(req.params.id, actorFrom(req.user));
+    res.json({ success: true, data: sent, message: 'A new delivery code has been sent to the customer' });
+  } catch (error) {
+    console.error('Send delivery code error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to send delivery code',
     });
   }
 });
 
+// Record proof of delivery and complete the order (assigned provider or admin)
+// Body: { method: 'otp' | 'signature' | 'photo', code?, signaturePhotoId?, photoIds?, recipientName?,
+//         notes?, latitude?, longitude?, complete? }
+// Signature and photo images are uploaded first through /api/photos (stage 'signature' or 'delivery').
+router.post('/:id/proof-of-delivery', protect, serviceProvider, async (req, res) => {
+  try {
+    const { order, completed, completionError } = await recordProofOfDelivery(req.params.id, actorFrom(req.user), req.body);
+    res.status(201).json({
+      success: true,
+      data: order,
+      completed,
+      message: completed
+        ? 'Proof of delivery recorded and order completed'
+        : `Proof of delivery recorded${completionError ? `; the order could not be completed yet: ${completionError}` : ''}`,
+    });
+  } catch (error) {
+    console.error('Record proof of delivery error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to record proof of delivery',
+    });
+  }
+});
+
+// Statuses the current user can move an order to next
+router.get('/:id/transitions', protect, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('payment');
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    if (req.user.role !== 'admin' &&
+        order.customer.toString() !== req.user.id &&
+        order.serviceProvider?.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const actor = actorFrom(req.user);
+    res.json({
+      success: true,
+      data: {
+        status: order.status,
+        transitions: getAvailableTransitions(order, actor, { payment: order.payment }),
+      },
+    });
+  } catch (error) {
+    console.error('Get order transitions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch order transitions' });
+  }
+});
+
 
 // Update order details (admin and service providers can update notes)
 router.put('/:id', protect, async (req, res) => {
@@ -471,8 +526,16 @@ router.put('/:id', protect, async (req, res) => {
         order.notes = { ...order.notes, ...req.body.notes };
       }
     } else if (req.user.role === 'admin') {
-      // Admins can update everything
-      Object.assign(order, req.body);
+      // Status and assignment changes go through the order lifecycle
+      if (req.body.status !== undefined || req.body.serviceProvider !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Use the status and assign endpoints to change status or service provider',
+        });
+      }
+      // Admins can update everything else
+      const { statusHistory, ...updates } = req.body;
+      Object.assign(order, updates);
     } else {
       return res.status(403).json({ success: false, error: 'Access denied' });
     }
@@ -506,30 +569,11 @@ router.put('/:id/assign', protect, admin, async (req, res) => {
       return res.status(404).json({ success: false, error: 'Order not found' });
     }
 
-    // Set provider and status
-    order.serviceProvider = serviceProviderId;
-    if (['pending', 'confirmed'].includes(order.status)) {
-      order.status = 'assigned';
-    }
-
-    // Initialize and push status history
-    if (!order.statusHistory) order.statusHistory = [];
-    order.statusHistory.push({
-      status: 'assigned',
-      changedBy: req.user.id,
-      changedAt: new Date(),
+    await assignProvider(order, serviceProviderId, {
+      actor: actorFrom(req.user),
       notes: req.body.notes || 'Assigned by admin',
     });
 
-    await order.save();
-
-    // Update related payment document serviceProvider
-    try {
-      await Payment.updateOne({ order: order._id }, { $set: { serviceProvider: serviceProviderId } });
-    } catch (e) {
-      console.warn('Failed to update payment serviceProvider for order', order._id.toString());
-    }
-
     await order.populate([
       { path: 'customer', select: 'firstName lastName email phoneNumber' },
       { path: 'serviceProvider', select: 'firstName lastName email phoneNumber businessDetails' },
@@ -543,24 +587,22 @@ router.put('/:id/assign', protect, admin, async (req, res) => {
     return res.json({ success: true, data: orderWithFormatted, message: 'Order assigned successfully' });
   } catch (error) {
     console.error('Admin assign order error:', error);
-    return res.status(500).json({ success: false, error: 'Failed to assign order' });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to assign order',
+    });
   }
 });
 
-// Self-assign order (service providers only) - PATCH method
+// Self-assign order (service providers only)
 router.put('/:id/assign-self', protect, serviceProvider, async (req, res) => {
   try {
-    console.log(`Service provider ${req.user.id} attempting to assign order ${req.params.id}`);
-    
     const order = await Order.findById(req.params.id);
 
     if (!order) {
-      console.log(`Order ${req.params.id} not found`);
       return res.status(404).json({ success: false, error: 'Order not found' });
     }
 
-    console.log(`Order status: ${order.status}, serviceProvider: ${order.serviceProvider}`);
-
     // Check if order is available for assignment
     if (order.status !== 'pending' && order.status !== 'confirmed') {
       return res.status(400).json({ 
@@ -577,24 +619,11 @@ router.put('/:id/assign-self', protect, serviceProvider, async (req, res) => {
       });
     }
 
-    // Assign the order to the current service provider
-    order.serviceProvider = req.user.id;
-    order.status = 'assigned';
-
-    // Initialize statusHistory if it doesn't exist
-    if (!order.statusHistory) {
-      order.statusHistory = [];
-    }
-
-    order.statusHistory.push({
-      status: 'assigned',
-      changedBy: req.user.id,
-      changedAt: new Date(),
+    await assignProvider(order, req.user.id, {
+      actor: actorFrom(req.user),
       notes: 'Self-assigned by service provider',
     });
 
-    await order.save();
-    
     // Populate the order with user details
     await order.populate([
       { path: 'customer', select: 'firstName lastName email phoneNumber' },
@@ -607,8 +636,6 @@ router.put('/:id/assign-self', protect, serviceProvider, async (req, res) => {
       formattedTotal: `¢${order.totalAmount.toFixed(2)}`
     };
 
-    console.log(`Order ${order._id} successfully assigned to service provider ${req.user.id}`);
-
     res.json({
       success: true,
       data: orderWithFormatted,
@@ -616,60 +643,240 @@ router.put('/:id/assign-self', protect, serviceProvider, async (req, res) => {
     });
   } catch (error) {
     console.error('Self-assign order error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      error: error.message || 'Failed to assign order' 
+      error: error.statusCode ? error.message : 'Failed to assign order' 
     });
   }
 });
 
-
-// Self-assign order (service providers only) - PUT method
-router.put('/:id/assign-self', protect, serviceProvider, async (req, res) => {
+// Hand an assigned order back before work starts (assigned provider or admin)
+// POST /:id/decline is for orders the provider was given and doesn't want;
+// POST /:id/release is for orders they took but can no longer handle.
+const handBackOrder = (action) => async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
+    if (!['service_provider', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
 
-    if (!order) {
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, error: 'A reason is required' });
+    }
+
+    const exists = await Order.exists({ _id: req.params.id });
+    if (!exists) {
       return res.status(404).json({ success: false, error: 'Order not found' });
     }
 
-    // Check if order is available for assignment
-    if (order.status !== 'pending' && order.status !== 'confirmed') {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Order is not available for assignment' 
-      });
+    const { order, next } = await releaseOrder(req.params.id, {
+      actor: actorFrom(req.user),
+      reason: reason.slice(0, 500),
+      action,
+    });
+
+    res.json({
+      success: true,
+      data: { order, dispatch: next },
+      message: `Order ${action} and returned for reassignment`,
+    });
+  } catch (error) {
+    console.error(`Order ${action} error:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to release order',
+    });
+  }
+};
+
+router.post('/:id/decline', protect, handBackOrder('declined'));
+router.post('/:id/release', protect, handBackOrder('released'));
+
+// Move an order from one provider to another with a recorded reason (admin only)
+router.put('/:id/reassign', protect, admin, async (req, res) => {
+  try {
+    const { serviceProviderId } = req.body;
+    const reason = String(req.body.reason || '').trim();
+    if (!serviceProviderId || !reason) {
+      return res.status(400).json({ success: false, error: 'serviceProviderId and reason are required' });
     }
 
-    // Check if order already has a service provider assigned
-    if (order.serviceProvider) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Order is already assigned to a service provider' 
-      });
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    if (!order.serviceProvider) {
+      return res.status(400).json({ success: false, error: 'Order has no service provider to reassign from; use assign instead' });
     }
 
-    // Assign the order to the current service provider
-    order.serviceProvider = req.user.id;
-    order.status = 'assigned';
+    await assignProvider(order, serviceProviderId, {
+      actor: actorFrom(req.user),
+      notes: reason.slice(0, 500),
+    });
 
-    await order.save();
     await order.populate([
       { path: 'customer', select: 'firstName lastName email phoneNumber' },
       { path: 'serviceProvider', select: 'firstName lastName email phoneNumber businessDetails' },
     ]);
 
+    res.json({ success: true, data: order, message: 'Order reassigned successfully' });
+  } catch (error) {
+    console.error('Reassign order error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to reassign order',
+    });
+  }
+});
+
+// Record intake weights for weight-priced lines (assigned provider or admin)
+// Body: { weights: [{ itemIndex, weightKg }] } or { weightKg } when only one line is weighed
+router.post('/:id/weigh', protect, async (req, res) => {
+  try {
+    if (!['service_provider', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    let { weights } = req.body;
+    if (!weights && req.body.weightKg !== undefined) {
+      const weighable = order.items
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => item.pricingUnit && item.pricingUnit !== 'item');
+      if (weighable.length !== 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'This order has more than one weight-priced line; send weights per item',
+        });
+      }
+      weights = [{ itemIndex: weighable[0].index, weightKg: req.body.weightKg }];
+    }
+
+    const { paymentUpdate, requiresApproval } = await recordWeights(order, weights, actorFrom(req.user));
+
     res.json({
       success: true,
-      data: order,
-      message: 'Successfully assigned to order',
+      data: { order, payment: paymentUpdate, requiresApproval },
+      message: requiresApproval
+        ? 'Weights recorded; the new price is waiting for customer approval'
+        : 'Weights recorded and order repriced',
     });
   } catch (error) {
-    console.error('Self-assign order error:', error);
-    res.status(500).json({ success: false, error: 'Failed to assign order' });
+    console.error('Weigh order error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to record weights',
+    });
   }
 });
 
+// Approve or reject a weighed price (order customer or admin)
+const decideRepricing = (decision) => async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    const notes = String(req.body.notes || '').trim().slice(0, 500);
+    const decide = decision === 'approved' ? approveRepricing : rejectRepricing;
+    const { paymentUpdate } = await decide(order, actorFrom(req.user), notes);
+
+    res.json({
+      success: true,
+      data: { order, payment: paymentUpdate || null },
+      message: `New price ${decision}`,
+    });
+  } catch (error) {
+    console.error(`Reprice ${decision} error:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update price',
+    });
+  }
+};
+
+router.post('/:id/reprice/approve', protect, decideRepricing('approved'));
+router.post('/:id/reprice/reject', protect, decideRepricing('rejected'));
+
+// What can still be changed on the order, and its amendment history
+router.get('/:id/amendments', protect, async (req, res) => {
+  try {
+    const options = await getAmendmentOptions(req.params.id, actorFrom(req.user));
+    res.json({ success: true, data: options });
+  } catch (error) {
+    console.error('Get amendments error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch amendments',
+    });
+  }
+});
+
+// Change an order after checkout (customer or admin)
+// Body: { addItems?: [{ service, quantity, specialInstructions? }], removeItems?: [{ itemIndex, quantity? }],
+//         pickupAddress?, deliveryAddress?, pickupDate? | pickupSlot?, deliveryDate? | deliverySlot? }
+router.post('/:id/amendments', protect, async (req, res) => {
+  try {
+    const { order, amendment, requiresAcknowledgment } = await requestAmendment(req.params.id, actorFrom(req.user), req.body);
+
+    res.status(requiresAcknowledgment ? 202 : 200).json({
+      success: true,
+      data: { order, amendment },
+      message: requiresAcknowledgment
+        ? 'Changes sent to the service provider for acknowledgment'
+        : 'Order updated',
+    });
+  } catch (error) {
+    console.error('Amend order error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to change order',
+    });
+  }
+});
+
+// Respond to changes waiting on the provider: acknowledge or decline (provider or admin),
+// withdraw (customer or admin). Body: { notes } or { reason } when declining
+const respondToAmendment = (action) => async (req, res) => {
+  try {
+    const actor = actorFrom(req.user);
+    const { id, amendmentId } = req.params;
+    let result;
+    if (action === 'acknowledge') {
+      result = await acknowledgeAmendment(id, amendmentId, actor, req.body.notes || '');
+    } else if (action === 'decline') {
+      result = await declineAmendment(id, amendmentId, actor, req.body.reason);
+    } else {
+      result = await withdrawAmendment(id, amendmentId, actor);
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: {
+        acknowledge: 'Changes acknowledged and applied',
+        decline: 'Changes declined',
+        withdraw: 'Changes withdrawn',
+      }[action],
+    });
+  } catch (error) {
+    console.error(`Amendment ${action} error:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update amendment',
+    });
+  }
+};
+
+router.post('/:id/amendments/:amendmentId/acknowledge', protect, respondToAmendment('acknowledge'));
+router.post('/:id/amendments/:amendmentId/decline', protect, respondToAmendment('decline'));
+router.post('/:id/amendments/:amendmentId/withdraw', protect, respondToAmendment('withdraw'));
+
 // Delete order (admin only)
 router.delete('/:id', protect, admin, async (req, res) => {
   try {
@@ -742,9 +949,6 @@ router.get('/stats-overview', protect, async (req, res) => {
 // GET /api/orders/provider/assigned - Get orders assigned to the service provider and available orders
 router.get('/provider/assigned', protect, serviceProvider, async (req, res) => {
   try {
-    console.log('Provider ID:', req.user.id);
-    console.log('User role:', req.user.role);
-    
     // Get both assigned orders and available orders for self-assignment
     const query = {
       $or: [
@@ -756,39 +960,36 @@ router.get('/provider/assigned', protect, serviceProvider, async (req, res) => {
       ]
     };
 
-    console.log('Query:', JSON.stringify(query, null, 2));
-
     const orders = await Order.find(query)
       .populate('customer', 'firstName lastName email phoneNumber')
       .populate('serviceProvider', 'firstName lastName email phoneNumber businessDetails')
       .populate('payment')
       .sort({ createdAt: -1 });
 
-    console.log('Found orders count:', orders.length);
+    // Work the queue by priority, then by the nearest status deadline
+    orders.sort(compareQueue);
 
     // Format orders with consistent structure
     const formattedOrders = orders.map(order => {
       const orderObj = order.toObject();
       return {
         ...orderObj,
+        ...describeDeadline(order),
         formattedTotal: `¢${order.totalAmount.toFixed(2)}`,
         orderNumber: orderObj.orderNumber || `ORD-${orderObj._id.toString().slice(-6).toUpperCase()}`,
         notes: orderObj.notes || { customer: '', serviceProvider: '', admin: '' }
       };
     });
 
-    console.log('Formatted orders sample:', formattedOrders.length > 0 ? {
-      id: formattedOrders[0]._id,
-      status: formattedOrders[0].status,
-      serviceProvider: formattedOrders[0].serviceProvider ? 'assigned' : 'unassigned',
-      customer: formattedOrders[0].customer?.firstName,
-      total: formattedOrders[0].formattedTotal
-    } : 'No orders found');
+    // How close the provider is to their workload limits today
+    const provider = await User.findById(req.user.id).select('businessDetails.capacity');
+    const utilization = provider ? await getUtilization(provider) : null;
 
     res.json({
       success: true,
       data: formattedOrders,
-      count: formattedOrders.length
+      count: formattedOrders.length,
+      utilization
     });
   } catch (error) {
     console.error('Get assigned orders error:', error);
@@ -810,7 +1011,9 @@ const updateOrderPaymentStatusHandler = async (req, res) => {
       processing: ['completed', 'failed', 'cancelled'],
       completed: [],
       failed: ['pending'],
-      cancelled: []
+      cancelled: [],
+      partially_refunded: [],
+      refunded: []
     };
 
     const order = await Order.findById(orderId).populate('payment');
@@ -835,7 +1038,7 @@ const updateOrderPaymentStatusHandler = async (req, res) => {
       return res.status(400).json({ success: false, error: `Invalid status transition from ${payment.status} to ${status}` });
     }
     payment.status = status;
-    payment.statusHistory.push({ status, changedBy: req.user.id, changedAt: new Date(), notes: req.body.notes || '' });
+    payment.statusHistory.push({ status, changedBy: req.user.id, role: req.user.role, changedAt: new Date(), notes: req.body.notes || '' });
     await payment.save();
 
     return res.json({ success: true, data: payment });
@@ -4,6 +4,9 @@ const Payment = require('../models/Payment');
 const Order = require('../models/Order');
 const { protect, admin, serviceProvider } = require('../middleware/auth');
 const momoService = require('../services/momoService');
+const { refundPayment } = require('../services/refundService');
+const { settleSupplementaryCharge } = require('../services/orderPaymentService');
+const { actorFrom } = require('../services/orderLifecycle');
 
 // Get all payments (with filtering)
 router.get('/', protect, async (req, res) => {
@@ -164,7 +167,9 @@ router.put('/:id/status', protect, async (req, res) => {
       processing: ['completed', 'failed', 'cancelled'],
       completed: [],
       failed: ['pending'],
-      cancelled: []
+      cancelled: [],
+      partially_refunded: [],
+      refunded: []
     };
 
     if (!validTransitions[payment.status].includes(status)) {
@@ -937,6 +942,111 @@ router.get('/history/stats', protect, async (req, res) => {
   }
 });
 
+// Refund a completed payment in full or in part (admin only)
+router.post('/:id/refund', protect, admin, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const { payment, refund } = await refundPayment(req.params.id, {
+      amount,
+      reason,
+      initiatedBy: req.user.id
+    });
+
+    await payment.populate([
+      { path: 'order', select: 'orderNumber status totalAmount refundAmount' },
+      { path: 'customer', select: 'firstName lastName email' },
+      { path: 'serviceProvider', select: 'firstName lastName businessDetails' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payment,
+        refund
+      },
+      message: refund.status === 'completed'
+        ? `Refund of ¢${refund.amount.toFixed(2)} completed`
+        : `Refund of ¢${refund.amount.toFixed(2)} submitted to Paystack`
+    });
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to refund payment'
+    });
+  }
+});
+
+// Mark a supplementary charge (raised when an order was repriced upwards) as collected
+// Body: { method } — admin or the order's service provider
+router.post('/:id/supplementary/:chargeId/settle', protect, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ success: false, error: 'Payment not found' });
+    }
+
+    const isProvider = req.user.role === 'service_provider'
+      && payment.serviceProvider && payment.serviceProvider.toString() === req.user.id;
+    if (req.user.role !== 'admin' && !isProvider) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const charge = await settleSupplementaryCharge(payment, req.params.chargeId, {
+      actor: actorFrom(req.user),
+      method: req.body.method || payment.paymentMethod
+    });
+
+    res.json({
+      success: true,
+      data: {
+        payment,
+        charge,
+        outstandingAmount: payment.outstandingAmount
+      },
+      message: `Charge of ¢${charge.amount.toFixed(2)} collected`
+    });
+  } catch (error) {
+    console.error('Settle supplementary charge error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to settle charge'
+    });
+  }
+});
+
+// Get refund ledger for a payment
+router.get('/:id/refunds', protect, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate('refunds.initiatedBy', 'firstName lastName email');
+
+    if (!payment) {
+      return res.status(404).json({ success: false, error: 'Payment not found' });
+    }
+
+    if (req.user.role !== 'admin' && payment.customer.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        paymentId: payment._id,
+        amount: payment.amount,
+        status: payment.status,
+        refundAmount: payment.refundAmount,
+        refundableAmount: payment.refundableAmount,
+        refunds: payment.refunds
+      }
+    });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch refunds' });
+  }
+});
+
 // Get payment by ID (must be after specific routes like /history)
 router.get('/:id([0-9a-fA-F]{24})', protect, async (req, res) => {
   try {
@@ -4,6 +4,9 @@ const paystackService = require('../services/paystackService');
 const { protect } = require('../middleware/auth');
 const Order = require('../models/Order');
 const Payment = require('../models/Payment');
+const { handleRefundWebhook } = require('../services/refundService');
+const { actorFrom, confirmOrderForPayment } = require('../services/orderLifecycle');
+const { referenceFilter, holdMismatchedCharge, adoptReference } = require('../services/orderPaymentService');
 
 // Get Paystack public key for frontend
 router.get('/config', protect, (req, res) => {
@@ -56,19 +59,28 @@ router.post('/initialize/:orderId', protect, async (req, res) => {
       });
     }
 
-    // Check if payment already exists and is successful
-    const existingPayment = await Payment.findOne({ 
-      order: orderId, 
-      status: { $in: ['completed', 'processing'] } 
-    });
+    let payment = await Payment.findOne({ order: orderId });
 
-    if (existingPayment) {
+    // Check if payment already exists and is successful
+    if (payment && ['completed', 'processing', 'partially_refunded', 'refunded'].includes(payment.status)) {
       return res.status(400).json({
         success: false,
         error: 'Payment already processed for this order'
       });
     }
 
+    // A cancelled order can only be paid to settle its cancellation fee, which the payment was re-priced to
+    const collectingFee = order.status === 'cancelled';
+    if (collectingFee && !(order.cancellation?.fee > 0 && payment && payment.status !== 'cancelled')) {
+      return res.status(400).json({
+        success: false,
+        error: 'This order has been cancelled and has nothing to pay'
+      });
+    }
+
+    // The payment record carries the amount due (re-priced on amendments and cancellation)
+    const amountDue = payment ? payment.amount : order.totalAmount;
+
     // Generate unique reference
     const reference = paystackService.generateReference(`order_${orderId.slice(-6)}`);
 
@@ -102,7 +114,7 @@ router.post('/initialize/:orderId', protect, async (req, res) => {
     // Initialize payment with Paystack
     const paymentData = {
       email: order.customer.email,
-      amount: order.totalAmount,
+      amount: amountDue,
       reference: reference,
       currency: 'GHS',
       callback_url: `${process.env.APP_URL}/payment/callback`,
@@ -114,6 +126,7 @@ router.post('/initialize/:orderId', protect, async (req, res) => {
         customerName: `${order.customer.firstName} ${order.customer.lastName}`,
         orderNumber: order.orderNumber,
         paymentMethod: paymentMethod,
+        purpose: collectingFee ? 'cancellation_fee' : 'order',
         items: order.items.map(item => ({
           serviceName: item.serviceName,
           quantity: item.quantity,
@@ -133,10 +146,9 @@ router.post('/initialize/:orderId', protect, async (req, res) => {
     }
 
     // Create or update payment record
-    let payment = await Payment.findOne({ order: orderId });
-    
     if (payment) {
-      // Update existing payment
+      // Update existing payment; a late charge on the previous checkout is still recognised
+      if (payment.reference) payment.voidedReferences.push(payment.reference);
       payment.reference = reference;
       payment.paymentMethod = paymentMethod;
       payment.status = 'pending';
@@ -149,7 +161,9 @@ router.post('/initialize/:orderId', protect, async (req, res) => {
         status: 'pending',
         changedBy: req.user.id,
         changedAt: new Date(),
-        notes: 'Payment re-initialized with Paystack'
+        notes: collectingFee
+          ? `Cancellation fee of ¢${amountDue.toFixed(2)} initialized with Paystack`
+          : 'Payment re-initialized with Paystack'
       });
     } else {
       // Create new payment record
@@ -157,7 +171,7 @@ router.post('/initialize/:orderId', protect, async (req, res) => {
         order: orderId,
         customer: order.customer._id,
         serviceProvider: order.serviceProvider,
-        amount: order.totalAmount,
+        amount: amountDue,
         paymentMethod: paymentMethod,
         reference: reference,
         status: 'pending',
@@ -193,7 +207,7 @@ router.post('/initialize/:orderId', protect, async (req, res) => {
         payment: {
           _id: payment._id,
           reference: reference,
-          amount: order.totalAmount,
+          amount: amountDue,
           currency: 'GHS',
           status: 'pending'
         },
@@ -221,7 +235,7 @@ router.post('/verify/:reference', protect, async (req, res) => {
     const { reference } = req.params;
 
     // Find payment by reference
-    const payment = await Payment.findOne({ reference }).populate({
+    const payment = await Payment.findOne(referenceFilter(reference)).populate({
       path: 'order',
       populate: {
         path: 'customer',
@@ -249,8 +263,19 @@ router.post('/verify/:reference', protect, async (req, res) => {
 
     // Update payment status based on verification
     const wasSuccessful = payment.status === 'completed';
+    // A retired checkout that was not paid says nothing about the current one
+    const retired = payment.reference !== reference;
     
     if (verification.success && verification.status === 'success') {
+      if (!wasSuccessful && holdMismatchedCharge(payment, { received: verification.amount, reference, changedBy: req.user.id, role: req.user.role })) {
+        await payment.save();
+        return res.status(409).json({
+          success: false,
+          error: `The amount paid (¢${verification.amount.toFixed(2)}) does not match the amount due (¢${payment.amount.toFixed(2)}); the payment has been held for review`
+        });
+      }
+
+      if (!wasSuccessful) adoptReference(payment, reference);
       payment.status = 'completed';
       payment.paidAt = new Date(verification.paid_at);
       payment.paystackData = {
@@ -268,23 +293,7 @@ router.post('/verify/:reference', protect, async (req, res) => {
         changedAt: new Date(),
         notes: `Payment verified successfully via ${verification.channel}`
       });
-
-      // Update order status if payment just became successful
-      if (!wasSuccessful && payment.order) {
-        const order = await Order.findById(payment.order._id);
-        if (order && order.status === 'pending') {
-          order.status = 'confirmed';
-          order.statusHistory = order.statusHistory || [];
-          order.statusHistory.push({
-            status: 'confirmed',
-            changedBy: req.user.id,
-            changedAt: new Date(),
-            notes: 'Order confirmed - payment completed'
-          });
-          await order.save();
-        }
-      }
-    } else {
+    } else if (!retired) {
       payment.status = 'failed';
       payment.paystackData = {
         ...payment.paystackData,
@@ -302,6 +311,14 @@ router.post('/verify/:reference', protect, async (req, res) => {
 
     await payment.save();
 
+    // Update order status if payment just became successful
+    if (!wasSuccessful && payment.status === 'completed' && payment.order) {
+      await confirmOrderForPayment(payment.order._id, {
+        actor: actorFrom(req.user),
+        notes: 'Order confirmed - payment completed'
+      });
+    }
+
     res.json({
       success: verification.success,
       data: {
@@ -355,6 +372,11 @@ router.post('/webhook', express.raw({type: 'application/json'}), async (req, res
         await handleFailedPayment(event.data);
         break;
         
+      case 'refund.processed':
+      case 'refund.failed':
+        await handleRefundWebhook(event.event, event.data);
+        break;
+
       case 'transfer.success':
         console.log('Transfer successful:', event.data.reference);
         break;
@@ -381,7 +403,7 @@ router.post('/webhook', express.raw({type: 'application/json'}), async (req, res
 // Handle successful payment from webhook
 async function handleSuccessfulPayment(data) {
   try {
-    const payment = await Payment.findOne({ reference: data.reference });
+    const payment = await Payment.findOne(referenceFilter(data.reference));
     
     if (!payment) {
       console.error('Payment not found for reference:', data.reference);
@@ -389,6 +411,13 @@ async function handleSuccessfulPayment(data) {
     }
 
     if (payment.status !== 'completed') {
+      if (holdMismatchedCharge(payment, { received: data.amount / 100, reference: data.reference })) {
+        await payment.save();
+        console.error('⚠️ Paystack charge does not match the amount due; payment held:', data.reference);
+        return;
+      }
+
+      adoptReference(payment, data.reference);
       payment.status = 'completed';
       payment.paidAt = new Date(data.paid_at);
       payment.paystackData = {
@@ -402,7 +431,8 @@ async function handleSuccessfulPayment(data) {
       
       payment.statusHistory.push({
         status: 'completed',
-        changedBy: 'system',
+        changedBy: null,
+        role: 'system',
         changedAt: new Date(),
         notes: `Payment confirmed via webhook - ${data.channel}`
       });
@@ -411,18 +441,7 @@ async function handleSuccessfulPayment(data) {
 
       // Update associated order
       if (payment.order) {
-        const order = await Order.findById(payment.order);
-        if (order && order.status === 'pending') {
-          order.status = 'confirmed';
-          order.statusHistory = order.statusHistory || [];
-          order.statusHistory.push({
-            status: 'confirmed',
-            changedBy: 'system',
-            changedAt: new Date(),
-            notes: 'Order confirmed - payment completed via webhook'
-          });
-          await order.save();
-        }
+        await confirmOrderForPayment(payment.order, { notes: 'Order confirmed - payment completed via webhook' });
       }
 
       console.log('✅ Payment completed via webhook:', data.reference);
@@ -452,7 +471,8 @@ async function handleFailedPayment(data) {
       
       payment.statusHistory.push({
         status: 'failed',
-        changedBy: 'system',
+        changedBy: null,
+        role: 'system',
         changedAt: new Date(),
         notes: `Payment failed via webhook: ${data.gateway_response}`
       });
@@ -470,7 +490,7 @@ router.get('/status/:reference', protect, async (req, res) => {
   try {
     const { reference } = req.params;
 
-    let payment = await Payment.findOne({ reference })
+    let payment = await Payment.findOne(referenceFilter(reference))
       .populate({
         path: 'order',
         select: 'orderNumber totalAmount items status',
@@ -495,12 +515,16 @@ router.get('/status/:reference', protect, async (req, res) => {
       });
     }
 
-    // If payment still pending/processing, verify with Paystack to auto-update
-    if (payment.status === 'pending' || payment.status === 'processing') {
+    // If payment still pending/processing, verify with Paystack to auto-update; held payments wait for an admin
+    if ((payment.status === 'pending' || payment.status === 'processing') && !payment.amountMismatch?.reference) {
       try {
         const verification = await paystackService.verifyPayment(reference);
-        if (verification.success && verification.data?.status === 'success') {
+        if (verification.success && verification.data?.status === 'success'
+          && holdMismatchedCharge(payment, { received: verification.amount, reference, changedBy: req.user.id, role: req.user.role })) {
+          await payment.save();
+        } else if (verification.success && verification.data?.status === 'success') {
           // Update payment to completed
+          adoptReference(payment, reference);
           payment.status = 'completed';
           payment.paidAt = new Date(verification.data.paid_at || Date.now());
           payment.paystackData = {
@@ -521,26 +545,20 @@ router.get('/status/:reference', protect, async (req, res) => {
 
           // Optionally update order status if needed
           if (payment.order && payment.order.status === 'pending') {
-            const order = await Order.findById(payment.order._id);
+            const order = await confirmOrderForPayment(payment.order._id, {
+              actor: actorFrom(req.user),
+              notes: 'Order confirmed - payment auto-verified'
+            });
             if (order) {
-              order.status = 'confirmed';
-              order.statusHistory = order.statusHistory || [];
-              order.statusHistory.push({
-                status: 'confirmed',
-                changedBy: req.user.id,
-                changedAt: new Date(),
-                notes: 'Order confirmed - payment auto-verified'
-              });
-              await order.save();
               // re-populate to include updated order state
-              payment = await Payment.findOne({ reference }).populate({
+              payment = await Payment.findOne(referenceFilter(reference)).populate({
                 path: 'order',
                 select: 'orderNumber totalAmount items status',
                 populate: { path: 'customer', select: 'firstName lastName email' }
               });
             }
           }
-        } else if (verification.success && verification.data?.status === 'failed') {
+        } else if (verification.success && verification.data?.status === 'failed' && payment.reference === reference) {
           payment.status = 'failed';
           payment.failedAt = new Date();
           payment.paystackData = {
@@ -0,0 +1,112 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { protect, admin } = require('../middleware/auth');
+const { actorFrom } = require('../services/orderLifecycle');
+const { PHOTO_CONFIG } = require('../config/photos');
+const { savePhotos, listPhotos, getPhotoFile, deletePhoto } = require('../services/orderPhotoService');
+
+// Photos are held in memory so they can be checked and re-encoded before anything is written
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: PHOTO_CONFIG.maxFileSizeMb * 1024 * 1024,
+    files: PHOTO_CONFIG.maxFilesPerUpload
+  },
+  fileFilter: (req, file, cb) => {
+    if (PHOTO_CONFIG.allowedTypes.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+  }
+});
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Photos must be ${PHOTO_CONFIG.maxFileSizeMb} MB or smaller`,
+  LIMIT_FILE_COUNT: `Upload at most ${PHOTO_CONFIG.maxFilesPerUpload} photos at a time`,
+  LIMIT_UNEXPECTED_FILE: 'Only JPEG, PNG or WebP photos can be uploaded in the "photos" field'
+};
+
+// Upload photos for an order (assigned provider or admin)
+// Multipart: photos (files), stage: 'intake' | 'delivery', itemId?, caption?
+router.post('/orders/:orderId', protect, (req, res) => {
+  upload.array('photos')(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        return res.status(400).json({
+          success: false,
+          error: UPLOAD_ERRORS[uploadError.code] || 'Failed to read uploaded photos'
+        });
+      }
+
+      const { stage, itemId, caption } = req.body;
+      const photos = await savePhotos(req.params.orderId, req.files, { stage, itemId, caption }, actorFrom(req.user));
+
+      res.status(201).json({
+        success: true,
+        data: photos,
+        message: `${photos.length} photo(s) uploaded`
+      });
+    } catch (error) {
+      console.error('Upload order photos error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : 'Failed to upload photos'
+      });
+    }
+  });
+});
+
+// List an order's photos (customer, assigned provider or admin)
+// Query: stage, itemId
+router.get('/orders/:orderId', protect, async (req, res) => {
+  try {
+    const photos = await listPhotos(req.params.orderId, actorFrom(req.user), req.query);
+    res.json({ success: true, data: photos, count: photos.length });
+  } catch (error) {
+    console.error('Get order photos error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch photos'
+    });
+  }
+});
+
+const sendPhoto = (thumbnail) => async (req, res) => {
+  try {
+    const file = await getPhotoFile(req.params.id, actorFrom(req.user), { thumbnail });
+
+    res.set('Content-Type', file.mimeType);
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.sendFile(file.path, (sendError) => {
+      if (sendError && !res.headersSent) {
+        res.status(404).json({ success: false, error: 'Photo file not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Get photo error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch photo'
+    });
+  }
+};
+
+router.get('/:id', protect, sendPhoto(false));
+router.get('/:id/thumbnail', protect, sendPhoto(true));
+
+// Delete a photo (admin only)
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    await deletePhoto(req.params.id, actorFrom(req.user));
+    res.json({ success: true, message: 'Photo deleted' });
+  } catch (error) {
+    console.error('Delete photo error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to delete photo'
+    });
+  }
+});
+
+module.exports = router;
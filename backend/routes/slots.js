@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const {
+  getAvailability,
+  getWindowRange,
+  getMinimumTurnaroundHours
+} = require('../services/slotService');
+const { resolveTurnaround } = require('../services/priorityService');
+
+// Get slot availability for an area on a date
+// GET /api/slots?date=YYYY-MM-DD&area=accra&type=pickup
+// For delivery slots, pass pickupDate, pickupWindow and services (comma separated)
+// to mark windows that fall inside the processing time as unavailable; turnaround=express|rush
+// shortens that time.
+router.get('/', protect, async (req, res) => {
+  try {
+    const { date, area, type = 'pickup', pickupDate, pickupWindow, services, turnaround } = req.query;
+
+    if (!date || !area) {
+      return res.status(400).json({ success: false, error: 'date and area are required' });
+    }
+
+    let earliestStart = null;
+    let turnaroundHours = null;
+    if (type === 'delivery' && pickupDate && pickupWindow) {
+      const items = String(services || '').split(',').filter(Boolean).map(service => ({ service }));
+      const { priority } = resolveTurnaround({ turnaround });
+      turnaroundHours = await getMinimumTurnaroundHours(items, priority);
+      earliestStart = new Date(getWindowRange(pickupDate, pickupWindow).end.getTime() + turnaroundHours * 60 * 60 * 1000);
+    }
+
+    const availability = await getAvailability({ date, area, type, earliestStart });
+
+    res.json({
+      success: true,
+      data: {
+        ...availability,
+        turnaroundHours,
+        earliestStart
+      }
+    });
+  } catch (error) {
+    console.error('Get slots error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch slots'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const { protect, customer } = require('../middleware/auth');
+const { actorFrom } = require('../services/orderLifecycle');
+const {
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipNextPickup,
+  cancelSubscription,
+  listSubscriptions,
+  getSubscription
+} = require('../services/subscriptionService');
+
+// List subscriptions: customers see their own, admins all (filter with status, customerId)
+router.get('/', protect, async (req, res) => {
+  try {
+    const subscriptions = await listSubscriptions(actorFrom(req.user), req.query);
+    res.json({ success: true, data: subscriptions, count: subscriptions.length });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch subscriptions'
+    });
+  }
+});
+
+// Set up a recurring pickup (customer only)
+// Body: { items: [{ service, quantity }], cadence: 'weekly' | 'biweekly' | 'monthly', pickupDay: 'monday',
+//         pickupWindow?, deliveryWindow?, deliveryAfterDays?, pickupAddress, deliveryAddress, paymentMethod,
+//         momoPhone?, momoNetwork?, specialInstructions?, name?, startDate? }
+router.post('/', protect, customer, async (req, res) => {
+  try {
+    const subscription = await createSubscription(actorFrom(req.user), req.body);
+    res.status(201).json({
+      success: true,
+      data: subscription,
+      message: `Subscription created; first pickup on ${subscription.nextPickupDate}`
+    });
+  } catch (error) {
+    console.error('Create subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to create subscription'
+    });
+  }
+});
+
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const subscription = await getSubscription(req.params.id, actorFrom(req.user));
+    res.json({ success: true, data: subscription });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch subscription'
+    });
+  }
+});
+
+// Change items, schedule, addresses or payment; only the fields sent are changed
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const subscription = await updateSubscription(req.params.id, actorFrom(req.user), req.body);
+    res.json({ success: true, data: subscription, message: 'Subscription updated' });
+  } catch (error) {
+    console.error('Update subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update subscription'
+    });
+  }
+});
+
+// Pause until resumed, or until resumeOn (YYYY-MM-DD)
+router.post('/:id/pause', protect, async (req, res) => {
+  try {
+    const subscription = await pauseSubscription(req.params.id, actorFrom(req.user), req.body);
+    res.json({ success: true, data: subscription, message: 'Subscription paused' });
+  } catch (error) {
+    console.error('Pause subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to pause subscription'
+    });
+  }
+});
+
+router.post('/:id/resume', protect, async (req, res) => {
+  try {
+    const subscription = await resumeSubscription(req.params.id, actorFrom(req.user));
+    res.json({
+      success: true,
+      data: subscription,
+      message: `Subscription resumed; next pickup on ${subscription.nextPickupDate}`
+    });
+  } catch (error) {
+    console.error('Resume subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to resume subscription'
+    });
+  }
+});
+
+// Skip the next pickup
+router.post('/:id/skip', protect, async (req, res) => {
+  try {
+    const subscription = await skipNextPickup(req.params.id, actorFrom(req.user));
+    res.json({
+      success: true,
+      data: subscription,
+      message: `Pickup skipped; next pickup on ${subscription.nextPickupDate}`
+    });
+  } catch (error) {
+    console.error('Skip subscription pickup error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to skip pickup'
+    });
+  }
+});
+
+router.post('/:id/cancel', protect, async (req, res) => {
+  try {
+    const subscription = await cancelSubscription(req.params.id, actorFrom(req.user), req.body.reason);
+    res.json({ success: true, data: subscription, message: 'Subscription cancelled' });
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to cancel subscription'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const { protect, customer } = require('../middleware/auth');
+const { actorFrom } = require('../services/orderLifecycle');
+const {
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  listTemplates,
+  getTemplate,
+  orderFromTemplate
+} = require('../services/orderTemplateService');
+
+// List saved templates with any retired or repriced services flagged under `changes`
+// Customers see their own; admins can pass customerId
+router.get('/', protect, async (req, res) => {
+  try {
+    const templates = await listTemplates(actorFrom(req.user), req.query);
+    res.json({ success: true, data: templates, count: templates.length });
+  } catch (error) {
+    console.error('Get order templates error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch templates'
+    });
+  }
+});
+
+// Save a template (customer only)
+// Body: { name, items?: [{ service, quantity, specialInstructions? }], fromOrder?, pickupAddress?,
+//         deliveryAddress?, paymentMethod?, momoPhone?, momoNetwork?, specialInstructions? }
+router.post('/', protect, customer, async (req, res) => {
+  try {
+    const template = await createTemplate(actorFrom(req.user), req.body);
+    res.status(201).json({ success: true, data: template, message: `Template "${template.name}" saved` });
+  } catch (error) {
+    console.error('Create order template error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to save template'
+    });
+  }
+});
+
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.id, actorFrom(req.user));
+    res.json({ success: true, data: template });
+  } catch (error) {
+    console.error('Get order template error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch template'
+    });
+  }
+});
+
+// Edit a template (owner only); same fields as create
+router.put('/:id', protect, customer, async (req, res) => {
+  try {
+    const template = await updateTemplate(req.params.id, actorFrom(req.user), req.body);
+    res.json({ success: true, data: template, message: 'Template updated' });
+  } catch (error) {
+    console.error('Update order template error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update template'
+    });
+  }
+});
+
+router.delete('/:id', protect, customer, async (req, res) => {
+  try {
+    await deleteTemplate(req.params.id, actorFrom(req.user));
+    res.json({ success: true, message: 'Template deleted' });
+  } catch (error) {
+    console.error('Delete order template error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to delete template'
+    });
+  }
+});
+
+// Place an order from a template (owner only)
+// Body: { pickupDate, deliveryDate } or { pickupSlot, deliverySlot }; other checkout fields override the template
+router.post('/:id/order', protect, customer, async (req, res) => {
+  try {
+    const { order, changes } = await orderFromTemplate(req.params.id, actorFrom(req.user), req.body);
+    res.status(201).json({
+      success: true,
+      data: order,
+      changes,
+      message: changes.length > 0
+        ? `Order placed; ${changes.length} service(s) changed since the template was saved`
+        : 'Order placed'
+    });
+  } catch (error) {
+    console.error('Order from template error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to place order from template'
+    });
+  }
+});
+
+module.exports = router;
@@ -84,11 +84,37 @@ const analyticsRoutes = require('./routes/analytics');
 const chatRoutes = require('./routes/chats');
 const loyaltyRoutes = require('./routes/loyalty');
 const trackingRoutes = require('./routes/tracking');
+const couponRoutes = require('./routes/coupons');
+const slotRoutes = require('./routes/slots');
+const dispatchRoutes = require('./routes/dispatch');
+const availabilityRoutes = require('./routes/availability');
+const garmentRoutes = require('./routes/garments');
+const claimRoutes = require('./routes/claims');
+const photoRoutes = require('./routes/photos');
+const subscriptionRoutes = require('./routes/subscriptions');
+const templateRoutes = require('./routes/templates');
 
 // Import middleware
 const { globalErrorHandler, notFoundHandler, logger } = require('./middleware/errorHandler');
 const { cacheMiddleware } = require('./middleware/cache');
 
+// Background jobs
+const scheduler = require('./services/scheduler');
+const { processPointExpiry, LOYALTY_CONFIG } = require('./services/loyaltyService');
+
+const { expireOffers, autoReleaseStaleAssignments } = require('./services/dispatchService');
+const { DISPATCH_CONFIG } = require('./config/dispatch');
+const { processSubscriptions } = require('./services/subscriptionService');
+const { SUBSCRIPTION_CONFIG } = require('./config/subscriptions');
+const { checkDeadlineBreaches } = require('./services/priorityService');
+const { PRIORITY_CONFIG } = require('./config/priority');
+
+scheduler.registerJob('loyaltyPointExpiry', LOYALTY_CONFIG.expiryCheckIntervalHours * 60 * 60 * 1000, processPointExpiry);
+scheduler.registerJob('dispatchOfferExpiry', DISPATCH_CONFIG.checkIntervalMinutes * 60 * 1000, expireOffers);
+scheduler.registerJob('assignmentAutoRelease', DISPATCH_CONFIG.autoReleaseCheckMinutes * 60 * 1000, autoReleaseStaleAssignments);
+scheduler.registerJob('subscriptionOrders', SUBSCRIPTION_CONFIG.checkIntervalMinutes * 60 * 1000, processSubscriptions);
+scheduler.registerJob('deadlineBreaches', PRIORITY_CONFIG.checkIntervalMinutes * 60 * 1000, checkDeadlineBreaches);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -101,6 +127,15 @@ app.use('/api/analytics', cacheMiddleware(600), analyticsRoutes);
 app.use('/api/chats', chatRoutes);
 app.use('/api/loyalty', loyaltyRoutes);
 app.use('/api/tracking', trackingRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/slots', slotRoutes);
+app.use('/api/dispatch', dispatchRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/garments', garmentRoutes);
+app.use('/api/claims', claimRoutes);
+app.use('/api/photos', photoRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/order-templates', templateRoutes);
 
 // Socket.IO logic
 io.on('connection', (socket) => {
@@ -224,6 +259,7 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`Environment: ${NODE_ENV}`);
   console.log(`MongoDB URI: ${MONGODB_URI}`);
+  scheduler.start();
 });
 
 app.use(express.static(path.join(__dirname, "../frontend/build")));
@@ -235,6 +271,7 @@ app.get("*", (req, res) => {
 process.on('SIGINT', async () => {
   console.log('Received SIGINT, shutting down gracefully...');
   try {
+    scheduler.stop();
     await mongoose.connection.close();
     const { stopMongoDB } = require('./setupMongo');
     await stopMongoDB();
@@ -247,6 +284,7 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   console.log('Received SIGTERM, shutting down gracefully...');
   try {
+    scheduler.stop();
     await mongoose.connection.close();
     const { stopMongoDB } = require('./setupMongo');
     await stopMongoDB();
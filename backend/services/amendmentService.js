@@ -0,0 +1,445 @@
+// Amendment Service
+// Changes to an order after checkout: adding or removing items, new addresses and new pickup or
+// delivery times. What can change depends on the status (config/amendments.js). Once a provider
+// holds the order, changes wait for them to acknowledge before they are applied.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { AMENDMENT_CONFIG } = require('../config/amendments');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { priceItems, repriceOrder, roundAmount } = require('./pricingService');
+const { applyOrderTotal } = require('./orderPaymentService');
+const { rescheduleOrderSlot, getMinimumTurnaroundHours, getWindowRange } = require('./slotService');
+const { formatAddress } = require('./orderService');
+const { ROLES, recordHistory } = require('./orderLifecycle');
+const { sendAmendmentEmail } = require('./emailService');
+const { refreshStatusDeadline } = require('./priorityService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const LABELS = {
+  items: 'Items',
+  pickupAddress: 'The pickup address',
+  deliveryAddress: 'The delivery address',
+  pickup: 'The pickup time',
+  delivery: 'The delivery time',
+};
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+const usesSlots = (order, type) => Boolean(order[`${type}Slot`]?.window);
+const startOfToday = () => new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+
+const getAllowedChanges = (order) => AMENDMENT_CONFIG.rules[order.status] || [];
+
+const requiresAcknowledgment = (order) => Boolean(order.serviceProvider)
+  && AMENDMENT_CONFIG.acknowledgmentStatuses.includes(order.status);
+
+const getPendingAmendment = (order) => (order.amendments || []).find(a => a.status === 'pending_acknowledgment') || null;
+
+// Which kinds of change (the keys of the status rules) a set of changes touches
+const changeKinds = (changes) => [
+  ...(changes.addItems || changes.removeItems ? ['items'] : []),
+  ...['pickupAddress', 'deliveryAddress'].filter(key => changes[key]),
+  ...['pickup', 'delivery'].filter(type => changes[`${type}Slot`] || changes[`${type}Date`]),
+];
+
+const assertAddress = (address, label) => {
+  if (!address || !String(address.street || '').trim() || !String(address.city || '').trim()) {
+    throw new ValidationError(`${label} needs a street and city`);
+  }
+};
+
+// Validate the request body against the order
+const parseChanges = (order, input = {}) => {
+  const changes = {};
+
+  if (input.addItems !== undefined) {
+    if (!Array.isArray(input.addItems) || input.addItems.length === 0) {
+      throw new ValidationError('addItems must be a non-empty list');
+    }
+    changes.addItems = input.addItems.map(item => ({
+      service: item.service,
+      quantity: item.quantity,
+      specialInstructions: item.specialInstructions ? String(item.specialInstructions).slice(0, 200) : '',
+      ...(Array.isArray(item.clothingItems) && { clothingItems: item.clothingItems }),
+    }));
+  }
+
+  if (input.removeItems !== undefined) {
+    if (!Array.isArray(input.removeItems) || input.removeItems.length === 0) {
+      throw new ValidationError('removeItems must be a non-empty list');
+    }
+    changes.removeItems = input.removeItems.map(({ itemIndex, quantity }) => {
+      const index = parseInt(itemIndex);
+      if (!order.items[index]) throw new ValidationError(`Item ${itemIndex} not found on this order`);
+      return { itemIndex: index, ...(quantity !== undefined && { quantity: parseInt(quantity) }) };
+    });
+  }
+
+  for (const key of ['pickupAddress', 'deliveryAddress']) {
+    if (input[key] !== undefined) {
+      assertAddress(input[key], LABELS[key]);
+      changes[key] = formatAddress(input[key]);
+    }
+  }
+
+  for (const type of ['pickup', 'delivery']) {
+    const slot = input[`${type}Slot`];
+    const date = input[`${type}Date`];
+    if (slot === undefined && date === undefined) continue;
+
+    if (usesSlots(order, type)) {
+      if (!slot?.date || !slot?.window) {
+        throw new ValidationError(`This order is booked by slot; send ${type}Slot with a date and window`);
+      }
+      changes[`${type}Slot`] = { date: slot.date, window: slot.window };
+    } else {
+      const parsed = new Date(date);
+      if (!date || isNaN(parsed.getTime())) throw new ValidationError(`${type}Date must be a valid date`);
+      if (parsed < startOfToday()) throw new ValidationError(`${LABELS[type]} cannot be moved into the past`);
+      changes[`${type}Date`] = parsed.toISOString();
+    }
+  }
+
+  if (changeKinds(changes).length === 0) {
+    throw new ValidationError('No changes requested');
+  }
+
+  return changes;
+};
+
+const assertChangesAllowed = (order, kinds) => {
+  const allowed = getAllowedChanges(order);
+  if (allowed.length === 0) {
+    throw new ValidationError(`Orders that are ${order.status.replace(/_/g, ' ')} can no longer be changed`);
+  }
+  for (const kind of kinds) {
+    if (!allowed.includes(kind)) {
+      throw new ValidationError(`${LABELS[kind]} can no longer be changed once the order is ${order.status.replace(/_/g, ' ')}`);
+    }
+  }
+  if (kinds.includes('items') && order.repricing?.status === 'pending_approval') {
+    throw new ValidationError('Items cannot change while the weighed price is waiting for approval');
+  }
+};
+
+const isScanned = (item) => (item.clothingItems || []).some(garment => garment.station);
+
+// Apply the item changes and re-total the order through calculateTotal
+const applyItemChanges = async (order, changes, summary) => {
+  const removals = [...(changes.removeItems || [])].sort((a, b) => b.itemIndex - a.itemIndex);
+  for (const { itemIndex, quantity } of removals) {
+    const item = order.items[itemIndex];
+    if (!item) throw new ValidationError(`Item ${itemIndex} not found on this order`);
+    if (isScanned(item)) {
+      throw new ValidationError(`${item.serviceName} has already been scanned in and cannot be removed`);
+    }
+
+    if (quantity === undefined || quantity >= item.quantity) {
+      order.items.splice(itemIndex, 1);
+      summary.push(`Removed ${item.serviceName}`);
+      continue;
+    }
+    if (!(quantity >= 1)) throw new ValidationError('Quantity to remove must be at least 1');
+    if ((item.clothingItems || []).length > 0 || (item.pricingUnit && item.pricingUnit !== 'item')) {
+      throw new ValidationError(`${item.serviceName} can only be removed as a whole line`);
+    }
+    item.quantity -= quantity;
+    item.totalPrice = roundAmount(item.quantity * item.unitPrice);
+    summary.push(`Removed ${quantity} × ${item.serviceName}`);
+  }
+
+  if (changes.addItems) {
+    const priced = await priceItems(changes.addItems);
+    for (const { category, ...line } of priced) {
+      order.items.push(line);
+      summary.push(`Added ${line.quantity}${line.pricingUnit === 'item' ? ' ×' : ` ${line.pricingUnit}`} ${line.serviceName}`);
+    }
+  }
+
+  if (order.items.length === 0) {
+    throw new ValidationError('An order needs at least one item; cancel the order instead');
+  }
+
+  // Tax, surcharge and rate-based discounts follow the new subtotal; the delivery fee stays as quoted
+  const quote = await repriceOrder(order, {});
+  order.tax = quote.tax;
+  order.surcharge = quote.surcharge;
+  order.discount = quote.discount;
+  order.pricingBreakdown = quote.breakdown;
+  order.calculateTotal();
+  order.subtotal = roundAmount(order.subtotal);
+  order.totalAmount = roundAmount(order.totalAmount);
+};
+
+// Move the pickup and/or delivery. Slots are re-booked unless this is a dry run.
+const applySchedule = async (order, changes, summary, { dryRun }) => {
+  const addressMoved = (type) => changes[`${type}Address`]
+    && usesSlots(order, type)
+    && changes[`${type}Address`].city?.trim().toLowerCase() !== order[`${type}Slot`].area;
+
+  const turnaroundHours = await getMinimumTurnaroundHours(order.items, order.priority);
+
+  for (const type of ['pickup', 'delivery']) {
+    if (usesSlots(order, type)) {
+      // A slot in another city has to be re-booked there even if the time stays the same
+      const slot = changes[`${type}Slot`] || (addressMoved(type) ? { date: order[`${type}Slot`].date, window: order[`${type}Slot`].window } : null);
+      if (!slot) continue;
+
+      const earliestStart = type === 'delivery'
+        ? new Date((order.pickupSlot?.end || order.pickupDate).getTime() + turnaroundHours * HOUR_MS)
+        : null;
+      const area = (changes[`${type}Address`] || order[`${type}Address`]).city;
+
+      const booked = dryRun
+        ? { area: String(area).trim().toLowerCase(), date: slot.date, window: slot.window, ...getWindowRange(slot.date, slot.window) }
+        : await rescheduleOrderSlot({ orderId: order._id, type, area, slot, earliestStart });
+      order[`${type}Slot`] = booked;
+      order[`${type}Date`] = booked.start;
+      order[type === 'pickup' ? 'estimatedPickupTime' : 'estimatedDeliveryTime'] = booked.window;
+      if (changes[`${type}Slot`]) summary.push(`${type === 'pickup' ? 'Pickup' : 'Delivery'} moved to ${slot.date} ${slot.window}`);
+    } else if (changes[`${type}Date`]) {
+      order[`${type}Date`] = new Date(changes[`${type}Date`]);
+      summary.push(`${type === 'pickup' ? 'Pickup' : 'Delivery'} moved to ${changes[`${type}Date`].slice(0, 10)}`);
+    }
+  }
+
+  if (!dryRun && changes.pickupSlot && !changes.deliverySlot && usesSlots(order, 'delivery')) {
+    const earliestDelivery = new Date(order.pickupSlot.end.getTime() + turnaroundHours * HOUR_MS);
+    if (order.deliverySlot.start < earliestDelivery) {
+      throw new ValidationError(`The delivery slot would be too early for the new pickup; move the delivery as well (earliest ${earliestDelivery.toISOString()})`);
+    }
+  }
+  if (order.deliveryDate < order.pickupDate) {
+    throw new ValidationError('Delivery date cannot be before pickup date');
+  }
+
+  // Deadlines for waiting on a pickup or delivery move with it
+  if (changes.pickupSlot || changes.pickupDate || changes.deliverySlot || changes.deliveryDate) {
+    refreshStatusDeadline(order);
+  }
+};
+
+// Apply validated changes to the order in memory; returns a summary line per change
+const applyChanges = async (order, changes, { dryRun = false } = {}) => {
+  const summary = [];
+
+  if (changes.addItems || changes.removeItems) {
+    await applyItemChanges(order, changes, summary);
+  }
+
+  await applySchedule(order, changes, summary, { dryRun });
+
+  for (const key of ['pickupAddress', 'deliveryAddress']) {
+    if (changes[key]) {
+      order[key] = changes[key];
+      summary.push(`${LABELS[key]} changed to ${changes[key].street}, ${changes[key].city}`);
+    }
+  }
+
+  return summary;
+};
+
+// Apply changes, save and bring the payment in line with the new total
+const commitChanges = async (order, amendment, actor) => {
+  const previousTotal = order.totalAmount;
+  const summary = await applyChanges(order, amendment.changes);
+
+  amendment.summary = summary;
+  amendment.previousTotal = previousTotal;
+  amendment.newTotal = order.totalAmount;
+  recordHistory(order, { status: order.status, actor, notes: `Order amended: ${summary.join('; ')}` });
+  await order.save();
+
+  if (Math.abs(order.totalAmount - previousTotal) >= 0.005) {
+    const reason = `Order amended: ¢${previousTotal.toFixed(2)} → ¢${order.totalAmount.toFixed(2)}`;
+    const paymentUpdate = await applyOrderTotal(order, { actor, reason });
+    amendment.paymentAction = paymentUpdate.action;
+    amendment.paymentAmount = paymentUpdate.amount;
+    await order.save();
+  }
+
+  return amendment;
+};
+
+const loadOrder = async (orderId) => {
+  const order = mongoose.Types.ObjectId.isValid(orderId) ? await Order.findById(orderId) : null;
+  if (!order) throw new NotFoundError('Order not found');
+  return order;
+};
+
+const notify = async (userId, orderNumber, event, summary, notes) => {
+  try {
+    const user = userId ? await User.findById(userId).select('firstName lastName email') : null;
+    if (user) {
+      await sendAmendmentEmail(user.email, `${user.firstName} ${user.lastName}`, orderNumber, event, summary, notes);
+    }
+  } catch (emailError) {
+    console.error('⚠️ Failed to send amendment email:', emailError);
+  }
+};
+
+// What can change on the order right now, and any change still waiting on the provider
+const getAmendmentOptions = async (orderId, actor) => {
+  const order = await loadOrder(orderId);
+  const isOwner = toId(order.customer) === toId(actor.id);
+  const isProvider = toId(order.serviceProvider) === toId(actor.id);
+  if (actor.role !== ROLES.ADMIN && !isOwner && !isProvider) {
+    throw new AuthorizationError('Access denied');
+  }
+
+  return {
+    status: order.status,
+    allowedChanges: getAllowedChanges(order),
+    requiresAcknowledgment: requiresAcknowledgment(order),
+    usesSlots: { pickup: usesSlots(order, 'pickup'), delivery: usesSlots(order, 'delivery') },
+    pending: getPendingAmendment(order),
+    amendments: order.amendments,
+  };
+};
+
+// Customer (or an admin) asks for changes. Applied straight away before a provider has the order;
+// otherwise held for the provider with a preview of the new total.
+const requestAmendment = async (orderId, actor, input) => {
+  const order = await loadOrder(orderId);
+  if (actor.role !== ROLES.ADMIN && !(actor.role === ROLES.CUSTOMER && toId(order.customer) === toId(actor.id))) {
+    throw new AuthorizationError('Only the customer or an admin can change an order');
+  }
+  if (getPendingAmendment(order)) {
+    throw new ValidationError('Earlier changes are still waiting for the service provider; withdraw them or wait for a response');
+  }
+
+  const changes = parseChanges(order, input);
+  assertChangesAllowed(order, changeKinds(changes));
+
+  const amendment = {
+    status: 'applied',
+    changes,
+    requestedBy: actor.id || null,
+    role: actor.role,
+    requestedAt: new Date(),
+  };
+
+  if (!requiresAcknowledgment(order)) {
+    await commitChanges(order, amendment, actor);
+    order.amendments.push(amendment);
+    await order.save();
+    return { order, amendment: order.amendments[order.amendments.length - 1], requiresAcknowledgment: false };
+  }
+
+  // Work out the summary and new total on a copy so nothing is booked or saved yet
+  const preview = Order.hydrate(order.toObject());
+  const summary = await applyChanges(preview, changes, { dryRun: true });
+
+  order.amendments.push({
+    ...amendment,
+    status: 'pending_acknowledgment',
+    summary,
+    previousTotal: order.totalAmount,
+    newTotal: preview.totalAmount,
+  });
+  recordHistory(order, { status: order.status, actor, notes: `Changes requested: ${summary.join('; ')}` });
+  await order.save();
+
+  await notify(order.serviceProvider, order.orderNumber, 'requested', summary);
+
+  return { order, amendment: order.amendments[order.amendments.length - 1], requiresAcknowledgment: true };
+};
+
+// Claim a pending amendment so only one response is applied
+const claimPending = async (orderId, amendmentId, status, actor, notes = '') => {
+  if (!mongoose.Types.ObjectId.isValid(amendmentId)) throw new NotFoundError('Amendment not found');
+
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, amendments: { $elemMatch: { _id: amendmentId, status: 'pending_acknowledgment' } } },
+    {
+      $set: {
+        'amendments.$.status': status,
+        'amendments.$.respondedBy': actor.id || null,
+        'amendments.$.respondedAt': new Date(),
+        'amendments.$.responseNotes': notes,
+      },
+    },
+    { new: true }
+  );
+  if (!order) throw new ValidationError('These changes are no longer waiting for a response');
+  return order;
+};
+
+const assertCanRespond = (order, actor) => {
+  if (actor.role === ROLES.ADMIN) return;
+  if (actor.role !== ROLES.PROVIDER || toId(order.serviceProvider) !== toId(actor.id)) {
+    throw new AuthorizationError('Only the assigned service provider or an admin can respond to changes');
+  }
+};
+
+const findAmendment = (order, amendmentId) => {
+  const amendment = order.amendments.id(amendmentId);
+  if (!amendment) throw new NotFoundError('Amendment not found');
+  return amendment;
+};
+
+// Provider (or an admin) accepts the changes; they are applied now
+const acknowledgeAmendment = async (orderId, amendmentId, actor, notes = '') => {
+  const current = await loadOrder(orderId);
+  assertCanRespond(current, actor);
+  const pending = findAmendment(current, amendmentId);
+  // The order may have moved on since the changes were requested
+  if (pending.status === 'pending_acknowledgment') {
+    assertChangesAllowed(current, changeKinds(pending.changes));
+  }
+
+  const order = await claimPending(current._id, amendmentId, 'applied', actor, String(notes).trim());
+  const amendment = findAmendment(order, amendmentId);
+  try {
+    await commitChanges(order, amendment, actor);
+  } catch (applyError) {
+    // Put it back so the provider can decline it or try again
+    await Order.updateOne(
+      { _id: order._id, 'amendments._id': amendment._id },
+      { $set: { 'amendments.$.status': 'pending_acknowledgment' }, $unset: { 'amendments.$.respondedBy': '', 'amendments.$.respondedAt': '' } }
+    );
+    throw applyError;
+  }
+
+  await notify(order.customer, order.orderNumber, 'acknowledged', amendment.summary, amendment.responseNotes);
+  return { order, amendment };
+};
+
+// Provider (or an admin) cannot take the changes on; the order stays as it was
+const declineAmendment = async (orderId, amendmentId, actor, reason) => {
+  const current = await loadOrder(orderId);
+  assertCanRespond(current, actor);
+  findAmendment(current, amendmentId);
+  if (!String(reason || '').trim()) {
+    throw new ValidationError('A reason is required');
+  }
+
+  const order = await claimPending(current._id, amendmentId, 'declined', actor, String(reason).trim().slice(0, 500));
+  const amendment = findAmendment(order, amendmentId);
+  recordHistory(order, { status: order.status, actor, notes: `Changes declined: ${amendment.responseNotes}` });
+  await order.save();
+
+  await notify(order.customer, order.orderNumber, 'declined', amendment.summary, amendment.responseNotes);
+  return { order, amendment };
+};
+
+// The customer (or an admin) takes back changes the provider has not answered yet
+const withdrawAmendment = async (orderId, amendmentId, actor) => {
+  const current = await loadOrder(orderId);
+  if (actor.role !== ROLES.ADMIN && toId(current.customer) !== toId(actor.id)) {
+    throw new AuthorizationError('Access denied');
+  }
+  findAmendment(current, amendmentId);
+
+  const order = await claimPending(current._id, amendmentId, 'withdrawn', actor);
+  return { order, amendment: findAmendment(order, amendmentId) };
+};
+
+module.exports = {
+  getAmendmentOptions,
+  requestAmendment,
+  acknowledgeAmendment,
+  declineAmendment,
+  withdrawAmendment,
+};
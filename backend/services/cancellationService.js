@@ -0,0 +1,196 @@
+// Cancellation Service
+// Applies the cancellation policy: free before pickup, a fee once the garments have been collected,
+// and no customer cancellation once work has started. Settles the payment and returns spent points.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { CANCELLATION_CONFIG } = require('../config/cancellation');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { ROLES, checkTransition, transitionOrder } = require('./orderLifecycle');
+const { refundPayment } = require('./refundService');
+const { restorePoints } = require('./loyaltyService');
+
+const SETTLED_STATUSES = ['completed', 'partially_refunded'];
+const UNSETTLED_STATUSES = ['pending', 'failed'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Collected once it has been weighed, scanned in at intake or stamped with a pickup time
+const hasBeenCollected = (order) => Boolean(
+  order.actualPickupDate
+  || order.weighedAt
+  || (order.items || []).some(item => (item.clothingItems || []).some(garment => garment.station))
+);
+
+const getCancellationStage = (order) => {
+  if (CANCELLATION_CONFIG.processingStatuses.includes(order.status)) return 'processing';
+  return hasBeenCollected(order) ? 'after_pickup' : 'before_pickup';
+};
+
+const loadPayment = (order) => (order.payment
+  ? Payment.findById(order.payment._id || order.payment)
+  : Payment.findOne({ order: order._id }));
+
+// What cancelling now would cost. The fee applies when the customer cancels, or when an admin
+// cancels on the customer's behalf with chargeFee; provider and system cancellations are free.
+const quoteCancellation = (order, payment, actor, { chargeFee = false } = {}) => {
+  const stage = getCancellationStage(order);
+
+  if (actor.role === ROLES.CUSTOMER && stage === 'processing') {
+    return { allowed: false, stage, reason: 'Your order is already being processed and can no longer be cancelled', statusCode: 400 };
+  }
+  const problem = checkTransition(order, 'cancelled', actor);
+  if (problem) {
+    return { allowed: false, stage, reason: problem.error, statusCode: problem.statusCode };
+  }
+  if (payment?.status === 'processing') {
+    return { allowed: false, stage, reason: 'A payment for this order is still being processed; try again once it settles', statusCode: 400 };
+  }
+
+  const feeApplies = stage === 'after_pickup' && (actor.role === ROLES.CUSTOMER || (actor.role === ROLES.ADMIN && chargeFee));
+  const feePercent = feeApplies ? CANCELLATION_CONFIG.afterPickupFeePercent : 0;
+  const fee = feeApplies
+    ? Math.min(order.totalAmount, roundAmount(Math.max(CANCELLATION_CONFIG.minimumFee, order.totalAmount * feePercent / 100)))
+    : 0;
+
+  const paid = payment && SETTLED_STATUSES.includes(payment.status) ? payment.refundableAmount : 0;
+
+  return {
+    allowed: true,
+    stage,
+    feePercent,
+    fee,
+    paid,
+    // Paid orders are refunded less the fee; unpaid ones keep a pending payment for just the fee
+    refundAmount: roundAmount(Math.max(0, paid - fee)),
+  };
+};
+
+const loadOrder = async (orderId, actor) => {
+  const order = mongoose.Types.ObjectId.isValid(orderId) ? await Order.findById(orderId) : null;
+  if (!order) throw new NotFoundError('Order not found');
+  if (actor.role === ROLES.CUSTOMER && order.customer.toString() !== actor.id.toString()) {
+    throw new AuthorizationError('Access denied');
+  }
+  return order;
+};
+
+const getCancellationQuote = async (orderId, actor, options = {}) => {
+  const order = await loadOrder(orderId, actor);
+  const payment = await loadPayment(order);
+  const { statusCode, ...quote } = quoteCancellation(order, payment, actor, options);
+  return quote;
+};
+
+// Close out the payment: refund what was paid less the fee, or re-price an unpaid payment to the fee
+const settlePayment = async (order, payment, quote, actor) => {
+  if (!payment) return { refundStatus: 'not_applicable' };
+
+  for (const charge of payment.supplementaryCharges || []) {
+    if (charge.status === 'pending') charge.status = 'cancelled';
+  }
+
+  if (UNSETTLED_STATUSES.includes(payment.status)) {
+    if (quote.fee > 0) {
+      payment.amount = quote.fee;
+      payment.statusHistory.push({
+        status: payment.status,
+        changedBy: actor.id || null,
+        role: actor.role,
+        changedAt: new Date(),
+        notes: `Order cancelled; ¢${quote.fee.toFixed(2)} cancellation fee due`
+      });
+    } else {
+      payment.status = 'cancelled';
+      payment.notes = 'Order cancelled before payment';
+    }
+    await payment.save();
+    return { refundStatus: 'not_applicable' };
+  }
+
+  if (payment.isModified()) await payment.save();
+  if (!(quote.refundAmount > 0)) return { refundStatus: 'not_applicable' };
+
+  try {
+    const { refund } = await refundPayment(payment._id, {
+      amount: quote.refundAmount,
+      reason: `Order ${order.orderNumber} cancelled${quote.fee > 0 ? ` (¢${quote.fee.toFixed(2)} cancellation fee kept)` : ''}`,
+      initiatedBy: actor.id || undefined,
+    });
+    return { refundStatus: refund.status };
+  } catch (refundError) {
+    // The order stays cancelled; an admin can retry the refund from the payment
+    console.error('⚠️ Failed to refund cancelled order:', refundError);
+    return { refundStatus: 'failed', refundError: refundError.message };
+  }
+};
+
+// Points spent on a paid order go back to the customer; reserved points are released by the lifecycle
+const restoreConsumedPoints = async (order) => {
+  if (order.loyaltyRedemption?.status !== 'consumed') return 0;
+
+  const { points } = order.loyaltyRedemption;
+  try {
+    await restorePoints(order.customer, order._id, points, `Restored ${points} points from order ${order.orderNumber}: order cancelled`);
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { 'loyaltyRedemption.status': 'released', 'loyaltyRedemption.settledAt': new Date() } }
+    );
+    return points;
+  } catch (pointsError) {
+    console.error('⚠️ Failed to restore points for cancelled order:', pointsError);
+    return 0;
+  }
+};
+
+// Cancel an order under the policy. Customers must give a reason.
+const cancelOrder = async (orderId, actor, { reason, chargeFee = false } = {}) => {
+  const order = await loadOrder(orderId, actor);
+  const payment = await loadPayment(order);
+
+  const trimmedReason = String(reason || '').trim();
+  if (actor.role === ROLES.CUSTOMER && !trimmedReason) {
+    throw new ValidationError('Please tell us why you are cancelling');
+  }
+
+  const quote = quoteCancellation(order, payment, actor, { chargeFee });
+  if (!quote.allowed) {
+    throw quote.statusCode === 403 ? new AuthorizationError(quote.reason) : new ValidationError(quote.reason);
+  }
+
+  order.cancellationReason = (trimmedReason || `Cancelled by ${actor.role.replace('_', ' ')}`).slice(0, 200);
+  order.cancellation = {
+    stage: quote.stage,
+    fee: quote.fee,
+    feePercent: quote.feePercent,
+    refundAmount: quote.refundAmount,
+    cancelledBy: actor.id || null,
+    role: actor.role,
+    cancelledAt: new Date(),
+  };
+
+  await transitionOrder(order, 'cancelled', {
+    actor,
+    notes: `${order.cancellationReason}${quote.fee > 0 ? ` (cancellation fee ¢${quote.fee.toFixed(2)})` : ''}`,
+  });
+
+  const { refundStatus, refundError } = await settlePayment(order, payment, quote, actor);
+  const pointsRestored = await restoreConsumedPoints(order);
+
+  const outcome = {
+    'cancellation.refundStatus': refundStatus,
+    'cancellation.pointsRestored': pointsRestored,
+    ...(refundError && { 'cancellation.refundError': refundError.slice(0, 200) }),
+  };
+  await Order.updateOne({ _id: order._id }, { $set: outcome });
+  order.set(outcome);
+
+  return { order, cancellation: { ...quote, refundStatus, refundError, pointsRestored } };
+};
+
+module.exports = {
+  getCancellationStage,
+  quoteCancellation,
+  getCancellationQuote,
+  cancelOrder,
+};
@@ -0,0 +1,538 @@
+// Claim Service
+// Damage, loss and dispute claims: customer submission with photo evidence, the provider's
+// response, the admin decision and the compensation that settles an approved claim.
+const mongoose = require('mongoose');
+const Claim = require('../models/Claim');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const OrderTracking = require('../models/OrderTracking');
+const { CLAIMS_CONFIG } = require('../config/claims');
+const { DISPATCH_CONFIG } = require('../config/dispatch');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { refundPayment } = require('./refundService');
+const { creditPoints, LOYALTY_CONFIG } = require('./loyaltyService');
+const { sendClaimUpdateEmail } = require('./emailService');
+const { ROLES, STATUS_TO_TRACKING, assignProvider } = require('./orderLifecycle');
+const { getStatusDeadline } = require('./priorityService');
+const { dispatchOrder } = require('./dispatchService');
+
+const OPEN_STATUSES = ['submitted', 'provider_responded'];
+const CLAIM_TYPES = ['damage', 'loss', 'dispute'];
+const COMPENSATION_TYPES = ['refund', 'credit', 'redo'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const findGarment = (order, itemId) => {
+  for (const item of order.items) {
+    const garment = (item.clothingItems || []).find(ci => ci.itemId === itemId);
+    if (garment) return { item, garment };
+  }
+  return null;
+};
+
+// When the order was completed, or null if it hasn't been
+const completedAt = (order) => {
+  const entry = [...(order.statusHistory || [])].reverse().find(change => change.status === 'completed');
+  return entry?.changedAt || order.actualDeliveryDate || null;
+};
+
+const parseEvidence = (evidence, actor, existingCount = 0) => {
+  if (evidence === undefined || evidence === null) return [];
+  if (!Array.isArray(evidence)) throw new ValidationError('evidence must be a list');
+  if (existingCount + evidence.length > CLAIMS_CONFIG.maxEvidence) {
+    throw new ValidationError(`A claim can have at most ${CLAIMS_CONFIG.maxEvidence} photos`);
+  }
+
+  return evidence.map((entry, index) => {
+    const url = String((typeof entry === 'string' ? entry : entry?.url) || '').trim();
+    if (!/^(https?:\/\/|\/uploads\/|\/api\/photos\/)/.test(url)) {
+      throw new ValidationError(`Evidence ${index + 1} must be an uploaded photo or an http(s) link`);
+    }
+    return {
+      url,
+      caption: entry?.caption ? String(entry.caption).slice(0, 200) : undefined,
+      uploadedBy: actor.id,
+      role: actor.role,
+      uploadedAt: new Date(),
+    };
+  });
+};
+
+const historyEntry = (status, actor, notes = '') => ({
+  status,
+  changedBy: actor.id || null,
+  role: actor.role,
+  changedAt: new Date(),
+  notes: String(notes || '').slice(0, 500),
+});
+
+// Email the people on a claim. Failures are logged, never thrown.
+const notifyClaim = async (claim, recipients, event, details = '') => {
+  const order = await Order.findById(claim.order).select('_id');
+  const orderNumber = order ? order.orderNumber : '';
+
+  for (const [userId, userEvent] of recipients) {
+    if (!userId) continue;
+    try {
+      const user = await User.findById(userId).select('firstName lastName email');
+      if (!user) continue;
+      await sendClaimUpdateEmail(user.email, `${user.firstName} ${user.lastName}`, claim.claimNumber, orderNumber, userEvent || event, details);
+    } catch (emailError) {
+      console.error('⚠️ Failed to send claim email:', emailError);
+    }
+  }
+};
+
+const assertCanView = (claim, actor) => {
+  if (actor.role === ROLES.ADMIN) return;
+  if (actor.role === ROLES.CUSTOMER && toId(claim.customer) === toId(actor.id)) return;
+  if (actor.role === ROLES.PROVIDER && toId(claim.serviceProvider) === toId(actor.id)) return;
+  throw new AuthorizationError('Access denied');
+};
+
+const loadClaim = async (claimId, actor) => {
+  if (!mongoose.Types.ObjectId.isValid(claimId)) throw new NotFoundError('Claim not found');
+  const claim = await Claim.findById(claimId);
+  if (!claim) throw new NotFoundError('Claim not found');
+  assertCanView(claim, actor);
+  return claim;
+};
+
+// Customer opens a claim on one of their orders, optionally about a single garment
+const submitClaim = async (actor, { orderId, itemId, type, description, requestedAmount, evidence }) => {
+  if (actor.role !== ROLES.CUSTOMER) {
+    throw new AuthorizationError('Only customers can submit claims');
+  }
+  if (!CLAIM_TYPES.includes(type)) {
+    throw new ValidationError(`type must be one of ${CLAIM_TYPES.join(', ')}`);
+  }
+  if (!String(description || '').trim()) {
+    throw new ValidationError('Describe what went wrong');
+  }
+
+  const order = mongoose.Types.ObjectId.isValid(orderId) ? await Order.findById(orderId) : null;
+  if (!order) throw new NotFoundError('Order not found');
+  if (toId(order.customer) !== toId(actor.id)) {
+    throw new AuthorizationError('You can only claim on your own orders');
+  }
+  if (!CLAIMS_CONFIG.claimableStatuses.includes(order.status)) {
+    throw new ValidationError(`Claims can't be raised on a ${order.status} order`);
+  }
+  const completed = order.status === 'completed' ? completedAt(order) : null;
+  if (completed && Date.now() - new Date(completed).getTime() > CLAIMS_CONFIG.windowDays * DAY_MS) {
+    throw new ValidationError(`Claims must be raised within ${CLAIMS_CONFIG.windowDays} days of delivery`);
+  }
+
+  const code = itemId ? String(itemId).trim().toUpperCase() : null;
+  if (code && !findGarment(order, code)) {
+    throw new ValidationError(`Garment ${code} is not on this order`);
+  }
+
+  const duplicate = await Claim.exists({ order: order._id, itemId: code || { $exists: false }, status: { $in: OPEN_STATUSES } });
+  if (duplicate) {
+    throw new ValidationError(`There is already an open claim for this ${code ? 'garment' : 'order'}`);
+  }
+
+  let amount;
+  if (requestedAmount !== undefined && requestedAmount !== null && requestedAmount !== '') {
+    amount = roundAmount(parseFloat(requestedAmount));
+    if (!(amount >= 0)) throw new ValidationError('requestedAmount must be a positive amount');
+  }
+
+  const claim = await Claim.create({
+    order: order._id,
+    customer: order.customer,
+    serviceProvider: order.serviceProvider || undefined,
+    itemId: code || undefined,
+    type,
+    description: String(description).trim(),
+    requestedAmount: amount,
+    evidence: parseEvidence(evidence, actor),
+    status: 'submitted',
+    statusHistory: [historyEntry('submitted', actor, `${type} claim submitted`)],
+  });
+
+  await notifyClaim(claim, [[claim.customer, 'received'], [claim.serviceProvider, 'submitted']]);
+  return claim;
+};
+
+// Add photos to an open claim (customer, provider on the claim, or admin)
+const addEvidence = async (claimId, actor, evidence) => {
+  const claim = await loadClaim(claimId, actor);
+  if (!OPEN_STATUSES.includes(claim.status)) {
+    throw new ValidationError(`Evidence can't be added to a ${claim.status} claim`);
+  }
+
+  const entries = parseEvidence(evidence, actor, claim.evidence.length);
+  if (entries.length === 0) throw new ValidationError('At least one photo is required');
+
+  claim.evidence.push(...entries);
+  await claim.save();
+  return claim;
+};
+
+// Provider accepts or disputes the claim, with an explanation and optional photos
+const respondToClaim = async (claimId, actor, { position, message, evidence }) => {
+  const claim = await loadClaim(claimId, actor);
+  if (actor.role !== ROLES.PROVIDER) {
+    throw new AuthorizationError('Only the service provider on the order can respond to a claim');
+  }
+  if (!['accepts', 'disputes'].includes(position)) {
+    throw new ValidationError('position must be accepts or disputes');
+  }
+  if (!String(message || '').trim()) {
+    throw new ValidationError('A response message is required');
+  }
+  const entries = parseEvidence(evidence, actor, claim.evidence.length);
+
+  const updated = await Claim.findOneAndUpdate(
+    { _id: claim._id, status: 'submitted' },
+    {
+      $set: {
+        status: 'provider_responded',
+        providerResponse: {
+          position,
+          message: String(message).trim(),
+          respondedBy: actor.id,
+          respondedAt: new Date(),
+        },
+      },
+      $push: {
+        evidence: { $each: entries },
+        statusHistory: historyEntry('provider_responded', actor, `Provider ${position} the claim`),
+      },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new ValidationError(`This claim is ${claim.status} and can no longer be responded to`);
+  }
+
+  await notifyClaim(updated, [[updated.customer]], 'provider_responded');
+  return updated;
+};
+
+// A free re-clean of the claimed garment (or the whole order) with the same provider, not yet saved
+const buildRedoOrder = (order, claim, actor, { pickupDate } = {}) => {
+  const claimed = claim.itemId ? findGarment(order, claim.itemId) : null;
+  const sourceItems = claimed ? [claimed.item] : order.items;
+
+  const items = sourceItems.map(item => {
+    const garments = claimed ? [claimed.garment] : (item.clothingItems || []);
+    return {
+      service: item.service,
+      serviceName: item.serviceName,
+      quantity: claimed && item.pricingUnit !== 'kg' && item.pricingUnit !== 'load' ? 1 : item.quantity,
+      pricingUnit: item.pricingUnit,
+      unitPrice: 0,
+      totalPrice: 0,
+      specialInstructions: `Redo for claim ${claim.claimNumber}`,
+      clothingItems: garments.map(garment => ({
+        description: garment.description,
+        service: garment.service,
+        serviceName: garment.serviceName,
+        unitPrice: 0,
+        specialInstructions: garment.specialInstructions,
+      })),
+    };
+  });
+
+  const pickup = pickupDate ? new Date(pickupDate) : new Date(Date.now() + CLAIMS_CONFIG.redoPickupLeadHours * HOUR_MS);
+  if (Number.isNaN(pickup.getTime())) throw new ValidationError('pickupDate is not a valid date');
+  const originalTurnaround = new Date(order.deliveryDate) - new Date(order.pickupDate);
+  const turnaround = originalTurnaround > 0 ? originalTurnaround : CLAIMS_CONFIG.redoTurnaroundHours * HOUR_MS;
+
+  // Nothing to pay, so the redo starts confirmed; a provider is assigned through the lifecycle
+  const notes = `Redo for claim ${claim.claimNumber} on order ${order.orderNumber}`;
+  const redoOrder = new Order({
+    customer: order.customer,
+    items,
+    status: 'confirmed',
+    statusHistory: [historyEntry('confirmed', actor, notes)],
+    subtotal: 0,
+    totalAmount: 0,
+    pickupAddress: order.pickupAddress,
+    deliveryAddress: order.deliveryAddress,
+    pickupDate: pickup,
+    deliveryDate: new Date(pickup.getTime() + turnaround),
+    redoOf: order._id,
+    notes: { customer: '', serviceProvider: notes, admin: notes },
+  });
+  redoOrder.statusDeadline = getStatusDeadline(redoOrder, 'confirmed');
+  // The garments go round again under the redo's own codes, so they are tagged afresh
+  redoOrder.assignItemIds();
+  return redoOrder;
+};
+
+const createRedoOrder = async (order, claim, actor, options = {}) => {
+  const redoOrder = buildRedoOrder(order, claim, actor, options);
+  await redoOrder.save();
+
+  // Nothing to pay, so the payment is settled up front and never holds the redo back
+  const original = await Payment.findOne({ order: order._id }).select('paymentMethod');
+  const payment = await Payment.create({
+    order: redoOrder._id,
+    customer: order.customer,
+    serviceProvider: order.serviceProvider || undefined,
+    amount: 0,
+    paymentMethod: original?.paymentMethod || 'cash',
+    status: 'completed',
+    statusHistory: [{ status: 'completed', changedBy: actor.id, changedAt: new Date(), notes: redoOrder.notes.admin }],
+  });
+  redoOrder.payment = payment._id;
+  await redoOrder.save();
+
+  try {
+    const tracking = new OrderTracking({ order: redoOrder._id });
+    await tracking.updateLocation(STATUS_TO_TRACKING.confirmed, redoOrder.notes.admin, actor.id || null);
+  } catch (trackingError) {
+    console.error('⚠️ Failed to create redo order tracking:', trackingError);
+  }
+
+  // The original provider redoes the work if they are free to; assignProvider checks their
+  // availability and capacity. Otherwise the redo is dispatched like any new order.
+  if (order.serviceProvider) {
+    try {
+      await assignProvider(redoOrder, order.serviceProvider, { actor, notes: redoOrder.notes.admin });
+      return redoOrder;
+    } catch (assignError) {
+      console.warn(`Redo ${redoOrder.orderNumber} could not go back to the original provider: ${assignError.message}`);
+    }
+  }
+
+  if (DISPATCH_CONFIG.enabled) {
+    dispatchOrder(redoOrder._id).catch(dispatchError => {
+      console.error('⚠️ Failed to dispatch redo order:', dispatchError);
+    });
+  }
+
+  return redoOrder;
+};
+
+// Carry out the compensation on an approved claim
+const applyCompensation = async (claim, order, actor, { type, amount, pickupDate }) => {
+  const reason = `Claim ${claim.claimNumber} (${claim.type})`;
+
+  if (type === 'refund') {
+    const payment = await Payment.findOne({ order: order._id });
+    if (!payment) throw new ValidationError('This order has no payment to refund');
+    const { refund } = await refundPayment(payment._id, { amount, reason, initiatedBy: actor.id });
+    return { type, amount: refund.amount, refundId: refund._id };
+  }
+
+  if (type === 'credit') {
+    const points = Math.round(amount / LOYALTY_CONFIG.redemptionValue);
+    await creditPoints(claim.customer, points, `Compensation for ${reason}`, order._id);
+    return { type, amount, points };
+  }
+
+  const redoOrder = await createRedoOrder(order, claim, actor, { pickupDate });
+  return { type, redoOrder: redoOrder._id };
+};
+
+// Admin approves (with compensation) or rejects an open claim
+const decideClaim = async (claimId, actor, { decision, notes, compensation = {} }) => {
+  if (actor.role !== ROLES.ADMIN) {
+    throw new AuthorizationError('Only admins can decide claims');
+  }
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new ValidationError('decision must be approve or reject');
+  }
+
+  const claim = await loadClaim(claimId, actor);
+  const status = decision === 'approve' ? 'approved' : 'rejected';
+
+  let amount;
+  if (status === 'approved') {
+    if (!COMPENSATION_TYPES.includes(compensation.type)) {
+      throw new ValidationError(`compensation.type must be one of ${COMPENSATION_TYPES.join(', ')}`);
+    }
+    if (compensation.type !== 'redo') {
+      amount = roundAmount(parseFloat(compensation.amount ?? claim.requestedAmount));
+      if (!(amount > 0)) throw new ValidationError('A compensation amount is required');
+    }
+  }
+
+  const order = await Order.findById(claim.order);
+  if (!order) throw new NotFoundError('Order not found');
+
+  // Take the claim out of the open states first so it can only be settled once
+  const previousStatus = claim.status;
+  const decided = await Claim.findOneAndUpdate(
+    { _id: claim._id, status: { $in: OPEN_STATUSES } },
+    {
+      $set: {
+        status,
+        decision: { notes: String(notes || '').trim(), decidedBy: actor.id, decidedAt: new Date() },
+      },
+      $push: { statusHistory: historyEntry(status, actor, notes) },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!decided) {
+    throw new ValidationError(`This claim is already ${claim.status}`);
+  }
+
+  let details = '';
+  if (status === 'approved') {
+    try {
+      const outcome = await applyCompensation(decided, order, actor, { ...compensation, amount });
+      decided.compensation = { ...outcome, appliedAt: new Date() };
+      await decided.save();
+    } catch (compensationError) {
+      await Claim.updateOne(
+        { _id: decided._id },
+        { $set: { status: previousStatus }, $unset: { decision: 1 }, $pop: { statusHistory: 1 } }
+      );
+      throw compensationError;
+    }
+
+    const outcome = decided.compensation;
+    details = {
+      refund: `A refund of ¢${(outcome.amount || 0).toFixed(2)} has been issued to your original payment method.`,
+      credit: `${outcome.points} loyalty points (worth ¢${(outcome.amount || 0).toFixed(2)}) have been added to your account.`,
+      redo: 'We will collect the item(s) again and re-clean them free of charge.',
+    }[outcome.type];
+  }
+
+  await notifyClaim(decided, [[decided.customer], [decided.serviceProvider]], status, details);
+  return decided;
+};
+
+// Customer withdraws their own open claim
+const withdrawClaim = async (claimId, actor, reason = '') => {
+  const claim = await loadClaim(claimId, actor);
+  if (actor.role !== ROLES.CUSTOMER) {
+    throw new AuthorizationError('Only the customer can withdraw a claim');
+  }
+
+  const updated = await Claim.findOneAndUpdate(
+    { _id: claim._id, status: { $in: OPEN_STATUSES } },
+    { $set: { status: 'withdrawn' }, $push: { statusHistory: historyEntry('withdrawn', actor, reason) } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ValidationError(`This claim is already ${claim.status}`);
+  }
+
+  await notifyClaim(updated, [[updated.serviceProvider]], 'withdrawn');
+  return updated;
+};
+
+// Claims the actor can see, newest first
+const listClaims = async (actor, { status, type, orderId, providerId, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (actor.role === ROLES.CUSTOMER) filter.customer = actor.id;
+  else if (actor.role === ROLES.PROVIDER) filter.serviceProvider = actor.id;
+  else if (providerId) filter.serviceProvider = providerId;
+
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+  if (orderId) filter.order = orderId;
+
+  return Claim.paginate(filter, {
+    page: parseInt(page),
+    limit: Math.min(parseInt(limit) || 20, 100),
+    sort: { createdAt: -1 },
+    populate: [
+      { path: 'customer', select: 'firstName lastName email' },
+      { path: 'serviceProvider', select: 'firstName lastName businessDetails.businessName' },
+    ],
+  });
+};
+
+const getClaim = async (claimId, actor) => {
+  const claim = await loadClaim(claimId, actor);
+  await claim.populate([
+    { path: 'customer', select: 'firstName lastName email phoneNumber' },
+    { path: 'serviceProvider', select: 'firstName lastName businessDetails.businessName' },
+    {
+      path: 'order',
+      select: 'status totalAmount items pickupDate deliveryDate actualDeliveryDate proofOfDelivery',
+      // How the delivery was confirmed, for disputes about whether it arrived
+      populate: [
+        { path: 'proofOfDelivery.signature' },
+        { path: 'proofOfDelivery.photos' },
+        { path: 'proofOfDelivery.capturedBy', select: 'firstName lastName' },
+      ],
+    },
+  ]);
+  return claim;
+};
+
+// Per-provider claim counts against the orders they completed in the period
+const getProviderClaimRates = async ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 90 * DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new ValidationError('from and to must be valid dates');
+  }
+  const period = { $gte: start, $lte: end };
+
+  const [claimRows, orderRows] = await Promise.all([
+    Claim.aggregate([
+      { $match: { serviceProvider: { $ne: null }, createdAt: period } },
+      {
+        $group: {
+          _id: '$serviceProvider',
+          claims: { $sum: 1 },
+          damage: { $sum: { $cond: [{ $eq: ['$type', 'damage'] }, 1, 0] } },
+          loss: { $sum: { $cond: [{ $eq: ['$type', 'loss'] }, 1, 0] } },
+          dispute: { $sum: { $cond: [{ $eq: ['$type', 'dispute'] }, 1, 0] } },
+          open: { $sum: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, 1, 0] } },
+          approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
+          rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+          compensationPaid: { $sum: { $ifNull: ['$compensation.amount', 0] } },
+        },
+      },
+    ]),
+    Order.aggregate([
+      { $match: { serviceProvider: { $ne: null }, status: 'completed', updatedAt: period, redoOf: { $exists: false } } },
+      { $group: { _id: '$serviceProvider', completedOrders: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const completedByProvider = new Map(orderRows.map(row => [row._id.toString(), row.completedOrders]));
+  const providers = await User.find({ _id: { $in: claimRows.map(row => row._id) } })
+    .select('firstName lastName businessDetails.businessName');
+  const names = new Map(providers.map(p => [p._id.toString(), p.businessDetails?.businessName || `${p.firstName} ${p.lastName}`]));
+
+  const rows = claimRows.map(row => {
+    const completedOrders = completedByProvider.get(row._id.toString()) || 0;
+    return {
+      providerId: row._id,
+      providerName: names.get(row._id.toString()) || 'Unknown provider',
+      completedOrders,
+      claims: row.claims,
+      byType: { damage: row.damage, loss: row.loss, dispute: row.dispute },
+      open: row.open,
+      approved: row.approved,
+      rejected: row.rejected,
+      // Claims per 100 completed orders
+      claimRate: completedOrders ? roundAmount((row.claims / completedOrders) * 100) : null,
+      approvedRate: completedOrders ? roundAmount((row.approved / completedOrders) * 100) : null,
+      compensationPaid: roundAmount(row.compensationPaid),
+    };
+  });
+  rows.sort((a, b) => (b.claimRate ?? Infinity) - (a.claimRate ?? Infinity) || b.claims - a.claims);
+
+  return { from: start, to: end, providers: rows };
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  submitClaim,
+  addEvidence,
+  respondToClaim,
+  decideClaim,
+  withdrawClaim,
+  buildRedoOrder,
+  createRedoOrder,
+  listClaims,
+  getClaim,
+  getProviderClaimRates,
+};
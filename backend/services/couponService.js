@@ -0,0 +1,144 @@
+// Coupon Service
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const roundAmount = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Subtotal of the lines a coupon is allowed to discount
+const getEligibleSubtotal = (coupon, pricedItems) => {
+  const hasServiceRule = coupon.applicableServices && coupon.applicableServices.length > 0;
+  const hasCategoryRule = coupon.applicableCategories && coupon.applicableCategories.length > 0;
+
+  return pricedItems
+    .filter(item => {
+      if (!hasServiceRule && !hasCategoryRule) return true;
+      if (hasServiceRule && coupon.applicableServices.includes(item.service)) return true;
+      if (hasCategoryRule && coupon.applicableCategories.includes(item.category)) return true;
+      return false;
+    })
+    .reduce((sum, item) => sum + item.totalPrice, 0);
+};
+
+// Validate a code for a customer's basket and work out the discount
+const evaluateCoupon = async (code, { customerId, pricedItems, subtotal }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw new ValidationError('Invalid coupon code');
+  }
+
+  if (!coupon.isWithinValidity()) {
+    throw new ValidationError('This coupon is not valid at this time');
+  }
+
+  if (coupon.usageLimit !== null && coupon.usageCount >= coupon.usageLimit) {
+    throw new ValidationError('This coupon has reached its usage limit');
+  }
+
+  if (customerId && await coupon.getCustomerUsage(customerId) >= coupon.perCustomerLimit) {
+    throw new ValidationError('You have already used this coupon');
+  }
+
+  if (coupon.firstOrderOnly && customerId) {
+    const previousOrders = await Order.countDocuments({ customer: customerId, status: { $ne: 'cancelled' } });
+    if (previousOrders > 0) {
+      throw new ValidationError('This coupon is only valid on your first order');
+    }
+  }
+
+  if (subtotal < coupon.minOrderAmount) {
+    throw new ValidationError(`A minimum order of ¢${coupon.minOrderAmount.toFixed(2)} is required for this coupon`);
+  }
+
+  const eligibleSubtotal = getEligibleSubtotal(coupon, pricedItems);
+  if (eligibleSubtotal <= 0) {
+    throw new ValidationError('This coupon does not apply to the selected services');
+  }
+
+  let discount = coupon.discountType === 'percentage'
+    ? eligibleSubtotal * (coupon.discountValue / 100)
+    : coupon.discountValue;
+
+  if (coupon.discountType === 'percentage' && coupon.maxDiscountAmount !== null) {
+    discount = Math.min(discount, coupon.maxDiscountAmount);
+  }
+
+  return {
+    coupon,
+    eligibleSubtotal: roundAmount(eligibleSubtotal),
+    discount: roundAmount(Math.min(discount, eligibleSubtotal))
+  };
+};
+
+// Record a redemption. The validity window and the global cap are part of the counter's update
+// filter, and the customer's own cap is checked once their redemption is in, so parallel
+// checkouts cannot redeem past either; a redemption that went over is backed out.
+const redeemCoupon = async (couponId, { customerId, orderId, discountAmount }) => {
+  const now = new Date();
+
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      isActive: true,
+      $and: [
+        { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+        { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] },
+        { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }] }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+
+  if (!coupon) {
+    throw new ValidationError('This coupon is no longer available');
+  }
+
+  const releaseUse = () => Coupon.updateOne({ _id: coupon._id }, { $inc: { usageCount: -1 } });
+
+  let redemption;
+  try {
+    redemption = await CouponRedemption.create({
+      coupon: coupon._id,
+      customer: customerId,
+      order: orderId,
+      discountAmount,
+      status: 'applied',
+      redeemedAt: now
+    });
+  } catch (error) {
+    await releaseUse();
+    if (error.code === 11000) {
+      throw new ValidationError('This coupon has already been applied to the order');
+    }
+    throw error;
+  }
+
+  if (await coupon.getCustomerUsage(customerId) > coupon.perCustomerLimit) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    await releaseUse();
+    throw new ValidationError('You have already used this coupon');
+  }
+
+  return coupon;
+};
+
+// Give a redemption back, e.g. when the order is cancelled
+const reverseRedemption = async (orderId) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: orderId, status: 'applied' },
+    { $set: { status: 'reversed', reversedAt: new Date() } },
+    { new: true }
+  );
+  if (!redemption) return null;
+
+  return Coupon.findByIdAndUpdate(redemption.coupon, { $inc: { usageCount: -1 } }, { new: true });
+};
+
+module.exports = {
+  evaluateCoupon,
+  redeemCoupon,
+  reverseRedemption
+};
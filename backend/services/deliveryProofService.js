@@ -0,0 +1,258 @@
+// Delivery Proof Service
+// Proof that an order reached the customer: a one-time code emailed to them that the driver enters,
+// or the recipient's signature or a doorstep photo. A delivery cannot be completed without it
+// unless an admin overrides (see the completed guard in orderLifecycle).
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const OrderPhoto = require('../models/OrderPhoto');
+const OrderTracking = require('../models/OrderTracking');
+const User = require('../models/User');
+const { DELIVERY_PROOF_CONFIG } = require('../config/deliveryProof');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { ROLES, transitionOrder } = require('./orderLifecycle');
+const { sendDeliveryCodeEmail } = require('./emailService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Codes are bound to the order so a hash cannot be replayed on another one
+const hashCode = (orderId, code) => crypto.createHash('sha256').update(`${orderId}:${code}`).digest('hex');
+
+const generateCode = () => crypto.randomInt(0, 10 ** DELIVERY_PROOF_CONFIG.codeLength)
+  .toString()
+  .padStart(DELIVERY_PROOF_CONFIG.codeLength, '0');
+
+const isParticipant = (order, actor) => actor.role === ROLES.ADMIN
+  || actor.role === ROLES.SYSTEM
+  || (actor.role === ROLES.PROVIDER && toId(order.serviceProvider) === toId(actor.id))
+  || (actor.role === ROLES.CUSTOMER && toId(order.customer) === toId(actor.id));
+
+const loadOrder = async (orderId, actor) => {
+  const order = mongoose.Types.ObjectId.isValid(orderId) ? await Order.findById(orderId) : null;
+  if (!order) throw new NotFoundError('Order not found');
+  if (!isParticipant(order, actor)) throw new AuthorizationError('Access denied');
+  return order;
+};
+
+const assertAwaitingProof = (order) => {
+  if (order.proofOfDelivery?.capturedAt) {
+    throw new ValidationError('Proof of delivery has already been recorded for this order');
+  }
+  if (order.status !== 'ready_for_delivery') {
+    throw new ValidationError(`Proof of delivery can't be recorded on a ${order.status} order`);
+  }
+};
+
+// Email the customer a fresh delivery code. Sent automatically when the order is ready for
+// delivery; the customer, driver or an admin can ask for it again.
+const sendDeliveryCode = async (orderId, actor) => {
+  const order = await loadOrder(orderId, actor);
+  assertAwaitingProof(order);
+
+  const now = new Date();
+  const { sentAt } = order.deliveryCode || {};
+  if (sentAt && now - sentAt < DELIVERY_PROOF_CONFIG.resendAfterSeconds * 1000) {
+    throw new ValidationError(`A code was sent moments ago; wait ${DELIVERY_PROOF_CONFIG.resendAfterSeconds} seconds before asking for another`);
+  }
+
+  const customer = await User.findById(order.customer).select('firstName lastName email');
+  if (!customer) throw new NotFoundError('Customer not found');
+
+  const code = generateCode();
+  const deliveryCode = {
+    codeHash: hashCode(order._id, code),
+    sentAt: now,
+    expiresAt: new Date(now.getTime() + DELIVERY_PROOF_CONFIG.codeExpiryHours * HOUR_MS),
+    attempts: 0,
+  };
+  await Order.updateOne({ _id: order._id }, { $set: { deliveryCode } });
+
+  await sendDeliveryCodeEmail(
+    customer.email,
+    `${customer.firstName} ${customer.lastName}`,
+    order.orderNumber,
+    code,
+    DELIVERY_PROOF_CONFIG.codeExpiryHours
+  );
+
+  return { sentAt: deliveryCode.sentAt, expiresAt: deliveryCode.expiresAt };
+};
+
+// Check a code the driver entered. Every attempt is counted before comparing so parallel
+// guesses cannot get past the limit.
+const verifyCode = async (order, code) => {
+  const entered = String(code || '').trim();
+  if (!/^\d+$/.test(entered)) throw new ValidationError('Enter the delivery code the customer received');
+
+  const now = new Date();
+  const counted = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      'deliveryCode.expiresAt': { $gt: now },
+      'deliveryCode.attempts': { $lt: DELIVERY_PROOF_CONFIG.maxCodeAttempts },
+    },
+    { $inc: { 'deliveryCode.attempts': 1 } },
+    { new: true }
+  ).select('+deliveryCode.codeHash');
+
+  if (!counted?.deliveryCode?.codeHash) {
+    if (!order.deliveryCode?.expiresAt) throw new ValidationError('No delivery code has been sent for this order');
+    if (order.deliveryCode.expiresAt <= now) throw new ValidationError('The delivery code has expired; send the customer a new one');
+    throw new ValidationError('Too many incorrect codes; send the customer a new one');
+  }
+
+  const expected = Buffer.from(counted.deliveryCode.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(order._id, entered), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const remaining = DELIVERY_PROOF_CONFIG.maxCodeAttempts - counted.deliveryCode.attempts;
+    throw new ValidationError(remaining > 0
+      ? `Incorrect delivery code; ${remaining} attempt(s) left`
+      : 'Incorrect delivery code; send the customer a new one');
+  }
+};
+
+// Photos must already be uploaded against this order at the given stage
+const loadProofPhotos = async (order, ids, stage) => {
+  const photoIds = [...new Set((Array.isArray(ids) ? ids : [ids]).filter(Boolean).map(String))];
+  if (photoIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new ValidationError('Invalid photo id');
+  }
+
+  const photos = await OrderPhoto.find({ _id: { $in: photoIds }, order: order._id, stage }).select('_id');
+  if (photos.length !== photoIds.length) {
+    throw new ValidationError(`Upload the ${stage} photo(s) for this order before recording proof of delivery`);
+  }
+  return photos.map(photo => photo._id);
+};
+
+const parseLocation = ({ latitude, longitude }) => {
+  if (latitude === undefined && longitude === undefined) return undefined;
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+    throw new ValidationError('latitude and longitude must be valid coordinates');
+  }
+  return { latitude: lat, longitude: lng };
+};
+
+// Copy the proof onto the order's tracking record
+const recordOnTracking = async (order) => {
+  const proof = order.proofOfDelivery.toObject();
+  await OrderTracking.findOneAndUpdate(
+    { order: order._id },
+    {
+      $set: {
+        proofOfDelivery: {
+          method: proof.method,
+          recipientName: proof.recipientName,
+          signature: proof.signature,
+          photos: proof.photos,
+          overrideReason: proof.overrideReason,
+          capturedBy: proof.capturedBy,
+          capturedAt: proof.capturedAt,
+        },
+        actualDelivery: proof.capturedAt,
+      },
+    },
+    { upsert: true }
+  );
+};
+
+// Record proof of delivery (assigned provider or admin) and, unless complete is false, complete
+// the order. The proof is kept when completion is blocked (e.g. payment still due) so the order
+// can be completed later without collecting it again.
+// input: { method, code?, signaturePhotoId?, photoIds?, recipientName?, notes?, latitude?, longitude?, complete? }
+const recordProofOfDelivery = async (orderId, actor, input = {}) => {
+  const order = await loadOrder(orderId, actor);
+  if (![ROLES.ADMIN, ROLES.PROVIDER].includes(actor.role)) {
+    throw new AuthorizationError('Only the assigned service provider or an admin can record proof of delivery');
+  }
+  assertAwaitingProof(order);
+
+  const { method } = input;
+  if (!DELIVERY_PROOF_CONFIG.methods.includes(method)) {
+    throw new ValidationError(`method must be one of ${DELIVERY_PROOF_CONFIG.methods.join(', ')}`);
+  }
+  const recipientName = String(input.recipientName || '').trim();
+
+  const proof = {
+    method,
+    recipientName: recipientName || undefined,
+    photos: await loadProofPhotos(order, input.photoIds, 'delivery'),
+    location: parseLocation(input),
+    notes: input.notes ? String(input.notes).slice(0, 500) : undefined,
+    capturedBy: actor.id,
+    role: actor.role,
+    capturedAt: new Date(),
+  };
+
+  if (method === 'otp') {
+    await verifyCode(order, input.code);
+  } else if (method === 'signature') {
+    if (!input.signaturePhotoId) throw new ValidationError('signaturePhotoId is required');
+    if (!recipientName) throw new ValidationError('Enter the name of the person who signed');
+    [proof.signature] = await loadProofPhotos(order, [input.signaturePhotoId], 'signature');
+  } else if (proof.photos.length === 0) {
+    throw new ValidationError('At least one delivery photo is required');
+  }
+
+  // Only the first proof counts if two are submitted at once
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'ready_for_delivery', 'proofOfDelivery.capturedAt': { $exists: false } },
+    { $set: { proofOfDelivery: proof }, $unset: { 'deliveryCode.codeHash': '' } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ValidationError('The order changed while proof of delivery was being recorded; reload it and try again');
+  }
+
+  try {
+    await recordOnTracking(updated);
+  } catch (trackingError) {
+    console.error('⚠️ Failed to record proof of delivery on tracking:', trackingError);
+  }
+
+  if (input.complete === false || input.complete === 'false') {
+    return { order: updated, completed: false };
+  }
+
+  try {
+    await transitionOrder(updated, 'completed', {
+      actor,
+      notes: `Delivered${recipientName ? ` to ${recipientName}` : ''} (proof: ${method})`,
+    });
+    return { order: updated, completed: true };
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return { order: updated, completed: false, completionError: error.message };
+  }
+};
+
+// The proof with its photos and who captured it, for the order page and for disputes
+const getProofOfDelivery = async (orderId, actor) => {
+  const order = await loadOrder(orderId, actor);
+  await order.populate([
+    { path: 'proofOfDelivery.signature' },
+    { path: 'proofOfDelivery.photos' },
+    { path: 'proofOfDelivery.capturedBy', select: 'firstName lastName' },
+  ]);
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    proofOfDelivery: order.proofOfDelivery?.capturedAt ? order.proofOfDelivery : null,
+    deliveryCode: order.deliveryCode?.sentAt
+      ? { sentAt: order.deliveryCode.sentAt, expiresAt: order.deliveryCode.expiresAt }
+      : null,
+  };
+};
+
+module.exports = {
+  sendDeliveryCode,
+  recordProofOfDelivery,
+  getProofOfDelivery,
+  recordOnTracking,
+};
@@ -0,0 +1,351 @@
+// Dispatch Service
+// Scores providers for a new order, offers it to the best one with a time limit and
+// cascades down the list on decline or timeout. Orders nobody takes go to an admin queue.
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Review = require('../models/Review');
+const { DISPATCH_CONFIG } = require('../config/dispatch');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { resolveService } = require('./pricingService');
+const { assignProvider, releaseProvider, ROLES, SYSTEM_ACTOR } = require('./orderLifecycle');
+const { sendDispatchOfferEmail } = require('./emailService');
+const {
+  hasPublishedHours,
+  getAvailabilityProblem,
+  getOrderWindow,
+  countBookingsOnDay
+} = require('./providerAvailabilityService');
+const { getOrderLoad, getUsage, getCapacityProblem } = require('./providerCapacityService');
+
+const DISPATCHABLE_STATUSES = ['pending', 'confirmed'];
+const HAND_BACK_ACTIONS = ['declined', 'released', 'auto_released'];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Names a provider could have listed for each service on the order
+const getOrderServiceKeys = async (order) => {
+  const keys = [];
+  for (const item of order.items) {
+    const service = await resolveService(item.service);
+    keys.push([item.service, item.serviceName, service?.name, service?.category].filter(Boolean).map(normalize));
+  }
+  return keys;
+};
+
+// Why a provider can't take the order, or null if they can
+const getIneligibility = (provider, { city, serviceKeys }) => {
+  const areas = (provider.businessDetails?.serviceAreas || []).map(normalize);
+  if (!city || !areas.includes(city)) {
+    return 'Does not serve the pickup area';
+  }
+
+  const services = (provider.businessDetails?.availableServices || []).map(normalize);
+  if (!serviceKeys.every(keys => keys.some(key => services.includes(key)))) {
+    return 'Does not offer every service on the order';
+  }
+
+  return null;
+};
+
+const averageRatings = async (providerIds) => {
+  const rows = await Review.aggregate([
+    { $match: { serviceProvider: { $in: providerIds }, status: 'approved' } },
+    { $group: { _id: '$serviceProvider', avgRating: { $avg: '$rating' }, totalReviews: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row]));
+};
+
+// Every active provider with a score, best first; ineligible ones carry the reason and no score
+const rankProviders = async (order, { exclude = [] } = {}) => {
+  const excluded = new Set(exclude.map(toId));
+  const providers = (await User.find({ role: ROLES.PROVIDER, status: 'active' })
+    .select('firstName lastName email businessDetails'))
+    .filter(provider => !excluded.has(provider._id.toString()));
+
+  const context = {
+    city: normalize(order.pickupAddress?.city),
+    serviceKeys: await getOrderServiceKeys(order),
+  };
+  const window = getOrderWindow(order);
+
+  const providerIds = providers.map(provider => provider._id);
+  const [usage, ratings, bookings] = await Promise.all([
+    getUsage(providerIds, window.date, { excludeOrderId: order._id }),
+    averageRatings(providerIds),
+    countBookingsOnDay(providerIds, window.date, { excludeOrderId: order._id }),
+  ]);
+  const load = getOrderLoad(order);
+  const { weights } = DISPATCH_CONFIG;
+
+  const ranked = providers.map(provider => {
+    const id = provider._id.toString();
+    const openOrders = usage.get(id).concurrentOrders;
+    const rating = ratings.get(id);
+    const averageRating = rating ? Math.round(rating.avgRating * 10) / 10 : null;
+    const base = {
+      provider: { id, name: `${provider.firstName} ${provider.lastName}`, businessName: provider.businessDetails?.businessName || null },
+      openOrders,
+      averageRating,
+      totalReviews: rating?.totalReviews || 0,
+    };
+
+    const reason = getIneligibility(provider, context)
+      || getAvailabilityProblem(provider, window, bookings.get(id) || 0)
+      || getCapacityProblem(provider, usage.get(id), load);
+    if (reason) return { ...base, eligible: false, reason, score: null };
+
+    // Providers with published hours are a surer bet than ones who haven't said when they work
+    const hoursScore = hasPublishedHours(provider) ? 1 : 0.5;
+    const ratingScore = (averageRating ?? DISPATCH_CONFIG.defaultRating) / 5;
+    const loadScore = Math.max(0, 1 - openOrders / DISPATCH_CONFIG.loadCeiling);
+    const score = weights.rating * ratingScore + weights.load * loadScore + weights.hours * hoursScore;
+
+    return { ...base, eligible: true, reason: null, score: Math.round(score * 1000) / 1000 };
+  });
+
+  return ranked.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+};
+
+// Offers made since the current dispatch round started
+const getRoundOffers = (order) => {
+  const startedAt = order.dispatch?.roundStartedAt;
+  return (order.dispatch?.offers || []).filter(offer => !startedAt || offer.offeredAt >= startedAt);
+};
+
+const queueOrder = async (orderId, reason) => {
+  await Order.updateOne(
+    { _id: orderId, serviceProvider: null },
+    { $set: { 'dispatch.status': 'queued', 'dispatch.queuedAt': new Date(), 'dispatch.queueReason': reason } }
+  );
+  console.log(`📋 Order ${orderId} moved to the dispatch queue: ${reason}`);
+  return { status: 'queued', reason };
+};
+
+const notifyProvider = async (providerId, order, expiresAt) => {
+  try {
+    const provider = await User.findById(providerId).select('firstName lastName email');
+    if (provider) {
+      await sendDispatchOfferEmail(provider.email, `${provider.firstName} ${provider.lastName}`, order.orderNumber, order.pickupAddress?.city, expiresAt);
+    }
+  } catch (emailError) {
+    console.error('⚠️ Failed to send dispatch offer email:', emailError);
+  }
+};
+
+// Offer the order to the best provider not yet tried in this round, or queue it
+const dispatchOrder = async (orderId, { restart = false } = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order) throw new NotFoundError('Order not found');
+
+  if (!DISPATCHABLE_STATUSES.includes(order.status) || order.serviceProvider) {
+    return { status: 'skipped', reason: `Order is ${order.serviceProvider ? 'already assigned' : order.status}` };
+  }
+  if (order.dispatch?.status === 'offered') {
+    return { status: 'offered', reason: 'An offer is already waiting for a response' };
+  }
+
+  // A new round lets providers who passed earlier be offered the order again
+  if (restart || !order.dispatch?.roundStartedAt) {
+    order.set('dispatch.roundStartedAt', new Date());
+    await Order.updateOne({ _id: order._id }, { $set: { 'dispatch.roundStartedAt': order.dispatch.roundStartedAt } });
+  }
+
+  const roundOffers = getRoundOffers(order);
+  if (roundOffers.length >= DISPATCH_CONFIG.maxOffers) {
+    return queueOrder(order._id, `No provider accepted after ${roundOffers.length} offers`);
+  }
+
+  // Skip providers already tried this round and anyone who has handed the order back
+  const handedBack = (order.assignmentHistory || [])
+    .filter(entry => HAND_BACK_ACTIONS.includes(entry.action))
+    .map(entry => entry.previousProvider);
+  const ranked = await rankProviders(order, { exclude: [...roundOffers.map(offer => offer.provider), ...handedBack] });
+  const best = ranked.find(candidate => candidate.eligible);
+  if (!best) {
+    return queueOrder(order._id, roundOffers.length ? 'No eligible providers left to offer the order to' : 'No eligible providers for this order');
+  }
+
+  const offeredAt = new Date();
+  const expiresAt = new Date(offeredAt.getTime() + DISPATCH_CONFIG.offerTimeoutMinutes * 60 * 1000);
+
+  // Only one live offer per order, even if two dispatch runs overlap
+  const offered = await Order.findOneAndUpdate(
+    { _id: order._id, serviceProvider: null, status: { $in: DISPATCHABLE_STATUSES }, 'dispatch.status': { $ne: 'offered' } },
+    {
+      $set: { 'dispatch.status': 'offered', 'dispatch.queuedAt': null, 'dispatch.queueReason': null },
+      $push: { 'dispatch.offers': { provider: best.provider.id, score: best.score, status: 'offered', offeredAt, expiresAt } },
+    },
+    { new: true }
+  );
+  if (!offered) {
+    return { status: 'skipped', reason: 'Order changed while dispatching' };
+  }
+
+  await notifyProvider(best.provider.id, offered, expiresAt);
+  console.log(`📨 Order ${order._id} offered to provider ${best.provider.id} (score ${best.score}) until ${expiresAt.toISOString()}`);
+
+  return { status: 'offered', provider: best.provider, score: best.score, expiresAt };
+};
+
+// Close the provider's live offer on an order; returns the order or null if there was none
+const closeOffer = (orderId, providerId, status, reason, extraFilter = {}) => Order.findOneAndUpdate(
+  {
+    _id: orderId,
+    'dispatch.status': 'offered',
+    'dispatch.offers': { $elemMatch: { provider: providerId, status: 'offered', ...extraFilter } },
+  },
+  {
+    $set: {
+      'dispatch.status': status === 'accepted' ? 'assigned' : null,
+      'dispatch.offers.$.status': status,
+      'dispatch.offers.$.respondedAt': new Date(),
+      ...(reason && { 'dispatch.offers.$.reason': reason }),
+    },
+  },
+  { new: true }
+);
+
+const acceptOffer = async (orderId, providerId) => {
+  const order = await closeOffer(orderId, providerId, 'accepted', null, { expiresAt: { $gt: new Date() } });
+  if (!order) {
+    throw new ValidationError('You have no open offer for this order, or it has expired');
+  }
+
+  try {
+    await assignProvider(order, providerId, {
+      actor: { id: toId(providerId), role: ROLES.PROVIDER },
+      notes: 'Accepted dispatch offer',
+    });
+  } catch (error) {
+    // The offer was claimed but the order could not be handed over; let an admin sort it out
+    await queueOrder(order._id, `Accepted offer could not be assigned: ${error.message}`);
+    throw error;
+  }
+  return order;
+};
+
+const declineOffer = async (orderId, providerId, reason = '') => {
+  const order = await closeOffer(orderId, providerId, 'declined', reason || 'Declined by provider');
+  if (!order) {
+    throw new ValidationError('You have no open offer for this order');
+  }
+
+  const next = await dispatchOrder(orderId);
+  return { order, next };
+};
+
+// Scheduled job: expire unanswered offers and move each order on to the next candidate
+const expireOffers = async () => {
+  const now = new Date();
+  const orders = await Order.find({
+    'dispatch.status': 'offered',
+    'dispatch.offers': { $elemMatch: { status: 'offered', expiresAt: { $lte: now } } },
+  }).select('dispatch.offers');
+
+  let expired = 0;
+  for (const order of orders) {
+    const offer = order.dispatch.offers.find(o => o.status === 'offered');
+    try {
+      const closed = await closeOffer(order._id, offer.provider, 'expired', 'No response before the offer expired', { expiresAt: { $lte: now } });
+      if (!closed) continue;
+      expired++;
+      await dispatchOrder(order._id);
+    } catch (error) {
+      console.error(`⚠️ Failed to cascade dispatch for order ${order._id}:`, error);
+    }
+  }
+
+  return { expired };
+};
+
+// Hand an assigned order back and look for someone else to take it
+const releaseOrder = async (orderId, { actor, reason, action = 'released' }) => {
+  const order = await Order.findById(orderId);
+  if (!order) throw new NotFoundError('Order not found');
+
+  const { previousProvider } = await releaseProvider(order, { actor, reason, action });
+
+  let next = null;
+  if (DISPATCH_CONFIG.enabled) {
+    try {
+      next = await dispatchOrder(order._id, { restart: true });
+    } catch (dispatchError) {
+      console.error(`⚠️ Failed to re-dispatch order ${order._id}:`, dispatchError);
+    }
+  }
+
+  console.log(`↩️ Order ${order._id} ${action.replace('_', '-')} by ${actor.id ? `user ${actor.id}` : 'system'} (was provider ${previousProvider})`);
+  return { order, next };
+};
+
+// Scheduled job: release assigned orders whose provider hasn't started them in time
+const autoReleaseStaleAssignments = async () => {
+  if (!DISPATCH_CONFIG.autoReleaseHours) return { released: 0 };
+
+  const cutoff = new Date(Date.now() - DISPATCH_CONFIG.autoReleaseHours * 60 * 60 * 1000);
+  // The clock starts at assignment or at pickup, whichever is later. Orders whose garments have
+  // already been collected or weighed, or whose new price is awaiting or was refused by the
+  // customer, are with the provider and are left for an admin to resolve.
+  const orders = await Order.find({
+    status: 'assigned',
+    assignedAt: { $lte: cutoff },
+    pickupDate: { $lte: cutoff },
+    actualPickupDate: null,
+    weighedAt: null,
+    'repricing.status': { $nin: ['pending_approval', 'rejected'] },
+  }).select('_id');
+
+  let released = 0;
+  for (const { _id } of orders) {
+    try {
+      await releaseOrder(_id, {
+        actor: SYSTEM_ACTOR,
+        action: 'auto_released',
+        reason: `Not started within ${DISPATCH_CONFIG.autoReleaseHours} hours of assignment`,
+      });
+      released++;
+    } catch (error) {
+      console.error(`⚠️ Failed to auto-release order ${_id}:`, error);
+    }
+  }
+
+  return { released };
+};
+
+// Open offers waiting on a provider
+const getProviderOffers = async (providerId) => {
+  const orders = await Order.find({
+    'dispatch.status': 'offered',
+    'dispatch.offers': { $elemMatch: { provider: providerId, status: 'offered', expiresAt: { $gt: new Date() } } },
+  })
+    .populate('customer', 'firstName lastName phoneNumber')
+    .sort({ pickupDate: 1 });
+
+  return orders.map(order => {
+    const offer = order.dispatch.offers.find(o => o.status === 'offered' && toId(o.provider) === toId(providerId));
+    return { order, offeredAt: offer.offeredAt, expiresAt: offer.expiresAt, score: offer.score };
+  });
+};
+
+// Orders that need an admin to assign them by hand
+const getDispatchQueue = () => Order.find({
+  'dispatch.status': 'queued',
+  serviceProvider: null,
+  status: { $in: DISPATCHABLE_STATUSES },
+})
+  .populate('customer', 'firstName lastName email phoneNumber')
+  .populate('dispatch.offers.provider', 'firstName lastName businessDetails.businessName')
+  .sort({ 'dispatch.queuedAt': 1 });
+
+module.exports = {
+  rankProviders,
+  dispatchOrder,
+  acceptOffer,
+  declineOffer,
+  expireOffers,
+  releaseOrder,
+  autoReleaseStaleAssignments,
+  getProviderOffers,
+  getDispatchQueue,
+};
@@ -352,9 +352,678 @@ const sendChatMessageEmail = async (email, senderName, messageContent, orderNumb
   }
 };
 
+// Warn a customer that some of their loyalty points are about to expire
+const sendPointsExpiryWarningEmail = async (email, customerName, points, expiresAt, balance) => {
+  try {
+    const transporter = createTransporter();
+    const expiryDate = new Date(expiresAt).toDateString();
+
+    // If no transporter (missing email config), just log to console
+    if (!transporter) {
+      console.log(`📧 [DEV MODE] Points expiry warning would be sent to ${email}`);
+      console.log(`📧 [DEV MODE] ${points} of ${balance} points expire on ${expiryDate}`);
+      return true;
+    }
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Your ${points} loyalty points expire on ${expiryDate}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">Laudira laundry</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px;">Loyalty Points Reminder</p>
+          </div>
+
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${customerName}!</h2>
+
+            <div style="background: #fff; border: 2px solid #f59e0b; border-radius: 8px; padding: 20px; text-align: center; margin: 25px 0;">
+              <div style="font-size: 32px; font-weight: bold; color: #f59e0b; margin-bottom: 10px;">
+                ${points} points
+              </div>
+              <p style="color: #666; margin: 0; font-size: 14px;">
+                will expire on <strong>${expiryDate}</strong>
+              </p>
+            </div>
+
+            <p style="color: #666; line-height: 1.6;">
+              You currently have <strong>${balance}</strong> loyalty points. Use them on your next order before they expire.
+            </p>
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                Best regards,<br>
+                The Laudira laundry Team
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`📧 Points expiry warning sent to ${email}`);
+    console.log(`📧 Message ID: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Points expiry warning email sending failed:', error);
+    throw new Error('Failed to send points expiry warning email');
+  }
+};
+
+// Let a provider know an order has been offered to them
+const sendDispatchOfferEmail = async (email, providerName, orderNumber, area, expiresAt) => {
+  try {
+    const transporter = createTransporter();
+    const deadline = new Date(expiresAt).toUTCString();
+
+    // If no transporter (missing email config), just log to console
+    if (!transporter) {
+      console.log(`📧 [DEV MODE] Dispatch offer for ${orderNumber} would be sent to ${email}`);
+      console.log(`📧 [DEV MODE] Offer expires at ${deadline}`);
+      return true;
+    }
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `New order offer ${orderNumber} - respond by ${deadline}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">Laudira laundry</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px;">New Order Offer</p>
+          </div>
+
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${providerName}!</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              Order <strong>${orderNumber}</strong>${area ? ` in <strong>${area}</strong>` : ''} has been offered to you.
+              Accept or decline it from your dashboard before <strong>${deadline}</strong>, after which it will be offered to another provider.
+            </p>
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                Best regards,<br>
+                The Laudira laundry Team
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`📧 Dispatch offer sent to ${email}`);
+    console.log(`📧 Message ID: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Dispatch offer email sending failed:', error);
+    throw new Error('Failed to send dispatch offer email');
+  }
+};
+
+// Tell a customer their order has changed hands
+const sendProviderChangeEmail = async (email, customerName, orderNumber, action, providerName = null, reason = '') => {
+  try {
+    const transporter = createTransporter();
+    const messages = {
+      reassigned: `Your order has been moved to a new service provider${providerName ? `, <strong>${providerName}</strong>` : ''}, who will take it from here.`,
+      released: 'Your service provider is no longer able to handle your order. We are finding a new provider for you and will let you know once one is assigned.',
+    };
+    const message = messages[action] || messages.released;
+
+    // If no transporter (missing email config), just log to console
+    if (!transporter) {
+      console.log(`📧 [DEV MODE] Provider change email (${action}) for ${orderNumber} would be sent to ${email}`);
+      return true;
+    }
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Order Update: ${orderNumber} - ${action === 'reassigned' ? 'New service provider' : 'Finding a new service provider'}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">Laudira laundry</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px;">Order Update</p>
+          </div>
+
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${customerName}!</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              ${message}
+            </p>
+            ${reason ? `<p style="color: #666; line-height: 1.6;"><strong>Reason:</strong> ${reason}</p>` : ''}
+
+            <p style="color: #666; font-size: 14px; margin-top: 25px;">
+              Order number: <strong>${orderNumber}</strong>
+            </p>
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                Best regards,<br>
+                The Laudira laundry Team
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`📧 Provider change email sent to ${email} for order ${orderNumber}`);
+    console.log(`📧 Message ID: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Provider change email sending failed:', error);
+    throw new Error('Failed to send provider change email');
+  }
+};
+
+// Ask a customer to approve the price of their order after it was weighed
+const sendRepriceApprovalEmail = async (email, customerName, orderNumber, previousTotal, proposedTotal, weightKg) => {
+  try {
+    const transporter = createTransporter();
+
+    // If no transporter (missing email config), just log to console
+    if (!transporter) {
+      console.log(`📧 [DEV MODE] Reprice approval request for ${orderNumber} would be sent to ${email}`);
+      console.log(`📧 [DEV MODE] ${weightKg} kg: ¢${previousTotal.toFixed(2)} → ¢${proposedTotal.toFixed(2)}`);
+      return true;
+    }
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Please approve the updated price for order ${orderNumber}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">Laudira laundry</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px;">Price Update</p>
+          </div>
+
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${customerName}!</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              We weighed the laundry for order <strong>${orderNumber}</strong> at <strong>${weightKg} kg</strong>,
+              which changes the price from your estimate.
+            </p>
+
+            <div style="background: #fff; border: 2px solid #667eea; border-radius: 8px; padding: 20px; text-align: center; margin: 25px 0;">
+              <p style="color: #666; margin: 0 0 10px 0;">Estimated: <strong>¢${previousTotal.toFixed(2)}</strong></p>
+              <div style="font-size: 24px; font-weight: bold; color: #667eea;">New total: ¢${proposedTotal.toFixed(2)}</div>
+            </div>
+
+            <p style="color: #666; line-height: 1.6;">
+              Please log in to approve or reject the new price. We will start cleaning once you have approved it.
+            </p>
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                Best regards,<br>
+                The Laudira laundry Team
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`📧 Reprice approval email sent to ${email} for order ${orderNumber}`);
+    console.log(`📧 Message ID: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Reprice approval email sending failed:', error);
+    throw new Error('Failed to send reprice approval email');
+  }
+};
+
+// Tell a customer or provider that a claim was opened or moved on
+const sendClaimUpdateEmail = async (email, recipientName, claimNumber, orderNumber, event, details = '') => {
+  try {
+    const transporter = createTransporter();
+    const messages = {
+      submitted: `A claim has been opened on order <strong>${orderNumber}</strong>. Please log in to review it and respond.`,
+      received: `We have received your claim on order <strong>${orderNumber}</strong>. The service provider will respond and our team will review it.`,
+      provider_responded: `The service provider has responded to your claim on order <strong>${orderNumber}</strong>. Our team will now review it and make a decision.`,
+      approved: `The claim on order <strong>${orderNumber}</strong> has been approved.`,
+      rejected: `The claim on order <strong>${orderNumber}</strong> has been reviewed and was not approved.`,
+      withdrawn: `The claim on order <strong>${orderNumber}</strong> has been withdrawn by the customer.`,
+    };
+    const message = messages[event] || `There is an update on the claim for order <strong>${orderNumber}</strong>.`;
+
+    // If no transporter (missing email config), just log to console
+    if (!transporter) {
+      console.log(`📧 [DEV MODE] Claim email (${event}) for ${claimNumber} would be sent to ${email}`);
+      return true;
+    }
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Claim ${claimNumber} - ${event === 'received' ? 'Received' : event.replace('_', ' ').replace(/^./, c => c.toUpperCase())}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">Laudira laundry</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px;">Claim Update</p>
+          </div>
+
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${recipientName}!</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              ${message}
+            </p>
+            ${details ? `<p style="color: #666; line-height: 1.6;">${details}</p>` : ''}
+
+            <p style="color: #666; font-size: 14px; margin-top: 25px;">
+              Claim number: <strong>${claimNumber}</strong>
+            </p>
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                Best regards,<br>
+                The Laudira laundry Team
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`📧 Claim email (${event}) sent to ${email} for ${claimNumber}`);
+    console.log(`📧 Message ID: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Claim email sending failed:', error);
+    throw new Error('Failed to send claim email');
+  }
+};
+
+// Remind a customer that their next subscription pickup is coming up
+const sendSubscriptionReminderEmail = async (email, customerName, pickupDate, pickupWindow, items = []) => {
+  try {
+    const transporter = createTransporter();
+
+    // If no transporter (missing email config), just log to console
+    if (!transporter) {
+      console.log(`📧 [DEV MODE] Subscription reminder for pickup on ${pickupDate} would be sent to ${email}`);
+      return true;
+    }
+
+    const itemsList = items.map(item => `<li>${item.quantity} × ${item.name}</li>`).join('');
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Your next laundry pickup is on ${pickupDate}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">Laudira laundry</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px;">Upcoming Pickup</p>
+          </div>
+
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${customerName}!</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              Your regular pickup is scheduled for <strong>${pickupDate}</strong>${pickupWindow ? ` between <strong>${pickupWindow.replace('-', ' and ')}</strong>` : ''}.
+              We'll create the order shortly.
+            </p>
+
+            ${itemsList ? `<ul style="color: #666; line-height: 1.6;">${itemsList}</ul>` : ''}
+
+            <p style="color: #666; line-height: 1.6;">
+              Not this time? Log in to skip this pickup or pause your subscription.
+            </p>
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                Best regards,<br>
+                The Laudira laundry Team
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`📧 Subscription reminder sent to ${email} for pickup on ${pickupDate}`);
+    console.log(`📧 Message ID: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Subscription reminder email sending failed:', error);
+    throw new Error('Failed to send subscription reminder email');
+  }
+};
+
+// Tell a customer their subscription order could not be booked
+const sendSubscriptionFailedEmail = async (email, customerName, pickupDate, reason) => {
+  try {
+    const transporter = createTransporter();
+
+    // If no transporter (missing email config), just log to console
+    if (!transporter) {
+      console.log(`📧 [DEV MODE] Subscription failure notice for ${pickupDate} would be sent to ${email}: ${reason}`);
+      return true;
+    }
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `We couldn't book your laundry pickup for ${pickupDate}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">Laudira laundry</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px;">Pickup Not Booked</p>
+          </div>
+
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${customerName}!</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              We weren't able to create your subscription order for <strong>${pickupDate}</strong>.
+            </p>
+            <p style="color: #666; line-height: 1.6;"><strong>Reason:</strong> ${reason}</p>
+            <p style="color: #666; line-height: 1.6;">
+              Please log in to place this order manually or update your subscription. Your next pickup will go ahead as normal.
+            </p>
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                Best regards,<br>
+                The Laudira laundry Team
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`📧 Subscription failure notice sent to ${email} for ${pickupDate}`);
+    console.log(`📧 Message ID: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Subscription failure email sending failed:', error);
+    throw new Error('Failed to send subscription failure email');
+  }
+};
+
+// Tell a provider about requested order changes, or a customer how their request was handled
+const sendAmendmentEmail = async (email, recipientName, orderNumber, event, summary = [], notes = '') => {
+  try {
+    const transporter = createTransporter();
+    const messages = {
+      requested: `The customer has asked to change order <strong>${orderNumber}</strong>. Please log in to acknowledge or decline the changes below.`,
+      acknowledged: `Your changes to order <strong>${orderNumber}</strong> have been accepted and applied.`,
+      declined: `Your changes to order <strong>${orderNumber}</strong> could not be accepted. The order stays as it was.`,
+    };
+    const message = messages[event] || `There is an update on the changes to order <strong>${orderNumber}</strong>.`;
+
+    // If no transporter (missing email config), just log to console
+    if (!transporter) {
+      console.log(`📧 [DEV MODE] Amendment email (${event}) for ${orderNumber} would be sent to ${email}`);
+      return true;
+    }
+
+    const changesHtml = summary.map(line => `<li style="margin-bottom: 5px;">${line}</li>`).join('');
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Order ${orderNumber} - ${event === 'requested' ? 'Changes Requested' : event === 'acknowledged' ? 'Changes Accepted' : 'Changes Declined'}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">Laudira laundry</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px;">Order Changes</p>
+          </div>
+
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${recipientName}!</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              ${message}
+            </p>
+            ${changesHtml ? `<ul style="color: #666; line-height: 1.6;">${changesHtml}</ul>` : ''}
+            ${notes ? `<p style="color: #666; line-height: 1.6;"><strong>Note:</strong> ${notes}</p>` : ''}
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                Best regards,<br>
+                The Laudira laundry Team
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`📧 Amendment email (${event}) sent to ${email} for ${orderNumber}`);
+    console.log(`📧 Message ID: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Amendment email sending failed:', error);
+    throw new Error('Failed to send amendment email');
+  }
+};
+
+// Alert an admin that express orders have missed a status deadline
+const sendDeadlineBreachEmail = async (email, adminName, breaches = []) => {
+  try {
+    const transporter = createTransporter();
+
+    // If no transporter (missing email config), just log to console
+    if (!transporter) {
+      console.log(`📧 [DEV MODE] Deadline breach alert for ${breaches.length} order(s) would be sent to ${email}`);
+      return true;
+    }
+
+    const rowsHtml = breaches.map(breach => `
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">${breach.orderNumber}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">${breach.priority}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">${breach.status.replace(/_/g, ' ')}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">${breach.overdueMinutes} min</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">${breach.provider || 'Unassigned'}</td>
+      </tr>`).join('');
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `${breaches.length} express order(s) behind schedule`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">Laudira laundry</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px;">Deadline Alert</p>
+          </div>
+
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${adminName}!</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              These express orders have stayed in their current status past the deadline for their priority:
+            </p>
+
+            <table style="width: 100%; border-collapse: collapse; color: #666; font-size: 14px;">
+              <tr style="text-align: left;">
+                <th style="padding: 8px; border-bottom: 2px solid #ddd;">Order</th>
+                <th style="padding: 8px; border-bottom: 2px solid #ddd;">Priority</th>
+                <th style="padding: 8px; border-bottom: 2px solid #ddd;">Status</th>
+                <th style="padding: 8px; border-bottom: 2px solid #ddd;">Overdue</th>
+                <th style="padding: 8px; border-bottom: 2px solid #ddd;">Provider</th>
+              </tr>
+              ${rowsHtml}
+            </table>
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                Best regards,<br>
+                The Laudira laundry Team
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`📧 Deadline breach alert sent to ${email} for ${breaches.length} order(s)`);
+    console.log(`📧 Message ID: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Deadline breach email sending failed:', error);
+    throw new Error('Failed to send deadline breach email');
+  }
+};
+
+// Apologise to a customer for a late order and tell them what was credited
+const sendSlaCompensationEmail = async (email, customerName, orderNumber, lateMinutes, compensation) => {
+  try {
+    const transporter = createTransporter();
+
+    // If no transporter (missing email config), just log to console
+    if (!transporter) {
+      console.log(`📧 [DEV MODE] Late delivery compensation for ${orderNumber} would be sent to ${email}`);
+      return true;
+    }
+
+    const lateBy = lateMinutes >= 120 ? `${Math.round(lateMinutes / 60)} hours` : `${lateMinutes} minutes`;
+    const credited = compensation.type === 'credit'
+      ? `${compensation.points} loyalty points (worth ¢${(compensation.amount || 0).toFixed(2)})`
+      : `${compensation.points} loyalty points`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Sorry your order ${orderNumber} was late`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">Laudira laundry</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px;">We're Sorry</p>
+          </div>
+
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${customerName}!</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              Your order <strong>${orderNumber}</strong> was delivered about ${lateBy} later than we promised.
+            </p>
+            <p style="color: #666; line-height: 1.6;">
+              To make up for it, ${credited} have been added to your account. You can use them on your next order.
+            </p>
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                Best regards,<br>
+                The Laudira laundry Team
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`📧 Late delivery compensation email sent to ${email} for ${orderNumber}`);
+    console.log(`📧 Message ID: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Late delivery compensation email sending failed:', error);
+    throw new Error('Failed to send late delivery compensation email');
+  }
+};
+
+// Send the customer the one-time code they give the driver on delivery
+const sendDeliveryCodeEmail = async (email, customerName, orderNumber, code, expiryHours) => {
+  try {
+    const transporter = createTransporter();
+
+    // If no transporter (missing email config), just log to console
+    if (!transporter) {
+      console.log(`📧 [DEV MODE] Delivery code for ${orderNumber} would be sent to ${email} with code: ${code}`);
+      return true;
+    }
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Your delivery code for order ${orderNumber}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">Laudira laundry</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px;">Delivery Code</p>
+          </div>
+
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${customerName}!</h2>
+
+            <p style="color: #666; line-height: 1.6;">
+              Your order <strong>${orderNumber}</strong> is on its way. Give this code to the driver when your laundry arrives:
+            </p>
+
+            <div style="background: #fff; border: 2px dashed #667eea; padding: 20px; text-align: center; margin: 20px 0; border-radius: 8px;">
+              <span style="font-size: 32px; font-weight: bold; color: #667eea; letter-spacing: 5px;">${code}</span>
+            </div>
+
+            <p style="color: #666; font-size: 14px;">
+              The code expires in ${expiryHours} hours. Only share it once you have your garments.
+            </p>
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                Best regards,<br>
+                The Laudira laundry Team
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`📧 Delivery code sent to ${email} for ${orderNumber}`);
+    console.log(`📧 Message ID: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Delivery code email sending failed:', error);
+    throw new Error('Failed to send delivery code email');
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
   sendOrderStatusEmail,
-  sendChatMessageEmail
+  sendChatMessageEmail,
+  sendPointsExpiryWarningEmail,
+  sendDispatchOfferEmail,
+  sendProviderChangeEmail,
+  sendRepriceApprovalEmail,
+  sendClaimUpdateEmail,
+  sendSubscriptionReminderEmail,
+  sendSubscriptionFailedEmail,
+  sendAmendmentEmail,
+  sendDeadlineBreachEmail,
+  sendSlaCompensationEmail,
+  sendDeliveryCodeEmail
 };
@@ -0,0 +1,240 @@
+// Garment Tag Service
+// Looks garments up by their item code, moves them through the processing stations
+// as they are scanned, renders printable tags and flags garments that go missing.
+const bwipjs = require('bwip-js');
+const Order = require('../models/Order');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { recordHistory, getUnaccountedGarments, ROLES } = require('./orderLifecycle');
+
+const STATIONS = ['received', 'washing', 'drying', 'pressing', 'packed', 'returned'];
+
+// Garments are scanned while the provider has the order; 'returned' can also be scanned at hand-over
+const SCANNABLE_STATUSES = ['assigned', 'in_progress', 'ready_for_pickup', 'picked_up', 'ready_for_delivery'];
+
+const SYMBOLOGIES = { qr: 'qrcode', code128: 'code128' };
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const findGarmentIn = (order, itemCode) => {
+  for (const [itemIndex, item] of order.items.entries()) {
+    const garment = (item.clothingItems || []).find(ci => ci.itemId === itemCode);
+    if (garment) return { item, itemIndex, garment };
+  }
+  return null;
+};
+
+const assertCanView = (order, actor) => {
+  if (actor.role === ROLES.ADMIN) return;
+  if (actor.role === ROLES.PROVIDER && toId(order.serviceProvider) === toId(actor.id)) return;
+  if (actor.role === ROLES.CUSTOMER && toId(order.customer) === toId(actor.id)) return;
+  throw new AuthorizationError('Access denied');
+};
+
+const assertCanScan = (order, actor) => {
+  if (actor.role === ROLES.ADMIN) return;
+  if (actor.role === ROLES.PROVIDER && toId(order.serviceProvider) === toId(actor.id)) return;
+  throw new AuthorizationError('Only the assigned service provider can scan garments on this order');
+};
+
+// The order and garment behind an item code
+const findGarment = async (itemCode, actor) => {
+  const code = normalizeCode(itemCode);
+  const order = await Order.findOne({ 'items.clothingItems.itemId': code })
+    .populate('customer', 'firstName lastName');
+  const found = order && findGarmentIn(order, code);
+  if (!found) {
+    throw new NotFoundError(`No garment found for code ${code}`);
+  }
+
+  assertCanView(order, actor);
+  return { order, ...found };
+};
+
+// Record a garment at a station. Re-scanning the station it is already at is a no-op,
+// so a scanner firing twice does no harm.
+const scanGarment = async (itemCode, station, actor, notes = '') => {
+  if (!STATIONS.includes(station)) {
+    throw new ValidationError(`Unknown station: ${station}. Use one of ${STATIONS.join(', ')}`);
+  }
+
+  const { order, garment } = await findGarment(itemCode, actor);
+  assertCanScan(order, actor);
+
+  const scannable = SCANNABLE_STATUSES.includes(order.status) || (station === 'returned' && order.status === 'completed');
+  if (!scannable) {
+    throw new ValidationError(`Garments can't be scanned on a ${order.status} order`);
+  }
+  if (garment.station === station) {
+    return { order, garment, duplicate: true };
+  }
+  if (!garment.station && station !== 'received') {
+    throw new ValidationError(`${garment.itemId} has to be scanned as received first`);
+  }
+  if (garment.station === 'returned') {
+    throw new ValidationError(`${garment.itemId} has already been returned to the customer`);
+  }
+
+  const scan = {
+    station,
+    scannedAt: new Date(),
+    by: actor.id || null,
+    role: actor.role,
+    notes: String(notes || '').slice(0, 200),
+  };
+  const set = { 'items.$[].clothingItems.$[garment].station': station };
+  if (station === 'received') {
+    set['items.$[].clothingItems.$[garment].isConfirmed'] = true;
+    // The first garment scanned in marks when the order was collected
+    if (!order.actualPickupDate) set.actualPickupDate = scan.scannedAt;
+  }
+  // Scanning a garment that was flagged missing means it has turned up
+  if (garment.isMissing) {
+    set['items.$[].clothingItems.$[garment].isMissing'] = false;
+  }
+
+  // Only move the garment if nobody else scanned it in the meantime
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    { $set: set, $push: { 'items.$[].clothingItems.$[garment].stationHistory': scan } },
+    {
+      new: true,
+      arrayFilters: [{ 'garment.itemId': garment.itemId, 'garment.station': garment.station || null }],
+    }
+  ).populate('customer', 'firstName lastName');
+
+  const result = updated && findGarmentIn(updated, garment.itemId);
+  if (!result || result.garment.station !== station) {
+    throw new ValidationError(`${garment.itemId} was updated by someone else; scan it again`);
+  }
+
+  return { order: updated, garment: result.garment, duplicate: false };
+};
+
+const summarizeGarment = (garment, item) => ({
+  itemId: garment.itemId,
+  description: garment.description,
+  serviceName: garment.serviceName || item.serviceName,
+  station: garment.station || null,
+  lastScannedAt: garment.stationHistory?.length ? garment.stationHistory[garment.stationHistory.length - 1].scannedAt : null,
+  isMissing: garment.isMissing || false,
+  missingReason: garment.missingReason || null,
+});
+
+// Every garment on an order with where it is, plus the ones holding up delivery
+const getOrderGarments = (order) => {
+  const garments = order.items.flatMap(item => (item.clothingItems || []).map(garment => summarizeGarment(garment, item)));
+
+  const byStation = { not_received: 0 };
+  for (const station of STATIONS) byStation[station] = 0;
+  for (const garment of garments) {
+    byStation[garment.station || 'not_received'] += 1;
+  }
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    garments,
+    byStation,
+    unaccounted: getUnaccountedGarments(order).map(garment => garment.itemId),
+    missing: garments.filter(garment => garment.isMissing).map(garment => garment.itemId),
+  };
+};
+
+// Flag garments as missing. With no codes, flags every garment that was received but not packed.
+const flagMissingGarments = async (order, { itemCodes, reason }, actor) => {
+  assertCanScan(order, actor);
+  if (!String(reason || '').trim()) {
+    throw new ValidationError('A reason is required');
+  }
+
+  const codes = Array.isArray(itemCodes) && itemCodes.length
+    ? itemCodes.map(normalizeCode)
+    : getUnaccountedGarments(order).map(garment => garment.itemId);
+  if (codes.length === 0) {
+    throw new ValidationError('There are no unaccounted garments to flag');
+  }
+
+  const flagged = [];
+  for (const code of codes) {
+    const found = findGarmentIn(order, code);
+    if (!found) {
+      throw new NotFoundError(`No garment ${code} on this order`);
+    }
+    if (found.garment.station === 'returned') {
+      throw new ValidationError(`${code} has already been returned to the customer`);
+    }
+    Object.assign(found.garment, {
+      isMissing: true,
+      missingReason: String(reason).trim().slice(0, 200),
+      missingAt: new Date(),
+      missingFlaggedBy: actor.id || null,
+    });
+    flagged.push(code);
+  }
+
+  recordHistory(order, {
+    status: order.status,
+    actor,
+    notes: `Garment(s) flagged missing: ${flagged.join(', ')}`.slice(0, 500),
+  });
+  await order.save();
+
+  return { order, flagged };
+};
+
+// Render a code as SVG markup or a PNG buffer
+const renderCode = async (text, symbology = 'qr', format = 'svg') => {
+  const bcid = SYMBOLOGIES[symbology];
+  if (!bcid) {
+    throw new ValidationError(`Unknown symbology: ${symbology}. Use qr or code128`);
+  }
+
+  const options = bcid === 'qrcode'
+    ? { bcid, text, scale: 4 }
+    : { bcid, text, scale: 2, height: 12, includetext: true, textxalign: 'center' };
+  return format === 'png' ? bwipjs.toBuffer(options) : bwipjs.toSVG(options);
+};
+
+// Everything a label printer needs for one garment
+const buildTag = async (order, garment, item) => {
+  const customerName = order.customer?.firstName
+    ? `${order.customer.firstName} ${order.customer.lastName?.charAt(0) || ''}.`.trim()
+    : null;
+
+  return {
+    code: garment.itemId,
+    orderNumber: order.orderNumber,
+    customerName,
+    serviceName: garment.serviceName || item.serviceName,
+    description: garment.description,
+    specialInstructions: garment.specialInstructions || '',
+    qrSvg: await renderCode(garment.itemId, 'qr'),
+    code128Svg: await renderCode(garment.itemId, 'code128'),
+  };
+};
+
+// Tags for every garment on an order, for printing in one go
+const buildOrderTags = async (order) => {
+  const tags = [];
+  for (const item of order.items) {
+    for (const garment of item.clothingItems || []) {
+      tags.push(await buildTag(order, garment, item));
+    }
+  }
+  return tags;
+};
+
+module.exports = {
+  STATIONS,
+  findGarment,
+  scanGarment,
+  getOrderGarments,
+  flagMissingGarments,
+  renderCode,
+  buildTag,
+  buildOrderTags,
+  assertCanView,
+};
@@ -1,21 +1,109 @@
 // Loyalty Program Service
+// The LoyaltyProgram account is the authoritative ledger; User.loyaltyPoints mirrors its balance.
 const User = require('../models/User');
 const Order = require('../models/Order');
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const { ValidationError } = require('../middleware/errorHandler');
+const { sendPointsExpiryWarningEmail } = require('./emailService');
 
 // Loyalty program configuration
 const LOYALTY_CONFIG = {
   pointsPerDollar: 1, // 1 point per dollar spent
   pointsForReferral: 50, // Points for referring a friend
+  pointsForReferee: 50, // Points for a referred friend's first order
   pointsForReview: 10, // Points for leaving a review
   minimumPointsForRedemption: 100, // Minimum points to redeem
   redemptionValue: 0.01, // $0.01 per point value
   pointsExpiryDays: 365, // Points expire after 1 year
+  expiryWarningDays: parseInt(process.env.LOYALTY_EXPIRY_WARNING_DAYS) || 30, // Warn customers this long before points lapse
+  expiryCheckIntervalHours: 24, // How often the expiry job runs
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Legacy User.loyaltyHistory entries were all stored as positive numbers
+const LEGACY_DEBIT_TYPES = ['redeemed', 'expired'];
+
+// Copy the balance and history from the legacy User fields onto a new account
+const buildAccountFromLegacy = (user) => {
+  const history = user.loyaltyHistory || [];
+  const transactions = history.map(entry => ({
+    type: entry.type,
+    points: LEGACY_DEBIT_TYPES.includes(entry.type) ? -Math.abs(entry.points) : Math.abs(entry.points),
+    description: entry.description,
+    orderId: entry.orderId,
+    expired: false,
+    createdAt: entry.timestamp || new Date()
+  }));
+
+  const sumOf = (type) => history
+    .filter(entry => entry.type === type)
+    .reduce((sum, entry) => sum + Math.abs(entry.points), 0);
+
+  const points = Math.max(0, user.loyaltyPoints || 0);
+  // Balances granted without a history entry still count towards the tier
+  const totalEarned = Math.max(sumOf('earned'), points);
+  const totalRedeemed = Math.max(0, sumOf('redeemed') - sumOf('released'));
+
+  return {
+    user: user._id,
+    points,
+    totalEarned,
+    totalRedeemed,
+    tier: LoyaltyProgram.getTierFor(totalEarned).name,
+    transactions,
+    migratedAt: new Date()
+  };
+};
+
+// Get a user's loyalty account, creating it from their legacy balance on first use
+const getOrCreateAccount = async (userId) => {
+  const existing = await LoyaltyProgram.findOne({ user: userId });
+  if (existing) return existing;
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  try {
+    return await LoyaltyProgram.create(buildAccountFromLegacy(user));
+  } catch (error) {
+    // Another request created the account first
+    if (error.code === 11000) {
+      const account = await LoyaltyProgram.findOne({ user: userId });
+      if (account) return account;
+    }
+    throw error;
+  }
+};
+
+// Keep the mirrored balance on the user document in step with the account
+const syncUserBalance = async (account) => {
+  await User.updateOne({ _id: account.user }, { $set: { loyaltyPoints: account.points } });
+  return account;
+};
+
+// Credit points to an account and recalculate the tier
+const creditPoints = async (userId, points, description, orderId = null) => {
+  const account = await getOrCreateAccount(userId);
+  return syncUserBalance(await account.addPoints(points, description, orderId));
+};
+
+// Tier benefits for a customer (bronze benefits when there is no customer)
+const getTierBenefits = async (userId) => {
+  if (!userId) {
+    return { tier: 'bronze', ...LoyaltyProgram.LOYALTY_TIERS[0].benefits };
+  }
+
+  const account = await getOrCreateAccount(userId);
+  return { tier: account.tier, ...account.tierBenefits };
 };
 
 // Award points for completed order
 const awardPointsForOrder = async (orderId) => {
   try {
-    const order = await Order.findById(orderId).populate('customer');
+    const order = await Order.findById(orderId);
     if (!order) {
       throw new Error('Order not found');
     }
@@ -24,25 +112,35 @@ const awardPointsForOrder = async (orderId) => {
       return { success: false, message: 'Order is not completed' };
     }
 
-    const customer = await User.findById(order.customer);
-    if (!customer) {
-      throw new Error('Customer not found');
+    const account = await getOrCreateAccount(order.customer);
+
+    // Orders can only earn once, even if they are completed again
+    const alreadyAwarded = account.transactions.some(t =>
+      t.type === 'earned' && t.orderId && t.orderId.toString() === order._id.toString()
+    );
+    if (alreadyAwarded) {
+      return { success: true, pointsAwarded: 0, message: 'Points already awarded for this order' };
     }
 
-    // Calculate points based on order total
-    const pointsToAward = Math.floor(order.totalAmount * LOYALTY_CONFIG.pointsPerDollar);
+    // Calculate points based on order total and the customer's tier multiplier
+    const { pointsMultiplier } = account.tierBenefits;
+    const pointsToAward = Math.floor(order.totalAmount * LOYALTY_CONFIG.pointsPerDollar * pointsMultiplier);
 
     if (pointsToAward > 0) {
-      await customer.addLoyaltyPoints(
+      const tierNote = pointsMultiplier !== 1 ? ` (${pointsMultiplier}x ${account.tier} bonus)` : '';
+      const updated = await account.addPoints(
         pointsToAward,
-        `Earned ${pointsToAward} points for completing order ${order.orderNumber}`,
-        orderId
+        `Earned ${pointsToAward} points for completing order ${order.orderNumber}${tierNote}`,
+        order._id
       );
+      await syncUserBalance(updated);
 
       return {
         success: true,
         pointsAwarded: pointsToAward,
-        totalPoints: customer.loyaltyPoints,
+        pointsMultiplier,
+        totalPoints: updated.points,
+        tier: updated.tier,
         message: `Awarded ${pointsToAward} loyalty points for order completion`
       };
     }
@@ -54,39 +152,11 @@ const awardPointsForOrder = async (orderId) => {
   }
 };
 
-// Award points for referral
-const awardPointsForReferral = async (userId, referralDescription = 'Referred a friend') => {
-  try {
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new Error('User not found');
-    }
-
-    await user.addLoyaltyPoints(
-      LOYALTY_CONFIG.pointsForReferral,
-      referralDescription
-    );
-
-    return {
-      success: true,
-      pointsAwarded: LOYALTY_CONFIG.pointsForReferral,
-      totalPoints: user.loyaltyPoints
-    };
-  } catch (error) {
-    console.error('Error awarding referral points:', error);
-    throw error;
-  }
-};
-
 // Award points for review
 const awardPointsForReview = async (userId, orderId) => {
   try {
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new Error('User not found');
-    }
-
-    await user.addLoyaltyPoints(
+    const account = await creditPoints(
+      userId,
       LOYALTY_CONFIG.pointsForReview,
       `Earned ${LOYALTY_CONFIG.pointsForReview} points for leaving a review`,
       orderId
@@ -95,7 +165,7 @@ const awardPointsForReview = async (userId, orderId) => {
     return {
       success: true,
       pointsAwarded: LOYALTY_CONFIG.pointsForReview,
-      totalPoints: user.loyaltyPoints
+      totalPoints: account.points
     };
   } catch (error) {
     console.error('Error awarding review points:', error);
@@ -103,59 +173,164 @@ const awardPointsForReview = async (userId, orderId) => {
   }
 };
 
-// Redeem points for discount
-const redeemPoints = async (userId, pointsToRedeem) => {
-  try {
-    if (pointsToRedeem < LOYALTY_CONFIG.minimumPointsForRedemption) {
-      throw new Error(`Minimum ${LOYALTY_CONFIG.minimumPointsForRedemption} points required for redemption`);
-    }
+// Points value in cedis
+const getPointsValue = (points) => Math.round(points * LOYALTY_CONFIG.redemptionValue * 100) / 100;
 
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new Error('User not found');
-    }
+// Work out how many of the requested points can be spent against an amount
+const calculatePointsDiscount = (requestedPoints, payableAmount) => {
+  const points = parseInt(requestedPoints);
+  if (!points || points <= 0) {
+    throw new ValidationError('Valid points amount is required');
+  }
 
-    if (user.loyaltyPoints < pointsToRedeem) {
-      throw new Error('Insufficient loyalty points');
-    }
+  const maxUsablePoints = Math.floor(payableAmount / LOYALTY_CONFIG.redemptionValue);
+  const pointsUsed = Math.min(points, maxUsablePoints);
 
-    // Calculate discount value
-    const discountValue = pointsToRedeem * LOYALTY_CONFIG.redemptionValue;
+  if (pointsUsed < LOYALTY_CONFIG.minimumPointsForRedemption) {
+    throw new ValidationError(`Minimum ${LOYALTY_CONFIG.minimumPointsForRedemption} points required for redemption`);
+  }
 
-    await user.redeemLoyaltyPoints(
-      pointsToRedeem,
-      `Redeemed ${pointsToRedeem} points for $${discountValue.toFixed(2)} discount`
-    );
+  return { points: pointsUsed, discountValue: getPointsValue(pointsUsed) };
+};
 
-    return {
-      success: true,
-      pointsRedeemed: pointsToRedeem,
-      discountValue: discountValue,
-      remainingPoints: user.loyaltyPoints
-    };
+// Deduct points from a customer and hold them against an order
+const reservePointsForOrder = async (userId, orderId, points, orderNumber) => {
+  await getOrCreateAccount(userId);
+
+  // Conditional update so two checkouts cannot spend the same points
+  const account = await LoyaltyProgram.findOneAndUpdate(
+    { user: userId, points: { $gte: points } },
+    {
+      $inc: { points: -points, totalRedeemed: points },
+      $push: {
+        transactions: {
+          type: 'redeemed',
+          points: -points,
+          description: `Reserved ${points} points for order ${orderNumber}`,
+          orderId,
+          createdAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!account) {
+    throw new ValidationError('Insufficient loyalty points');
+  }
+
+  await syncUserBalance(account);
+
+  return { points, discountValue: getPointsValue(points), remainingPoints: account.points };
+};
+
+// Put reserved points back on the customer's balance
+const restorePoints = async (userId, orderId, points, description) => {
+  const account = await LoyaltyProgram.findOneAndUpdate(
+    { user: userId },
+    {
+      $inc: { points, totalRedeemed: -points },
+      $push: {
+        transactions: {
+          type: 'released',
+          points,
+          description,
+          orderId,
+          createdAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!account) return null;
+
+  return syncUserBalance(account);
+};
+
+// Release an order's reserved points and take the points discount back off the order
+const releaseOrderPoints = async (orderId, reason = 'Order cancelled') => {
+  const order = await Order.findById(orderId);
+  if (!order || order.loyaltyRedemption?.status !== 'reserved') {
+    return null;
+  }
+
+  const { points, discountValue } = order.loyaltyRedemption;
+  await restorePoints(order.customer, order._id, points, `Restored ${points} points from order ${order.orderNumber}: ${reason}`);
+
+  order.loyaltyRedemption.status = 'released';
+  order.loyaltyRedemption.settledAt = new Date();
+  order.discount = Math.max(0, Math.round((order.discount - discountValue) * 100) / 100);
+  const { setQuotedDiscount } = require('./pricingService');
+  setQuotedDiscount(order, 'loyalty', null);
+  await order.save();
+
+  // Re-price the outstanding payment so the released discount is not still applied
+  if (order.status !== 'cancelled') {
+    const { syncPendingPayment } = require('./orderPaymentService');
+    await syncPendingPayment(order, { notes: `Loyalty discount removed: ${reason}` });
+  }
+
+  return order;
+};
+
+// Mark reserved points as spent once the order is paid
+const consumeOrderPoints = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.loyaltyRedemption?.status !== 'reserved') {
+    return null;
+  }
+
+  order.loyaltyRedemption.status = 'consumed';
+  order.loyaltyRedemption.settledAt = new Date();
+  await order.save();
+  return order;
+};
+
+// React to payment status changes for orders paid partly with points
+const handlePaymentStatusChange = async (payment) => {
+  try {
+    if (payment.status === 'completed') {
+      await consumeOrderPoints(payment.order);
+      // Lazy require: the referral service builds on this one
+      const { qualifyReferral } = require('./referralService');
+      await qualifyReferral(payment.order);
+    } else if (payment.status === 'failed' || payment.status === 'cancelled') {
+      await releaseOrderPoints(payment.order, `Payment ${payment.status}`);
+    }
   } catch (error) {
-    console.error('Error redeeming points:', error);
-    throw error;
+    console.error('Error settling loyalty points for payment:', error);
   }
 };
 
 // Get user's loyalty status
 const getLoyaltyStatus = async (userId) => {
   try {
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new Error('User not found');
-    }
-
-    const nextTierThreshold = getNextTierThreshold(user.loyaltyPoints);
-    const pointsToNextTier = nextTierThreshold - user.loyaltyPoints;
+    const account = await getOrCreateAccount(userId);
+
+    const tiers = LoyaltyProgram.LOYALTY_TIERS;
+    const nextTier = tiers.find(tier => tier.minTotalEarned > account.totalEarned);
+
+    const history = [...account.transactions]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, 20)
+      .map(entry => ({
+        type: entry.type,
+        points: Math.abs(entry.points),
+        description: entry.description,
+        orderId: entry.orderId,
+        timestamp: entry.createdAt
+      }));
 
     return {
-      currentPoints: user.loyaltyPoints,
-      currentTier: getLoyaltyTier(user.loyaltyPoints),
-      nextTier: getLoyaltyTier(nextTierThreshold),
-      pointsToNextTier: Math.max(0, pointsToNextTier),
-      history: user.getLoyaltyHistory(20),
+      currentPoints: account.points,
+      currentTier: getLoyaltyTier(account.tier),
+      nextTier: nextTier ? getLoyaltyTier(nextTier.name) : null,
+      pointsToNextTier: nextTier ? nextTier.minTotalEarned - account.totalEarned : 0,
+      totalEarned: account.totalEarned,
+      totalRedeemed: account.totalRedeemed,
+      tierBenefits: account.tierBenefits,
+      referralCode: account.referralCode,
+      history,
       config: LOYALTY_CONFIG
     };
   } catch (error) {
@@ -164,70 +339,194 @@ const getLoyaltyStatus = async (userId) => {
   }
 };
 
-// Get loyalty tier based on points
-const getLoyaltyTier = (points) => {
-  if (points >= 1000) return 'Platinum';
-  if (points >= 500) return 'Gold';
-  if (points >= 200) return 'Silver';
-  if (points >= 50) return 'Bronze';
-  return 'New Member';
+// Display name for a tier
+const getLoyaltyTier = (tier) => tier.charAt(0).toUpperCase() + tier.slice(1);
+
+// Split the balance across earned entries, newest first, so older points are treated as spent first (FIFO)
+const getPointLots = (account) => {
+  let unallocated = account.points;
+  const lots = [];
+
+  const earned = account.transactions
+    .filter(t => t.type === 'earned' && !t.expired && t.points > 0)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  for (const entry of earned) {
+    if (unallocated <= 0) break;
+    const points = Math.min(entry.points, unallocated);
+    unallocated -= points;
+    lots.push({
+      transaction: entry,
+      points,
+      earnedAt: entry.createdAt,
+      expiresAt: new Date(entry.createdAt.getTime() + LOYALTY_CONFIG.pointsExpiryDays * DAY_MS)
+    });
+  }
+
+  return lots.reverse();
+};
+
+// Points on an account that lapse on or before a date
+const getExpiringPoints = (account, until) => {
+  const lots = getPointLots(account).filter(lot => lot.expiresAt <= until);
+  return {
+    lots,
+    points: lots.reduce((sum, lot) => sum + lot.points, 0),
+    earliestExpiry: lots.length > 0 ? lots[0].expiresAt : null
+  };
 };
 
-// Get next tier threshold
-const getNextTierThreshold = (currentPoints) => {
-  if (currentPoints < 50) return 50;
-  if (currentPoints < 200) return 200;
-  if (currentPoints < 500) return 500;
-  if (currentPoints < 1000) return 1000;
-  return currentPoints; // Already at max tier
+// Expire lapsed points on one account. The balance moves with $inc so a reservation or restore made
+// meanwhile is kept; if points were spent since the account was read, the next run recalculates.
+const expireAccountPoints = async (account, now = new Date()) => {
+  const { lots, points } = getExpiringPoints(account, now);
+  if (points <= 0) return 0;
+
+  const updated = await LoyaltyProgram.findOneAndUpdate(
+    { _id: account._id, points: { $gte: points } },
+    {
+      $inc: { points: -points },
+      $push: {
+        transactions: {
+          type: 'expired',
+          points: -points,
+          description: `${points} points expired after ${LOYALTY_CONFIG.pointsExpiryDays} days`,
+          createdAt: now
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!updated) return 0;
+
+  // A separate update: the same array cannot be pushed to and edited in one operation
+  const lotIds = lots.map(lot => lot.transaction._id);
+  await LoyaltyProgram.updateOne(
+    { _id: account._id },
+    { $set: { 'transactions.$[lot].expired': true } },
+    { arrayFilters: [{ 'lot._id': { $in: lotIds } }] }
+  );
+  await syncUserBalance(updated);
+
+  return points;
 };
 
-// Clean up expired points (to be called by a cron job)
-const cleanupExpiredPoints = async () => {
-  try {
-    const expiryDate = new Date();
-    expiryDate.setDate(expiryDate.getDate() - LOYALTY_CONFIG.pointsExpiryDays);
+// Email a customer about points lapsing within the warning window
+const warnAccountOfExpiry = async (account, now = new Date()) => {
+  const windowEnd = new Date(now.getTime() + LOYALTY_CONFIG.expiryWarningDays * DAY_MS);
+  const { points, earliestExpiry } = getExpiringPoints(account, windowEnd);
+  if (points <= 0) return false;
 
-    const users = await User.find({
-      'loyaltyHistory.timestamp': { $lt: expiryDate },
-      'loyaltyHistory.type': 'earned'
-    });
+  // Only warn again once a later batch of points enters the window
+  const lastWarnedExpiry = account.lastExpiryWarning?.expiresAt;
+  if (lastWarnedExpiry && earliestExpiry <= lastWarnedExpiry) return false;
 
-    let totalExpiredPoints = 0;
+  const user = await User.findById(account.user).select('email firstName preferences');
+  if (!user || user.preferences?.notificationPreferences?.email === false) return false;
 
-    for (const user of users) {
-      const expiredEntries = user.loyaltyHistory.filter(
-        entry => entry.type === 'earned' &&
-        entry.timestamp < expiryDate &&
-        !entry.expired // Only process if not already marked as expired
-      );
+  await sendPointsExpiryWarningEmail(user.email, user.firstName, points, earliestExpiry, account.points);
 
-      for (const entry of expiredEntries) {
-        // Mark as expired and deduct points
-        entry.type = 'expired';
-        user.loyaltyPoints = Math.max(0, user.loyaltyPoints - entry.points);
-        totalExpiredPoints += entry.points;
+  await LoyaltyProgram.updateOne(
+    { _id: account._id },
+    { $set: { lastExpiryWarning: { sentAt: now, expiresAt: earliestExpiry, points } } }
+  );
+  return true;
+};
+
+// Expire lapsed points and send warnings (run by the scheduler or an admin)
+const processPointExpiry = async ({ now = new Date() } = {}) => {
+  // Accounts with earned points old enough to expire or to need a warning
+  const oldestRelevant = new Date(now.getTime() - (LOYALTY_CONFIG.pointsExpiryDays - LOYALTY_CONFIG.expiryWarningDays) * DAY_MS);
+  const accounts = await LoyaltyProgram.find({
+    points: { $gt: 0 },
+    transactions: { $elemMatch: { type: 'earned', expired: { $ne: true }, createdAt: { $lte: oldestRelevant } } }
+  });
+
+  let expiredPoints = 0;
+  let accountsExpired = 0;
+  let warningsSent = 0;
+
+  for (const candidate of accounts) {
+    try {
+      const expired = await expireAccountPoints(candidate, now);
+      if (expired > 0) {
+        expiredPoints += expired;
+        accountsExpired += 1;
       }
 
-      if (expiredEntries.length > 0) {
-        await user.save();
+      // Warn from the balance and lots as they are after expiry
+      const account = expired > 0 ? await LoyaltyProgram.findById(candidate._id) : candidate;
+      if (account && account.points > 0 && await warnAccountOfExpiry(account, now)) {
+        warningsSent += 1;
       }
+    } catch (error) {
+      console.error(`Error processing point expiry for account ${candidate._id}:`, error);
     }
-
-    return { success: true, expiredPoints: totalExpiredPoints };
-  } catch (error) {
-    console.error('Error cleaning up expired points:', error);
-    throw error;
   }
+
+  return {
+    success: true,
+    accountsChecked: accounts.length,
+    accountsExpired,
+    expiredPoints,
+    warningsSent,
+    processedAt: now
+  };
+};
+
+// Points that will lapse in the next N days, per customer
+const getUpcomingExpirations = async ({ days = LOYALTY_CONFIG.expiryWarningDays, now = new Date() } = {}) => {
+  const windowEnd = new Date(now.getTime() + days * DAY_MS);
+  const oldestRelevant = new Date(windowEnd.getTime() - LOYALTY_CONFIG.pointsExpiryDays * DAY_MS);
+
+  const accounts = await LoyaltyProgram.find({
+    points: { $gt: 0 },
+    transactions: { $elemMatch: { type: 'earned', expired: { $ne: true }, createdAt: { $lte: oldestRelevant } } }
+  }).populate('user', 'firstName lastName email');
+
+  const customers = accounts
+    .map(account => {
+      const { lots, points, earliestExpiry } = getExpiringPoints(account, windowEnd);
+      return {
+        user: account.user,
+        tier: account.tier,
+        balance: account.points,
+        expiringPoints: points,
+        expiringValue: getPointsValue(points),
+        earliestExpiry,
+        lastWarningSentAt: account.lastExpiryWarning?.sentAt || null,
+        lots: lots.map(lot => ({ points: lot.points, earnedAt: lot.earnedAt, expiresAt: lot.expiresAt }))
+      };
+    })
+    .filter(entry => entry.expiringPoints > 0)
+    .sort((a, b) => a.earliestExpiry - b.earliestExpiry);
+
+  return {
+    days,
+    windowEnd,
+    totalCustomers: customers.length,
+    totalPoints: customers.reduce((sum, entry) => sum + entry.expiringPoints, 0),
+    totalValue: getPointsValue(customers.reduce((sum, entry) => sum + entry.expiringPoints, 0)),
+    customers
+  };
 };
 
 module.exports = {
+  getOrCreateAccount,
+  creditPoints,
+  buildAccountFromLegacy,
+  getTierBenefits,
   awardPointsForOrder,
-  awardPointsForReferral,
   awardPointsForReview,
-  redeemPoints,
+  calculatePointsDiscount,
+  reservePointsForOrder,
+  restorePoints,
+  releaseOrderPoints,
+  consumeOrderPoints,
+  handlePaymentStatusChange,
   getLoyaltyStatus,
   getLoyaltyTier,
-  cleanupExpiredPoints,
+  processPointExpiry,
+  getUpcomingExpirations,
   LOYALTY_CONFIG
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+// Order History Service
+// Builds a single audit timeline from order status changes, provider hand-offs, proof of delivery, tracking steps
+// and payment events.
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const OrderTracking = require('../models/OrderTracking');
+
+const toId = (value) => (value ? value.toString() : null);
+
+// Look up everyone who appears in the timeline in one query
+const loadActors = async (ids) => {
+  const uniqueIds = [...new Set(ids.filter(Boolean).map(toId))];
+  if (uniqueIds.length === 0) return new Map();
+
+  const users = await User.find({ _id: { $in: uniqueIds } }).select('firstName lastName role');
+  return new Map(users.map(user => [user._id.toString(), user]));
+};
+
+const describeActor = (actors, changedBy, role) => {
+  if (!changedBy) {
+    return { id: null, name: 'System', role: role || 'system' };
+  }
+
+  const user = actors.get(toId(changedBy));
+  return {
+    id: toId(changedBy),
+    name: user ? `${user.firstName} ${user.lastName}` : 'Unknown user',
+    role: role || user?.role || null,
+  };
+};
+
+// Merged, oldest-first timeline for an order
+const getOrderTimeline = async (order) => {
+  const [tracking, payments] = await Promise.all([
+    OrderTracking.findOne({ order: order._id }),
+    Payment.find({ order: order._id }),
+  ]);
+
+  const trackingSteps = tracking?.trackingSteps || [];
+  const paymentEvents = payments.flatMap(payment => [
+    ...payment.statusHistory.map(entry => ({ payment, entry, kind: 'status' })),
+    ...(payment.refunds || []).map(entry => ({ payment, entry, kind: 'refund' })),
+  ]);
+
+  const assignments = order.assignmentHistory || [];
+  const proof = order.proofOfDelivery?.capturedAt ? order.proofOfDelivery : null;
+
+  const actors = await loadActors([
+    ...order.statusHistory.map(entry => entry.changedBy),
+    ...assignments.flatMap(entry => [entry.by, entry.provider, entry.previousProvider]),
+    proof?.capturedBy,
+    ...trackingSteps.map(step => step.updatedBy),
+    ...paymentEvents.map(({ entry, kind }) => (kind === 'refund' ? entry.initiatedBy : entry.changedBy)),
+  ]);
+
+  const events = [
+    ...order.statusHistory.map(entry => ({
+      source: 'order',
+      type: 'status_change',
+      status: entry.status,
+      timestamp: entry.changedAt,
+      actor: describeActor(actors, entry.changedBy, entry.role),
+      notes: entry.notes || '',
+    })),
+    ...assignments.map(entry => ({
+      source: 'order',
+      type: 'assignment',
+      status: entry.action,
+      timestamp: entry.at,
+      actor: describeActor(actors, entry.by, entry.role),
+      provider: entry.provider ? describeActor(actors, entry.provider) : null,
+      previousProvider: entry.previousProvider ? describeActor(actors, entry.previousProvider) : null,
+      notes: entry.reason || '',
+    })),
+    ...(proof ? [{
+      source: 'order',
+      type: 'proof_of_delivery',
+      status: proof.method,
+      timestamp: proof.capturedAt,
+      actor: describeActor(actors, proof.capturedBy, proof.role),
+      recipientName: proof.recipientName || null,
+      signatureUrl: proof.signature ? `/api/photos/${proof.signature}` : null,
+      photoUrls: (proof.photos || []).map(photoId => `/api/photos/${photoId}`),
+      notes: proof.overrideReason || proof.notes || '',
+    }] : []),
+    ...trackingSteps.map(step => ({
+      source: 'tracking',
+      type: 'tracking_update',
+      status: step.status,
+      timestamp: step.timestamp,
+      actor: describeActor(actors, step.updatedBy),
+      location: step.location || null,
+      notes: step.notes || '',
+    })),
+    ...paymentEvents.map(({ payment, entry, kind }) => (kind === 'refund'
+      ? {
+        source: 'payment',
+        type: 'refund',
+        status: entry.status,
+        timestamp: entry.processedAt || entry.failedAt || entry.createdAt,
+        actor: describeActor(actors, entry.initiatedBy),
+        paymentId: payment._id,
+        amount: entry.amount,
+        notes: entry.reason || '',
+      }
+      : {
+        source: 'payment',
+        type: 'payment_status',
+        status: entry.status,
+        timestamp: entry.changedAt,
+        actor: describeActor(actors, entry.changedBy, entry.role),
+        paymentId: payment._id,
+        amount: payment.amount,
+        notes: entry.notes || '',
+      })),
+  ];
+
+  return events.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
+
+module.exports = {
+  getOrderTimeline,
+};
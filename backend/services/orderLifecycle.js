@@ -0,0 +1,562 @@
+// Order Lifecycle Service
+// Single source of truth for order states, who may move an order between them,
+// the conditions each move requires, and what happens once it has been made.
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const OrderTracking = require('../models/OrderTracking');
+const { ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const { sendOrderStatusEmail, sendProviderChangeEmail } = require('./emailService');
+const { awardPointsForOrder, releaseOrderPoints } = require('./loyaltyService');
+const { reverseRedemption } = require('./couponService');
+const { adjustProviderEarnings } = require('./refundService');
+const { releaseOrderSlots } = require('./slotService');
+const { checkProviderForOrder } = require('./providerAvailabilityService');
+const { checkCapacityForOrder } = require('./providerCapacityService');
+const { getStatusDeadline } = require('./priorityService');
+const { evaluateOrderSla } = require('./slaService');
+
+const { ORDER_STATUSES } = Order;
+
+// 'system' covers payment webhooks, schedulers and other automated callers
+const ROLES = {
+  ADMIN: 'admin',
+  PROVIDER: 'service_provider',
+  CUSTOMER: 'customer',
+  SYSTEM: 'system',
+};
+
+const { ADMIN, PROVIDER, CUSTOMER, SYSTEM } = ROLES;
+
+// from -> to -> roles allowed to make the move
+const TRANSITIONS = {
+  pending: {
+    confirmed: [ADMIN, SYSTEM],
+    assigned: [ADMIN, PROVIDER, SYSTEM],
+    cancelled: [ADMIN, CUSTOMER, SYSTEM],
+  },
+  confirmed: {
+    assigned: [ADMIN, PROVIDER, SYSTEM],
+    in_progress: [ADMIN, PROVIDER],
+    cancelled: [ADMIN, CUSTOMER, SYSTEM],
+  },
+  assigned: {
+    pending: [ADMIN, SYSTEM],
+    confirmed: [ADMIN, SYSTEM],
+    in_progress: [ADMIN, PROVIDER],
+    cancelled: [ADMIN, PROVIDER, CUSTOMER, SYSTEM],
+  },
+  in_progress: {
+    ready_for_pickup: [ADMIN, PROVIDER],
+    cancelled: [ADMIN, PROVIDER],
+  },
+  ready_for_pickup: {
+    picked_up: [ADMIN, PROVIDER],
+    cancelled: [ADMIN, PROVIDER],
+  },
+  picked_up: {
+    ready_for_delivery: [ADMIN, PROVIDER],
+    cancelled: [ADMIN, PROVIDER],
+  },
+  ready_for_delivery: {
+    completed: [ADMIN, PROVIDER],
+    cancelled: [ADMIN, PROVIDER],
+  },
+  completed: {},
+  cancelled: {},
+};
+
+// Order status -> OrderTracking currentLocation
+const STATUS_TO_TRACKING = {
+  pending: 'pending',
+  confirmed: 'pickup_scheduled',
+  assigned: 'in_transit_to_facility',
+  in_progress: 'cleaning',
+  ready_for_pickup: 'at_facility',
+  picked_up: 'picked_up',
+  ready_for_delivery: 'ready_for_delivery',
+  completed: 'delivered',
+  cancelled: 'pending', // neutral fallback
+};
+
+const PAID_STATUSES = ['completed', 'partially_refunded'];
+
+const SYSTEM_ACTOR = { id: null, role: SYSTEM };
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Garments that were scanned in but have neither been packed nor flagged missing
+const getUnaccountedGarments = (order) => (order.items || [])
+  .flatMap(item => item.clothingItems || [])
+  .filter(garment => garment.station && !['packed', 'returned'].includes(garment.station) && !garment.isMissing);
+
+// Conditions that must hold for a move, beyond role permissions.
+// Works on plain data so the rules can be checked without a database.
+const GUARDS = {
+  pending: ({ order }) => (order.status === 'assigned' && order.serviceProvider ? 'Release the service provider before returning the order to pending' : null),
+  confirmed: ({ order }) => (order.status === 'assigned' && order.serviceProvider ? 'Release the service provider before returning the order to confirmed' : null),
+  assigned: ({ order }) => (order.serviceProvider ? null : 'A service provider must be set before the order can be assigned'),
+  in_progress: ({ order }) => {
+    if (!order.serviceProvider) return 'Order must be assigned to a service provider before work starts';
+    if (order.repricing?.status === 'pending_approval') return 'Waiting for the customer to approve the weighed price';
+    if (order.repricing?.status === 'rejected') return 'The customer rejected the weighed price; an admin needs to resolve it';
+    return null;
+  },
+  ready_for_delivery: ({ order }) => {
+    const unaccounted = getUnaccountedGarments(order);
+    if (unaccounted.length === 0) return null;
+    const codes = unaccounted.slice(0, 5).map(garment => garment.itemId).join(', ');
+    return `${unaccounted.length} garment(s) not packed: ${codes}${unaccounted.length > 5 ? ', …' : ''}. Scan them as packed or flag them missing`;
+  },
+  completed: ({ order, actor, payment, proofOverride }) => {
+    if (!payment || !PAID_STATUSES.includes(payment.status)) {
+      return `Order cannot be completed until payment is completed${payment ? ` (payment is ${payment.status})` : ''}`;
+    }
+    if (payment.outstandingAmount > 0) {
+      return `Order cannot be completed until the outstanding ¢${payment.outstandingAmount.toFixed(2)} is collected`;
+    }
+    if (!order.proofOfDelivery?.capturedAt && !(actor.role === ADMIN && proofOverride)) {
+      return actor.role === ADMIN
+        ? 'No proof of delivery has been recorded; give a reason to complete the order without it'
+        : 'Record proof of delivery first: the customer\'s delivery code, their signature or a delivery photo';
+    }
+    return null;
+  },
+};
+
+// Is the move defined at all?
+const isValidTransition = (from, to) => Boolean(TRANSITIONS[from] && TRANSITIONS[from][to]);
+
+// Roles allowed to make a move (empty when the move is not defined)
+const getRolesForTransition = (from, to) => (isValidTransition(from, to) ? TRANSITIONS[from][to] : []);
+
+// Does the actor have a stake in this particular order?
+const isParticipant = (order, actor) => {
+  if (actor.role === ADMIN || actor.role === SYSTEM) return true;
+  if (actor.role === PROVIDER) return toId(order.serviceProvider) === toId(actor.id);
+  if (actor.role === CUSTOMER) return toId(order.customer) === toId(actor.id);
+  return false;
+};
+
+// Check a move without side effects; returns null when allowed or { error, statusCode }
+const checkTransition = (order, to, actor, context = {}) => {
+  const from = order.status;
+
+  if (!ORDER_STATUSES.includes(to)) {
+    return { error: `Invalid status: ${to}`, statusCode: 400 };
+  }
+
+  if (!isValidTransition(from, to)) {
+    return { error: `Cannot change status from ${from} to ${to}`, statusCode: 400 };
+  }
+
+  if (!getRolesForTransition(from, to).includes(actor.role)) {
+    return { error: `A ${actor.role.replace('_', ' ')} cannot change status from ${from} to ${to}`, statusCode: 403 };
+  }
+
+  if (!isParticipant(order, actor)) {
+    return {
+      error: actor.role === PROVIDER ? 'You can only update orders assigned to you' : 'Access denied',
+      statusCode: 403,
+    };
+  }
+
+  const guard = GUARDS[to];
+  const guardError = guard ? guard({ order, actor, ...context }) : null;
+  if (guardError) {
+    return { error: guardError, statusCode: 400 };
+  }
+
+  return null;
+};
+
+// Statuses the actor could move this order to next
+const getAvailableTransitions = (order, actor, context = {}) => {
+  return Object.keys(TRANSITIONS[order.status] || {})
+    .filter(to => !checkTransition(order, to, actor, context));
+};
+
+const loadPayment = async (order) => {
+  if (order.payment && order.payment.status) return order.payment;
+  if (order.payment) return Payment.findById(order.payment);
+  return Payment.findOne({ order: order._id });
+};
+
+// Normalise req.user (or nothing, for automated callers) into an actor
+const actorFrom = (user) => (user ? { id: user.id || toId(user._id), role: user.role } : SYSTEM_ACTOR);
+
+const assertTransition = (order, to, actor, context) => {
+  const problem = checkTransition(order, to, actor, context);
+  if (problem) {
+    throw problem.statusCode === 403 ? new AuthorizationError(problem.error) : new ValidationError(problem.error);
+  }
+};
+
+// Record a status change on the order
+const recordHistory = (order, { status, actor, notes }) => {
+  order.statusHistory.push({
+    status,
+    changedBy: actor.id || null,
+    role: actor.role,
+    changedAt: new Date(),
+    notes: notes || '',
+  });
+};
+
+// Void any dispatch offer still waiting once the order is taken or cancelled
+const closeDispatch = (order, status) => {
+  if (!order.dispatch?.status || order.dispatch.status === 'assigned') return;
+
+  for (const offer of order.dispatch.offers || []) {
+    if (offer.status === 'offered') {
+      offer.status = 'withdrawn';
+      offer.respondedAt = new Date();
+    }
+  }
+  order.dispatch.status = status;
+};
+
+// Side effects, run after the new status has been saved. Failures are logged, never thrown,
+// so a flaky email server cannot undo a legitimate status change.
+const runSideEffects = async (order, from, to, actor, notes, { notify = true } = {}) => {
+  try {
+    let tracking = await OrderTracking.findOne({ order: order._id });
+    if (!tracking) tracking = new OrderTracking({ order: order._id });
+    await tracking.updateLocation(STATUS_TO_TRACKING[to] || 'pending', notes, actor.id || null);
+  } catch (trackingError) {
+    console.error('⚠️ Failed to update order tracking:', trackingError);
+  }
+
+  try {
+    const customer = notify ? await User.findById(order.customer).select('firstName lastName email') : null;
+    if (customer) {
+      await sendOrderStatusEmail(
+        customer.email,
+        `${customer.firstName} ${customer.lastName}`,
+        order.orderNumber,
+        from,
+        to,
+        order.getAllClothingItems()
+      );
+      console.log(`📧 Status update email sent to ${customer.email} for order ${order.orderNumber}`);
+    }
+  } catch (emailError) {
+    console.error('⚠️ Failed to send status update email:', emailError);
+  }
+
+  // Give the coupon use, any reserved points and booked slots back if the order is cancelled
+  if (to === 'cancelled') {
+    try {
+      if (order.coupon?.couponId) await reverseRedemption(order._id);
+      await releaseOrderPoints(order._id, 'Order cancelled');
+      await releaseOrderSlots(order._id);
+    } catch (releaseError) {
+      console.error('⚠️ Failed to release order discounts:', releaseError);
+    }
+  }
+
+  if (to === 'ready_for_delivery') {
+    try {
+      // Lazy require: the delivery proof service depends on this module
+      const { sendDeliveryCode } = require('./deliveryProofService');
+      await sendDeliveryCode(order._id, SYSTEM_ACTOR);
+    } catch (codeError) {
+      console.error('⚠️ Failed to send delivery code:', codeError);
+    }
+  }
+
+  if (to === 'completed') {
+    if (order.proofOfDelivery?.method === 'admin_override') {
+      try {
+        const { recordOnTracking } = require('./deliveryProofService');
+        await recordOnTracking(order);
+      } catch (trackingError) {
+        console.error('⚠️ Failed to record proof of delivery on tracking:', trackingError);
+      }
+    }
+
+    try {
+      const loyaltyResult = await awardPointsForOrder(order._id);
+      if (loyaltyResult.success && loyaltyResult.pointsAwarded > 0) {
+        console.log(`🎉 Awarded ${loyaltyResult.pointsAwarded} loyalty points to customer ${toId(order.customer)} for order ${order._id}`);
+      }
+    } catch (loyaltyError) {
+      console.error('⚠️ Failed to award loyalty points:', loyaltyError);
+    }
+
+    try {
+      // Lazy require: the referral service depends on the loyalty service
+      const { qualifyReferral } = require('./referralService');
+      await qualifyReferral(order._id);
+    } catch (referralError) {
+      console.error('⚠️ Failed to process referral bonus:', referralError);
+    }
+
+    try {
+      await creditProviderEarnings(order._id);
+    } catch (earningsError) {
+      console.error('⚠️ Failed to credit provider earnings:', earningsError);
+    }
+
+    try {
+      const sla = await evaluateOrderSla(order._id);
+      if (sla) order.sla = sla;
+    } catch (slaError) {
+      console.error('⚠️ Failed to evaluate order SLA:', slaError);
+    }
+  }
+};
+
+// Credit the provider with the order's net value once, when it completes
+const creditProviderEarnings = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: 'completed', serviceProvider: { $ne: null }, 'providerEarnings.creditedAt': { $exists: false } },
+    { $set: { 'providerEarnings.creditedAt': new Date() } },
+    { new: true }
+  );
+  if (!order) return 0;
+
+  const amount = Math.max(0, Math.round((order.totalAmount - (order.refundAmount || 0)) * 100) / 100);
+  const credited = await adjustProviderEarnings(order.serviceProvider, amount);
+
+  // $inc so a refund clawing back from the order at the same time is not overwritten
+  await Order.updateOne({ _id: order._id }, { $inc: { 'providerEarnings.amount': credited } });
+  order.providerEarnings.amount = (order.providerEarnings.amount || 0) + credited;
+  return credited;
+};
+
+// Record when the garments were collected and delivered. Work cannot start before collection,
+// so in_progress stamps the pickup if an intake scan or weighing has not already done so;
+// delivery is when the proof was captured.
+const stampActualTimes = (order, to, now = new Date()) => {
+  if (to === 'in_progress' && !order.actualPickupDate) order.actualPickupDate = now;
+  if (to === 'completed') order.actualDeliveryDate = order.proofOfDelivery?.capturedAt || now;
+};
+
+// Move an order to a new status, enforcing the rules and running side effects
+// notify: false skips the status email when the caller sends a more specific one
+// proofOverride: an admin's reason for completing a delivery that has no proof of delivery
+const transitionOrder = async (order, to, { actor = SYSTEM_ACTOR, notes = '', notify = true, proofOverride = '' } = {}) => {
+  const from = order.status;
+  const overrideReason = String(proofOverride || '').trim();
+  const context = to === 'completed' ? { payment: await loadPayment(order), proofOverride: overrideReason } : {};
+
+  assertTransition(order, to, actor, context);
+
+  if (to === 'completed' && !order.proofOfDelivery?.capturedAt) {
+    order.proofOfDelivery = {
+      method: 'admin_override',
+      overrideReason: overrideReason.slice(0, 500),
+      capturedBy: actor.id,
+      role: actor.role,
+      capturedAt: new Date(),
+    };
+    notes = notes || `Completed without proof of delivery: ${overrideReason}`;
+  }
+
+  order.status = to;
+  order.statusDeadline = getStatusDeadline(order, to);
+  stampActualTimes(order, to);
+  if (to === 'cancelled') closeDispatch(order, 'closed');
+  recordHistory(order, { status: to, actor, notes });
+  await order.save();
+
+  await runSideEffects(order, from, to, actor, notes, { notify });
+
+  console.log(`Order ${order._id} status updated from ${from} to ${to} by ${actor.id ? `user ${actor.id}` : 'system'}`);
+  return { order, from, to };
+};
+
+// Record a hand-off between providers on the order
+const recordAssignment = (order, { action, provider = null, previousProvider = null, actor, reason }) => {
+  order.assignmentHistory.push({
+    action,
+    provider,
+    previousProvider,
+    by: actor.id || null,
+    role: actor.role,
+    reason: reason || '',
+    at: new Date(),
+  });
+};
+
+// Let the customer know their order changed hands. Failures are logged, never thrown.
+const notifyHandOff = async (order, action, providerId, reason) => {
+  try {
+    const [customer, provider] = await Promise.all([
+      User.findById(order.customer).select('firstName lastName email'),
+      providerId ? User.findById(providerId).select('firstName lastName businessDetails.businessName') : null,
+    ]);
+    if (!customer) return;
+
+    const providerName = provider ? (provider.businessDetails?.businessName || `${provider.firstName} ${provider.lastName}`) : null;
+    await sendProviderChangeEmail(customer.email, `${customer.firstName} ${customer.lastName}`, order.orderNumber, action, providerName, reason);
+  } catch (emailError) {
+    console.error('⚠️ Failed to send provider change email:', emailError);
+  }
+};
+
+// Hand an order to a provider; unassigned orders move to 'assigned', active ones just change hands
+const assignProvider = async (order, providerId, { actor = SYSTEM_ACTOR, notes = '' } = {}) => {
+  if (!['pending', 'confirmed', 'assigned'].includes(order.status) && actor.role !== ADMIN) {
+    throw new ValidationError(`Order is not available for assignment. Current status: ${order.status}`);
+  }
+  if (['completed', 'cancelled'].includes(order.status)) {
+    throw new ValidationError(`Cannot assign a ${order.status} order`);
+  }
+
+  const provider = await User.findOne({ _id: providerId, role: PROVIDER });
+  if (!provider) {
+    throw new ValidationError('Service provider not found');
+  }
+
+  const previousProvider = order.serviceProvider || null;
+  if (previousProvider && toId(previousProvider) === toId(provider._id)) {
+    throw new ValidationError('Order is already assigned to this service provider');
+  }
+
+  // Work hasn't started, so the new provider has to be available for the pickup
+  if (['pending', 'confirmed', 'assigned'].includes(order.status)) {
+    const problem = await checkProviderForOrder(provider, order);
+    if (problem) {
+      throw new ValidationError(`Service provider is not available for this order: ${problem}`);
+    }
+  }
+
+  const capacityProblem = await checkCapacityForOrder(provider, order);
+  if (capacityProblem) {
+    throw new ValidationError(`Service provider is over capacity: ${capacityProblem}`);
+  }
+
+  // Claim the order only if no one else has since it was loaded. An unassigned order moves to
+  // 'assigned' with the claim so that claims made at the same time count as open orders in the
+  // capacity check that follows.
+  const assignedAt = new Date();
+  const previous = { serviceProvider: previousProvider ? toId(previousProvider) : null, status: order.status, assignedAt: order.assignedAt || null };
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, serviceProvider: previousProvider ? toId(previousProvider) : null },
+    { $set: { serviceProvider: provider._id, assignedAt, status: ['pending', 'confirmed'].includes(order.status) ? 'assigned' : order.status } }
+  );
+  if (!claimed) {
+    throw new ValidationError('Order was just assigned or changed by someone else; refresh and try again');
+  }
+
+  const releaseClaim = () => Order.updateOne(
+    { _id: order._id, serviceProvider: provider._id, assignedAt },
+    { $set: previous }
+  );
+
+  const recheckProblem = await checkCapacityForOrder(provider, order);
+  if (recheckProblem) {
+    await releaseClaim();
+    throw new ValidationError(`Service provider is over capacity: ${recheckProblem}`);
+  }
+
+  order.serviceProvider = provider._id;
+  order.assignedAt = assignedAt;
+  closeDispatch(order, 'assigned');
+  recordAssignment(order, {
+    action: previousProvider ? 'reassigned' : 'assigned',
+    provider: provider._id,
+    previousProvider,
+    actor,
+    reason: notes,
+  });
+
+  try {
+    if (['pending', 'confirmed'].includes(previous.status)) {
+      await transitionOrder(order, 'assigned', { actor, notes });
+    } else {
+      recordHistory(order, { status: order.status, actor, notes: notes || 'Service provider changed' });
+      await order.save();
+    }
+  } catch (error) {
+    await releaseClaim();
+    throw error;
+  }
+
+  // A first assignment is announced by the status email; a change of provider needs its own
+  if (previousProvider) {
+    await notifyHandOff(order, 'reassigned', provider._id, notes);
+  }
+
+  try {
+    await Payment.updateOne({ order: order._id }, { $set: { serviceProvider: provider._id } });
+  } catch (e) {
+    console.warn('Failed to update payment serviceProvider for order', order._id.toString());
+  }
+
+  return order;
+};
+
+// Take an assigned order back from its provider before work starts and return it to
+// pending or confirmed (depending on payment) so it can be assigned again
+const releaseProvider = async (order, { actor = SYSTEM_ACTOR, reason = '', action = 'released' } = {}) => {
+  if (order.status !== 'assigned' || !order.serviceProvider) {
+    throw new ValidationError(`Only assigned orders that have not started can be released. Current status: ${order.status}`);
+  }
+  if (actor.role === CUSTOMER) {
+    throw new AuthorizationError('Customers cannot release a service provider');
+  }
+  if (actor.role === PROVIDER && toId(order.serviceProvider) !== toId(actor.id)) {
+    throw new AuthorizationError('You can only release orders assigned to you');
+  }
+  if (!String(reason).trim()) {
+    throw new ValidationError('A reason is required');
+  }
+
+  const previousProvider = order.serviceProvider;
+  const payment = await loadPayment(order);
+  const to = payment && PAID_STATUSES.includes(payment.status) ? 'confirmed' : 'pending';
+
+  order.serviceProvider = null;
+  order.assignedAt = null;
+  recordAssignment(order, { action, previousProvider, actor, reason });
+
+  // The status change itself is automatic; who released the order is on the assignment record
+  await transitionOrder(order, to, {
+    actor: actor.role === ADMIN ? actor : SYSTEM_ACTOR,
+    notes: `Service provider ${action.replace('_', '-')}: ${reason}`,
+    notify: false,
+  });
+
+  try {
+    await Payment.updateOne({ order: order._id }, { $unset: { serviceProvider: '' } });
+  } catch (e) {
+    console.warn('Failed to clear payment serviceProvider for order', order._id.toString());
+  }
+
+  await notifyHandOff(order, 'released', null, action === 'auto_released' ? '' : reason);
+
+  return { order, previousProvider };
+};
+
+// A completed payment confirms a pending order
+const confirmOrderForPayment = async (orderId, { actor = SYSTEM_ACTOR, notes = 'Order confirmed - payment completed' } = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.status !== 'pending') return null;
+
+  // Confirmation on payment is an automated step, whoever triggered the verification
+  await transitionOrder(order, 'confirmed', { actor: { id: actor.id, role: SYSTEM }, notes });
+  return order;
+};
+
+module.exports = {
+  ROLES,
+  TRANSITIONS,
+  GUARDS,
+  STATUS_TO_TRACKING,
+  SYSTEM_ACTOR,
+  actorFrom,
+  isValidTransition,
+  getRolesForTransition,
+  checkTransition,
+  getAvailableTransitions,
+  transitionOrder,
+  assignProvider,
+  releaseProvider,
+  confirmOrderForPayment,
+  creditProviderEarnings,
+  recordHistory,
+  getUnaccountedGarments,
+};
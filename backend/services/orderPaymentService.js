@@ -0,0 +1,161 @@
+// Order Payment Service
+// Keeps an order's payment record in step with the order total.
+const Payment = require('../models/Payment');
+const { refundPayment } = require('./refundService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const SETTLED_STATUSES = ['completed', 'partially_refunded'];
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Payments that have not been collected yet can simply be re-priced
+const UNSETTLED_STATUSES = ['pending', 'failed'];
+
+// Update the unsettled payment for an order to the order's current total
+const syncPendingPayment = async (order, { changedBy = null, notes = '' } = {}) => {
+  const payment = order.payment
+    ? await Payment.findById(order.payment._id || order.payment)
+    : await Payment.findOne({ order: order._id });
+
+  if (!payment || !UNSETTLED_STATUSES.includes(payment.status)) {
+    return null;
+  }
+
+  if (Math.abs(payment.amount - order.totalAmount) < 0.005) {
+    return payment;
+  }
+
+  const previousAmount = payment.amount;
+  payment.amount = order.totalAmount;
+  // The Paystack checkout was opened for the old amount; retire it so the new amount is charged
+  if (payment.reference) {
+    payment.voidedReferences.push(payment.reference);
+    payment.reference = undefined;
+    payment.paystackData = undefined;
+  }
+  payment.notes = (notes || `Amount updated from ¢${previousAmount.toFixed(2)} to ¢${order.totalAmount.toFixed(2)}`).slice(0, 500);
+  if (changedBy) {
+    payment.statusHistory.push({
+      status: payment.status,
+      changedBy,
+      changedAt: new Date(),
+      notes: `Amount updated from ¢${previousAmount.toFixed(2)} to ¢${order.totalAmount.toFixed(2)}`
+    });
+  }
+  await payment.save();
+
+  return payment;
+};
+
+const loadPayment = (order) => (order.payment
+  ? Payment.findById(order.payment._id || order.payment)
+  : Payment.findOne({ order: order._id }));
+
+// Bring the payment in line with a changed order total. Unpaid payments are re-priced;
+// paid ones are partly refunded when the total drops or get a supplementary charge when it rises.
+const applyOrderTotal = async (order, { actor, reason }) => {
+  const payment = await loadPayment(order);
+  if (!payment) return { action: 'none' };
+
+  if (UNSETTLED_STATUSES.includes(payment.status)) {
+    await syncPendingPayment(order, { changedBy: actor.id || null, notes: reason });
+    return { action: 'updated', payment };
+  }
+
+  if (!SETTLED_STATUSES.includes(payment.status)) {
+    return { action: 'none', payment };
+  }
+
+  // What the customer has paid (or owes in open charges) net of refunds
+  const charged = roundAmount(payment.amount - (payment.refundAmount || 0) + payment.outstandingAmount);
+  const difference = roundAmount(order.totalAmount - charged);
+
+  if (difference < 0) {
+    const { refund } = await refundPayment(payment._id, {
+      amount: -difference,
+      reason: reason.slice(0, 200),
+      initiatedBy: actor.id || undefined,
+    });
+    return { action: 'refunded', amount: -difference, refund, payment };
+  }
+
+  if (difference > 0) {
+    payment.supplementaryCharges.push({
+      amount: difference,
+      reason: reason.slice(0, 200),
+      status: 'pending',
+      createdBy: actor.id || null,
+    });
+    await payment.save();
+    return { action: 'supplementary_charge', amount: difference, payment };
+  }
+
+  return { action: 'none', payment };
+};
+
+// Payments a Paystack reference belongs to, including references since retired
+const referenceFilter = (reference) => ({ $or: [{ reference }, { voidedReferences: reference }] });
+
+// Paystack reports what it actually charged. A checkout opened before the amount changed can still
+// be paid at the old amount, so a charge that doesn't match the amount due puts the payment on
+// hold (processing, which cannot be paid again) for an admin instead of completing it.
+// Returns true when the payment is held; the caller saves it.
+const holdMismatchedCharge = (payment, { received, reference, changedBy = null, role = 'system' }) => {
+  if (Math.abs(received - payment.amount) < 0.005) return false;
+  if (payment.amountMismatch?.reference === reference) return true;
+
+  payment.status = 'processing';
+  payment.amountMismatch = { expected: payment.amount, received, reference, detectedAt: new Date() };
+  payment.statusHistory.push({
+    status: 'processing',
+    changedBy,
+    role,
+    changedAt: new Date(),
+    notes: `Paystack charged ¢${received.toFixed(2)} but ¢${payment.amount.toFixed(2)} is due; held for review`
+  });
+  return true;
+};
+
+// A charge that landed on a retired checkout becomes the payment's reference, so refunds go to it
+const adoptReference = (payment, reference) => {
+  if (!reference || payment.reference === reference) return;
+  payment.voidedReferences.pull(reference);
+  if (payment.reference) payment.voidedReferences.push(payment.reference);
+  payment.reference = reference;
+};
+
+// Record collection of a supplementary charge; the payment amount grows to include it
+const settleSupplementaryCharge = async (payment, chargeId, { actor, method = 'cash' }) => {
+  const charge = payment.supplementaryCharges.id(chargeId);
+  if (!charge) {
+    throw new NotFoundError('Charge not found');
+  }
+  if (charge.status !== 'pending') {
+    throw new ValidationError(`Charge is already ${charge.status}`);
+  }
+
+  charge.status = 'completed';
+  charge.settledAt = new Date();
+  charge.settledBy = actor.id || null;
+  charge.method = method;
+  payment.amount = roundAmount(payment.amount + charge.amount);
+  payment.statusHistory.push({
+    status: payment.status,
+    changedBy: actor.id || null,
+    role: actor.role,
+    changedAt: new Date(),
+    notes: `Supplementary charge of ¢${charge.amount.toFixed(2)} collected (${method})`
+  });
+  await payment.save();
+
+  return charge;
+};
+
+module.exports = {
+  syncPendingPayment,
+  applyOrderTotal,
+  settleSupplementaryCharge,
+  referenceFilter,
+  holdMismatchedCharge,
+  adoptReference,
+  UNSETTLED_STATUSES
+};
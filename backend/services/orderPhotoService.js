@@ -0,0 +1,158 @@
+// Order Photo Service
+// Photos of garments taken at intake and at delivery, kept as evidence of their condition.
+// Files are stored privately and only handed to the customer, the assigned provider and admins.
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Order = require('../models/Order');
+const OrderPhoto = require('../models/OrderPhoto');
+const { PHOTO_CONFIG } = require('../config/photos');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { ROLES } = require('./orderLifecycle');
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+// sharp format name -> MIME type, for checking the bytes match what was claimed
+const FORMAT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+
+const hasGarment = (order, itemId) => order.items
+  .some(item => (item.clothingItems || []).some(ci => ci.itemId === itemId));
+
+const canView = (order, actor) => actor.role === ROLES.ADMIN
+  || (actor.role === ROLES.CUSTOMER && toId(order.customer) === toId(actor.id))
+  || (actor.role === ROLES.PROVIDER && toId(order.serviceProvider) === toId(actor.id));
+
+const loadOrder = async (orderId, actor) => {
+  const order = mongoose.Types.ObjectId.isValid(orderId) ? await Order.findById(orderId) : null;
+  if (!order) throw new NotFoundError('Order not found');
+  if (!canView(order, actor)) throw new AuthorizationError('Access denied');
+  return order;
+};
+
+// Write the cleaned-up original and its thumbnail; EXIF (including location) is dropped
+const storeImage = async (orderId, photoId, file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw new ValidationError(`${file.originalname} is not a readable image`);
+  }
+  const mimeType = FORMAT_TYPES[metadata.format];
+  if (!mimeType) {
+    throw new ValidationError(`${file.originalname} must be a JPEG, PNG or WebP image`);
+  }
+
+  const dir = path.join(PHOTO_CONFIG.storageDir, orderId.toString());
+  await fs.mkdir(dir, { recursive: true });
+
+  const fileName = path.join(orderId.toString(), `${photoId}.${EXTENSIONS[mimeType]}`);
+  const thumbnailName = path.join(orderId.toString(), `${photoId}-thumb.webp`);
+
+  const original = await sharp(file.buffer).rotate().toFile(path.join(PHOTO_CONFIG.storageDir, fileName));
+  await sharp(file.buffer)
+    .rotate()
+    .resize({ width: PHOTO_CONFIG.thumbnailSize, height: PHOTO_CONFIG.thumbnailSize, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 70 })
+    .toFile(path.join(PHOTO_CONFIG.storageDir, thumbnailName));
+
+  return { file: fileName, thumbnail: thumbnailName, mimeType, size: original.size, width: original.width, height: original.height };
+};
+
+const removeFiles = async (photos) => {
+  for (const photo of photos) {
+    for (const name of [photo.file, photo.thumbnail]) {
+      if (!name) continue;
+      await fs.unlink(path.join(PHOTO_CONFIG.storageDir, name)).catch(() => {});
+    }
+  }
+};
+
+// Save uploaded photos against an order, optionally for one garment (assigned provider or admin)
+const savePhotos = async (orderId, files, { stage, itemId, caption }, actor) => {
+  const order = await loadOrder(orderId, actor);
+  if (![ROLES.ADMIN, ROLES.PROVIDER].includes(actor.role)) {
+    throw new AuthorizationError('Only the assigned service provider or an admin can add photos');
+  }
+
+  const statuses = PHOTO_CONFIG.stages[stage];
+  if (!statuses) {
+    throw new ValidationError(`stage must be one of ${Object.keys(PHOTO_CONFIG.stages).join(', ')}`);
+  }
+  if (!statuses.includes(order.status) && actor.role !== ROLES.ADMIN) {
+    throw new ValidationError(`${stage} photos can't be taken on a ${order.status} order`);
+  }
+
+  const code = itemId ? String(itemId).trim().toUpperCase() : null;
+  if (code && !hasGarment(order, code)) {
+    throw new ValidationError(`Garment ${code} is not on this order`);
+  }
+  if (!files || files.length === 0) {
+    throw new ValidationError('At least one photo is required');
+  }
+
+  const stored = [];
+  try {
+    for (const file of files) {
+      const _id = new mongoose.Types.ObjectId();
+      stored.push({ _id, ...(await storeImage(order._id, _id, file)) });
+    }
+
+    return await OrderPhoto.insertMany(stored.map(entry => ({
+      ...entry,
+      order: order._id,
+      itemId: code || undefined,
+      stage,
+      caption: caption ? String(caption).slice(0, 200) : undefined,
+      uploadedBy: actor.id,
+      role: actor.role,
+    })));
+  } catch (error) {
+    await removeFiles(stored);
+    throw error;
+  }
+};
+
+// Photos on an order, oldest first
+const listPhotos = async (orderId, actor, { stage, itemId } = {}) => {
+  const order = await loadOrder(orderId, actor);
+  const filter = { order: order._id };
+  if (stage) filter.stage = stage;
+  if (itemId) filter.itemId = String(itemId).trim().toUpperCase();
+
+  return OrderPhoto.find(filter)
+    .sort({ createdAt: 1 })
+    .populate('uploadedBy', 'firstName lastName');
+};
+
+// Where to read a photo (or its thumbnail) from, once the actor is allowed to see it
+const getPhotoFile = async (photoId, actor, { thumbnail = false } = {}) => {
+  const photo = mongoose.Types.ObjectId.isValid(photoId) ? await OrderPhoto.findById(photoId) : null;
+  if (!photo) throw new NotFoundError('Photo not found');
+  await loadOrder(photo.order, actor);
+
+  return {
+    path: path.join(PHOTO_CONFIG.storageDir, thumbnail ? photo.thumbnail : photo.file),
+    mimeType: thumbnail ? 'image/webp' : photo.mimeType,
+  };
+};
+
+// Remove a photo taken by mistake (admin only)
+const deletePhoto = async (photoId, actor) => {
+  if (actor.role !== ROLES.ADMIN) throw new AuthorizationError('Only admins can delete photos');
+
+  const photo = mongoose.Types.ObjectId.isValid(photoId) ? await OrderPhoto.findById(photoId) : null;
+  if (!photo) throw new NotFoundError('Photo not found');
+
+  await photo.deleteOne();
+  await removeFiles([photo]);
+  return photo;
+};
+
+module.exports = {
+  savePhotos,
+  listPhotos,
+  getPhotoFile,
+  deletePhoto,
+};
@@ -0,0 +1,338 @@
+// Order Service
+// Creates orders: validates the request, prices it on the server, claims coupons, points and
+// slots, then writes the order and its payment. Used by checkout, reorders, templates and subscriptions.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { reservePointsForOrder, restorePoints } = require('./loyaltyService');
+const { priceOrder, assertClientTotals, resolveService } = require('./pricingService');
+const { redeemCoupon, reverseRedemption } = require('./couponService');
+const { bookOrderSlots, releaseOrderSlots } = require('./slotService');
+const { dispatchOrder } = require('./dispatchService');
+const { DISPATCH_CONFIG } = require('../config/dispatch');
+const { resolveTurnaround, getStatusDeadline } = require('./priorityService');
+
+const formatAddress = (address) => ({
+  type: address.type || 'home',
+  street: address.street,
+  city: address.city,
+  state: address.state,
+  zipCode: address.zipCode,
+  instructions: address.instructions || '',
+  coordinates: address.coordinates,
+});
+
+const validateOrderInput = ({ items, pickupAddress, deliveryAddress, pickupDate, deliveryDate, pickupSlot, deliverySlot, paymentMethod }) => {
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('At least one item is required');
+  }
+
+  if (!pickupAddress || !deliveryAddress) {
+    throw new ValidationError('Pickup and delivery addresses are required');
+  }
+
+  const usesSlots = Boolean(pickupSlot || deliverySlot);
+  if (!usesSlots && (!pickupDate || !deliveryDate)) {
+    throw new ValidationError('Pickup and delivery dates are required');
+  }
+
+  if (!usesSlots && new Date(deliveryDate) < new Date(pickupDate)) {
+    throw new ValidationError('Delivery date cannot be before pickup date');
+  }
+
+  if (!paymentMethod) {
+    throw new ValidationError('Payment method is required');
+  }
+
+  return usesSlots;
+};
+
+// Create an order and its pending payment for a customer.
+// input is the checkout body; actor is who placed it (the customer, or the system for subscriptions).
+const createOrder = async (customerId, input, { actor, notes = 'Order placed', subscription = null, reorderedFrom = null, template = null } = {}) => {
+  const {
+    items,
+    pickupAddress,
+    deliveryAddress,
+    pickupDate,
+    deliveryDate,
+    pickupSlot,
+    deliverySlot,
+    paymentMethod,
+    specialInstructions,
+    couponCode,
+    loyaltyPoints,
+    momoPhone,
+    momoNetwork,
+  } = input;
+
+  const usesSlots = validateOrderInput(input);
+  // Express turnarounds raise the priority, which sets the surcharge, slot turnaround and deadlines
+  const { priority, isUrgent } = resolveTurnaround(input);
+
+  // Price every line on the server and reject a client subtotal that disagrees
+  const quote = await priceOrder({ items, pickupAddress, isUrgent, priority, couponCode, loyaltyPoints, customerId });
+  assertClientTotals(quote, input);
+
+  // Claim limited resources before the order exists; undo them if a later step fails
+  const orderId = new mongoose.Types.ObjectId();
+  const orderNumber = `ORD-${orderId.toString().slice(-8).toUpperCase()}`;
+  const rollbacks = [];
+  const rollBack = async () => {
+    for (const undo of rollbacks.reverse()) {
+      try {
+        await undo();
+      } catch (rollbackError) {
+        console.error('⚠️ Failed to roll back order resource:', rollbackError);
+      }
+    }
+  };
+
+  let slots = null;
+  try {
+    // Coupon first so the usage cap cannot be overrun
+    if (quote.coupon) {
+      await redeemCoupon(quote.coupon.couponId, {
+        customerId,
+        orderId,
+        discountAmount: quote.coupon.discount,
+      });
+      rollbacks.push(() => reverseRedemption(orderId));
+    }
+
+    // Hold the loyalty points until the payment settles
+    if (quote.loyalty) {
+      await reservePointsForOrder(customerId, orderId, quote.loyalty.points, orderNumber);
+      rollbacks.push(() => restorePoints(customerId, orderId, quote.loyalty.points, `Restored ${quote.loyalty.points} points: order ${orderNumber} could not be created`));
+    }
+
+    if (usesSlots) {
+      slots = await bookOrderSlots({
+        orderId,
+        pickupArea: pickupAddress.city,
+        deliveryArea: deliveryAddress.city,
+        pickupSlot,
+        deliverySlot,
+        items: quote.items,
+        priority,
+      });
+      rollbacks.push(() => releaseOrderSlots(orderId));
+    }
+  } catch (reservationError) {
+    await rollBack();
+    throw reservationError;
+  }
+
+  const orderData = {
+    _id: orderId,
+    customer: customerId,
+    serviceProvider: null,
+    items: quote.items,
+    status: 'pending',
+    statusHistory: [{
+      status: 'pending',
+      changedBy: actor?.id || null,
+      role: actor?.role || 'system',
+      changedAt: new Date(),
+      notes,
+    }],
+    subtotal: quote.subtotal,
+    tax: quote.tax,
+    deliveryFee: quote.deliveryFee,
+    surcharge: quote.surcharge,
+    discount: quote.discount,
+    totalAmount: quote.totalAmount,
+    pricingBreakdown: quote.breakdown,
+    coupon: quote.coupon || undefined,
+    loyaltyRedemption: quote.loyalty ? {
+      points: quote.loyalty.points,
+      discountValue: quote.loyalty.discountValue,
+      status: 'reserved',
+      reservedAt: new Date(),
+    } : undefined,
+    isUrgent,
+    priority,
+    pickupAddress: formatAddress(pickupAddress),
+    deliveryAddress: formatAddress(deliveryAddress),
+    pickupDate: slots ? slots.pickup.start : new Date(pickupDate),
+    deliveryDate: slots ? slots.delivery.start : new Date(deliveryDate),
+    ...(slots && {
+      pickupSlot: slots.pickup,
+      deliverySlot: slots.delivery,
+      estimatedPickupTime: slots.pickup.window,
+      estimatedDeliveryTime: slots.delivery.window,
+    }),
+    subscription: subscription || undefined,
+    reorderedFrom: reorderedFrom || undefined,
+    template: template || undefined,
+    paymentMethod: paymentMethod || 'cash',
+    notes: {
+      customer: specialInstructions || '',
+      serviceProvider: '',
+      admin: '',
+    },
+    ...(paymentMethod === 'momo' && {
+      momoPhone,
+      momoNetwork,
+    }),
+  };
+
+  orderData.statusDeadline = getStatusDeadline(orderData, 'pending');
+
+  let order;
+  try {
+    order = await Order.create(orderData);
+    rollbacks.push(() => Order.deleteOne({ _id: orderId }));
+
+    // Create a new payment document for the order
+    const payment = await Payment.create({
+      order: order._id,
+      customer: customerId,
+      serviceProvider: order.serviceProvider, // Can be null initially
+      amount: order.totalAmount,
+      paymentMethod: orderData.paymentMethod,
+      paymentDetails: orderData.paymentMethod === 'momo' ? { phoneNumber: momoPhone, momoNetwork } : {},
+      status: 'pending', // Initial payment status
+      statusHistory: [{
+        status: 'pending',
+        changedBy: actor?.id || null,
+        changedAt: new Date(),
+        notes: 'Payment initiated with order creation'
+      }]
+    });
+    rollbacks.push(() => Payment.deleteOne({ _id: payment._id }));
+
+    // Link the payment to the order
+    order.payment = payment._id;
+    await order.save();
+  } catch (createError) {
+    await rollBack();
+    throw createError;
+  }
+
+  await order.populate([
+    { path: 'customer', select: 'firstName lastName email phoneNumber' },
+    { path: 'serviceProvider', select: 'firstName lastName email phoneNumber businessDetails' },
+    { path: 'payment' }
+  ]);
+
+  // Start looking for a provider in the background; failures leave the order open for manual assignment
+  if (DISPATCH_CONFIG.enabled) {
+    dispatchOrder(order._id).catch(dispatchError => {
+      console.error('⚠️ Failed to dispatch order:', dispatchError);
+    });
+  }
+
+  return order;
+};
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Check saved lines against the current catalogue. Retired services are left out of the basket;
+// lines whose price moved since they were saved are kept and flagged with both prices.
+const checkBasket = async (items) => {
+  const basket = [];
+  const changes = [];
+
+  for (const item of items) {
+    const service = await resolveService(item.service);
+    if (!service || !service.isAvailable) {
+      changes.push({
+        service: item.service,
+        serviceName: item.serviceName || service?.name || item.service,
+        change: 'retired',
+      });
+      continue;
+    }
+
+    const currentPrice = roundAmount(service.price || 0);
+    if (item.unitPrice !== undefined && item.unitPrice !== null && roundAmount(item.unitPrice) !== currentPrice) {
+      changes.push({
+        service: service.id,
+        serviceName: service.name,
+        change: 'price_changed',
+        previousPrice: roundAmount(item.unitPrice),
+        currentPrice,
+      });
+    }
+
+    basket.push({
+      service: service.id,
+      quantity: item.quantity,
+      specialInstructions: item.specialInstructions || '',
+    });
+  }
+
+  return { items: basket, changes };
+};
+
+const loadOwnOrder = async (orderId, actor) => {
+  const order = mongoose.Types.ObjectId.isValid(orderId) ? await Order.findById(orderId).populate('payment') : null;
+  if (!order) throw new NotFoundError('Order not found');
+  if (toId(order.customer) !== toId(actor.id)) {
+    throw new AuthorizationError('You can only reorder your own orders');
+  }
+  return order;
+};
+
+// The checkout body that repeats a past order, before dates and any overrides are added
+const buildReorder = async (order) => {
+  const { items, changes } = await checkBasket(order.items);
+  if (items.length === 0) {
+    throw new ValidationError('None of the services in this order are offered any more');
+  }
+
+  return {
+    input: {
+      items,
+      pickupAddress: order.pickupAddress?.toObject ? order.pickupAddress.toObject() : order.pickupAddress,
+      deliveryAddress: order.deliveryAddress?.toObject ? order.deliveryAddress.toObject() : order.deliveryAddress,
+      specialInstructions: order.notes?.customer || '',
+      isUrgent: order.isUrgent,
+      priority: order.priority,
+      paymentMethod: order.payment?.paymentMethod,
+      momoPhone: order.payment?.paymentDetails?.phoneNumber,
+      momoNetwork: order.payment?.paymentDetails?.momoNetwork,
+    },
+    changes,
+  };
+};
+
+// What a reorder would contain and cost today, without placing it
+const previewReorder = async (orderId, actor) => {
+  const order = await loadOwnOrder(orderId, actor);
+  const { input, changes } = await buildReorder(order);
+  const quote = await priceOrder({
+    items: input.items,
+    pickupAddress: input.pickupAddress,
+    isUrgent: input.isUrgent,
+    priority: input.priority,
+    customerId: actor.id,
+  });
+  return { items: quote.items, changes, quote };
+};
+
+// Place a new pending order with the same items, addresses and instructions at today's prices.
+// input carries the new pickup/delivery dates or slots and may override payment, addresses,
+// instructions, coupon and points.
+const reorder = async (orderId, actor, input = {}) => {
+  const order = await loadOwnOrder(orderId, actor);
+  const { input: base, changes } = await buildReorder(order);
+
+  const newOrder = await createOrder(actor.id, { ...base, ...input, items: base.items }, {
+    actor,
+    notes: `Reordered from ${order.orderNumber}`,
+    reorderedFrom: order._id,
+  });
+  return { order: newOrder, changes };
+};
+
+module.exports = {
+  formatAddress,
+  createOrder,
+  checkBasket,
+  previewReorder,
+  reorder,
+};
@@ -0,0 +1,222 @@
+// Order Template Service
+// Named baskets customers save ("weekly family wash") and order from again. Templates are checked
+// against the catalogue whenever they are read so retired services and price changes are flagged.
+const mongoose = require('mongoose');
+const OrderTemplate = require('../models/OrderTemplate');
+const Order = require('../models/Order');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { resolveService } = require('./pricingService');
+const { createOrder, checkBasket } = require('./orderService');
+const { ROLES } = require('./orderLifecycle');
+
+const MAX_TEMPLATES = 20;
+const PAYMENT_METHODS = ['credit_card', 'debit_card', 'bank_transfer', 'cash', 'digital_wallet', 'momo', 'mobile_money'];
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+const roundAmount = (value) => Math.round(value * 100) / 100;
+// Unset nested addresses read back as empty objects; treat those as missing
+const plainAddress = (address) => {
+  const plain = address?.toObject ? address.toObject() : address;
+  return plain && plain.street ? plain : undefined;
+};
+
+// Saved lines take the current catalogue name and price
+const parseItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('At least one item is required');
+  }
+
+  const parsed = [];
+  for (const [index, item] of items.entries()) {
+    const service = await resolveService(item.service);
+    if (!service || !service.isAvailable) {
+      throw new ValidationError(`Item ${index + 1}: service not found or unavailable`);
+    }
+    const quantity = parseFloat(item.quantity);
+    if (!(quantity >= 1)) {
+      throw new ValidationError(`Item ${index + 1}: quantity must be at least 1`);
+    }
+    parsed.push({
+      service: service.id,
+      serviceName: service.name,
+      quantity,
+      unitPrice: roundAmount(service.price || 0),
+      specialInstructions: item.specialInstructions ? String(item.specialInstructions).slice(0, 200) : undefined,
+    });
+  }
+  return parsed;
+};
+
+// Validate the editable fields that were sent; returns only those
+const parseFields = async (input) => {
+  const fields = {};
+  const has = (key) => input[key] !== undefined;
+
+  if (has('name')) {
+    const name = String(input.name || '').trim();
+    if (!name) throw new ValidationError('Template name is required');
+    fields.name = name;
+  }
+  if (has('items')) fields.items = await parseItems(input.items);
+  for (const key of ['pickupAddress', 'deliveryAddress']) {
+    if (has(key)) {
+      if (input[key] && (!String(input[key].street || '').trim() || !String(input[key].city || '').trim())) {
+        throw new ValidationError(`${key} needs a street and city`);
+      }
+      fields[key] = input[key] || undefined;
+    }
+  }
+  if (has('paymentMethod')) {
+    if (input.paymentMethod && !PAYMENT_METHODS.includes(input.paymentMethod)) {
+      throw new ValidationError(`paymentMethod must be one of ${PAYMENT_METHODS.join(', ')}`);
+    }
+    fields.paymentMethod = input.paymentMethod || undefined;
+  }
+  for (const key of ['momoPhone', 'momoNetwork', 'specialInstructions']) {
+    if (has(key)) fields[key] = input[key] || undefined;
+  }
+  return fields;
+};
+
+// Starting fields for a template saved from one of the customer's orders
+const fieldsFromOrder = async (orderId, actor) => {
+  const order = mongoose.Types.ObjectId.isValid(orderId) ? await Order.findById(orderId).populate('payment') : null;
+  if (!order) throw new NotFoundError('Order not found');
+  if (toId(order.customer) !== toId(actor.id)) {
+    throw new AuthorizationError('You can only save your own orders as templates');
+  }
+
+  const { items } = await checkBasket(order.items);
+  if (items.length === 0) {
+    throw new ValidationError('None of the services in this order are offered any more');
+  }
+
+  return {
+    items,
+    pickupAddress: plainAddress(order.pickupAddress),
+    deliveryAddress: plainAddress(order.deliveryAddress),
+    paymentMethod: order.payment?.paymentMethod,
+    momoPhone: order.payment?.paymentDetails?.phoneNumber,
+    momoNetwork: order.payment?.paymentDetails?.momoNetwork,
+    specialInstructions: order.notes?.customer || undefined,
+  };
+};
+
+const saveTemplate = async (template) => {
+  try {
+    await template.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ValidationError(`You already have a template called "${template.name}"`);
+    }
+    throw error;
+  }
+  return template;
+};
+
+// Admins may read any template; only the owner can change or order from one
+const loadTemplate = async (templateId, actor, { write = false } = {}) => {
+  const template = mongoose.Types.ObjectId.isValid(templateId) ? await OrderTemplate.findById(templateId) : null;
+  if (!template) throw new NotFoundError('Template not found');
+  const isOwner = toId(template.customer) === toId(actor.id);
+  if (!isOwner && (write || actor.role !== ROLES.ADMIN)) {
+    throw new AuthorizationError('Access denied');
+  }
+  return template;
+};
+
+// The template plus any catalogue changes since it was saved
+const withChanges = async (template) => {
+  const { changes } = await checkBasket(template.items);
+  return { ...template.toJSON(), changes };
+};
+
+// Body: { name, items?, fromOrder?, pickupAddress?, deliveryAddress?, paymentMethod?, ... }
+// With fromOrder the order's basket, addresses and payment are the starting point.
+const createTemplate = async (actor, input = {}) => {
+  if (actor.role !== ROLES.CUSTOMER) {
+    throw new AuthorizationError('Only customers can save order templates');
+  }
+  if (await OrderTemplate.countDocuments({ customer: actor.id }) >= MAX_TEMPLATES) {
+    throw new ValidationError(`You can save at most ${MAX_TEMPLATES} templates`);
+  }
+
+  const base = input.fromOrder ? await fieldsFromOrder(input.fromOrder, actor) : {};
+  if (base.items) base.items = await parseItems(base.items);
+  const fields = await parseFields({ ...input, name: input.name ?? '' });
+  if (!fields.items && !base.items) {
+    throw new ValidationError('At least one item is required');
+  }
+
+  const template = new OrderTemplate({ ...base, ...fields, customer: actor.id });
+  return saveTemplate(template);
+};
+
+// Change any saved field; replaced items take today's prices
+const updateTemplate = async (templateId, actor, input = {}) => {
+  const template = await loadTemplate(templateId, actor, { write: true });
+  template.set(await parseFields(input));
+  await saveTemplate(template);
+  return withChanges(template);
+};
+
+const deleteTemplate = async (templateId, actor) => {
+  const template = await loadTemplate(templateId, actor, { write: true });
+  await template.deleteOne();
+};
+
+const listTemplates = async (actor, { customerId } = {}) => {
+  const filter = { customer: actor.role === ROLES.ADMIN && customerId ? customerId : actor.id };
+  const templates = await OrderTemplate.find(filter).sort({ lastOrderedAt: -1, createdAt: -1 });
+  return Promise.all(templates.map(withChanges));
+};
+
+const getTemplate = async (templateId, actor) => withChanges(await loadTemplate(templateId, actor));
+
+// Place an order from a template. input carries the pickup/delivery dates or slots and may override
+// addresses, payment, instructions, coupon and points. Retired services are left out of the order.
+const orderFromTemplate = async (templateId, actor, input = {}) => {
+  const template = await loadTemplate(templateId, actor, { write: true });
+  const { items, changes } = await checkBasket(template.items);
+  if (items.length === 0) {
+    throw new ValidationError('None of the services in this template are offered any more');
+  }
+
+  const order = await createOrder(actor.id, {
+    pickupAddress: plainAddress(template.pickupAddress),
+    deliveryAddress: plainAddress(template.deliveryAddress),
+    paymentMethod: template.paymentMethod,
+    momoPhone: template.momoPhone,
+    momoNetwork: template.momoNetwork,
+    specialInstructions: template.specialInstructions,
+    ...input,
+    items,
+  }, {
+    actor,
+    notes: `Ordered from template "${template.name}"`,
+    template: template._id,
+  });
+
+  // The customer has now ordered at today's prices, so those become the saved ones
+  const orderedPrices = new Map(order.items.map(item => [item.service, item.unitPrice]));
+  template.items.forEach(item => {
+    if (orderedPrices.has(item.service)) item.unitPrice = orderedPrices.get(item.service);
+  });
+  template.timesOrdered += 1;
+  template.lastOrderedAt = new Date();
+  await template.save().catch(saveError => {
+    console.error('⚠️ Failed to update template after ordering:', saveError);
+  });
+
+  return { order, changes };
+};
+
+module.exports = {
+  MAX_TEMPLATES,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  listTemplates,
+  getTemplate,
+  orderFromTemplate,
+};
@@ -200,6 +200,46 @@ class PaystackService {
     }
   }
 
+  /**
+   * Refund all or part of a transaction
+   * @param {Object} refundData - Refund data
+   * @returns {Promise<Object>} - Paystack response
+   */
+  async createRefund(refundData) {
+    const {
+      transaction, // Transaction reference or ID
+      amount, // Amount in cedis, omit for a full refund
+      currency = 'GHS',
+      merchant_note
+    } = refundData;
+
+    const params = {
+      transaction,
+      currency,
+      merchant_note
+    };
+
+    if (amount !== undefined && amount !== null) {
+      params.amount = Math.round(amount * 100); // Convert to pesewas
+    }
+
+    try {
+      const response = await this.makeRequest('/refund', 'POST', params);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message
+      };
+    } catch (error) {
+      console.error('Paystack refund error:', error);
+      return {
+        success: false,
+        error: error.message || 'Refund failed',
+        details: error.response?.data || error
+      };
+    }
+  }
+
   /**
    * Make HTTP request to Paystack API
    * @param {string} endpoint - API endpoint
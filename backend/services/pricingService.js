@@ -0,0 +1,364 @@
+// Pricing Service
+// Computes every line of an order from catalogue prices so client totals are never trusted.
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const { STATIC_SERVICES } = require('../config/staticServices');
+const { PRICING_CONFIG } = require('../config/pricing');
+const { ValidationError } = require('../middleware/errorHandler');
+const { evaluateCoupon } = require('./couponService');
+const { calculatePointsDiscount, getTierBenefits } = require('./loyaltyService');
+
+const roundAmount = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+const roundWeight = (value) => Math.round(value * 10) / 10;
+
+// Look up a service in the static catalogue first, then in the database
+const resolveService = async (serviceId) => {
+  if (!serviceId) return null;
+
+  const staticService = STATIC_SERVICES.find(s => s._id === serviceId);
+  if (staticService) {
+    return {
+      id: staticService._id,
+      name: staticService.name,
+      category: staticService.category,
+      price: staticService.price ?? staticService.basePrice,
+      pricingUnit: staticService.pricingUnit || 'item',
+      estimatedTime: staticService.estimatedTime,
+      isAvailable: staticService.isActive !== false && staticService.isAvailable !== false,
+    };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(serviceId)) return null;
+
+  const service = await Service.findById(serviceId);
+  if (!service) return null;
+
+  return {
+    id: service._id.toString(),
+    name: service.name,
+    category: service.category,
+    price: service.basePrice,
+    pricingUnit: service.pricingUnit || 'item',
+    estimatedTime: service.estimatedTime,
+    isAvailable: service.isActive && service.isAvailable,
+  };
+};
+
+// Price each requested item at the catalogue price
+const priceItems = async (items) => {
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('At least one item is required');
+  }
+
+  const pricedItems = [];
+
+  for (const item of items) {
+    if (!item.service) {
+      throw new ValidationError('Service is required');
+    }
+
+    const service = await resolveService(item.service);
+    if (!service) {
+      throw new ValidationError(`Service ${item.service} not found`);
+    }
+    if (!service.isAvailable) {
+      throw new ValidationError(`Service ${service.name} is currently unavailable`);
+    }
+
+    const unitPrice = roundAmount(service.price || 0);
+    // Garment codes are assigned by the order when it is saved; codes sent by the client are ignored
+    const clothingItems = Array.isArray(item.clothingItems) ? item.clothingItems.map(ci => ({
+      description: ci.description,
+      service: service.id,
+      serviceName: service.name,
+      unitPrice,
+      specialInstructions: ci.specialInstructions || '',
+      isConfirmed: false,
+    })) : [];
+
+    // Weight-priced lines carry the customer's estimate in kg or loads until weighed at intake
+    let quantity;
+    if (service.pricingUnit === 'kg') {
+      quantity = Math.max(PRICING_CONFIG.weight.minimumKg, roundWeight(parseFloat(item.quantity) || 0));
+    } else {
+      quantity = clothingItems.length > 0 && service.pricingUnit === 'item'
+        ? clothingItems.length
+        : (parseInt(item.quantity) || 1);
+    }
+    if (quantity < 1) {
+      throw new ValidationError('Quantity must be at least 1');
+    }
+
+    pricedItems.push({
+      service: service.id,
+      serviceName: service.name,
+      category: service.category,
+      quantity,
+      pricingUnit: service.pricingUnit,
+      ...(service.pricingUnit !== 'item' && { estimatedQuantity: quantity }),
+      unitPrice,
+      totalPrice: roundAmount(quantity * unitPrice),
+      specialInstructions: item.specialInstructions || '',
+      clothingItems,
+    });
+  }
+
+  return pricedItems;
+};
+
+// Tax on taxable (non-exempt) lines
+const calculateTax = (pricedItems) => {
+  const { rate, exemptCategories } = PRICING_CONFIG.tax;
+  const taxableAmount = pricedItems
+    .filter(item => !exemptCategories.includes(item.category))
+    .reduce((sum, item) => sum + item.totalPrice, 0);
+
+  return { amount: roundAmount(taxableAmount * rate), rate, taxableAmount: roundAmount(taxableAmount) };
+};
+
+// Great-circle distance in kilometres
+const distanceKm = (from, to) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const earthRadiusKm = 6371;
+  const dLat = toRad(to.latitude - from.latitude);
+  const dLon = toRad(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return earthRadiusKm * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const hasCoordinates = (address) => {
+  return address?.coordinates &&
+    Number.isFinite(Number(address.coordinates.latitude)) &&
+    Number.isFinite(Number(address.coordinates.longitude));
+};
+
+// Delivery fee by distance from the hub when coordinates are known, otherwise by city zone
+const calculateDeliveryFee = (pickupAddress, subtotal) => {
+  const rules = PRICING_CONFIG.deliveryFee;
+
+  if (rules.freeAboveSubtotal !== null && subtotal >= rules.freeAboveSubtotal) {
+    return { amount: 0, method: 'free_threshold' };
+  }
+
+  if (rules.distance.enabled && hasCoordinates(pickupAddress)) {
+    const km = distanceKm(rules.distance.hub, {
+      latitude: Number(pickupAddress.coordinates.latitude),
+      longitude: Number(pickupAddress.coordinates.longitude),
+    });
+    const billableKm = Math.max(0, km - rules.distance.includedKm);
+    const amount = Math.min(rules.distance.maxFee, rules.distance.baseFee + billableKm * rules.distance.perKm);
+    return { amount: roundAmount(amount), method: 'distance', distanceKm: roundAmount(km) };
+  }
+
+  const zone = (pickupAddress?.city || '').trim().toLowerCase();
+  if (zone && rules.zones[zone] !== undefined) {
+    return { amount: roundAmount(rules.zones[zone]), method: 'zone', zone };
+  }
+
+  return { amount: roundAmount(rules.defaultFee), method: 'default' };
+};
+
+// Express / priority surcharge
+const calculateSurcharge = (subtotal, { isUrgent = false, priority = 'normal' } = {}) => {
+  const rules = PRICING_CONFIG.urgency;
+  const rate = rules.priorityRates[priority] || 0;
+  const flatFee = isUrgent ? rules.urgentFlatFee : 0;
+
+  return { amount: roundAmount(subtotal * rate + flatFee), rate, flatFee };
+};
+
+// Build a full price quote for an order request
+const priceOrder = async ({ items, pickupAddress, isUrgent = false, priority = 'normal', couponCode, customerId, loyaltyPoints }) => {
+  if (priority && !Object.keys(PRICING_CONFIG.urgency.priorityRates).includes(priority)) {
+    throw new ValidationError(`Invalid priority: ${priority}`);
+  }
+
+  const pricedItems = await priceItems(items);
+  const subtotal = roundAmount(pricedItems.reduce((sum, item) => sum + item.totalPrice, 0));
+  const tax = calculateTax(pricedItems);
+  const surcharge = calculateSurcharge(subtotal, { isUrgent: !!isUrgent, priority: priority || 'normal' });
+  const discounts = [];
+
+  // Loyalty tier benefits: free delivery and a member discount on the subtotal
+  const tierBenefits = await getTierBenefits(customerId);
+  let delivery = calculateDeliveryFee(pickupAddress, subtotal);
+  if (tierBenefits.freeDelivery && delivery.amount > 0) {
+    delivery = { amount: 0, method: 'tier_benefit', tier: tierBenefits.tier, waivedAmount: delivery.amount };
+  }
+  if (tierBenefits.discount > 0) {
+    discounts.push({
+      type: 'tier',
+      label: `${tierBenefits.tier.charAt(0).toUpperCase()}${tierBenefits.tier.slice(1)} member discount (${tierBenefits.discount}%)`,
+      amount: roundAmount(subtotal * (tierBenefits.discount / 100)),
+    });
+  }
+
+  let coupon = null;
+  if (couponCode) {
+    const evaluation = await evaluateCoupon(couponCode, { customerId, pricedItems, subtotal });
+    coupon = {
+      couponId: evaluation.coupon._id,
+      code: evaluation.coupon.code,
+      discount: evaluation.discount,
+    };
+    discounts.push({
+      type: 'coupon',
+      label: `Coupon ${evaluation.coupon.code}`,
+      code: evaluation.coupon.code,
+      amount: evaluation.discount,
+    });
+  }
+
+  const grossTotal = subtotal + tax.amount + delivery.amount + surcharge.amount;
+
+  // Points are spent last, against whatever is still payable
+  let loyalty = null;
+  if (loyaltyPoints) {
+    const payable = Math.max(0, grossTotal - discounts.reduce((sum, d) => sum + d.amount, 0));
+    loyalty = calculatePointsDiscount(loyaltyPoints, payable);
+    discounts.push({
+      type: 'loyalty',
+      label: `${loyalty.points} loyalty points`,
+      points: loyalty.points,
+      amount: loyalty.discountValue,
+    });
+  }
+
+  const discount = roundAmount(Math.min(grossTotal, discounts.reduce((sum, d) => sum + d.amount, 0)));
+
+  return {
+    items: pricedItems.map(({ category, ...item }) => item),
+    subtotal,
+    tax: tax.amount,
+    deliveryFee: delivery.amount,
+    surcharge: surcharge.amount,
+    discount,
+    totalAmount: roundAmount(grossTotal - discount),
+    coupon,
+    loyalty,
+    breakdown: {
+      tax,
+      delivery,
+      surcharge,
+      discounts,
+      tier: tierBenefits,
+    },
+  };
+};
+
+// Billable quantity for a weighed line: kilograms (with a minimum) or whole machine loads
+const quantityForWeight = (pricingUnit, weightKg) => {
+  const { minimumKg, kgPerLoad } = PRICING_CONFIG.weight;
+  if (pricingUnit === 'kg') return Math.max(minimumKg, roundWeight(weightKg));
+  if (pricingUnit === 'load') return Math.max(1, Math.ceil(roundWeight(weightKg) / kgPerLoad));
+  throw new ValidationError('Only weight-priced lines can be weighed');
+};
+
+// Reprice an existing order after some lines have been weighed.
+// weights maps item index -> kg. Delivery is unchanged; the tier discount follows the new subtotal
+// while coupon and loyalty amounts stay as they were when the order was placed.
+const repriceOrder = async (order, weights) => {
+  const items = [];
+  for (const [index, item] of order.items.entries()) {
+    const service = await resolveService(item.service);
+    const weighedKg = weights[index] !== undefined ? roundWeight(weights[index]) : item.weighedKg;
+    const quantity = weighedKg !== undefined && weighedKg !== null
+      ? quantityForWeight(item.pricingUnit, weighedKg)
+      : item.quantity;
+
+    items.push({
+      index,
+      category: service?.category,
+      pricingUnit: item.pricingUnit,
+      estimatedQuantity: item.estimatedQuantity ?? item.quantity,
+      weighedKg,
+      quantity,
+      unitPrice: item.unitPrice,
+      totalPrice: roundAmount(quantity * item.unitPrice),
+    });
+  }
+
+  const subtotal = roundAmount(items.reduce((sum, item) => sum + item.totalPrice, 0));
+  const tax = calculateTax(items);
+  const surcharge = calculateSurcharge(subtotal, { isUrgent: !!order.isUrgent, priority: order.priority || 'normal' });
+  const deliveryFee = order.deliveryFee || 0;
+
+  const previous = order.pricingBreakdown?.discounts;
+  let discounts;
+  if (Array.isArray(previous)) {
+    const tierRate = order.pricingBreakdown?.tier?.discount || 0;
+    discounts = [
+      ...previous.filter(d => d.type === 'tier' && tierRate > 0).map(d => ({ ...d, amount: roundAmount(subtotal * (tierRate / 100)) })),
+      ...previous.filter(d => d.type !== 'tier'),
+    ];
+  } else {
+    // Orders placed before quotes were stored keep their original discount
+    discounts = order.discount ? [{ type: 'legacy', label: 'Discount', amount: order.discount }] : [];
+  }
+
+  const grossTotal = subtotal + tax.amount + deliveryFee + surcharge.amount;
+  const discount = roundAmount(Math.min(grossTotal, discounts.reduce((sum, d) => sum + d.amount, 0)));
+  const totalWeightKg = roundWeight(items.reduce((sum, item) => sum + (item.weighedKg || 0), 0));
+
+  return {
+    items: items.map(({ category, ...item }) => item),
+    subtotal,
+    tax: tax.amount,
+    deliveryFee,
+    surcharge: surcharge.amount,
+    discount,
+    totalAmount: roundAmount(grossTotal - discount),
+    totalWeightKg,
+    breakdown: {
+      ...(order.pricingBreakdown || {}),
+      tax,
+      surcharge,
+      discounts,
+    },
+  };
+};
+
+// Put a discount line of the given type on the order's stored quote, or take it off when entry
+// is null, so re-pricing after weighing or amendments keeps order.discount in step
+const setQuotedDiscount = (order, type, entry) => {
+  const quoted = order.pricingBreakdown?.discounts;
+  if (!Array.isArray(quoted) && !entry) return;
+
+  // Orders placed before quotes were stored carry their original discount as a legacy line
+  const discounts = Array.isArray(quoted)
+    ? quoted.filter(d => d.type !== type)
+    : (order.discount ? [{ type: 'legacy', label: 'Discount', amount: order.discount }] : []);
+  if (entry) discounts.push({ type, ...entry });
+
+  order.pricingBreakdown = { ...(order.pricingBreakdown || {}), discounts };
+};
+
+// Reject a client-submitted subtotal that disagrees with the server quote, i.e. a basket priced
+// from a stale catalogue. Tax, fees, surcharges and discounts follow server rules the client does
+// not know, so the amounts it sends for those are ignored and the quote is what gets charged.
+const CLIENT_TOTALS = { subtotal: 'subtotal', totalAmount: 'total' };
+
+const assertClientTotals = (quote, clientTotals = {}) => {
+  for (const [field, label] of Object.entries(CLIENT_TOTALS)) {
+    const value = clientTotals[field];
+    if (value === undefined || value === null || value === '') continue;
+
+    if (!(Math.abs(parseFloat(value) - quote[field]) <= PRICING_CONFIG.tolerance)) {
+      throw new ValidationError(`Order ${label} does not match current prices (expected ¢${quote[field].toFixed(2)}, received ¢${parseFloat(value).toFixed(2)})`);
+    }
+  }
+};
+
+module.exports = {
+  resolveService,
+  priceItems,
+  priceOrder,
+  repriceOrder,
+  setQuotedDiscount,
+  quantityForWeight,
+  assertClientTotals,
+  calculateDeliveryFee,
+  calculateSurcharge,
+  roundAmount,
+};
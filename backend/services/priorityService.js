@@ -0,0 +1,156 @@
+// Priority Service
+// Express turnarounds, per-status deadlines and provider queue order. A scheduled check alerts
+// admins when express orders miss a deadline.
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { PRIORITY_CONFIG } = require('../config/priority');
+const { ValidationError } = require('../middleware/errorHandler');
+const { sendDeadlineBreachEmail } = require('./emailService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Turn the checkout choice into priority fields. Without a turnaround the priority and isUrgent
+// sent by older clients are kept as they are.
+const resolveTurnaround = ({ turnaround, priority, isUrgent } = {}) => {
+  if (turnaround === undefined || turnaround === null || turnaround === '') {
+    return { priority: priority || 'normal', isUrgent: !!isUrgent };
+  }
+
+  const option = PRIORITY_CONFIG.turnarounds[turnaround];
+  if (!option) {
+    throw new ValidationError(`turnaround must be one of ${Object.keys(PRIORITY_CONFIG.turnarounds).join(', ')}`);
+  }
+  return { priority: option.priority, isUrgent: option.isUrgent };
+};
+
+const getTurnaroundOptions = () => Object.entries(PRIORITY_CONFIG.turnarounds)
+  .map(([key, option]) => ({ key, ...option, turnaroundFactor: PRIORITY_CONFIG.turnaroundFactor[option.priority] }));
+
+// End of the pickup or delivery: the slot's end, or the end of the day for date-only bookings
+const windowEnd = (order, type) => {
+  if (order[`${type}Slot`]?.end) return new Date(order[`${type}Slot`].end);
+  const date = order[`${type}Date`];
+  return date ? new Date(new Date(date).getTime() + DAY_MS) : null;
+};
+
+// When an order entering `status` at `enteredAt` should have moved on; null for closed orders
+const getStatusDeadline = (order, status = order.status, enteredAt = new Date()) => {
+  const hoursByPriority = PRIORITY_CONFIG.statusDeadlineHours[status];
+  if (!hoursByPriority) return null;
+
+  let start = new Date(enteredAt);
+  const anchor = status === 'assigned' ? windowEnd(order, 'pickup')
+    : status === 'ready_for_delivery' ? windowEnd(order, 'delivery')
+      : null;
+  if (anchor && anchor > start) start = anchor;
+
+  const hours = hoursByPriority[order.priority] ?? hoursByPriority.normal;
+  return new Date(start.getTime() + hours * HOUR_MS);
+};
+
+// When the order entered its current status; repeated history entries for the same status
+// (notes, hand-offs) do not restart the clock
+const statusEnteredAt = (order) => {
+  const history = order.statusHistory || [];
+  let enteredAt = null;
+  for (let i = history.length - 1; i >= 0 && history[i].status === order.status; i--) {
+    enteredAt = history[i].changedAt;
+  }
+  return enteredAt || order.updatedAt || new Date();
+};
+
+// Recompute the current deadline, e.g. after the pickup or delivery was rescheduled
+const refreshStatusDeadline = (order) => {
+  order.statusDeadline = getStatusDeadline(order, order.status, statusEnteredAt(order));
+  return order.statusDeadline;
+};
+
+// Most pressing first: priority, then the earliest deadline, then the oldest order
+const compareQueue = (a, b) => {
+  const rank = (order) => PRIORITY_CONFIG.rank[order.priority] ?? PRIORITY_CONFIG.rank.normal;
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+
+  const deadline = (order) => (order.statusDeadline ? new Date(order.statusDeadline).getTime() : Infinity);
+  if (deadline(a) !== deadline(b)) return deadline(a) - deadline(b);
+
+  return new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+const describeDeadline = (order, now = new Date()) => {
+  if (!order.statusDeadline || CLOSED_STATUSES.includes(order.status)) {
+    return { deadline: null, isOverdue: false, minutesRemaining: null };
+  }
+  const minutesRemaining = Math.round((new Date(order.statusDeadline) - now) / 60000);
+  return { deadline: order.statusDeadline, isOverdue: minutesRemaining < 0, minutesRemaining };
+};
+
+// Open orders past their status deadline, most pressing first
+const getOverdueOrders = async ({ priority, now = new Date() } = {}) => {
+  const filter = { status: { $nin: CLOSED_STATUSES }, statusDeadline: { $lt: now } };
+  if (priority) filter.priority = { $in: String(priority).split(',') };
+
+  const orders = await Order.find(filter)
+    .populate('customer', 'firstName lastName email phoneNumber')
+    .populate('serviceProvider', 'firstName lastName email phoneNumber businessDetails.businessName');
+  return orders.sort(compareQueue);
+};
+
+// Scheduled job: report express orders that have missed their deadline, once per deadline
+const checkDeadlineBreaches = async ({ now = new Date() } = {}) => {
+  const candidates = await Order.find({
+    status: { $nin: CLOSED_STATUSES },
+    priority: { $in: PRIORITY_CONFIG.alertPriorities },
+    statusDeadline: { $lt: now },
+  }).select('status priority statusDeadline deadlineAlertedFor serviceProvider');
+
+  const breaches = [];
+  for (const order of candidates) {
+    if (order.deadlineAlertedFor && order.deadlineAlertedFor.getTime() === order.statusDeadline.getTime()) continue;
+
+    // Claim the alert so overlapping runs report it once
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, statusDeadline: order.statusDeadline, deadlineAlertedFor: { $ne: order.statusDeadline } },
+      { $set: { deadlineAlertedFor: order.statusDeadline } },
+      { new: true }
+    ).populate('serviceProvider', 'firstName lastName businessDetails.businessName');
+    if (!claimed) continue;
+
+    const provider = claimed.serviceProvider;
+    breaches.push({
+      orderNumber: claimed.orderNumber,
+      priority: claimed.priority,
+      status: claimed.status,
+      deadline: claimed.statusDeadline,
+      overdueMinutes: Math.round((now - claimed.statusDeadline) / 60000),
+      provider: provider ? (provider.businessDetails?.businessName || `${provider.firstName} ${provider.lastName}`) : null,
+    });
+  }
+
+  if (breaches.length > 0) {
+    const admins = await User.find({ role: 'admin' }).select('firstName lastName email');
+    for (const admin of admins) {
+      try {
+        await sendDeadlineBreachEmail(admin.email, `${admin.firstName} ${admin.lastName}`, breaches);
+      } catch (emailError) {
+        console.error('⚠️ Failed to send deadline breach alert:', emailError);
+      }
+    }
+    console.log(`⏰ ${breaches.length} express order(s) missed a deadline; alerted ${admins.length} admin(s)`);
+  }
+
+  return { checked: candidates.length, alerted: breaches.length };
+};
+
+module.exports = {
+  windowEnd,
+  resolveTurnaround,
+  getTurnaroundOptions,
+  getStatusDeadline,
+  refreshStatusDeadline,
+  compareQueue,
+  describeDeadline,
+  getOverdueOrders,
+  checkDeadlineBreaches,
+};
@@ -0,0 +1,271 @@
+// Provider Availability Service
+// Weekly hours, recurring breaks, closures and daily capacity for service providers,
+// and the checks that keep assignments and slot bookings inside them.
+const User = require('../models/User');
+const Order = require('../models/Order');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses that don't use up a provider's capacity for the day
+const RELEASED_STATUSES = ['cancelled'];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since midnight for a Date (Ghana time is UTC)
+const minutesOfDay = (date) => date.getUTCHours() * 60 + date.getUTCMinutes();
+
+const assertTime = (value, label) => {
+  if (!TIME_PATTERN.test(String(value || ''))) {
+    throw new ValidationError(`${label} must be a time in HH:MM format`);
+  }
+};
+
+const assertDate = (value, label) => {
+  if (!DATE_PATTERN.test(String(value || '')) || Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw new ValidationError(`${label} must be a date in YYYY-MM-DD format`);
+  }
+};
+
+// Has the provider published any working hours? Providers who haven't are treated as always available.
+const hasPublishedHours = (provider) => {
+  const hours = provider.businessDetails?.operatingHours || {};
+  return DAYS.some(day => hours[day]?.open && hours[day]?.close);
+};
+
+// Working intervals (in minutes) on a weekday once breaks are taken out
+const getWorkingIntervals = (provider, day) => {
+  const hours = provider.businessDetails?.operatingHours?.[day];
+  if (!hours?.open || !hours?.close) return [];
+
+  let intervals = [[toMinutes(hours.open), toMinutes(hours.close)]];
+  const breaks = (provider.businessDetails?.breaks || [])
+    .filter(entry => !entry.days?.length || entry.days.includes(day));
+
+  for (const entry of breaks) {
+    const [breakStart, breakEnd] = [toMinutes(entry.start), toMinutes(entry.end)];
+    intervals = intervals.flatMap(([start, end]) => {
+      if (breakEnd <= start || breakStart >= end) return [[start, end]];
+      return [[start, breakStart], [breakEnd, end]].filter(([from, to]) => to > from);
+    });
+  }
+
+  return intervals;
+};
+
+// The closure covering a date, if any
+const findClosure = (provider, date) => (provider.businessDetails?.closures || [])
+  .find(closure => closure.startDate <= date && date <= (closure.endDate || closure.startDate));
+
+// Why a provider can't work a window, or null if they can.
+// date is YYYY-MM-DD; start/end are Dates, or null to check the day only.
+const getAvailabilityProblem = (provider, { date, start = null, end = null }, bookedOnDay = 0) => {
+  const closure = findClosure(provider, date);
+  if (closure) {
+    return `Closed on ${date}${closure.reason ? ` (${closure.reason})` : ` (${closure.type})`}`;
+  }
+
+  const capacity = provider.businessDetails?.dailyCapacity;
+  if (capacity !== undefined && capacity !== null && bookedOnDay >= capacity) {
+    return `Fully booked on ${date}`;
+  }
+
+  if (!hasPublishedHours(provider)) return null;
+
+  const day = DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  const intervals = getWorkingIntervals(provider, day);
+  if (intervals.length === 0) {
+    return `Not working on ${day}s`;
+  }
+  if (!start) return null;
+
+  // A window is workable if any part of it falls in working time; a point in time must be inside it
+  const from = minutesOfDay(start);
+  const to = end ? minutesOfDay(end) || 24 * 60 : from;
+  const workable = intervals.some(([open, close]) => (to > from ? from < close && to > open : from >= open && from < close));
+  return workable ? null : 'Outside working hours';
+};
+
+// The pickup window an order needs its provider for
+const getOrderWindow = (order) => {
+  if (order.pickupSlot?.start) {
+    return { date: order.pickupSlot.date, start: new Date(order.pickupSlot.start), end: new Date(order.pickupSlot.end) };
+  }
+  return { date: new Date(order.pickupDate).toISOString().slice(0, 10), start: null, end: null };
+};
+
+// Orders each provider already has for pickup on a date
+const countBookingsOnDay = async (providerIds, date, { excludeOrderId = null } = {}) => {
+  const dayStart = new Date(`${date}T00:00:00Z`);
+  const rows = await Order.aggregate([
+    {
+      $match: {
+        serviceProvider: { $in: providerIds },
+        status: { $nin: RELEASED_STATUSES },
+        pickupDate: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) },
+        ...(excludeOrderId && { _id: { $ne: excludeOrderId } }),
+      },
+    },
+    { $group: { _id: '$serviceProvider', count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.count]));
+};
+
+// Why a provider can't take this order, or null if they can
+const checkProviderForOrder = async (provider, order) => {
+  const window = getOrderWindow(order);
+  const counts = await countBookingsOnDay([provider._id], window.date, { excludeOrderId: order._id });
+  return getAvailabilityProblem(provider, window, counts.get(provider._id.toString()) || 0);
+};
+
+// Can anyone covering the area work this window? Areas nobody has claimed yet are left open,
+// so orders there still reach the dispatch queue for an admin to place.
+const loadAreaProviders = async (area, date) => {
+  const escaped = String(area || '').trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const providers = await User.find({
+    role: 'service_provider',
+    status: 'active',
+    'businessDetails.serviceAreas': { $regex: `^${escaped}$`, $options: 'i' },
+  }).select('businessDetails');
+
+  const counts = providers.length ? await countBookingsOnDay(providers.map(p => p._id), date) : new Map();
+  return { providers, counts };
+};
+
+const hasAvailableProvider = ({ providers, counts }, window) => {
+  if (providers.length === 0) return true;
+  return providers.some(provider => !getAvailabilityProblem(provider, window, counts.get(provider._id.toString()) || 0));
+};
+
+const loadProvider = async (providerId) => {
+  const provider = await User.findOne({ _id: providerId, role: 'service_provider' });
+  if (!provider) throw new NotFoundError('Service provider not found');
+  return provider;
+};
+
+const formatAvailability = (provider) => {
+  const details = provider.businessDetails || {};
+  const operatingHours = {};
+  for (const day of DAYS) {
+    const hours = details.operatingHours?.[day];
+    operatingHours[day] = hours?.open && hours?.close ? { open: hours.open, close: hours.close } : null;
+  }
+
+  return {
+    providerId: provider._id,
+    operatingHours,
+    breaks: details.breaks || [],
+    closures: [...(details.closures || [])].sort((a, b) => a.startDate.localeCompare(b.startDate)),
+    dailyCapacity: details.dailyCapacity ?? null,
+  };
+};
+
+const getProviderAvailability = async (providerId) => formatAvailability(await loadProvider(providerId));
+
+const parseOperatingHours = (input) => {
+  const hours = {};
+  for (const day of DAYS) {
+    const entry = input[day];
+    if (!entry || entry.enabled === false) {
+      hours[day] = { open: null, close: null };
+      continue;
+    }
+    assertTime(entry.open, `${day} opening time`);
+    assertTime(entry.close, `${day} closing time`);
+    if (toMinutes(entry.open) >= toMinutes(entry.close)) {
+      throw new ValidationError(`${day} closing time must be after opening time`);
+    }
+    hours[day] = { open: entry.open, close: entry.close };
+  }
+  return hours;
+};
+
+const parseBreaks = (input) => {
+  if (!Array.isArray(input)) throw new ValidationError('breaks must be a list');
+
+  return input.map((entry, index) => {
+    assertTime(entry.start, `Break ${index + 1} start`);
+    assertTime(entry.end, `Break ${index + 1} end`);
+    if (toMinutes(entry.start) >= toMinutes(entry.end)) {
+      throw new ValidationError(`Break ${index + 1} must end after it starts`);
+    }
+    const days = (entry.days || []).map(day => String(day).toLowerCase());
+    const unknown = days.find(day => !DAYS.includes(day));
+    if (unknown) throw new ValidationError(`Unknown day: ${unknown}`);
+
+    return { days, start: entry.start, end: entry.end, label: entry.label ? String(entry.label).slice(0, 50) : undefined };
+  });
+};
+
+// Replace the weekly schedule; only the parts sent are changed
+const updateProviderAvailability = async (providerId, { operatingHours, breaks, dailyCapacity }) => {
+  const provider = await loadProvider(providerId);
+
+  if (operatingHours !== undefined) {
+    provider.set('businessDetails.operatingHours', parseOperatingHours(operatingHours || {}));
+  }
+  if (breaks !== undefined) {
+    provider.set('businessDetails.breaks', parseBreaks(breaks || []));
+  }
+  if (dailyCapacity !== undefined) {
+    if (dailyCapacity !== null && (!Number.isInteger(dailyCapacity) || dailyCapacity < 0)) {
+      throw new ValidationError('dailyCapacity must be a whole number of orders, or null for no limit');
+    }
+    provider.set('businessDetails.dailyCapacity', dailyCapacity ?? undefined);
+  }
+
+  await provider.save();
+  return formatAvailability(provider);
+};
+
+const addClosure = async (providerId, { startDate, endDate, type = 'closure', reason }) => {
+  assertDate(startDate, 'startDate');
+  if (endDate) assertDate(endDate, 'endDate');
+  if (endDate && endDate < startDate) {
+    throw new ValidationError('endDate cannot be before startDate');
+  }
+  if (!['closure', 'holiday'].includes(type)) {
+    throw new ValidationError('type must be closure or holiday');
+  }
+
+  const provider = await loadProvider(providerId);
+  provider.businessDetails.closures.push({
+    startDate,
+    endDate: endDate || startDate,
+    type,
+    reason: reason ? String(reason).slice(0, 200) : undefined,
+  });
+  await provider.save();
+
+  return formatAvailability(provider);
+};
+
+const removeClosure = async (providerId, closureId) => {
+  const provider = await loadProvider(providerId);
+  const closure = provider.businessDetails.closures.id(closureId);
+  if (!closure) throw new NotFoundError('Closure not found');
+
+  closure.deleteOne();
+  await provider.save();
+  return formatAvailability(provider);
+};
+
+module.exports = {
+  hasPublishedHours,
+  getAvailabilityProblem,
+  getOrderWindow,
+  countBookingsOnDay,
+  checkProviderForOrder,
+  loadAreaProviders,
+  hasAvailableProvider,
+  getProviderAvailability,
+  updateProviderAvailability,
+  addClosure,
+  removeClosure,
+};
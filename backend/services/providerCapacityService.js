@@ -0,0 +1,198 @@
+// Provider Capacity Service
+// Workload limits per provider (concurrent orders, items and kg per day, per-service limits)
+// and how much of each a provider is currently using.
+const User = require('../models/User');
+const Order = require('../models/Order');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { getOrderWindow } = require('./providerAvailabilityService');
+const { PRICING_CONFIG } = require('../config/pricing');
+
+// Orders a provider is actively working on
+const ACTIVE_STATUSES = ['assigned', 'in_progress', 'ready_for_pickup', 'picked_up', 'ready_for_delivery'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+const roundKg = (value) => Math.round(value * 100) / 100;
+
+// The workload one order adds. Per-item lines count as items; weight-priced lines count as kg,
+// using the estimate until the order is weighed.
+const getOrderLoad = (order) => {
+  const services = {};
+  let items = 0;
+  let estimatedKg = 0;
+  for (const item of order.items || []) {
+    if (item.pricingUnit === 'kg') {
+      estimatedKg += item.quantity;
+    } else if (item.pricingUnit === 'load') {
+      estimatedKg += item.quantity * PRICING_CONFIG.weight.kgPerLoad;
+    } else {
+      items += item.quantity;
+    }
+    for (const key of new Set([item.service, item.serviceName].map(normalize).filter(Boolean))) {
+      services[key] = (services[key] || 0) + item.quantity;
+    }
+  }
+  return { items, kg: roundKg(order.totalWeightKg || estimatedKg), services };
+};
+
+const emptyUsage = () => ({ concurrentOrders: 0, items: 0, kg: 0, services: {} });
+
+// Current usage for each provider: open orders overall, and items/kg/services for pickups on a date
+const getUsage = async (providerIds, date, { excludeOrderId = null } = {}) => {
+  const dayStart = new Date(`${date}T00:00:00Z`);
+  const exclude = excludeOrderId ? { _id: { $ne: excludeOrderId } } : {};
+
+  const [concurrent, dayOrders] = await Promise.all([
+    Order.aggregate([
+      { $match: { serviceProvider: { $in: providerIds }, status: { $in: ACTIVE_STATUSES }, ...exclude } },
+      { $group: { _id: '$serviceProvider', count: { $sum: 1 } } },
+    ]),
+    Order.find({
+      serviceProvider: { $in: providerIds },
+      status: { $ne: 'cancelled' },
+      pickupDate: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) },
+      ...exclude,
+    }).select('serviceProvider items.service items.serviceName items.quantity items.pricingUnit totalWeightKg'),
+  ]);
+
+  const usage = new Map(providerIds.map(id => [id.toString(), emptyUsage()]));
+  for (const row of concurrent) {
+    usage.get(row._id.toString()).concurrentOrders = row.count;
+  }
+  for (const order of dayOrders) {
+    const entry = usage.get(order.serviceProvider.toString());
+    const load = getOrderLoad(order);
+    entry.items += load.items;
+    entry.kg = roundKg(entry.kg + load.kg);
+    for (const [service, count] of Object.entries(load.services)) {
+      entry.services[service] = (entry.services[service] || 0) + count;
+    }
+  }
+
+  return usage;
+};
+
+const hasLimit = (value) => value !== undefined && value !== null;
+
+// Why taking this order would push the provider over a limit, or null if it fits
+const getCapacityProblem = (provider, usage, load) => {
+  const capacity = provider.businessDetails?.capacity || {};
+
+  if (hasLimit(capacity.maxConcurrentOrders) && usage.concurrentOrders + 1 > capacity.maxConcurrentOrders) {
+    return `At the limit of ${capacity.maxConcurrentOrders} open orders`;
+  }
+  if (hasLimit(capacity.maxItemsPerDay) && usage.items + load.items > capacity.maxItemsPerDay) {
+    return `Would exceed ${capacity.maxItemsPerDay} items for the day (${usage.items} booked)`;
+  }
+  if (hasLimit(capacity.maxKgPerDay) && usage.kg + load.kg > capacity.maxKgPerDay) {
+    return `Would exceed ${capacity.maxKgPerDay} kg for the day (${usage.kg} kg booked)`;
+  }
+  for (const limit of capacity.serviceLimits || []) {
+    const key = normalize(limit.service);
+    const requested = load.services[key] || 0;
+    if (requested && (usage.services[key] || 0) + requested > limit.maxItemsPerDay) {
+      return `Would exceed ${limit.maxItemsPerDay} ${limit.service} items for the day`;
+    }
+  }
+
+  return null;
+};
+
+// Why a provider can't take this order on capacity grounds, or null if they can
+const checkCapacityForOrder = async (provider, order) => {
+  const { date } = getOrderWindow(order);
+  const usage = await getUsage([provider._id], date, { excludeOrderId: order._id });
+  return getCapacityProblem(provider, usage.get(provider._id.toString()), getOrderLoad(order));
+};
+
+const describeLimit = (used, limit) => ({
+  used,
+  limit: hasLimit(limit) ? limit : null,
+  remaining: hasLimit(limit) ? Math.max(0, roundKg(limit - used)) : null,
+  percent: hasLimit(limit) && limit > 0 ? Math.round((used / limit) * 100) : null,
+});
+
+// Utilization against every configured limit for a day (defaults to today)
+const getUtilization = async (provider, date = new Date().toISOString().slice(0, 10)) => {
+  const usage = (await getUsage([provider._id], date)).get(provider._id.toString());
+  const capacity = provider.businessDetails?.capacity || {};
+
+  return {
+    date,
+    concurrentOrders: describeLimit(usage.concurrentOrders, capacity.maxConcurrentOrders),
+    itemsToday: describeLimit(usage.items, capacity.maxItemsPerDay),
+    kgToday: describeLimit(usage.kg, capacity.maxKgPerDay),
+    services: (capacity.serviceLimits || []).map(limit => ({
+      service: limit.service,
+      ...describeLimit(usage.services[normalize(limit.service)] || 0, limit.maxItemsPerDay),
+    })),
+  };
+};
+
+const loadProvider = async (providerId) => {
+  const provider = await User.findOne({ _id: providerId, role: 'service_provider' });
+  if (!provider) throw new NotFoundError('Service provider not found');
+  return provider;
+};
+
+const formatCapacity = (provider) => {
+  const capacity = provider.businessDetails?.capacity || {};
+  return {
+    maxConcurrentOrders: capacity.maxConcurrentOrders ?? null,
+    maxItemsPerDay: capacity.maxItemsPerDay ?? null,
+    maxKgPerDay: capacity.maxKgPerDay ?? null,
+    serviceLimits: (capacity.serviceLimits || []).map(({ service, maxItemsPerDay }) => ({ service, maxItemsPerDay })),
+  };
+};
+
+const getProviderCapacity = async (providerId) => {
+  const provider = await loadProvider(providerId);
+  return { limits: formatCapacity(provider), utilization: await getUtilization(provider) };
+};
+
+const parseLimit = (value, label, { integer = true } = {}) => {
+  if (value === null) return undefined;
+  if (typeof value !== 'number' || value < 0 || (integer && !Number.isInteger(value))) {
+    throw new ValidationError(`${label} must be ${integer ? 'a whole number' : 'a number'} of 0 or more, or null for no limit`);
+  }
+  return value;
+};
+
+// Update limits; only the ones sent are changed and null removes a limit
+const updateProviderCapacity = async (providerId, { maxConcurrentOrders, maxItemsPerDay, maxKgPerDay, serviceLimits }) => {
+  const provider = await loadProvider(providerId);
+
+  if (maxConcurrentOrders !== undefined) {
+    provider.set('businessDetails.capacity.maxConcurrentOrders', parseLimit(maxConcurrentOrders, 'maxConcurrentOrders'));
+  }
+  if (maxItemsPerDay !== undefined) {
+    provider.set('businessDetails.capacity.maxItemsPerDay', parseLimit(maxItemsPerDay, 'maxItemsPerDay'));
+  }
+  if (maxKgPerDay !== undefined) {
+    provider.set('businessDetails.capacity.maxKgPerDay', parseLimit(maxKgPerDay, 'maxKgPerDay', { integer: false }));
+  }
+  if (serviceLimits !== undefined) {
+    if (!Array.isArray(serviceLimits || [])) throw new ValidationError('serviceLimits must be a list');
+    provider.set('businessDetails.capacity.serviceLimits', (serviceLimits || []).map((limit, index) => {
+      if (!String(limit.service || '').trim()) throw new ValidationError(`Service limit ${index + 1} needs a service`);
+      return {
+        service: String(limit.service).trim(),
+        maxItemsPerDay: parseLimit(limit.maxItemsPerDay ?? -1, `Service limit ${index + 1} maxItemsPerDay`),
+      };
+    }));
+  }
+
+  await provider.save();
+  return { limits: formatCapacity(provider), utilization: await getUtilization(provider) };
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  getOrderLoad,
+  getUsage,
+  getCapacityProblem,
+  checkCapacityForOrder,
+  getUtilization,
+  getProviderCapacity,
+  updateProviderCapacity,
+};
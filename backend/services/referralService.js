@@ -0,0 +1,182 @@
+// Referral Service
+// Links new customers to the account that referred them and pays both sides after the first paid order.
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const { ValidationError } = require('../middleware/errorHandler');
+const { getOrCreateAccount, creditPoints, LOYALTY_CONFIG } = require('./loyaltyService');
+
+const { normalizeEmail, normalizePhone } = User;
+
+// Check a referral code against a prospective customer before their account is created
+const validateReferral = async (referralCode, { email, phoneNumber }) => {
+  const referrerAccount = await LoyaltyProgram.findOne({ referralCode: String(referralCode).trim().toUpperCase() });
+  if (!referrerAccount) {
+    throw new ValidationError('Invalid referral code');
+  }
+
+  const referrer = await User.findById(referrerAccount.user).select('email phoneNumber status');
+  if (!referrer || referrer.status !== 'active') {
+    throw new ValidationError('Invalid referral code');
+  }
+
+  const refereeEmail = normalizeEmail(email);
+  const refereePhone = normalizePhone(phoneNumber);
+
+  if (normalizeEmail(referrer.email) === refereeEmail || (refereePhone && normalizePhone(referrer.phoneNumber) === refereePhone)) {
+    throw new ValidationError('You cannot use your own referral code');
+  }
+
+  // The same person already referred, by this or any other customer
+  const repeatSignup = await LoyaltyProgram.exists({
+    $or: [
+      { 'referrals.refereeEmail': refereeEmail },
+      ...(refereePhone ? [{ 'referrals.refereePhone': refereePhone }] : [])
+    ]
+  });
+  if (repeatSignup) {
+    throw new ValidationError('This referral has already been used for these contact details');
+  }
+
+  // Referral rewards are for new customers only
+  const existingUser = await User.findOne({
+    $or: [
+      { emailKey: refereeEmail },
+      ...(refereePhone.length === 9 ? [{ phoneKey: refereePhone }] : [])
+    ]
+  }).select('+emailKey');
+  if (existingUser) {
+    throw new ValidationError(existingUser.emailKey === refereeEmail
+      ? 'This email is already registered, so the referral code cannot be applied'
+      : 'This phone number is already registered, so the referral code cannot be applied');
+  }
+
+  return { referrerAccount, refereeEmail, refereePhone };
+};
+
+// Record the referral for a newly registered customer
+const linkReferral = async ({ referrerAccount, refereeEmail, refereePhone }, refereeId) => {
+  const refereeAccount = await getOrCreateAccount(refereeId);
+  if (refereeAccount.referredBy) {
+    return refereeAccount;
+  }
+
+  refereeAccount.referredBy = referrerAccount.user;
+  await refereeAccount.save();
+
+  await LoyaltyProgram.updateOne(
+    { _id: referrerAccount._id },
+    {
+      $push: {
+        referrals: {
+          user: refereeId,
+          status: 'pending',
+          refereeEmail,
+          refereePhone,
+          createdAt: new Date()
+        }
+      }
+    }
+  );
+
+  return refereeAccount;
+};
+
+// Pay referral bonuses once the referee's first completed order is also paid
+const qualifyReferral = async (orderId) => {
+  const order = await Order.findById(orderId).select('customer status orderNumber actualDeliveryDate updatedAt');
+  if (!order || order.status !== 'completed') return null;
+
+  // Only the first completed order counts; orders completed before completion times were
+  // stamped are treated as earlier
+  const completedAt = order.actualDeliveryDate || order.updatedAt;
+  const earlierOrder = await Order.exists({
+    _id: { $ne: order._id },
+    customer: order.customer,
+    status: 'completed',
+    $or: [{ actualDeliveryDate: { $lt: completedAt } }, { actualDeliveryDate: null }]
+  });
+  if (earlierOrder) return null;
+
+  const paid = await Payment.exists({ order: order._id, status: 'completed' });
+  if (!paid) return null;
+
+  const refereeAccount = await LoyaltyProgram.findOne({ user: order.customer }).select('referredBy');
+  if (!refereeAccount?.referredBy) return null;
+
+  // Flip the referral to qualified atomically so bonuses are only paid once
+  const referrerAccount = await LoyaltyProgram.findOneAndUpdate(
+    {
+      user: refereeAccount.referredBy,
+      referrals: { $elemMatch: { user: order.customer, status: 'pending' } }
+    },
+    {
+      $set: {
+        'referrals.$.status': 'qualified',
+        'referrals.$.qualifyingOrder': order._id,
+        'referrals.$.qualifiedAt': new Date(),
+        'referrals.$.pointsEarned': LOYALTY_CONFIG.pointsForReferral,
+        'referrals.$.refereePointsEarned': LOYALTY_CONFIG.pointsForReferee
+      }
+    },
+    { new: true }
+  );
+  if (!referrerAccount) return null;
+
+  const referee = await User.findById(order.customer).select('firstName');
+
+  await creditPoints(
+    referrerAccount.user,
+    LOYALTY_CONFIG.pointsForReferral,
+    `Earned ${LOYALTY_CONFIG.pointsForReferral} points: ${referee?.firstName || 'your friend'} completed their first order`,
+    order._id
+  );
+  await creditPoints(
+    order.customer,
+    LOYALTY_CONFIG.pointsForReferee,
+    `Earned ${LOYALTY_CONFIG.pointsForReferee} referral welcome points for order ${order.orderNumber}`,
+    order._id
+  );
+
+  console.log(`🎉 Referral qualified: ${referrerAccount.user} referred ${order.customer} (order ${order.orderNumber})`);
+  return referrerAccount;
+};
+
+// A customer's referral code and the people they have referred
+const getReferrals = async (userId) => {
+  const account = await getOrCreateAccount(userId);
+  await account.populate('referrals.user', 'firstName lastName createdAt');
+
+  const referrals = [...account.referrals]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(r => ({
+      name: r.user ? `${r.user.firstName} ${r.user.lastName ? `${r.user.lastName.charAt(0)}.` : ''}`.trim() : 'Former customer',
+      status: r.status,
+      joinedAt: r.createdAt,
+      qualifiedAt: r.qualifiedAt || null,
+      pointsEarned: r.pointsEarned
+    }));
+
+  return {
+    referralCode: account.referralCode,
+    referrals,
+    totalReferrals: referrals.length,
+    qualifiedReferrals: referrals.filter(r => r.status === 'qualified').length,
+    pendingReferrals: referrals.filter(r => r.status === 'pending').length,
+    totalPointsEarned: referrals.reduce((sum, r) => sum + r.pointsEarned, 0),
+    rewards: {
+      referrer: LOYALTY_CONFIG.pointsForReferral,
+      referee: LOYALTY_CONFIG.pointsForReferee
+    }
+  };
+};
+
+module.exports = {
+  validateReferral,
+  linkReferral,
+  qualifyReferral,
+  getReferrals,
+  normalizeEmail,
+  normalizePhone
+};
@@ -0,0 +1,192 @@
+// Refund Service
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const paystackService = require('./paystackService');
+const { AppError, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Paystack-backed payments are refunded through the gateway, everything else is settled manually
+const isPaystackPayment = (payment) => {
+  return Boolean(payment.reference && (payment.paystackData?.transaction_id || payment.paystackData?.verified_at || payment.paystackData?.webhook_verified_at));
+};
+
+// Move provider earnings up or down, never below zero, and return the change applied. Done in one
+// update so concurrent credits and clawbacks are never lost; a clawback takes no more than the
+// provider's completed earnings.
+const adjustProviderEarnings = async (providerId, delta) => {
+  if (!providerId || !delta) return 0;
+
+  const completed = { $ifNull: ['$earnings.completed', 0] };
+  const applied = { $max: [delta, { $multiply: [-1, completed] }] };
+  // Returns the earnings as they were before the change
+  const before = await User.findOneAndUpdate(
+    { _id: providerId },
+    [{
+      $set: {
+        'earnings.completed': { $round: [{ $add: [completed, applied] }, 2] },
+        'earnings.total': { $round: [{ $max: [0, { $add: [{ $ifNull: ['$earnings.total', 0] }, applied] }] }, 2] },
+      },
+    }]
+  ).select('earnings');
+  if (!before) return 0;
+
+  return delta < 0 ? -Math.min(-delta, before.earnings?.completed || 0) : delta;
+};
+
+// Take up to amount off the earnings credited for an order, never below zero, and return what was taken
+const takeOrderEarnings = async (orderId, amount) => {
+  const before = await Order.findOneAndUpdate(
+    { _id: orderId, 'providerEarnings.amount': { $gt: 0 } },
+    [{ $set: { 'providerEarnings.amount': { $round: [{ $max: [0, { $subtract: ['$providerEarnings.amount', amount] }] }, 2] } } }]
+  ).select('providerEarnings');
+  return before ? roundAmount(Math.min(amount, before.providerEarnings.amount)) : 0;
+};
+
+// Keep the order's refund total in step with its payment
+const syncOrderRefund = (payment) => Order.findByIdAndUpdate(
+  payment.order,
+  { $set: { refundAmount: roundAmount(Math.max(0, payment.refundAmount)) } },
+  { new: true }
+);
+
+// Claw back no more than the provider was actually credited for this order
+const clawBackEarnings = async (order, refundAmount) => {
+  if (!order?.serviceProvider || !(order.providerEarnings?.amount > 0)) return 0;
+
+  const taken = await takeOrderEarnings(order._id, refundAmount);
+  if (!taken) return 0;
+
+  const applied = await adjustProviderEarnings(order.serviceProvider, -taken);
+  // The provider's balance could not cover all of it; the order keeps the rest
+  if (roundAmount(taken + applied) > 0) {
+    await Order.updateOne({ _id: order._id }, { $inc: { 'providerEarnings.amount': roundAmount(taken + applied) } });
+  }
+  return applied;
+};
+
+// Refund all or part of a completed payment. The refund is reserved against the payment first, so
+// refunds issued at the same time cannot together exceed what was paid, and only then sent.
+const refundPayment = async (paymentId, { amount, reason, initiatedBy }) => {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw new ValidationError(`Only completed payments can be refunded. Current status: ${payment.status}`);
+  }
+
+  if (!reason || !reason.trim()) {
+    throw new ValidationError('Refund reason is required');
+  }
+
+  const refundAmount = amount === undefined || amount === null
+    ? payment.refundableAmount
+    : roundAmount(parseFloat(amount));
+
+  if (!(refundAmount > 0)) {
+    throw new ValidationError('Refund amount must be greater than zero');
+  }
+
+  if (refundAmount > payment.refundableAmount) {
+    throw new ValidationError(`Refund amount exceeds refundable balance of ¢${payment.refundableAmount.toFixed(2)}`);
+  }
+
+  const channel = isPaystackPayment(payment) ? 'paystack' : 'manual';
+  const reserved = await payment.reserveRefund(refundAmount, reason.trim(), { initiatedBy, channel });
+  if (!reserved) {
+    throw new ValidationError('Refund amount exceeds the refundable balance; another refund was issued at the same time');
+  }
+
+  let outcome = { status: 'completed' };
+  if (channel === 'paystack') {
+    let gatewayResult;
+    try {
+      gatewayResult = await paystackService.createRefund({
+        transaction: payment.reference,
+        amount: refundAmount,
+        merchant_note: reason
+      });
+    } catch (gatewayError) {
+      gatewayResult = { success: false, error: gatewayError.message };
+    }
+
+    if (!gatewayResult.success) {
+      await reserved.payment.failRefund(reserved.refund._id, { error: gatewayResult.error });
+      throw new AppError(`Paystack refund failed: ${gatewayResult.error}`, 502);
+    }
+
+    outcome = {
+      status: gatewayResult.data?.status === 'processed' ? 'completed' : 'pending',
+      gatewayRefundId: gatewayResult.data?.id ? String(gatewayResult.data.id) : undefined,
+      gatewayResponse: gatewayResult.data
+    };
+  }
+
+  const updated = await reserved.payment.settleRefund(reserved.refund._id, outcome) || reserved.payment;
+  const refund = updated.refunds.id(reserved.refund._id);
+
+  const order = await syncOrderRefund(updated);
+  const earningsAdjusted = await clawBackEarnings(order, refundAmount);
+  if (earningsAdjusted) {
+    refund.earningsAdjusted = earningsAdjusted;
+    await Payment.updateOne(
+      { _id: updated._id, 'refunds._id': refund._id },
+      { $set: { 'refunds.$.earningsAdjusted': earningsAdjusted } }
+    );
+  }
+
+  return { payment: updated, refund, order };
+};
+
+// Apply Paystack refund.processed / refund.failed webhook events to the ledger
+const handleRefundWebhook = async (eventType, data) => {
+  const transactionReference = data.transaction_reference || data.transaction?.reference;
+  const payment = await Payment.findOne({ reference: transactionReference });
+
+  if (!payment) {
+    console.error('Payment not found for refund webhook:', transactionReference);
+    return null;
+  }
+
+  const refund = payment.refunds.find(entry => data.id && entry.gatewayRefundId === String(data.id))
+    || payment.refunds.find(entry => entry.channel === 'paystack' && entry.status === 'pending');
+
+  if (!refund || refund.status !== 'pending') {
+    return payment;
+  }
+
+  if (eventType === 'refund.processed') {
+    return await payment.settleRefund(refund._id, { status: 'completed', gatewayResponse: data }) || payment;
+  }
+
+  if (eventType === 'refund.failed') {
+    const failed = await payment.failRefund(refund._id, data);
+    if (!failed) return payment;
+
+    const order = await syncOrderRefund(failed);
+    if (order && refund.earningsAdjusted) {
+      const restored = await adjustProviderEarnings(order.serviceProvider, -refund.earningsAdjusted);
+      await Order.updateOne({ _id: order._id }, { $inc: { 'providerEarnings.amount': restored } });
+      await Payment.updateOne(
+        { _id: failed._id, 'refunds._id': refund._id },
+        { $set: { 'refunds.$.earningsAdjusted': 0 } }
+      );
+      failed.refunds.id(refund._id).earningsAdjusted = 0;
+    }
+    return failed;
+  }
+
+  return payment;
+};
+
+module.exports = {
+  refundPayment,
+  handleRefundWebhook,
+  adjustProviderEarnings,
+  REFUNDABLE_STATUSES
+};
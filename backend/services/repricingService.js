@@ -0,0 +1,180 @@
+// Repricing Service
+// Records weights at intake for weight-priced lines and reprices the order. Changes within the
+// approval threshold apply straight away; bigger ones wait for the customer to approve them.
+const User = require('../models/User');
+const { PRICING_CONFIG } = require('../config/pricing');
+const { ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const { repriceOrder, roundAmount } = require('./pricingService');
+const { applyOrderTotal } = require('./orderPaymentService');
+const { recordHistory, ROLES } = require('./orderLifecycle');
+const { sendRepriceApprovalEmail } = require('./emailService');
+
+// Weighing happens when the provider takes the laundry in, before or while it is being processed
+const WEIGHABLE_STATUSES = ['assigned', 'in_progress'];
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Copy an approved or automatic proposal onto the order and settle the difference on the payment
+const applyProposal = async (order, proposal, actor, status) => {
+  const previousTotal = order.totalAmount;
+
+  for (const line of proposal.items) {
+    const item = order.items[line.index];
+    item.quantity = line.quantity;
+    item.totalPrice = line.totalPrice;
+    if (line.weighedKg !== undefined && line.weighedKg !== null) {
+      item.weighedKg = line.weighedKg;
+      item.estimatedQuantity = line.estimatedQuantity;
+    }
+  }
+  order.subtotal = proposal.subtotal;
+  order.tax = proposal.tax;
+  order.surcharge = proposal.surcharge;
+  order.discount = proposal.discount;
+  order.totalAmount = proposal.totalAmount;
+  order.totalWeightKg = proposal.totalWeightKg;
+  order.pricingBreakdown = proposal.breakdown;
+
+  order.repricing.status = status;
+  order.repricing.proposal = undefined;
+  if (status !== 'applied') {
+    order.repricing.decidedBy = actor.id || null;
+    order.repricing.decidedAt = new Date();
+  }
+
+  const reason = `Repriced after weighing: ¢${previousTotal.toFixed(2)} → ¢${proposal.totalAmount.toFixed(2)}`;
+  recordHistory(order, { status: order.status, actor, notes: reason });
+  await order.save();
+
+  const paymentUpdate = await applyOrderTotal(order, { actor, reason });
+  return { order, paymentUpdate };
+};
+
+// Record intake weights. weights: [{ itemIndex, weightKg }]
+const recordWeights = async (order, weights, actor) => {
+  if (!WEIGHABLE_STATUSES.includes(order.status)) {
+    throw new ValidationError(`Orders can only be weighed at intake. Current status: ${order.status}`);
+  }
+  if (actor.role === ROLES.PROVIDER && toId(order.serviceProvider) !== toId(actor.id)) {
+    throw new AuthorizationError('You can only weigh orders assigned to you');
+  }
+  if (!Array.isArray(weights) || weights.length === 0) {
+    throw new ValidationError('At least one weight is required');
+  }
+
+  const byIndex = {};
+  for (const { itemIndex, weightKg } of weights) {
+    const item = order.items[itemIndex];
+    if (!item) {
+      throw new ValidationError(`Item ${itemIndex} not found on this order`);
+    }
+    if (item.pricingUnit === 'item' || !item.pricingUnit) {
+      throw new ValidationError(`${item.serviceName} is priced per item and is not weighed`);
+    }
+    const weight = parseFloat(weightKg);
+    if (!(weight > 0)) {
+      throw new ValidationError('Weight must be greater than zero');
+    }
+    byIndex[itemIndex] = weight;
+  }
+
+  const proposal = await repriceOrder(order, byIndex);
+  const previousTotal = order.totalAmount;
+  const change = previousTotal > 0 ? Math.abs(proposal.totalAmount - previousTotal) / previousTotal : 1;
+
+  order.weighedAt = new Date();
+  order.weighedBy = actor.id || null;
+  // Weighing means the garments are with the provider
+  if (!order.actualPickupDate) order.actualPickupDate = order.weighedAt;
+  order.repricing = {
+    previousTotal,
+    proposedTotal: proposal.totalAmount,
+    requestedBy: actor.id || null,
+    requestedAt: new Date(),
+  };
+
+  if (change <= PRICING_CONFIG.weight.approvalThreshold) {
+    const result = await applyProposal(order, proposal, actor, 'applied');
+    return { ...result, requiresApproval: false };
+  }
+
+  order.repricing.status = 'pending_approval';
+  order.repricing.proposal = proposal;
+  // Record the weights now; prices change once the customer approves
+  for (const line of proposal.items) {
+    if (byIndex[line.index] !== undefined) {
+      order.items[line.index].weighedKg = line.weighedKg;
+    }
+  }
+  order.totalWeightKg = proposal.totalWeightKg;
+  recordHistory(order, {
+    status: order.status,
+    actor,
+    notes: `Weighed at ${proposal.totalWeightKg} kg; new total ¢${proposal.totalAmount.toFixed(2)} awaiting customer approval`,
+  });
+  await order.save();
+
+  try {
+    const customer = await User.findById(order.customer).select('firstName lastName email');
+    if (customer) {
+      await sendRepriceApprovalEmail(
+        customer.email,
+        `${customer.firstName} ${customer.lastName}`,
+        order.orderNumber,
+        previousTotal,
+        proposal.totalAmount,
+        proposal.totalWeightKg
+      );
+    }
+  } catch (emailError) {
+    console.error('⚠️ Failed to send reprice approval email:', emailError);
+  }
+
+  return { order, paymentUpdate: null, requiresApproval: true };
+};
+
+const assertCanDecide = (order, actor, { allowRejected = false } = {}) => {
+  if (actor.role === ROLES.CUSTOMER && toId(order.customer) !== toId(actor.id)) {
+    throw new AuthorizationError('Access denied');
+  }
+  if (![ROLES.CUSTOMER, ROLES.ADMIN].includes(actor.role)) {
+    throw new AuthorizationError('Only the customer or an admin can decide on a new price');
+  }
+
+  const open = order.repricing?.status === 'pending_approval'
+    || (allowRejected && actor.role === ROLES.ADMIN && order.repricing?.status === 'rejected');
+  if (!open || !order.repricing.proposal) {
+    throw new ValidationError('There is no price change waiting for approval');
+  }
+};
+
+// Customer (or an admin on their behalf, including after a rejection) accepts the weighed price
+const approveRepricing = async (order, actor, notes = '') => {
+  assertCanDecide(order, actor, { allowRejected: true });
+  if (notes) order.repricing.notes = notes;
+  return applyProposal(order, order.repricing.proposal, actor, 'approved');
+};
+
+// Customer declines the weighed price; the order stays on hold until an admin resolves it
+const rejectRepricing = async (order, actor, notes = '') => {
+  assertCanDecide(order, actor);
+
+  order.repricing.status = 'rejected';
+  order.repricing.decidedBy = actor.id || null;
+  order.repricing.decidedAt = new Date();
+  order.repricing.notes = notes;
+  recordHistory(order, {
+    status: order.status,
+    actor,
+    notes: `Weighed price of ¢${roundAmount(order.repricing.proposedTotal).toFixed(2)} rejected${notes ? `: ${notes}` : ''}`,
+  });
+  await order.save();
+
+  return { order };
+};
+
+module.exports = {
+  recordWeights,
+  approveRepricing,
+  rejectRepricing,
+};
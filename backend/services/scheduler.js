@@ -0,0 +1,79 @@
+// Scheduler Service
+// Runs background jobs in-process on fixed intervals.
+const jobs = new Map();
+
+// Register a job; it starts running once start() is called
+const registerJob = (name, intervalMs, handler) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+
+  jobs.set(name, { name, intervalMs, handler, timer: null, running: false, lastRunAt: null, lastResult: null, lastError: null });
+};
+
+// Run a job now, skipping if the previous run has not finished
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (job.running) {
+    return { skipped: true, message: `Job ${name} is already running` };
+  }
+
+  job.running = true;
+  try {
+    job.lastResult = await job.handler();
+    job.lastError = null;
+    return job.lastResult;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`⚠️ Scheduled job ${name} failed:`, error);
+    throw error;
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+  }
+};
+
+// Start every registered job's timer
+const start = () => {
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+    job.timer = setInterval(() => {
+      runJob(job.name).catch(() => {});
+    }, job.intervalMs);
+    // Don't keep the process alive just for background jobs
+    job.timer.unref();
+  }
+  console.log(`⏰ Scheduler started with ${jobs.size} job(s)`);
+};
+
+// Stop all timers (used on shutdown)
+const stop = () => {
+  for (const job of jobs.values()) {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  }
+};
+
+// Job status for admin views
+const getJobs = () => Array.from(jobs.values()).map(({ name, intervalMs, running, lastRunAt, lastResult, lastError }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt,
+  lastResult,
+  lastError
+}));
+
+module.exports = {
+  registerJob,
+  runJob,
+  start,
+  stop,
+  getJobs
+};
@@ -0,0 +1,186 @@
+// SLA Service
+// Scores completed orders against the pickup and delivery windows they were promised, compensates
+// customers for late deliveries and rolls the results up per provider.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { SLA_CONFIG } = require('../config/sla');
+const { ValidationError } = require('../middleware/errorHandler');
+const { creditPoints, LOYALTY_CONFIG } = require('./loyaltyService');
+const { sendSlaCompensationEmail } = require('./emailService');
+const { windowEnd } = require('./priorityService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+const roundRate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+// Minutes past the due time (negative when early); null when either side is unknown
+const minutesLate = (due, actual) => (due && actual ? Math.round((new Date(actual) - new Date(due)) / 60000) : null);
+const isOnTime = (lateMinutes) => (lateMinutes === null ? null : lateMinutes <= SLA_CONFIG.graceMinutes);
+
+// Due times, lateness and turnaround for an order; nothing is saved
+const measureOrderSla = (order, { deliveredAt = order.actualDeliveryDate } = {}) => {
+  const pickupDue = windowEnd(order, 'pickup');
+  const deliveryDue = windowEnd(order, 'delivery');
+  const pickupLateMinutes = minutesLate(pickupDue, order.actualPickupDate);
+  const deliveryLateMinutes = minutesLate(deliveryDue, deliveredAt);
+
+  return {
+    pickupDue,
+    pickupLateMinutes,
+    pickupOnTime: isOnTime(pickupLateMinutes),
+    deliveryDue,
+    deliveryLateMinutes,
+    deliveryOnTime: isOnTime(deliveryLateMinutes),
+    turnaroundHours: order.actualPickupDate && deliveredAt
+      ? Math.round(((new Date(deliveredAt) - new Date(order.actualPickupDate)) / HOUR_MS) * 10) / 10
+      : null,
+  };
+};
+
+// What a delivery this late earns under the highest tier it reached; null when nothing is due
+const quoteCompensation = (order, lateMinutes) => {
+  const { compensation } = SLA_CONFIG;
+  if (!compensation.enabled || !(lateMinutes > SLA_CONFIG.graceMinutes)) return null;
+  // Redo orders are already the remedy for a claim
+  if (order.redoOf) return null;
+
+  const tier = compensation.tiers
+    .filter(t => lateMinutes >= t.lateHours * 60)
+    .sort((a, b) => b.lateHours - a.lateHours)[0];
+  if (!tier) return null;
+
+  if (compensation.type === 'credit') {
+    const amount = roundAmount(Math.min(compensation.maxCredit, (order.totalAmount || 0) * tier.percent / 100));
+    const points = Math.round(amount / LOYALTY_CONFIG.redemptionValue);
+    return points > 0 ? { type: 'credit', points, amount } : null;
+  }
+  return { type: 'points', points: tier.points, amount: roundAmount(tier.points * LOYALTY_CONFIG.redemptionValue) };
+};
+
+// Score a completed order once and compensate the customer if the delivery was late.
+// Returns the saved SLA record, or null if the order is not completed or was already scored.
+const evaluateOrderSla = async (orderId, { now = new Date() } = {}) => {
+  // Claim the evaluation so a retried completion cannot compensate twice
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: 'completed', 'sla.evaluatedAt': { $exists: false } },
+    { $set: { 'sla.evaluatedAt': now } },
+    { new: true }
+  );
+  if (!order) return null;
+
+  const sla = { ...measureOrderSla(order, { deliveredAt: order.actualDeliveryDate || now }), evaluatedAt: now };
+  const compensation = quoteCompensation(order, sla.deliveryLateMinutes);
+
+  if (compensation) {
+    try {
+      await creditPoints(
+        order.customer,
+        compensation.points,
+        `Late delivery compensation for order ${order.orderNumber}`,
+        order._id
+      );
+      compensation.issuedAt = new Date();
+    } catch (pointsError) {
+      // Kept on the order so an admin can see the customer is still owed it
+      console.error('⚠️ Failed to issue late delivery compensation:', pointsError);
+      compensation.error = pointsError.message.slice(0, 200);
+    }
+    sla.compensation = compensation;
+  }
+
+  await Order.updateOne({ _id: order._id }, { $set: { sla } });
+  order.set({ sla });
+
+  if (compensation?.issuedAt) {
+    try {
+      const customer = await User.findById(order.customer).select('firstName lastName email');
+      if (customer) {
+        await sendSlaCompensationEmail(
+          customer.email,
+          `${customer.firstName} ${customer.lastName}`,
+          order.orderNumber,
+          sla.deliveryLateMinutes,
+          compensation
+        );
+      }
+    } catch (emailError) {
+      console.error('⚠️ Failed to send late delivery compensation email:', emailError);
+    }
+    console.log(`⏱️ Order ${order.orderNumber} delivered ${sla.deliveryLateMinutes} min late; credited ${compensation.points} points`);
+  }
+
+  return order.sla;
+};
+
+// Per-provider on-time rates for orders scored in the period (default: the last 90 days)
+const getProviderSla = async ({ from, to, providerId } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 90 * DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new ValidationError('from and to must be valid dates');
+  }
+  if (providerId && !mongoose.Types.ObjectId.isValid(providerId)) {
+    throw new ValidationError('Invalid providerId');
+  }
+
+  const match = {
+    serviceProvider: providerId ? new mongoose.Types.ObjectId(String(providerId)) : { $ne: null },
+    'sla.evaluatedAt': { $gte: start, $lte: end },
+  };
+  const countWhen = (field, value) => ({ $sum: { $cond: [{ $eq: [field, value] }, 1, 0] } });
+  const issued = (field) => ({ $sum: { $cond: [{ $ifNull: ['$sla.compensation.issuedAt', false] }, { $ifNull: [field, 0] }, 0] } });
+
+  const rows = await Order.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$serviceProvider',
+        orders: { $sum: 1 },
+        deliveriesOnTime: countWhen('$sla.deliveryOnTime', true),
+        deliveriesLate: countWhen('$sla.deliveryOnTime', false),
+        pickupsOnTime: countWhen('$sla.pickupOnTime', true),
+        pickupsLate: countWhen('$sla.pickupOnTime', false),
+        // $avg skips the nulls, so this averages late deliveries only
+        avgLateMinutes: { $avg: { $cond: [{ $eq: ['$sla.deliveryOnTime', false] }, '$sla.deliveryLateMinutes', null] } },
+        avgTurnaroundHours: { $avg: '$sla.turnaroundHours' },
+        compensations: { $sum: { $cond: [{ $ifNull: ['$sla.compensation.issuedAt', false] }, 1, 0] } },
+        compensationPoints: issued('$sla.compensation.points'),
+        compensationValue: issued('$sla.compensation.amount'),
+      },
+    },
+  ]);
+
+  const providers = await User.find({ _id: { $in: rows.map(row => row._id) } })
+    .select('firstName lastName businessDetails.businessName');
+  const names = new Map(providers.map(p => [p._id.toString(), p.businessDetails?.businessName || `${p.firstName} ${p.lastName}`]));
+
+  const results = rows.map(row => ({
+    providerId: row._id,
+    providerName: names.get(row._id.toString()) || 'Unknown provider',
+    orders: row.orders,
+    deliveriesOnTime: row.deliveriesOnTime,
+    deliveriesLate: row.deliveriesLate,
+    // Percentages of the orders that had a promised window and a stamped time
+    onTimeRate: roundRate(row.deliveriesOnTime, row.deliveriesOnTime + row.deliveriesLate),
+    pickupOnTimeRate: roundRate(row.pickupsOnTime, row.pickupsOnTime + row.pickupsLate),
+    avgLateMinutes: row.avgLateMinutes === null ? null : Math.round(row.avgLateMinutes),
+    avgTurnaroundHours: row.avgTurnaroundHours === null ? null : Math.round(row.avgTurnaroundHours * 10) / 10,
+    compensations: row.compensations,
+    compensationPoints: row.compensationPoints,
+    compensationValue: roundAmount(row.compensationValue),
+  }));
+  // Least reliable first
+  results.sort((a, b) => (a.onTimeRate ?? Infinity) - (b.onTimeRate ?? Infinity) || b.deliveriesLate - a.deliveriesLate);
+
+  return { from: start, to: end, graceMinutes: SLA_CONFIG.graceMinutes, providers: results };
+};
+
+module.exports = {
+  measureOrderSla,
+  quoteCompensation,
+  evaluateOrderSla,
+  getProviderSla,
+};
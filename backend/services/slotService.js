@@ -0,0 +1,291 @@
+// Slot Service
+// Pickup/delivery windows per area, capacity checks and atomic reservations.
+const TimeSlot = require('../models/TimeSlot');
+const { SLOT_CONFIG } = require('../config/slots');
+const { PRIORITY_CONFIG } = require('../config/priority');
+const { ValidationError } = require('../middleware/errorHandler');
+const { resolveService } = require('./pricingService');
+const { loadAreaProviders, hasAvailableProvider } = require('./providerAvailabilityService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const normalizeArea = (area) => String(area || '').trim().toLowerCase();
+
+// Slot rules for an area, falling back to the defaults for areas without overrides
+const getAreaRules = (area) => {
+  const overrides = SLOT_CONFIG.areas[normalizeArea(area)] || {};
+  return {
+    windows: overrides.windows || SLOT_CONFIG.defaultWindows,
+    capacity: overrides.capacity ?? SLOT_CONFIG.defaultCapacity,
+    closedDays: overrides.closedDays || SLOT_CONFIG.closedDays,
+  };
+};
+
+const parseDate = (date) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) {
+    throw new ValidationError('Date must be in YYYY-MM-DD format');
+  }
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new ValidationError(`Invalid date: ${date}`);
+  }
+  return parsed;
+};
+
+// Start and end of a window on a date
+const getWindowRange = (date, window) => {
+  const match = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(String(window || ''));
+  if (!match) {
+    throw new ValidationError(`Invalid slot window: ${window}`);
+  }
+  const day = parseDate(date).getTime();
+  return {
+    start: new Date(day + (parseInt(match[1]) * 60 + parseInt(match[2])) * 60 * 1000),
+    end: new Date(day + (parseInt(match[3]) * 60 + parseInt(match[4])) * 60 * 1000),
+  };
+};
+
+// Read a service's estimatedTime ("24-48 hours", "2-3 days", "Same day", "next-day") as a minimum in hours
+const parseEstimatedTime = (estimatedTime) => {
+  const text = String(estimatedTime || '').trim().toLowerCase();
+
+  if (text.includes('same day')) return SLOT_CONFIG.sameDayTurnaroundHours;
+  if (text.includes('next-day') || text.includes('next day')) return 24;
+
+  const match = text.match(/(\d+)(?:\s*-\s*(\d+))?\s*(hour|hours|day|days|week|weeks)/);
+  if (!match) return SLOT_CONFIG.defaultTurnaroundHours;
+
+  const minimum = parseInt(match[1]);
+  if (match[3].startsWith('hour')) return minimum;
+  if (match[3].startsWith('day')) return minimum * 24;
+  return minimum * 7 * 24;
+};
+
+// Processing time needed for an order: the slowest service sets the pace, shortened for express orders
+const getMinimumTurnaroundHours = async (items, priority = 'normal') => {
+  let hours = 0;
+  for (const item of items || []) {
+    const service = await resolveService(item.service);
+    if (service) {
+      hours = Math.max(hours, parseEstimatedTime(service.estimatedTime));
+    }
+  }
+  hours = hours || SLOT_CONFIG.defaultTurnaroundHours;
+
+  const factor = PRIORITY_CONFIG.turnaroundFactor[priority] ?? 1;
+  if (factor >= 1) return hours;
+  return Math.max(Math.min(hours, SLOT_CONFIG.sameDayTurnaroundHours), Math.ceil(hours * factor));
+};
+
+// Why a window cannot be booked, or null if it can
+const getWindowProblem = (area, date, window, now = new Date()) => {
+  const rules = getAreaRules(area);
+  const day = parseDate(date);
+
+  if (rules.closedDays.includes(day.getUTCDay())) {
+    return `No slots are offered in ${area} on this day`;
+  }
+  if (!rules.windows.includes(window)) {
+    return `${window} is not a bookable window in ${area}`;
+  }
+
+  const { start } = getWindowRange(date, window);
+  if (start.getTime() < now.getTime() + SLOT_CONFIG.minLeadTimeHours * HOUR_MS) {
+    return `Slots must be booked at least ${SLOT_CONFIG.minLeadTimeHours} hours in advance`;
+  }
+  if (start.getTime() > now.getTime() + SLOT_CONFIG.bookingHorizonDays * DAY_MS) {
+    return `Slots can only be booked up to ${SLOT_CONFIG.bookingHorizonDays} days ahead`;
+  }
+
+  return null;
+};
+
+// Availability for every window in an area on a date
+const getAvailability = async ({ date, area, type = 'pickup', earliestStart = null, now = new Date() }) => {
+  if (!area) {
+    throw new ValidationError('Area is required');
+  }
+  if (!['pickup', 'delivery'].includes(type)) {
+    throw new ValidationError('Type must be pickup or delivery');
+  }
+
+  const areaKey = normalizeArea(area);
+  const rules = getAreaRules(areaKey);
+  parseDate(date);
+
+  const [booked, areaProviders] = await Promise.all([
+    TimeSlot.find({ area: areaKey, date, type }),
+    loadAreaProviders(areaKey, date),
+  ]);
+  const bookedByWindow = new Map(booked.map(slot => [slot.window, slot.booked]));
+
+  const slots = rules.windows.map(window => {
+    const { start, end } = getWindowRange(date, window);
+    const bookedCount = bookedByWindow.get(window) || 0;
+    let reason = getWindowProblem(areaKey, date, window, now);
+
+    if (!reason && earliestStart && start < earliestStart) {
+      reason = 'Too soon after pickup for the selected services';
+    }
+    if (!reason && bookedCount >= rules.capacity) {
+      reason = 'Fully booked';
+    }
+    if (!reason && !hasAvailableProvider(areaProviders, { date, start, end })) {
+      reason = 'No service providers available';
+    }
+
+    return {
+      window,
+      start,
+      end,
+      capacity: rules.capacity,
+      booked: bookedCount,
+      available: Math.max(0, rules.capacity - bookedCount),
+      isAvailable: !reason,
+      reason,
+    };
+  });
+
+  return { date, area: areaKey, type, slots };
+};
+
+// Take one place in a window, failing if it is full
+const reserveSlot = async ({ area, date, window, type, orderId }) => {
+  const areaKey = normalizeArea(area);
+  const { capacity } = getAreaRules(areaKey);
+
+  // Make sure the counter exists, then claim a place only while under capacity
+  await TimeSlot.updateOne(
+    { area: areaKey, date, window, type },
+    { $setOnInsert: { area: areaKey, date, window, type, capacity, booked: 0 } },
+    { upsert: true }
+  ).catch(error => {
+    // A concurrent request created the same counter
+    if (error.code !== 11000) throw error;
+  });
+
+  const slot = await TimeSlot.findOneAndUpdate(
+    { area: areaKey, date, window, type, booked: { $lt: capacity } },
+    {
+      $inc: { booked: 1 },
+      $set: { capacity },
+      $push: { reservations: { order: orderId, status: 'active', reservedAt: new Date() } }
+    },
+    { new: true }
+  );
+
+  if (!slot) {
+    throw new ValidationError(`The ${type} slot ${date} ${window} is fully booked`);
+  }
+
+  return slot;
+};
+
+// Give back every active slot held by an order
+const releaseOrderSlots = async (orderId) => {
+  const slots = await TimeSlot.find({ reservations: { $elemMatch: { order: orderId, status: 'active' } } });
+
+  for (const slot of slots) {
+    await TimeSlot.updateOne(
+      { _id: slot._id, reservations: { $elemMatch: { order: orderId, status: 'active' } } },
+      {
+        $inc: { booked: -1 },
+        $set: { 'reservations.$.status': 'released', 'reservations.$.releasedAt': new Date() }
+      }
+    );
+  }
+
+  return slots.length;
+};
+
+// Validate and reserve the pickup and delivery slots for a new order
+const bookOrderSlots = async ({ orderId, pickupArea, deliveryArea, pickupSlot, deliverySlot, items, priority = 'normal' }) => {
+  if (!pickupSlot?.date || !pickupSlot?.window || !deliverySlot?.date || !deliverySlot?.window) {
+    throw new ValidationError('Both pickup and delivery slots need a date and window');
+  }
+
+  const pickupProblem = getWindowProblem(normalizeArea(pickupArea), pickupSlot.date, pickupSlot.window);
+  if (pickupProblem) throw new ValidationError(`Pickup slot unavailable: ${pickupProblem}`);
+
+  const deliveryProblem = getWindowProblem(normalizeArea(deliveryArea), deliverySlot.date, deliverySlot.window);
+  if (deliveryProblem) throw new ValidationError(`Delivery slot unavailable: ${deliveryProblem}`);
+
+  const pickupRange = getWindowRange(pickupSlot.date, pickupSlot.window);
+  const deliveryRange = getWindowRange(deliverySlot.date, deliverySlot.window);
+
+  // Someone covering each area has to be working during the window
+  if (!hasAvailableProvider(await loadAreaProviders(pickupArea, pickupSlot.date), { date: pickupSlot.date, ...pickupRange })) {
+    throw new ValidationError('Pickup slot unavailable: No service providers available');
+  }
+  if (!hasAvailableProvider(await loadAreaProviders(deliveryArea, deliverySlot.date), { date: deliverySlot.date, ...deliveryRange })) {
+    throw new ValidationError('Delivery slot unavailable: No service providers available');
+  }
+
+  // Delivery can't start until the slowest service has had time to finish after pickup
+  const turnaroundHours = await getMinimumTurnaroundHours(items, priority);
+  const earliestDelivery = new Date(pickupRange.end.getTime() + turnaroundHours * HOUR_MS);
+  if (deliveryRange.start < earliestDelivery) {
+    throw new ValidationError(`Delivery slot is too early: the selected services need at least ${turnaroundHours} hours after pickup (earliest ${earliestDelivery.toISOString()})`);
+  }
+
+  const pickup = await reserveSlot({ area: pickupArea, date: pickupSlot.date, window: pickupSlot.window, type: 'pickup', orderId });
+  try {
+    await reserveSlot({ area: deliveryArea, date: deliverySlot.date, window: deliverySlot.window, type: 'delivery', orderId });
+  } catch (error) {
+    await releaseOrderSlots(orderId);
+    throw error;
+  }
+
+  return {
+    turnaroundHours,
+    pickup: { area: pickup.area, date: pickupSlot.date, window: pickupSlot.window, ...pickupRange },
+    delivery: { area: normalizeArea(deliveryArea), date: deliverySlot.date, window: deliverySlot.window, ...deliveryRange },
+  };
+};
+
+// Move an order's pickup or delivery to another window. The new place is taken before the old one
+// is given back, so a failed move leaves the booking as it was.
+const rescheduleOrderSlot = async ({ orderId, type, area, slot, earliestStart = null }) => {
+  if (!slot?.date || !slot?.window) {
+    throw new ValidationError(`The new ${type} slot needs a date and window`);
+  }
+
+  const problem = getWindowProblem(normalizeArea(area), slot.date, slot.window);
+  if (problem) throw new ValidationError(`${type === 'pickup' ? 'Pickup' : 'Delivery'} slot unavailable: ${problem}`);
+
+  const range = getWindowRange(slot.date, slot.window);
+  if (earliestStart && range.start < earliestStart) {
+    throw new ValidationError(`The ${type} slot is too early (earliest ${earliestStart.toISOString()})`);
+  }
+  if (!hasAvailableProvider(await loadAreaProviders(area, slot.date), { date: slot.date, ...range })) {
+    throw new ValidationError(`${type === 'pickup' ? 'Pickup' : 'Delivery'} slot unavailable: No service providers available`);
+  }
+
+  const previous = await TimeSlot.find({ type, reservations: { $elemMatch: { order: orderId, status: 'active' } } });
+  const reserved = await reserveSlot({ area, date: slot.date, window: slot.window, type, orderId });
+
+  for (const old of previous) {
+    await TimeSlot.updateOne(
+      { _id: old._id, reservations: { $elemMatch: { order: orderId, status: 'active' } } },
+      {
+        $inc: { booked: -1 },
+        $set: { 'reservations.$.status': 'released', 'reservations.$.releasedAt': new Date() }
+      }
+    );
+  }
+
+  return { area: reserved.area, date: slot.date, window: slot.window, ...range };
+};
+
+module.exports = {
+  getAreaRules,
+  getWindowRange,
+  parseEstimatedTime,
+  getMinimumTurnaroundHours,
+  getAvailability,
+  reserveSlot,
+  releaseOrderSlots,
+  bookOrderSlots,
+  rescheduleOrderSlot,
+};
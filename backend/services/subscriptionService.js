@@ -0,0 +1,418 @@
+// Subscription Service
+// Recurring orders: customers set up a regular pickup, and a scheduled job sends a reminder
+// and then creates each order through the normal order creation path ahead of pickup.
+const mongoose = require('mongoose');
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const { SUBSCRIPTION_CONFIG } = require('../config/subscriptions');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { resolveService } = require('./pricingService');
+const { createOrder } = require('./orderService');
+const { ROLES, SYSTEM_ACTOR } = require('./orderLifecycle');
+const { sendSubscriptionReminderEmail, sendSubscriptionFailedEmail } = require('./emailService');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const CADENCES = ['weekly', 'biweekly', 'monthly'];
+const WINDOW_PATTERN = /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates are handled as YYYY-MM-DD in UTC (Ghana time)
+const toDateString = (date) => date.toISOString().slice(0, 10);
+const parseDay = (date) => new Date(`${date}T00:00:00Z`);
+const addDays = (date, days) => toDateString(new Date(parseDay(date).getTime() + days * DAY_MS));
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+
+// First date on or after `date` that falls on the weekday
+const nextWeekday = (date, weekday) => {
+  const offset = (WEEKDAYS.indexOf(weekday) - parseDay(date).getUTCDay() + 7) % 7;
+  return addDays(date, offset);
+};
+
+// The pickup after `date`. Monthly keeps the same weekday of the month (1st-4th).
+const followingPickup = (date, cadence) => {
+  if (cadence !== 'monthly') {
+    return addDays(date, SUBSCRIPTION_CONFIG.cadenceDays[cadence]);
+  }
+
+  const current = parseDay(date);
+  const nth = Math.min(Math.ceil(current.getUTCDate() / 7), 4);
+  const firstOfNextMonth = toDateString(new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + 1, 1)));
+  return addDays(nextWeekday(firstOfNextMonth, WEEKDAYS[current.getUTCDay()]), (nth - 1) * 7);
+};
+
+// Earliest pickup that still leaves time to remind the customer and create the order
+const firstPickup = (pickupDay, now = new Date(), startDate = null) => {
+  const earliest = addDays(toDateString(now), SUBSCRIPTION_CONFIG.generateDaysBeforePickup);
+  return nextWeekday(startDate && startDate > earliest ? startDate : earliest, pickupDay);
+};
+
+const assertAddress = (address, label) => {
+  if (!address || !String(address.street || '').trim() || !String(address.city || '').trim()) {
+    throw new ValidationError(`${label} needs a street and city`);
+  }
+};
+
+const parseItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('At least one item is required');
+  }
+
+  const parsed = [];
+  for (const [index, item] of items.entries()) {
+    const service = await resolveService(item.service);
+    if (!service || !service.isAvailable) {
+      throw new ValidationError(`Item ${index + 1}: service not found or unavailable`);
+    }
+    const quantity = parseFloat(item.quantity);
+    if (!(quantity >= 1)) {
+      throw new ValidationError(`Item ${index + 1}: quantity must be at least 1`);
+    }
+    parsed.push({
+      service: service.id,
+      quantity,
+      specialInstructions: item.specialInstructions ? String(item.specialInstructions).slice(0, 200) : undefined,
+    });
+  }
+  return parsed;
+};
+
+// Validate the editable fields that were sent; returns only those
+const parseSettings = async (input, { partial = false } = {}) => {
+  const settings = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial || has('items')) settings.items = await parseItems(input.items);
+  if (!partial || has('cadence')) {
+    if (!CADENCES.includes(input.cadence)) throw new ValidationError(`cadence must be one of ${CADENCES.join(', ')}`);
+    settings.cadence = input.cadence;
+  }
+  if (!partial || has('pickupDay')) {
+    const day = String(input.pickupDay || '').toLowerCase();
+    if (!WEEKDAYS.includes(day)) throw new ValidationError('pickupDay must be a day of the week');
+    settings.pickupDay = day;
+  }
+  for (const field of ['pickupWindow', 'deliveryWindow']) {
+    if (!has(field)) continue;
+    if (input[field] && !WINDOW_PATTERN.test(input[field])) {
+      throw new ValidationError(`${field} must look like 08:00-10:00`);
+    }
+    settings[field] = input[field] || undefined;
+  }
+  if (has('deliveryAfterDays')) {
+    const days = input.deliveryAfterDays === null ? undefined : parseInt(input.deliveryAfterDays);
+    if (days !== undefined && !(days >= 0 && days <= 14)) {
+      throw new ValidationError('deliveryAfterDays must be between 0 and 14');
+    }
+    settings.deliveryAfterDays = days;
+  }
+  if (!partial || has('pickupAddress')) {
+    assertAddress(input.pickupAddress, 'Pickup address');
+    settings.pickupAddress = input.pickupAddress;
+  }
+  if (!partial || has('deliveryAddress')) {
+    assertAddress(input.deliveryAddress, 'Delivery address');
+    settings.deliveryAddress = input.deliveryAddress;
+  }
+  if (!partial || has('paymentMethod')) {
+    if (!input.paymentMethod) throw new ValidationError('Payment method is required');
+    settings.paymentMethod = input.paymentMethod;
+  }
+  for (const field of ['momoPhone', 'momoNetwork', 'specialInstructions', 'name']) {
+    if (has(field)) settings[field] = input[field] ? String(input[field]).trim() : undefined;
+  }
+
+  return settings;
+};
+
+const loadSubscription = async (subscriptionId, actor) => {
+  const subscription = mongoose.Types.ObjectId.isValid(subscriptionId) ? await Subscription.findById(subscriptionId) : null;
+  if (!subscription) throw new NotFoundError('Subscription not found');
+  if (actor.role !== ROLES.ADMIN && toId(subscription.customer) !== toId(actor.id)) {
+    throw new AuthorizationError('Access denied');
+  }
+  return subscription;
+};
+
+const assertNotCancelled = (subscription) => {
+  if (subscription.status === 'cancelled') {
+    throw new ValidationError('This subscription has been cancelled');
+  }
+};
+
+const createSubscription = async (actor, input) => {
+  if (actor.role !== ROLES.CUSTOMER) {
+    throw new AuthorizationError('Only customers can subscribe');
+  }
+  if (input.startDate && !/^\d{4}-\d{2}-\d{2}$/.test(input.startDate)) {
+    throw new ValidationError('startDate must be in YYYY-MM-DD format');
+  }
+
+  const settings = await parseSettings(input);
+  return Subscription.create({
+    ...settings,
+    customer: actor.id,
+    status: 'active',
+    nextPickupDate: firstPickup(settings.pickupDay, new Date(), input.startDate),
+  });
+};
+
+// Change what is picked up, when and where. A new day or cadence restarts the schedule.
+const updateSubscription = async (subscriptionId, actor, input) => {
+  const subscription = await loadSubscription(subscriptionId, actor);
+  assertNotCancelled(subscription);
+
+  const settings = await parseSettings(input, { partial: true });
+  const rescheduled = (settings.pickupDay && settings.pickupDay !== subscription.pickupDay)
+    || (settings.cadence && settings.cadence !== subscription.cadence);
+
+  subscription.set(settings);
+  if (rescheduled) {
+    subscription.nextPickupDate = firstPickup(subscription.pickupDay);
+    subscription.reminderSentFor = undefined;
+  }
+  await subscription.save();
+  return subscription;
+};
+
+// Stop generating orders until resumed (or until resumeOn, if given)
+const pauseSubscription = async (subscriptionId, actor, { resumeOn } = {}) => {
+  const subscription = await loadSubscription(subscriptionId, actor);
+  assertNotCancelled(subscription);
+  if (resumeOn && (!/^\d{4}-\d{2}-\d{2}$/.test(resumeOn) || resumeOn <= toDateString(new Date()))) {
+    throw new ValidationError('resumeOn must be a future date in YYYY-MM-DD format');
+  }
+
+  subscription.status = 'paused';
+  subscription.pausedAt = new Date();
+  subscription.resumeOn = resumeOn || undefined;
+  await subscription.save();
+  return subscription;
+};
+
+const resumeSubscription = async (subscriptionId, actor, now = new Date()) => {
+  const subscription = actor ? await loadSubscription(subscriptionId, actor) : await Subscription.findById(subscriptionId);
+  if (subscription.status !== 'paused') {
+    throw new ValidationError(`Only paused subscriptions can be resumed (this one is ${subscription.status})`);
+  }
+
+  subscription.status = 'active';
+  subscription.pausedAt = undefined;
+  subscription.resumeOn = undefined;
+  subscription.reminderSentFor = undefined;
+  subscription.nextPickupDate = firstPickup(subscription.pickupDay, now);
+  await subscription.save();
+  return subscription;
+};
+
+// Skip the next pickup; orders already created for earlier pickups are cancelled as normal orders
+const skipNextPickup = async (subscriptionId, actor) => {
+  const subscription = await loadSubscription(subscriptionId, actor);
+  if (subscription.status !== 'active') {
+    throw new ValidationError(`Only active subscriptions can skip a pickup (this one is ${subscription.status})`);
+  }
+
+  const skipped = subscription.nextPickupDate;
+  const updated = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: 'active', nextPickupDate: skipped },
+    {
+      $set: { nextPickupDate: followingPickup(skipped, subscription.cadence) },
+      $unset: { reminderSentFor: 1 },
+      $push: { occurrences: { pickupDate: skipped, outcome: 'skipped', at: new Date() } },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ValidationError('The order for this pickup has already been created; cancel the order instead');
+  }
+  return updated;
+};
+
+const cancelSubscription = async (subscriptionId, actor, reason = '') => {
+  const subscription = await loadSubscription(subscriptionId, actor);
+  assertNotCancelled(subscription);
+
+  subscription.status = 'cancelled';
+  subscription.cancelledAt = new Date();
+  subscription.cancellationReason = String(reason || '').slice(0, 200);
+  await subscription.save();
+  return subscription;
+};
+
+const listSubscriptions = async (actor, { status, customerId } = {}) => {
+  const filter = {};
+  if (actor.role === ROLES.ADMIN) {
+    if (customerId) filter.customer = customerId;
+  } else {
+    filter.customer = actor.id;
+  }
+  if (status) filter.status = status;
+
+  return Subscription.find(filter)
+    .sort({ createdAt: -1 })
+    .populate('customer', 'firstName lastName email');
+};
+
+const getSubscription = async (subscriptionId, actor) => {
+  const subscription = await loadSubscription(subscriptionId, actor);
+  await subscription.populate([
+    { path: 'customer', select: 'firstName lastName email' },
+    { path: 'occurrences.order', select: 'status totalAmount pickupDate deliveryDate' },
+  ]);
+  return subscription;
+};
+
+// The checkout body for one pickup
+const buildOrderInput = (subscription, pickupDate) => {
+  const deliveryDate = addDays(pickupDate, subscription.deliveryAfterDays ?? SUBSCRIPTION_CONFIG.defaultDeliveryAfterDays);
+  const dates = subscription.pickupWindow
+    ? {
+      pickupSlot: { date: pickupDate, window: subscription.pickupWindow },
+      deliverySlot: { date: deliveryDate, window: subscription.deliveryWindow || subscription.pickupWindow },
+    }
+    : { pickupDate: parseDay(pickupDate), deliveryDate: parseDay(deliveryDate) };
+
+  return {
+    items: subscription.items.map(item => ({
+      service: item.service,
+      quantity: item.quantity,
+      specialInstructions: item.specialInstructions,
+    })),
+    pickupAddress: subscription.pickupAddress,
+    deliveryAddress: subscription.deliveryAddress,
+    paymentMethod: subscription.paymentMethod,
+    momoPhone: subscription.momoPhone,
+    momoNetwork: subscription.momoNetwork,
+    specialInstructions: subscription.specialInstructions,
+    ...dates,
+  };
+};
+
+const remind = async (subscription) => {
+  // Mark first so a slow email can't lead to a second reminder
+  const claimed = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: 'active', nextPickupDate: subscription.nextPickupDate, reminderSentFor: { $ne: subscription.nextPickupDate } },
+    { $set: { reminderSentFor: subscription.nextPickupDate } }
+  );
+  if (!claimed) return false;
+
+  try {
+    const customer = await User.findById(subscription.customer).select('firstName lastName email');
+    if (customer) {
+      const items = [];
+      for (const item of subscription.items) {
+        const service = await resolveService(item.service);
+        items.push({ quantity: item.quantity, name: service?.name || item.service });
+      }
+      await sendSubscriptionReminderEmail(customer.email, `${customer.firstName} ${customer.lastName}`, subscription.nextPickupDate, subscription.pickupWindow, items);
+    }
+  } catch (emailError) {
+    console.error('⚠️ Failed to send subscription reminder:', emailError);
+  }
+  return true;
+};
+
+// Create the order for the next pickup and move the schedule on
+const generateOrder = async (subscription, now = new Date()) => {
+  const pickupDate = subscription.nextPickupDate;
+
+  // Move the schedule first so the same pickup can never produce two orders
+  const claimed = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: 'active', nextPickupDate: pickupDate },
+    { $set: { nextPickupDate: followingPickup(pickupDate, subscription.cadence) } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  // The job didn't run in time (e.g. the server was down); there's no point booking a pickup in the past
+  if (pickupDate < toDateString(now)) {
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      { $push: { occurrences: { pickupDate, outcome: 'failed', error: 'Pickup date passed before the order was created', at: new Date() } } }
+    );
+    return { error: new Error('Pickup date passed') };
+  }
+
+  try {
+    const order = await createOrder(subscription.customer, buildOrderInput(subscription, pickupDate), {
+      actor: SYSTEM_ACTOR,
+      notes: `Order placed from subscription ${subscription.subscriptionNumber}`,
+      subscription: subscription._id,
+    });
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      { $push: { occurrences: { pickupDate, outcome: 'created', order: order._id, at: new Date() } } }
+    );
+    return { order };
+  } catch (error) {
+    console.error(`⚠️ Failed to create order for subscription ${subscription.subscriptionNumber}:`, error);
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      { $push: { occurrences: { pickupDate, outcome: 'failed', error: String(error.message).slice(0, 300), at: new Date() } } }
+    );
+
+    try {
+      const customer = await User.findById(subscription.customer).select('firstName lastName email');
+      if (customer) {
+        const reason = error.statusCode ? error.message : 'Something went wrong on our side';
+        await sendSubscriptionFailedEmail(customer.email, `${customer.firstName} ${customer.lastName}`, pickupDate, reason);
+      }
+    } catch (emailError) {
+      console.error('⚠️ Failed to send subscription failure email:', emailError);
+    }
+    return { error };
+  }
+};
+
+// Scheduled job: resume paused subscriptions that are due, send reminders, create orders
+const processSubscriptions = async ({ now = new Date() } = {}) => {
+  const today = toDateString(now);
+  const summary = { resumed: 0, reminded: 0, created: 0, failed: 0 };
+
+  const due = await Subscription.find({ status: 'paused', resumeOn: { $lte: today } }).select('_id');
+  for (const { _id } of due) {
+    try {
+      await resumeSubscription(_id, null, now);
+      summary.resumed += 1;
+    } catch (error) {
+      console.error(`⚠️ Failed to resume subscription ${_id}:`, error);
+    }
+  }
+
+  const reminderCutoff = addDays(today, SUBSCRIPTION_CONFIG.reminderDaysBeforePickup);
+  const toRemind = await Subscription.find({
+    status: 'active',
+    nextPickupDate: { $lte: reminderCutoff },
+    $expr: { $ne: ['$reminderSentFor', '$nextPickupDate'] },
+  });
+  for (const subscription of toRemind) {
+    if (await remind(subscription)) summary.reminded += 1;
+  }
+
+  const generateCutoff = addDays(today, SUBSCRIPTION_CONFIG.generateDaysBeforePickup);
+  const toGenerate = await Subscription.find({ status: 'active', nextPickupDate: { $lte: generateCutoff } });
+  for (const subscription of toGenerate) {
+    const result = await generateOrder(subscription, now);
+    if (result?.order) summary.created += 1;
+    if (result?.error) summary.failed += 1;
+  }
+
+  if (summary.created || summary.failed || summary.reminded || summary.resumed) {
+    console.log(`🔁 Subscriptions: ${summary.created} order(s) created, ${summary.failed} failed, ${summary.reminded} reminder(s), ${summary.resumed} resumed`);
+  }
+  return summary;
+};
+
+module.exports = {
+  followingPickup,
+  firstPickup,
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipNextPickup,
+  cancelSubscription,
+  listSubscriptions,
+  getSubscription,
+  processSubscriptions,
+};
@@ -0,0 +1,103 @@
+// Assigning a provider claims the order atomically and backs the claim out when a concurrent
+// claim has used up the provider's capacity. Model reads and writes are mocked so the tests run
+// without a database.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const OrderTracking = require('../models/OrderTracking');
+const { assignProvider, ROLES } = require('../services/orderLifecycle');
+
+const makeProvider = (capacity = {}) => new User({
+  firstName: 'Ama',
+  lastName: 'Mensah',
+  email: 'ama@example.com',
+  role: 'service_provider',
+  businessDetails: { capacity },
+});
+
+const makeOrder = () => new Order({
+  customer: new mongoose.Types.ObjectId(),
+  status: 'confirmed',
+  items: [{ service: 'service_wash_fold', serviceName: 'Wash & Fold', quantity: 2, unitPrice: 10, totalPrice: 20 }],
+  totalAmount: 20,
+  pickupDate: new Date('2026-10-20T09:00:00Z'),
+});
+
+describe('assignProvider', () => {
+  let provider;
+  let claimed;
+  let openOrders;
+
+  beforeEach(() => {
+    claimed = false;
+    openOrders = 0;
+
+    mock.method(User, 'findOne', async () => provider);
+    mock.method(User, 'findById', () => ({ select: async () => null }));
+    // Open orders the provider has once this claim has been made
+    mock.method(Order, 'aggregate', async () => (claimed && openOrders ? [{ _id: provider._id, count: openOrders }] : []));
+    mock.method(Order, 'find', () => ({ select: async () => [] }));
+    mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Order.prototype, 'save', async function () { return this; });
+    mock.method(OrderTracking, 'findOne', async () => null);
+    mock.method(OrderTracking.prototype, 'updateLocation', async () => {});
+    mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const actor = () => ({ id: provider._id.toString(), role: ROLES.PROVIDER });
+
+  it('claims an unassigned order for the provider', async () => {
+    provider = makeProvider({ maxConcurrentOrders: 2 });
+    const order = makeOrder();
+    mock.method(Order, 'findOneAndUpdate', async () => { claimed = true; return order; });
+
+    await assignProvider(order, provider._id, { actor: actor() });
+
+    const [filter, update] = Order.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: order._id, status: 'confirmed', serviceProvider: null });
+    assert.equal(update.$set.status, 'assigned');
+    assert.equal(order.status, 'assigned');
+    assert.equal(order.serviceProvider, provider._id);
+    assert.equal(Order.updateOne.mock.callCount(), 0);
+  });
+
+  it('refuses an order someone else claimed first', async () => {
+    provider = makeProvider();
+    const order = makeOrder();
+    mock.method(Order, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(assignProvider(order, provider._id, { actor: actor() }), /just assigned or changed by someone else/);
+    assert.equal(order.serviceProvider, undefined);
+    assert.equal(Order.prototype.save.mock.callCount(), 0);
+  });
+
+  it('backs the claim out when a concurrent claim used the last open slot', async () => {
+    provider = makeProvider({ maxConcurrentOrders: 1 });
+    const order = makeOrder();
+    openOrders = 1;
+    mock.method(Order, 'findOneAndUpdate', async () => { claimed = true; return order; });
+
+    await assert.rejects(assignProvider(order, provider._id, { actor: actor() }), /over capacity: At the limit of 1 open orders/);
+
+    const [filter, update] = Order.updateOne.mock.calls[0].arguments;
+    assert.equal(filter.serviceProvider, provider._id);
+    assert.deepEqual(update, { $set: { serviceProvider: null, status: 'confirmed', assignedAt: null } });
+    assert.equal(order.status, 'confirmed');
+    assert.equal(Order.prototype.save.mock.callCount(), 0);
+  });
+
+  it('backs the claim out when the order cannot be saved', async () => {
+    provider = makeProvider();
+    const order = makeOrder();
+    mock.method(Order, 'findOneAndUpdate', async () => { claimed = true; return order; });
+    mock.method(Order.prototype, 'save', async () => { throw new Error('write conflict'); });
+
+    await assert.rejects(assignProvider(order, provider._id, { actor: actor() }), /write conflict/);
+    assert.equal(Order.updateOne.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,139 @@
+// Redo orders raised as claim compensation. Model reads and writes are mocked so the tests run
+// without a database.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Claim = require('../models/Claim');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const OrderTracking = require('../models/OrderTracking');
+const { buildRedoOrder, createRedoOrder } = require('../services/claimService');
+
+const admin = { id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+const makeOriginal = async () => {
+  const order = new Order({
+    customer: new mongoose.Types.ObjectId(),
+    serviceProvider: new mongoose.Types.ObjectId(),
+    status: 'completed',
+    items: [{
+      service: 'service_dry_clean_standard',
+      serviceName: 'Dry Clean',
+      quantity: 2,
+      unitPrice: 10,
+      totalPrice: 20,
+      clothingItems: [
+        { description: 'Blue shirt', service: 'service_dry_clean_standard', serviceName: 'Dry Clean', unitPrice: 10 },
+        { description: 'Grey trousers', service: 'service_dry_clean_standard', serviceName: 'Dry Clean', unitPrice: 10 },
+      ],
+    }],
+    subtotal: 20,
+    totalAmount: 20,
+    pickupAddress: { street: '1 Oxford St', city: 'Accra' },
+    deliveryAddress: { street: '1 Oxford St', city: 'Accra' },
+    pickupDate: new Date('2026-10-01T09:00:00Z'),
+    deliveryDate: new Date('2026-10-03T09:00:00Z'),
+  });
+  await order.validate();
+  return order;
+};
+
+const makeClaim = (order, itemId) => new Claim({ order: order._id, customer: order.customer, itemId, type: 'damage' });
+
+describe('buildRedoOrder', () => {
+  it('gives the claimed garment a code on the redo order', async () => {
+    const original = await makeOriginal();
+    const [, trousers] = original.items[0].clothingItems;
+
+    const redo = buildRedoOrder(original, makeClaim(original, trousers.itemId), admin);
+    await redo.validate();
+
+    const garments = redo.getAllClothingItems();
+    assert.equal(garments.length, 1);
+    assert.equal(garments[0].description, 'Grey trousers');
+    assert.equal(garments[0].itemId, `${redo.orderNumber}-001`);
+    assert.equal(redo.items[0].quantity, 1);
+  });
+
+  it('starts confirmed with a deadline and no provider', async () => {
+    const original = await makeOriginal();
+
+    const redo = buildRedoOrder(original, makeClaim(original), admin);
+
+    assert.equal(redo.status, 'confirmed');
+    assert.equal(redo.serviceProvider, undefined);
+    assert.equal(redo.statusHistory[0].status, 'confirmed');
+    assert.ok(redo.statusDeadline > new Date());
+  });
+
+  it('re-codes every garment when the whole order is redone', async () => {
+    const original = await makeOriginal();
+
+    const redo = buildRedoOrder(original, makeClaim(original), admin);
+    await redo.validate();
+
+    const codes = redo.getAllClothingItems().map(ci => ci.itemId);
+    assert.deepEqual(codes, [`${redo.orderNumber}-001`, `${redo.orderNumber}-002`]);
+    assert.equal(redo.redoOf, original._id);
+    assert.equal(redo.totalAmount, 0);
+  });
+});
+
+describe('createRedoOrder', () => {
+  let provider;
+  let openOrders;
+  let tracked;
+  let dispatched;
+
+  beforeEach(() => {
+    openOrders = 0;
+    tracked = [];
+    dispatched = [];
+    mock.method(Order.prototype, 'save', async function () { return this; });
+    mock.method(Order, 'findOneAndUpdate', async () => ({}));
+    mock.method(Order, 'aggregate', async () => (openOrders ? [{ _id: provider._id, count: openOrders }] : []));
+    mock.method(Order, 'find', () => ({ select: async () => [] }));
+    // Dispatch looks the order up first; answer as if it had since been taken so it stops there
+    mock.method(Order, 'findById', async (id) => { dispatched.push(id.toString()); return { status: 'assigned' }; });
+    mock.method(Payment, 'findOne', () => ({ select: async () => ({ paymentMethod: 'momo' }) }));
+    mock.method(Payment, 'create', async (data) => new Payment(data));
+    mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(User, 'findOne', async () => provider);
+    mock.method(User, 'findById', () => ({ select: async () => null }));
+    mock.method(OrderTracking, 'findOne', async () => null);
+    mock.method(OrderTracking.prototype, 'updateLocation', async function (location) { tracked.push(location); });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('assigns the redo to the original provider through the lifecycle', async () => {
+    const original = await makeOriginal();
+    provider = new User({ _id: original.serviceProvider, role: 'service_provider', businessDetails: { capacity: { maxConcurrentOrders: 3 } } });
+
+    const redo = await createRedoOrder(original, makeClaim(original), admin);
+
+    assert.equal(redo.status, 'assigned');
+    assert.equal(redo.serviceProvider.toString(), original.serviceProvider.toString());
+    assert.deepEqual(redo.statusHistory.map(entry => entry.status), ['confirmed', 'assigned']);
+    assert.equal(redo.assignmentHistory[0].action, 'assigned');
+    assert.ok(redo.statusDeadline > new Date());
+    assert.deepEqual(tracked, ['pickup_scheduled', 'in_transit_to_facility']);
+    assert.deepEqual(dispatched, []);
+  });
+
+  it('leaves the redo confirmed for dispatch when the original provider is over capacity', async () => {
+    const original = await makeOriginal();
+    provider = new User({ _id: original.serviceProvider, role: 'service_provider', businessDetails: { capacity: { maxConcurrentOrders: 1 } } });
+    openOrders = 1;
+
+    const redo = await createRedoOrder(original, makeClaim(original), admin);
+
+    assert.equal(redo.status, 'confirmed');
+    assert.equal(redo.serviceProvider, undefined);
+    assert.equal(Order.findOneAndUpdate.mock.callCount(), 0);
+    assert.deepEqual(tracked, ['pickup_scheduled']);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(dispatched, [redo._id.toString()]);
+  });
+});
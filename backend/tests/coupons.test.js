@@ -0,0 +1,109 @@
+// Coupon redemptions live in their own collection; the coupon keeps the count. Model reads and
+// writes are mocked so the tests run without a database.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { evaluateCoupon, redeemCoupon, reverseRedemption } = require('../services/couponService');
+
+describe('coupon redemptions', () => {
+  const customerId = new mongoose.Types.ObjectId();
+  let coupon;
+  let redemptions;
+
+  beforeEach(() => {
+    coupon = new Coupon({ code: 'WELCOME10', discountType: 'percentage', discountValue: 10, perCustomerLimit: 1, usageCount: 0 });
+    redemptions = [];
+
+    mock.method(Coupon, 'findOne', async () => coupon);
+    mock.method(Coupon, 'findOneAndUpdate', async () => {
+      coupon.usageCount += 1;
+      return coupon;
+    });
+    mock.method(Coupon, 'updateOne', async (filter, update) => {
+      coupon.usageCount += update.$inc.usageCount;
+      return { modifiedCount: 1 };
+    });
+    mock.method(Coupon, 'findByIdAndUpdate', async (id, update) => {
+      coupon.usageCount += update.$inc.usageCount;
+      return coupon;
+    });
+    mock.method(CouponRedemption, 'create', async (data) => {
+      if (redemptions.some(r => r.order.equals(data.order))) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const redemption = new CouponRedemption(data);
+      redemptions.push(redemption);
+      return redemption;
+    });
+    mock.method(CouponRedemption, 'countDocuments', async (filter) => redemptions
+      .filter(r => r.customer.equals(filter.customer) && r.status === filter.status).length);
+    mock.method(CouponRedemption, 'deleteOne', async (filter) => {
+      redemptions = redemptions.filter(r => !r._id.equals(filter._id));
+      return { deletedCount: 1 };
+    });
+    mock.method(CouponRedemption, 'findOneAndUpdate', async (filter, update) => {
+      const redemption = redemptions.find(r => r.order.equals(filter.order) && r.status === filter.status);
+      if (redemption) redemption.set(update.$set);
+      return redemption || null;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const redeem = (orderId = new mongoose.Types.ObjectId()) => redeemCoupon(coupon._id, { customerId, orderId, discountAmount: 4 });
+
+  it('records the redemption on its own and counts it on the coupon', async () => {
+    const orderId = new mongoose.Types.ObjectId();
+
+    await redeem(orderId);
+
+    assert.equal(coupon.usageCount, 1);
+    assert.equal(redemptions.length, 1);
+    assert.equal(redemptions[0].coupon, coupon._id);
+    assert.equal(redemptions[0].order, orderId);
+    assert.equal(coupon.get('redemptions'), undefined);
+  });
+
+  it('backs a redemption out when the customer has already used their share', async () => {
+    await redeem();
+
+    await assert.rejects(redeem(), { message: 'You have already used this coupon' });
+
+    assert.equal(coupon.usageCount, 1);
+    assert.equal(redemptions.length, 1);
+  });
+
+  it('redeems a coupon once per order', async () => {
+    const orderId = new mongoose.Types.ObjectId();
+    coupon.perCustomerLimit = 5;
+    await redeem(orderId);
+
+    await assert.rejects(redeem(orderId), { message: 'This coupon has already been applied to the order' });
+
+    assert.equal(coupon.usageCount, 1);
+  });
+
+  it('gives the use back when the order is cancelled', async () => {
+    const orderId = new mongoose.Types.ObjectId();
+    await redeem(orderId);
+
+    const updated = await reverseRedemption(orderId);
+
+    assert.equal(updated.usageCount, 0);
+    assert.equal(redemptions[0].status, 'reversed');
+    assert.ok(redemptions[0].reversedAt);
+    assert.equal(await reverseRedemption(orderId), null);
+  });
+
+  it('turns the customer away at checkout once their share is used', async () => {
+    await redeem();
+    const pricedItems = [{ service: 'service_dry_clean_standard', totalPrice: 40 }];
+
+    await assert.rejects(
+      evaluateCoupon('welcome10', { customerId, pricedItems, subtotal: 40 }),
+      { message: 'You have already used this coupon' }
+    );
+  });
+});
@@ -0,0 +1,217 @@
+// Scheduled dispatch jobs: auto-release of stale assignments and expiry of unanswered offers.
+// Orders live in an in-memory collection that applies the filters and updates the service sends,
+// so the tests check which orders are released, expired and offered on, without a database.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const OrderTracking = require('../models/OrderTracking');
+const { autoReleaseStaleAssignments, expireOffers } = require('../services/dispatchService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR_MS);
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+const same = (a, b) => String(a) === String(b);
+
+// The query operators the dispatch service uses
+const matchesCondition = (value, condition) => {
+  if (condition === null) return value === null || value === undefined;
+  if (condition instanceof Date || condition instanceof mongoose.Types.ObjectId || typeof condition !== 'object') {
+    return same(value, condition);
+  }
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case '$lte': return value !== undefined && value !== null && value <= operand;
+      case '$lt': return value !== undefined && value !== null && value < operand;
+      case '$gte': return value !== undefined && value !== null && value >= operand;
+      case '$gt': return value !== undefined && value !== null && value > operand;
+      case '$ne': return !same(value, operand);
+      case '$in': return operand.some(option => same(value, option));
+      case '$nin': return !operand.some(option => same(value, option));
+      case '$elemMatch': return (value || []).some(entry => matches(entry, operand));
+      default: throw new Error(`Unsupported operator ${op}`);
+    }
+  });
+};
+
+const matches = (doc, filter) => Object.entries(filter)
+  .every(([path, condition]) => matchesCondition(getPath(doc, path), condition));
+
+const makeProvider = (name) => new User({
+  firstName: name,
+  lastName: 'Laundry',
+  email: `${name.toLowerCase()}@example.com`,
+  role: 'service_provider',
+  status: 'active',
+  businessDetails: { serviceAreas: ['Accra'], availableServices: ['Standard Dry Cleaning'] },
+});
+
+describe('dispatch jobs', () => {
+  const first = makeProvider('Ama');
+  const second = makeProvider('Kojo');
+  let orders;
+
+  // An assigned order whose pickup and assignment are both past the auto-release window
+  const addOrder = (fields = {}) => {
+    const order = new Order({
+      customer: new mongoose.Types.ObjectId(),
+      status: 'assigned',
+      serviceProvider: first._id,
+      assignedAt: hoursAgo(6),
+      pickupDate: hoursAgo(6),
+      pickupAddress: { street: '1 Oxford St', city: 'Accra' },
+      items: [{ service: 'service_dry_clean_standard', serviceName: 'Standard Dry Cleaning', quantity: 1, unitPrice: 20, totalPrice: 20 }],
+      totalAmount: 20,
+      ...fields,
+    });
+    orders.push(order);
+    return order;
+  };
+
+  const findOne = (filter) => {
+    const order = orders.find(candidate => matches(candidate.toObject(), filter));
+    if (!order) return { order: null, index: -1 };
+    const offerMatch = filter['dispatch.offers']?.$elemMatch;
+    const index = offerMatch ? order.dispatch.offers.findIndex(offer => matches(offer.toObject(), offerMatch)) : -1;
+    return { order, index };
+  };
+
+  const applyUpdate = (order, index, update) => {
+    for (const [path, value] of Object.entries(update.$set || {})) order.set(path.replace('$', index), value);
+    for (const [path, value] of Object.entries(update.$push || {})) order.get(path).push(value);
+  };
+
+  beforeEach(() => {
+    orders = [];
+
+    mock.method(Order, 'find', (filter) => ({ select: async () => orders.filter(order => matches(order.toObject(), filter)) }));
+    mock.method(Order, 'findById', async (id) => orders.find(order => same(order._id, id)) || null);
+    mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+      const { order, index } = findOne(filter);
+      if (order) applyUpdate(order, index, update);
+      return order;
+    });
+    mock.method(Order, 'updateOne', async (filter, update) => {
+      const { order, index } = findOne(filter);
+      if (order) applyUpdate(order, index, update);
+      return { modifiedCount: order ? 1 : 0 };
+    });
+    mock.method(Order, 'aggregate', async () => []);
+    mock.method(Order.prototype, 'save', async function () { return this; });
+
+    mock.method(User, 'find', () => ({ select: async () => [first, second] }));
+    mock.method(User, 'findById', () => ({ select: async () => null }));
+    mock.method(Review, 'aggregate', async () => []);
+    mock.method(Payment, 'findOne', async () => null);
+    mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(OrderTracking, 'findOne', async () => null);
+    mock.method(OrderTracking.prototype, 'updateLocation', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const liveOffer = (order) => order.dispatch.offers.find(offer => offer.status === 'offered');
+
+  describe('autoReleaseStaleAssignments', () => {
+    it('releases an order the provider has not started and offers it to someone else', async () => {
+      const stale = addOrder();
+
+      assert.deepEqual(await autoReleaseStaleAssignments(), { released: 1 });
+
+      assert.equal(stale.status, 'pending');
+      assert.equal(stale.serviceProvider, null);
+      assert.equal(stale.assignmentHistory.at(-1).action, 'auto_released');
+      assert.equal(same(stale.assignmentHistory.at(-1).previousProvider, first._id), true);
+      assert.equal(stale.dispatch.status, 'offered');
+      assert.equal(same(liveOffer(stale).provider, second._id), true);
+    });
+
+    it('waits until both the assignment and the pickup are past the window', async () => {
+      const justAssigned = addOrder({ assignedAt: hoursAgo(1) });
+      const pickupLater = addOrder({ pickupDate: new Date(Date.now() + 2 * HOUR_MS) });
+
+      assert.deepEqual(await autoReleaseStaleAssignments(), { released: 0 });
+
+      for (const order of [justAssigned, pickupLater]) {
+        assert.equal(order.status, 'assigned');
+        assert.equal(same(order.serviceProvider, first._id), true);
+      }
+    });
+
+    it('leaves orders whose garments the provider already has', async () => {
+      const pickedUp = addOrder({ actualPickupDate: hoursAgo(3) });
+      const weighed = addOrder({ weighedAt: hoursAgo(2) });
+      const stale = addOrder();
+
+      assert.deepEqual(await autoReleaseStaleAssignments(), { released: 1 });
+
+      assert.equal(pickedUp.status, 'assigned');
+      assert.equal(weighed.status, 'assigned');
+      assert.equal(stale.status, 'pending');
+    });
+
+    it('leaves orders whose new price is awaiting or refused by the customer', async () => {
+      const awaiting = addOrder({ repricing: { status: 'pending_approval' } });
+      const refused = addOrder({ repricing: { status: 'rejected' } });
+      const approved = addOrder({ repricing: { status: 'approved' } });
+
+      assert.deepEqual(await autoReleaseStaleAssignments(), { released: 1 });
+
+      assert.equal(awaiting.status, 'assigned');
+      assert.equal(refused.status, 'assigned');
+      assert.equal(approved.status, 'pending');
+      assert.equal(approved.serviceProvider, null);
+    });
+  });
+
+  describe('expireOffers', () => {
+    const offeredTo = (provider, expiresAt) => addOrder({
+      status: 'confirmed',
+      serviceProvider: null,
+      assignedAt: null,
+      pickupDate: new Date(Date.now() + 24 * HOUR_MS),
+      dispatch: {
+        status: 'offered',
+        roundStartedAt: hoursAgo(1),
+        offers: [{ provider: provider._id, status: 'offered', offeredAt: hoursAgo(1), expiresAt }],
+      },
+    });
+
+    it('expires an unanswered offer and offers the order to the next provider', async () => {
+      const order = offeredTo(first, hoursAgo(0.5));
+
+      assert.deepEqual(await expireOffers(), { expired: 1 });
+
+      const [expired, next] = order.dispatch.offers;
+      assert.equal(expired.status, 'expired');
+      assert.ok(expired.respondedAt);
+      assert.equal(next.status, 'offered');
+      assert.equal(same(next.provider, second._id), true);
+      assert.equal(order.dispatch.status, 'offered');
+    });
+
+    it('leaves offers that are still open', async () => {
+      const order = offeredTo(first, new Date(Date.now() + 10 * 60 * 1000));
+
+      assert.deepEqual(await expireOffers(), { expired: 0 });
+
+      assert.equal(order.dispatch.offers.length, 1);
+      assert.equal(liveOffer(order).status, 'offered');
+    });
+
+    it('queues the order when nobody is left to offer it to', async () => {
+      const order = offeredTo(first, hoursAgo(0.5));
+      order.dispatch.offers.push({ provider: second._id, status: 'declined', offeredAt: hoursAgo(2), respondedAt: hoursAgo(1.5) });
+      order.dispatch.roundStartedAt = hoursAgo(3);
+
+      assert.deepEqual(await expireOffers(), { expired: 1 });
+
+      assert.equal(order.dispatch.status, 'queued');
+      assert.equal(order.dispatch.queueReason, 'No eligible providers left to offer the order to');
+    });
+  });
+});
@@ -0,0 +1,52 @@
+// Garment codes are assigned by the server, never taken from the client
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const { priceItems } = require('../services/pricingService');
+
+const garment = (description, fields = {}) => ({ description, service: 'service_dry_clean_standard', ...fields });
+
+const makeOrder = (clothingItems) => new Order({
+  items: [{
+    service: 'service_dry_clean_standard',
+    serviceName: 'Dry Clean',
+    quantity: clothingItems.length,
+    unitPrice: 10,
+    totalPrice: 10 * clothingItems.length,
+    clothingItems,
+  }],
+});
+
+describe('garment codes', () => {
+  it('numbers garments after the order number before validation', async () => {
+    const order = makeOrder([garment('Blue shirt'), garment('Grey trousers')]);
+
+    await order.validate(['items']);
+
+    const codes = order.getAllClothingItems().map(ci => ci.itemId);
+    assert.deepEqual(codes, [`${order.orderNumber}-001`, `${order.orderNumber}-002`]);
+  });
+
+  it('continues the sequence when garments are added', async () => {
+    const order = makeOrder([garment('Blue shirt'), garment('Grey trousers'), garment('Scarf')]);
+    await order.validate(['items']);
+    order.items[0].clothingItems.splice(1, 1);
+
+    order.items[0].clothingItems.push(garment('Red dress'));
+    await order.validate(['items']);
+
+    assert.equal(order.items[0].clothingItems[2].itemId, `${order.orderNumber}-004`);
+  });
+
+  it('ignores codes sent by the client', async () => {
+    const [line] = await priceItems([{
+      service: 'service_dry_clean_standard',
+      clothingItems: [garment('Blue shirt', { itemId: 'ITEM-1700000000000-abc123def' })],
+    }]);
+    assert.equal(line.clothingItems[0].itemId, undefined);
+
+    const order = makeOrder(line.clothingItems);
+    await order.validate(['items']);
+    assert.equal(order.items[0].clothingItems[0].itemId, `${order.orderNumber}-001`);
+  });
+});
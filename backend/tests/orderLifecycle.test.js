@@ -0,0 +1,196 @@
+// Who may move an order between statuses and what each move requires. The rules work on plain
+// data, so no database is needed.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const { TRANSITIONS, GUARDS, ROLES, checkTransition, getAvailableTransitions } = require('../services/orderLifecycle');
+
+const customerId = 'customer_1';
+const providerId = 'provider_1';
+
+const admin = { id: 'admin_1', role: ROLES.ADMIN };
+const provider = { id: providerId, role: ROLES.PROVIDER };
+const otherProvider = { id: 'provider_2', role: ROLES.PROVIDER };
+const customer = { id: customerId, role: ROLES.CUSTOMER };
+const system = { id: null, role: ROLES.SYSTEM };
+
+const paid = { status: 'completed', outstandingAmount: 0 };
+const delivered = { capturedAt: new Date(), method: 'otp' };
+
+const makeOrder = (status, fields = {}) => ({
+  status,
+  customer: customerId,
+  serviceProvider: ['pending', 'confirmed'].includes(status) ? null : providerId,
+  items: [],
+  ...fields,
+});
+
+describe('TRANSITIONS', () => {
+  it('covers every order status', () => {
+    assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...Order.ORDER_STATUSES].sort());
+    for (const targets of Object.values(TRANSITIONS)) {
+      for (const to of Object.keys(targets)) assert.ok(Order.ORDER_STATUSES.includes(to), to);
+    }
+  });
+
+  it('ends at completed and cancelled', () => {
+    assert.deepEqual(TRANSITIONS.completed, {});
+    assert.deepEqual(TRANSITIONS.cancelled, {});
+  });
+
+  it('lets only admins and providers move an order once work has started', () => {
+    for (const from of ['in_progress', 'ready_for_pickup', 'picked_up', 'ready_for_delivery']) {
+      for (const roles of Object.values(TRANSITIONS[from])) {
+        assert.deepEqual([...roles].sort(), [ROLES.ADMIN, ROLES.PROVIDER].sort(), from);
+      }
+    }
+  });
+});
+
+describe('checkTransition', () => {
+  it('rejects an unknown status', () => {
+    assert.deepEqual(checkTransition(makeOrder('pending'), 'lost', admin), { error: 'Invalid status: lost', statusCode: 400 });
+  });
+
+  it('rejects a move that is not defined, even for an admin', () => {
+    const problem = checkTransition(makeOrder('completed'), 'pending', admin);
+
+    assert.equal(problem.statusCode, 400);
+    assert.equal(problem.error, 'Cannot change status from completed to pending');
+    assert.equal(checkTransition(makeOrder('pending'), 'completed', admin).statusCode, 400);
+  });
+
+  it('lets a customer cancel their own order before work starts', () => {
+    assert.equal(checkTransition(makeOrder('pending'), 'cancelled', customer), null);
+    assert.equal(checkTransition(makeOrder('assigned'), 'cancelled', customer), null);
+  });
+
+  it('stops a customer cancelling once work has started', () => {
+    const problem = checkTransition(makeOrder('in_progress'), 'cancelled', customer);
+
+    assert.equal(problem.statusCode, 403);
+    assert.equal(problem.error, 'A customer cannot change status from in_progress to cancelled');
+  });
+
+  it('stops a customer confirming or cancelling someone else\'s order', () => {
+    assert.equal(checkTransition(makeOrder('pending'), 'confirmed', customer).statusCode, 403);
+    assert.deepEqual(
+      checkTransition(makeOrder('pending', { customer: 'customer_2' }), 'cancelled', customer),
+      { error: 'Access denied', statusCode: 403 }
+    );
+  });
+
+  it('leaves confirmation on payment to the system', () => {
+    assert.equal(checkTransition(makeOrder('pending'), 'confirmed', system), null);
+    assert.equal(checkTransition(makeOrder('pending'), 'confirmed', provider).statusCode, 403);
+  });
+
+  it('lets only the assigned provider move the order along', () => {
+    const order = makeOrder('in_progress');
+
+    assert.equal(checkTransition(order, 'ready_for_pickup', provider), null);
+    assert.deepEqual(
+      checkTransition(order, 'ready_for_pickup', otherProvider),
+      { error: 'You can only update orders assigned to you', statusCode: 403 }
+    );
+    assert.equal(checkTransition(order, 'ready_for_pickup', admin), null);
+  });
+
+  it('stops the system doing a provider\'s work', () => {
+    assert.equal(checkTransition(makeOrder('assigned'), 'in_progress', system).statusCode, 403);
+  });
+
+  describe('completion', () => {
+    const ready = (fields = {}) => makeOrder('ready_for_delivery', { proofOfDelivery: delivered, ...fields });
+
+    it('completes a paid order with proof of delivery', () => {
+      assert.equal(checkTransition(ready(), 'completed', provider, { payment: paid }), null);
+    });
+
+    it('needs the payment to be completed', () => {
+      assert.equal(
+        checkTransition(ready(), 'completed', provider, { payment: null }).error,
+        'Order cannot be completed until payment is completed'
+      );
+      assert.equal(
+        checkTransition(ready(), 'completed', admin, { payment: { status: 'pending' } }).error,
+        'Order cannot be completed until payment is completed (payment is pending)'
+      );
+    });
+
+    it('accepts a partially refunded payment', () => {
+      assert.equal(checkTransition(ready(), 'completed', provider, { payment: { status: 'partially_refunded', outstandingAmount: 0 } }), null);
+    });
+
+    it('needs any outstanding balance collected', () => {
+      const problem = checkTransition(ready(), 'completed', provider, { payment: { status: 'completed', outstandingAmount: 12.5 } });
+
+      assert.equal(problem.statusCode, 400);
+      assert.equal(problem.error, 'Order cannot be completed until the outstanding ¢12.50 is collected');
+    });
+
+    it('needs proof of delivery from a provider', () => {
+      const problem = checkTransition(ready({ proofOfDelivery: undefined }), 'completed', provider, { payment: paid, proofOverride: 'Customer not home' });
+
+      assert.match(problem.error, /^Record proof of delivery first/);
+    });
+
+    it('lets an admin complete without proof only when they give a reason', () => {
+      const order = ready({ proofOfDelivery: undefined });
+
+      assert.match(checkTransition(order, 'completed', admin, { payment: paid }).error, /give a reason/);
+      assert.equal(checkTransition(order, 'completed', admin, { payment: paid, proofOverride: 'Delivered by phone arrangement' }), null);
+    });
+  });
+
+  describe('assignment', () => {
+    it('needs a service provider to assign the order to', () => {
+      assert.equal(
+        checkTransition(makeOrder('pending'), 'assigned', admin).error,
+        'A service provider must be set before the order can be assigned'
+      );
+      assert.equal(checkTransition(makeOrder('pending', { serviceProvider: providerId }), 'assigned', admin), null);
+    });
+
+    it('needs the provider released before the order goes back to the pool', () => {
+      assert.equal(
+        checkTransition(makeOrder('assigned'), 'pending', admin).error,
+        'Release the service provider before returning the order to pending'
+      );
+      assert.equal(checkTransition(makeOrder('assigned', { serviceProvider: null }), 'pending', admin), null);
+    });
+
+    it('needs a provider before work starts', () => {
+      assert.equal(
+        GUARDS.in_progress({ order: makeOrder('confirmed') }),
+        'Order must be assigned to a service provider before work starts'
+      );
+    });
+  });
+
+  it('holds work until the customer approves the weighed price', () => {
+    const order = makeOrder('assigned', { repricing: { status: 'pending_approval' } });
+
+    assert.equal(checkTransition(order, 'in_progress', provider).error, 'Waiting for the customer to approve the weighed price');
+  });
+
+  it('needs every scanned garment packed or flagged missing before delivery', () => {
+    const garments = [
+      { itemId: 'ORD-1-001', station: 'packed' },
+      { itemId: 'ORD-1-002', station: 'pressing' },
+      { itemId: 'ORD-1-003', station: 'washing', isMissing: true },
+    ];
+    const order = makeOrder('picked_up', { items: [{ clothingItems: garments }] });
+
+    assert.match(checkTransition(order, 'ready_for_delivery', provider).error, /^1 garment\(s\) not packed: ORD-1-002/);
+  });
+});
+
+describe('getAvailableTransitions', () => {
+  it('lists only the moves the actor can make now', () => {
+    assert.deepEqual(getAvailableTransitions(makeOrder('pending'), customer), ['cancelled']);
+    assert.deepEqual(getAvailableTransitions(makeOrder('assigned'), provider), ['in_progress', 'cancelled']);
+    assert.deepEqual(getAvailableTransitions(makeOrder('assigned'), otherProvider), []);
+    assert.deepEqual(getAvailableTransitions(makeOrder('completed'), admin), []);
+  });
+});
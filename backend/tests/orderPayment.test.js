@@ -0,0 +1,83 @@
+// Keeping a Paystack checkout in step with the amount due. Model reads and writes are mocked so
+// the tests run without a database.
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { syncPendingPayment, holdMismatchedCharge, adoptReference } = require('../services/orderPaymentService');
+
+const makePayment = (fields = {}) => new Payment({
+  order: new mongoose.Types.ObjectId(),
+  customer: new mongoose.Types.ObjectId(),
+  amount: 100,
+  paymentMethod: 'momo',
+  status: 'pending',
+  reference: 'order_abc_1',
+  paystackData: { access_code: 'code_1', authorization_url: 'https://checkout.paystack.com/code_1', reference: 'order_abc_1' },
+  ...fields,
+});
+
+describe('syncPendingPayment', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('retires a Paystack checkout opened for the old amount', async () => {
+    const payment = makePayment();
+    const order = new Order({ totalAmount: 120, payment: payment._id });
+    mock.method(Payment, 'findById', async () => payment);
+    mock.method(Payment.prototype, 'save', async function () { return this; });
+
+    await syncPendingPayment(order);
+
+    assert.equal(payment.amount, 120);
+    assert.equal(payment.reference, undefined);
+    assert.equal(payment.paystackData?.authorization_url, undefined);
+    assert.deepEqual([...payment.voidedReferences], ['order_abc_1']);
+  });
+
+  it('keeps the checkout when the amount is unchanged', async () => {
+    const payment = makePayment();
+    const order = new Order({ totalAmount: 100, payment: payment._id });
+    mock.method(Payment, 'findById', async () => payment);
+    mock.method(Payment.prototype, 'save', async function () { return this; });
+
+    await syncPendingPayment(order);
+
+    assert.equal(payment.reference, 'order_abc_1');
+    assert.equal(Payment.prototype.save.mock.callCount(), 0);
+  });
+});
+
+describe('holdMismatchedCharge', () => {
+  it('lets a charge for the amount due through', () => {
+    const payment = makePayment();
+
+    assert.equal(holdMismatchedCharge(payment, { received: 100, reference: 'order_abc_1' }), false);
+    assert.equal(payment.status, 'pending');
+  });
+
+  it('holds a charge at an old amount for review', () => {
+    const payment = makePayment({ amount: 120, reference: undefined, voidedReferences: ['order_abc_1'] });
+
+    assert.equal(holdMismatchedCharge(payment, { received: 100, reference: 'order_abc_1' }), true);
+    assert.equal(payment.status, 'processing');
+    assert.equal(payment.amountMismatch.expected, 120);
+    assert.equal(payment.amountMismatch.received, 100);
+    assert.equal(payment.statusHistory.length, 1);
+
+    // The webhook and a verify for the same charge record it once
+    assert.equal(holdMismatchedCharge(payment, { received: 100, reference: 'order_abc_1' }), true);
+    assert.equal(payment.statusHistory.length, 1);
+  });
+});
+
+describe('adoptReference', () => {
+  it('makes a retired checkout that was paid the payment reference', () => {
+    const payment = makePayment({ reference: 'order_abc_2', voidedReferences: ['order_abc_1'] });
+
+    adoptReference(payment, 'order_abc_1');
+
+    assert.equal(payment.reference, 'order_abc_1');
+    assert.deepEqual([...payment.voidedReferences], ['order_abc_2']);
+  });
+});
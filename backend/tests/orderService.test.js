@@ -0,0 +1,77 @@
+// Placing an order: client totals are checked against the server's prices, and an order that
+// cannot be completed is removed. Model reads and writes are mocked so the tests run without a
+// database.
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const { assertClientTotals } = require('../services/pricingService');
+const { createOrder } = require('../services/orderService');
+
+const quote = { subtotal: 40, totalAmount: 49 };
+
+describe('assertClientTotals', () => {
+  it('accepts totals within the tolerance', () => {
+    assert.doesNotThrow(() => assertClientTotals(quote, { subtotal: '40.00', totalAmount: 49.004 }));
+  });
+
+  it('skips totals the client did not send', () => {
+    assert.doesNotThrow(() => assertClientTotals(quote, {}));
+    assert.doesNotThrow(() => assertClientTotals(quote, { subtotal: 40, totalAmount: '' }));
+  });
+
+  it('rejects a total that no longer matches', () => {
+    assert.throws(
+      () => assertClientTotals(quote, { subtotal: 40, totalAmount: 45 }),
+      { message: 'Order total does not match current prices (expected ¢49.00, received ¢45.00)' }
+    );
+  });
+
+  it('rejects a subtotal that no longer matches', () => {
+    assert.throws(() => assertClientTotals(quote, { subtotal: 38 }), /Order subtotal does not match/);
+  });
+});
+
+describe('createOrder', () => {
+  afterEach(() => mock.restoreAll());
+
+  const address = { street: '1 Oxford St', city: 'Accra', state: 'Greater Accra' };
+  const input = {
+    items: [{ service: 'service_dry_clean_standard', quantity: 2 }],
+    pickupAddress: address,
+    deliveryAddress: address,
+    pickupDate: '2026-10-20T09:00:00Z',
+    deliveryDate: '2026-10-22T09:00:00Z',
+    paymentMethod: 'cash',
+  };
+
+  it('removes the order when its payment cannot be created', async () => {
+    const customerId = new mongoose.Types.ObjectId();
+    mock.method(LoyaltyProgram, 'findOne', async () => new LoyaltyProgram({ user: customerId }));
+    mock.method(Order, 'create', async (data) => new Order(data));
+    mock.method(Order, 'deleteOne', async () => ({ deletedCount: 1 }));
+    mock.method(Payment, 'create', async () => { throw new Error('connection reset'); });
+
+    await assert.rejects(createOrder(customerId, input, { actor: { id: customerId.toString() } }), /connection reset/);
+
+    assert.equal(Order.deleteOne.mock.callCount(), 1);
+    assert.deepEqual(Order.deleteOne.mock.calls[0].arguments[0], { _id: Order.create.mock.calls[0].arguments[0]._id });
+  });
+
+  it('removes the order and its payment when the order cannot be linked to the payment', async () => {
+    const customerId = new mongoose.Types.ObjectId();
+    mock.method(LoyaltyProgram, 'findOne', async () => new LoyaltyProgram({ user: customerId }));
+    mock.method(Order, 'create', async (data) => new Order(data));
+    mock.method(Order, 'deleteOne', async () => ({ deletedCount: 1 }));
+    mock.method(Order.prototype, 'save', async () => { throw new Error('write conflict'); });
+    mock.method(Payment, 'create', async (data) => new Payment(data));
+    mock.method(Payment, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+    await assert.rejects(createOrder(customerId, input, { actor: { id: customerId.toString() } }), /write conflict/);
+
+    assert.equal(Payment.deleteOne.mock.callCount(), 1);
+    assert.equal(Order.deleteOne.mock.callCount(), 1);
+  });
+});
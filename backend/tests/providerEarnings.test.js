@@ -0,0 +1,267 @@
+// Provider earnings: the credit on completion and the clawback when an order is refunded.
+// Model reads and writes are mocked so the tests run without a database; the mocks apply the
+// same conditional and pipeline updates the services send, so concurrent refunds can be tested.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { creditProviderEarnings } = require('../services/orderLifecycle');
+const { refundPayment, handleRefundWebhook, adjustProviderEarnings } = require('../services/refundService');
+
+const providerId = new mongoose.Types.ObjectId();
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    if (node[key] === undefined || node[key] === null) node[key] = {};
+    return node[key];
+  }, doc);
+  parent[keys[keys.length - 1]] = value;
+};
+
+// The aggregation operators used by the earnings and refund updates
+const evaluate = (expr, doc) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) return getPath(doc, expr.slice(1));
+  if (expr === null || typeof expr !== 'object' || Array.isArray(expr)) return expr;
+
+  const [[op, args]] = Object.entries(expr);
+  const values = args.map(arg => evaluate(arg, doc));
+  switch (op) {
+    case '$ifNull': return values[0] ?? values[1];
+    case '$max': return Math.max(...values);
+    case '$add': return values.reduce((sum, value) => sum + value, 0);
+    case '$subtract': return values[0] - values[1];
+    case '$multiply': return values.reduce((product, value) => product * value, 1);
+    case '$round': return Math.round(values[0] * 10 ** values[1]) / 10 ** values[1];
+    case '$lte': return values[0] <= values[1];
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+};
+
+// Apply an update pipeline of $set stages; each stage reads the document as it was before it
+const applyPipeline = (doc, pipeline) => {
+  for (const { $set } of pipeline) {
+    const values = Object.entries($set).map(([path, expr]) => [path, evaluate(expr, doc)]);
+    for (const [path, value] of values) setPath(doc, path, value);
+  }
+};
+
+const query = (result) => ({ select: async () => result, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) });
+
+describe('provider earnings', () => {
+  let provider;
+  let order;
+  let stored;
+
+  // Stands in for the payments collection: the stored payment is changed only by these updates
+  const matchesRefund = (filter) => {
+    const match = filter.refunds?.$elemMatch;
+    if (!match) return -1;
+    return stored.refunds.findIndex(entry => entry._id.equals(match._id) && entry.status === match.status);
+  };
+
+  const applyPaymentUpdate = (update, index) => {
+    for (const [path, value] of Object.entries(update.$set || {})) {
+      stored.set(path.replace('$', index), value);
+    }
+    for (const [path, value] of Object.entries(update.$inc || {})) {
+      stored.set(path, (stored.get(path) || 0) + value);
+    }
+    for (const [path, value] of Object.entries(update.$push || {})) {
+      stored.get(path).push(value);
+    }
+  };
+
+  const snapshot = () => Payment.hydrate(stored.toObject());
+
+  beforeEach(() => {
+    provider = { _id: providerId, earnings: { total: 500, completed: 500 } };
+    order = null;
+    stored = null;
+
+    mock.method(User, 'findOneAndUpdate', (filter, pipeline) => {
+      const before = structuredClone(provider);
+      applyPipeline(provider, pipeline);
+      return query(before);
+    });
+
+    mock.method(Order, 'findOneAndUpdate', (filter, update) => {
+      if (Array.isArray(update)) {
+        // Clawback from the order's credited earnings
+        if (!(order.providerEarnings?.amount > filter['providerEarnings.amount'].$gt)) return query(null);
+        const before = { providerEarnings: { amount: order.providerEarnings.amount } };
+        const plain = { providerEarnings: { amount: order.providerEarnings.amount } };
+        applyPipeline(plain, update);
+        order.providerEarnings.amount = plain.providerEarnings.amount;
+        return query(before);
+      }
+      return query(order && Order.hydrate(order.toObject()));
+    });
+    mock.method(Order, 'findByIdAndUpdate', async (id, update) => {
+      order.set(update.$set);
+      return order;
+    });
+    mock.method(Order, 'updateOne', async (filter, update) => {
+      order.providerEarnings.amount = (order.providerEarnings.amount || 0) + update.$inc['providerEarnings.amount'];
+      return { modifiedCount: 1 };
+    });
+
+    mock.method(Payment, 'findById', async () => snapshot());
+    mock.method(Payment, 'findOne', async () => snapshot());
+    mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+      if (filter.$expr) {
+        if (!filter.status.$in.includes(stored.status) || !evaluate(filter.$expr, stored)) return null;
+        applyPaymentUpdate(update);
+        return snapshot();
+      }
+      const index = matchesRefund(filter);
+      if (index === -1) return null;
+      applyPaymentUpdate(update, index);
+      return snapshot();
+    });
+    mock.method(Payment, 'updateOne', async (filter, update) => {
+      if (filter.refundAmount !== undefined && filter.refundAmount !== stored.refundAmount) return { modifiedCount: 0 };
+      const index = filter['refunds._id'] ? stored.refunds.findIndex(entry => entry._id.equals(filter['refunds._id'])) : undefined;
+      applyPaymentUpdate(update, index);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const makeOrder = (fields = {}) => new Order({
+    serviceProvider: providerId,
+    status: 'completed',
+    totalAmount: 100,
+    ...fields,
+  });
+
+  const makePayment = (fields = {}) => new Payment({
+    order: order._id,
+    customer: new mongoose.Types.ObjectId(),
+    amount: 100,
+    paymentMethod: 'cash',
+    status: 'completed',
+    ...fields,
+  });
+
+  describe('creditProviderEarnings', () => {
+    it('credits the order total less any refunds', async () => {
+      order = makeOrder({ refundAmount: 20, providerEarnings: { creditedAt: new Date() } });
+
+      const credited = await creditProviderEarnings(order._id);
+
+      assert.equal(credited, 80);
+      assert.equal(order.providerEarnings.amount, 80);
+      assert.deepEqual(provider.earnings, { total: 580, completed: 580 });
+    });
+
+    it('credits nothing when the order was fully refunded', async () => {
+      order = makeOrder({ refundAmount: 100, providerEarnings: { creditedAt: new Date() } });
+
+      assert.equal(await creditProviderEarnings(order._id), 0);
+      assert.equal(User.findOneAndUpdate.mock.callCount(), 0);
+      assert.equal(provider.earnings.completed, 500);
+    });
+
+    it('credits an order only once', async () => {
+      order = null;
+
+      assert.equal(await creditProviderEarnings(new mongoose.Types.ObjectId()), 0);
+      assert.equal(User.findOneAndUpdate.mock.callCount(), 0);
+    });
+  });
+
+  describe('adjustProviderEarnings', () => {
+    it('never takes earnings below zero', async () => {
+      provider.earnings = { total: 30, completed: 30 };
+
+      assert.equal(await adjustProviderEarnings(providerId, -50), -30);
+      assert.deepEqual(provider.earnings, { total: 0, completed: 0 });
+    });
+
+    it('applies concurrent changes on top of each other', async () => {
+      await Promise.all([
+        adjustProviderEarnings(providerId, 40),
+        adjustProviderEarnings(providerId, -25),
+        adjustProviderEarnings(providerId, 10),
+      ]);
+
+      assert.deepEqual(provider.earnings, { total: 525, completed: 525 });
+    });
+  });
+
+  describe('refund clawback', () => {
+    const refund = (amount) => refundPayment(stored._id, { amount, reason: 'Damaged shirt', initiatedBy: null });
+
+    it('claws back the refund from the earnings credited to the order', async () => {
+      order = makeOrder({ providerEarnings: { amount: 100, creditedAt: new Date() } });
+      stored = makePayment();
+
+      const { refund: entry } = await refund(40);
+
+      assert.equal(entry.earningsAdjusted, -40);
+      assert.equal(entry.status, 'completed');
+      assert.equal(order.providerEarnings.amount, 60);
+      assert.equal(provider.earnings.completed, 460);
+      assert.equal(order.refundAmount, 40);
+      assert.equal(stored.status, 'partially_refunded');
+    });
+
+    it('claws back no more than the order earned', async () => {
+      order = makeOrder({ providerEarnings: { amount: 30, creditedAt: new Date() } });
+      stored = makePayment();
+
+      const { refund: entry } = await refund(50);
+
+      assert.equal(entry.earningsAdjusted, -30);
+      assert.equal(order.providerEarnings.amount, 0);
+      assert.equal(provider.earnings.completed, 470);
+    });
+
+    it('leaves earnings alone when the order has not been credited yet', async () => {
+      order = makeOrder({ status: 'ready_for_delivery' });
+      stored = makePayment();
+
+      const { refund: entry } = await refund(50);
+
+      assert.equal(entry.earningsAdjusted || 0, 0);
+      assert.equal(User.findOneAndUpdate.mock.callCount(), 0);
+      assert.equal(provider.earnings.completed, 500);
+    });
+
+    it('lets only one of two concurrent refunds past the balance', async () => {
+      order = makeOrder({ providerEarnings: { amount: 100, creditedAt: new Date() } });
+      stored = makePayment();
+
+      const results = await Promise.allSettled([refund(60), refund(60)]);
+
+      assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+      assert.match(results.find(result => result.status === 'rejected').reason.message, /refundable balance/);
+      assert.equal(stored.refundAmount, 60);
+      assert.equal(stored.refunds.length, 1);
+      assert.equal(order.providerEarnings.amount, 40);
+      assert.equal(provider.earnings.completed, 440);
+    });
+
+    it('restores the clawback when the gateway rejects the refund', async () => {
+      order = makeOrder({ refundAmount: 40, providerEarnings: { amount: 60, creditedAt: new Date() } });
+      stored = makePayment({ reference: 'ref_123', refundAmount: 40, status: 'partially_refunded' });
+      stored.refunds.push({ amount: 40, reason: 'Damaged shirt', status: 'pending', channel: 'paystack', gatewayRefundId: '77', earningsAdjusted: -40 });
+      provider.earnings = { total: 460, completed: 460 };
+
+      await handleRefundWebhook('refund.failed', { id: 77, transaction_reference: 'ref_123' });
+
+      assert.equal(stored.refunds[0].status, 'failed');
+      assert.equal(stored.refunds[0].earningsAdjusted, 0);
+      assert.equal(stored.refundAmount, 0);
+      assert.equal(stored.status, 'completed');
+      assert.equal(order.providerEarnings.amount, 100);
+      assert.equal(provider.earnings.completed, 500);
+      assert.equal(order.refundAmount, 0);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// Referral codes are for new customers only. Model reads are mocked so the tests run without a
+// database.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const { validateReferral } = require('../services/referralService');
+
+const makeUser = (fields = {}) => new User({
+  firstName: 'Kofi',
+  lastName: 'Boateng',
+  email: 'kofi.boateng@gmail.com',
+  password: 'password123',
+  phoneNumber: '+233 24 123 4567',
+  ...fields,
+});
+
+describe('contact keys', () => {
+  it('are normalized from the email and phone number before saving', async () => {
+    const user = makeUser({ email: 'Kofi.Boateng@googlemail.com', phoneNumber: '024-123-4567' });
+
+    await user.validate();
+
+    assert.equal(user.emailKey, 'kofiboateng@gmail.com');
+    assert.equal(user.phoneKey, '241234567');
+  });
+
+  it('are kept out of API responses', async () => {
+    const user = makeUser();
+    await user.validate();
+
+    const json = user.toJSON();
+    assert.equal(json.emailKey, undefined);
+    assert.equal(json.phoneKey, undefined);
+  });
+});
+
+describe('validateReferral', () => {
+  const referrer = makeUser({ email: 'ama@example.com', phoneNumber: '0201112222', status: 'active' });
+  const referrerAccount = new LoyaltyProgram({ user: referrer._id, referralCode: 'AMA123' });
+  let existing;
+
+  beforeEach(() => {
+    existing = null;
+    mock.method(LoyaltyProgram, 'findOne', async () => referrerAccount);
+    mock.method(LoyaltyProgram, 'exists', async () => null);
+    mock.method(User, 'findById', () => ({ select: async () => referrer }));
+    mock.method(User, 'findOne', () => ({ select: async () => existing }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('accepts someone without an account', async () => {
+    const referral = await validateReferral('ama123', { email: 'Esi.Owusu@gmail.com', phoneNumber: '+233 55 765 4321' });
+
+    assert.equal(referral.refereeEmail, 'esiowusu@gmail.com');
+    assert.equal(referral.refereePhone, '557654321');
+    assert.deepEqual(User.findOne.mock.calls[0].arguments[0], {
+      $or: [{ emailKey: 'esiowusu@gmail.com' }, { phoneKey: '557654321' }],
+    });
+  });
+
+  it('rejects an email that is already registered, in any of its forms', async () => {
+    existing = { _id: new mongoose.Types.ObjectId(), emailKey: 'kofiboateng@gmail.com' };
+
+    await assert.rejects(
+      validateReferral('AMA123', { email: 'KofiBoateng+new@gmail.com', phoneNumber: '0559998888' }),
+      { message: 'This email is already registered, so the referral code cannot be applied' }
+    );
+  });
+
+  it('rejects a phone number that is already registered', async () => {
+    existing = { _id: new mongoose.Types.ObjectId(), emailKey: 'someone@example.com' };
+
+    await assert.rejects(
+      validateReferral('AMA123', { email: 'new@example.com', phoneNumber: '0241234567' }),
+      { message: 'This phone number is already registered, so the referral code cannot be applied' }
+    );
+  });
+
+  it('rejects the referrer\'s own contact details', async () => {
+    await assert.rejects(
+      validateReferral('AMA123', { email: 'new@example.com', phoneNumber: '+233201112222' }),
+      { message: 'You cannot use your own referral code' }
+    );
+    assert.equal(User.findOne.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,81 @@
+// Re-pricing keeps discounts added after the order was placed. Model reads and writes are
+// mocked so the tests run without a database.
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const { repriceOrder, setQuotedDiscount } = require('../services/pricingService');
+const { releaseOrderPoints } = require('../services/loyaltyService');
+
+// A placed order: two dry-cleaned garments with no discount at checkout
+const makeOrder = (fields = {}) => new Order({
+  customer: new mongoose.Types.ObjectId(),
+  status: 'pending',
+  items: [{
+    service: 'service_dry_clean_standard',
+    serviceName: 'Dry Clean',
+    quantity: 2,
+    unitPrice: 20,
+    totalPrice: 40,
+  }],
+  subtotal: 40,
+  tax: 0,
+  deliveryFee: 0,
+  discount: 0,
+  totalAmount: 40,
+  pricingBreakdown: { discounts: [] },
+  ...fields,
+});
+
+// What POST /orders/:id/apply-points does to the order once the points are reserved
+const applyPoints = (order, points, discountValue) => {
+  setQuotedDiscount(order, 'loyalty', { label: `${points} loyalty points`, points, amount: discountValue });
+  order.discount = Math.round((order.discount + discountValue) * 100) / 100;
+  order.loyaltyRedemption = { points, discountValue, status: 'reserved', reservedAt: new Date() };
+};
+
+describe('repriceOrder after applying loyalty points', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('keeps the points discount', async () => {
+    const order = makeOrder();
+    applyPoints(order, 500, 5);
+
+    const quote = await repriceOrder(order, {});
+
+    assert.equal(quote.discount, 5);
+    assert.deepEqual(quote.breakdown.discounts.map(d => d.type), ['loyalty']);
+    assert.equal(quote.totalAmount, quote.subtotal + quote.tax + quote.surcharge - 5);
+  });
+
+  it('keeps the original discount of an order placed before quotes were stored', async () => {
+    const order = makeOrder({ discount: 3, pricingBreakdown: undefined });
+    applyPoints(order, 500, 5);
+
+    const quote = await repriceOrder(order, {});
+
+    assert.equal(quote.discount, 8);
+    assert.deepEqual(quote.breakdown.discounts.map(d => d.type), ['legacy', 'loyalty']);
+  });
+
+  it('drops the points discount once the points are released', async () => {
+    const order = makeOrder();
+    applyPoints(order, 500, 5);
+    mock.method(Order, 'findById', async () => order);
+    mock.method(Order.prototype, 'save', async function () { return this; });
+    mock.method(LoyaltyProgram, 'findOneAndUpdate', async () => new LoyaltyProgram({ user: order.customer, points: 500 }));
+    mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Payment, 'findOne', async () => null);
+
+    await releaseOrderPoints(order._id, 'Customer removed the points');
+    const quote = await repriceOrder(order, {});
+
+    assert.equal(order.discount, 0);
+    assert.equal(order.loyaltyRedemption.status, 'released');
+    assert.equal(quote.discount, 0);
+    assert.deepEqual(quote.breakdown.discounts, []);
+  });
+});
@@ -21,6 +21,7 @@ import {
   ListItemIcon,
   Divider,
   Paper,
+  MenuItem,
 } from '@mui/material';
 import {
   Loyalty as LoyaltyIcon,
@@ -34,6 +35,12 @@ import {
 import { useAppSelector } from '../app/hooks';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 
+interface PendingOrder {
+  _id: string;
+  orderNumber: string;
+  totalAmount: number;
+}
+
 interface LoyaltyStatus {
   currentPoints: number;
   currentTier: string;
@@ -50,6 +57,8 @@ const LoyaltyProgram: React.FC = () => {
   const [redeemDialogOpen, setRedeemDialogOpen] = useState(false);
   const [redeemPoints, setRedeemPoints] = useState('');
   const [redeemLoading, setRedeemLoading] = useState(false);
+  const [pendingOrders, setPendingOrders] = useState<PendingOrder[]>([]);
+  const [redeemOrderId, setRedeemOrderId] = useState('');
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
 
@@ -81,18 +90,48 @@ const LoyaltyProgram: React.FC = () => {
     }
   };
 
+  // Points are spent against an unpaid order, where they stay reserved until it is paid
+  const openRedeemDialog = async () => {
+    setRedeemDialogOpen(true);
+    setError(null);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/orders?role=customer&status=pending&limit=50', {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        const orders = (data.data?.docs || []).filter((order: any) =>
+          order.loyaltyRedemption?.status !== 'reserved'
+          && (!order.payment || ['pending', 'failed'].includes(order.payment.status))
+        );
+        setPendingOrders(orders);
+        setRedeemOrderId(orders[0]?._id || '');
+      }
+    } catch (error) {
+      console.error('Error fetching pending orders:', error);
+    }
+  };
+
   const handleRedeemPoints = async () => {
     if (!redeemPoints || parseInt(redeemPoints) <= 0) {
       setError('Please enter a valid number of points');
       return;
     }
+    if (!redeemOrderId) {
+      setError('Choose an unpaid order to apply the points to');
+      return;
+    }
 
     setRedeemLoading(true);
     setError(null);
 
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch('/api/loyalty/redeem', {
+      const response = await fetch(`/api/orders/${redeemOrderId}/apply-points`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -104,7 +143,7 @@ const LoyaltyProgram: React.FC = () => {
       const data = await response.json();
 
       if (response.ok) {
-        setSuccess(`Successfully redeemed ${redeemPoints} points for $${data.discountValue.toFixed(2)} discount!`);
+        setSuccess(data.message);
         setRedeemDialogOpen(false);
         setRedeemPoints('');
         fetchLoyaltyStatus(); // Refresh loyalty status
@@ -246,7 +285,7 @@ const LoyaltyProgram: React.FC = () => {
                     variant="contained"
                     fullWidth
                     startIcon={<RedeemIcon />}
-                    onClick={() => setRedeemDialogOpen(true)}
+                    onClick={openRedeemDialog}
                     disabled={!loyaltyStatus || loyaltyStatus.currentPoints < (loyaltyStatus.config?.minimumPointsForRedemption || 100)}
                     sx={{
                       background: 'linear-gradient(45deg, #667eea 30%, #764ba2 90%)',
@@ -456,6 +495,22 @@ const LoyaltyProgram: React.FC = () => {
                   Value: $0.01 per point
                 </Typography>
 
+                <TextField
+                  select
+                  fullWidth
+                  label="Apply to Order"
+                  value={redeemOrderId}
+                  onChange={(e) => setRedeemOrderId(e.target.value)}
+                  helperText={pendingOrders.length === 0 ? 'Points can only be applied to an unpaid pending order' : ' '}
+                  sx={{ mb: 2 }}
+                >
+                  {pendingOrders.map((order) => (
+                    <MenuItem key={order._id} value={order._id}>
+                      {order.orderNumber} (¢{order.totalAmount.toFixed(2)})
+                    </MenuItem>
+                  ))}
+                </TextField>
+
                 <TextField
                   fullWidth
                   label="Points to Redeem"
@@ -494,7 +549,7 @@ const LoyaltyProgram: React.FC = () => {
               <Button
                 onClick={handleRedeemPoints}
                 variant="contained"
-                disabled={redeemLoading || !redeemPoints}
+                disabled={redeemLoading || !redeemPoints || !redeemOrderId}
                 sx={{
                   background: 'linear-gradient(45deg, #667eea 30%, #764ba2 90%)',
                   color: 'white',
@@ -101,6 +101,16 @@ interface OrderData {
   momoNetwork: string;
 }
 
+// Totals priced by the server for the order as it stands
+interface OrderQuote {
+  subtotal: number;
+  tax: number;
+  deliveryFee: number;
+  surcharge: number;
+  discount: number;
+  totalAmount: number;
+}
+
 const NewOrderPage = () => {
   // State
   const [activeStep, setActiveStep] = useState(0);
@@ -142,6 +152,7 @@ const NewOrderPage = () => {
   const [showPaystackDialog, setShowPaystackDialog] = useState(false);
   const [createdOrderId, setCreatedOrderId] = useState<string | null>(null);
   const [paymentProcessing, setPaymentProcessing] = useState(false);
+  const [quote, setQuote] = useState<OrderQuote | null>(null);
 
   const getServiceIcon = (category: string): string => {
     switch (category) {
@@ -267,6 +278,57 @@ const NewOrderPage = () => {
     setOrderData((prev) => ({ ...prev, deliveryDate: deliveryStr }));
   }, [orderData.pickupDate, orderData.isUrgent, selectedServices]);
 
+  const buildOrderItems = () => selectedServices.map((service) => ({
+    service: service._id || service.id, // Use _id first, fallback to id
+    serviceName: service.name,
+    quantity: service.quantity || 0,
+    unitPrice: service.price || service.basePrice || 0,
+    totalPrice: service.clothingItems && service.clothingItems.length > 0
+      ? service.clothingItems.reduce((sum, item) => sum + (item.unitPrice || 0), 0)
+      : (service.price || service.basePrice || 0) * (service.quantity || 0),
+    specialInstructions: service.specialInstructions || '',
+    // Include individual clothing items
+    clothingItems: service.clothingItems || []
+  }));
+
+  // Price the order on the server when the customer reaches the summary, so the total they
+  // confirm is the one they will be charged
+  useEffect(() => {
+    if (activeStep !== steps.length - 1) return;
+
+    let cancelled = false;
+    const fetchQuote = async () => {
+      try {
+        const { API_BASE_URL } = await import('../services/api');
+        const response = await fetch(`${API_BASE_URL}/orders/quote`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${localStorage.getItem('token')}`,
+          },
+          body: JSON.stringify({
+            items: buildOrderItems(),
+            pickupAddress: orderData.pickupAddress,
+            isUrgent: orderData.isUrgent,
+            priority: orderData.priority,
+          }),
+        });
+        const result = await response.json();
+        if (!cancelled) setQuote(response.ok && result.success ? result.data : null);
+      } catch (quoteError) {
+        console.error('Error pricing order:', quoteError);
+        if (!cancelled) setQuote(null);
+      }
+    };
+
+    setQuote(null);
+    fetchQuote();
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeStep, selectedServices, orderData.pickupAddress, orderData.isUrgent, orderData.priority]);
+
   const handleNext = () => {
     if (activeStep < steps.length - 1) setActiveStep(activeStep + 1);
   };
@@ -326,22 +388,10 @@ const NewOrderPage = () => {
       const subtotal = calculateSubtotal();
       const tax = calculateTax(subtotal);
       const deliveryFee = orderData.isUrgent ? 10 : 5;
-      const totalAmount = subtotal + tax + deliveryFee;
 
       // Prepare order data with individual clothing items
       const orderPayload = {
-        items: selectedServices.map((service) => ({
-          service: service._id || service.id, // Use _id first, fallback to id
-          serviceName: service.name,
-          quantity: service.quantity || 0,
-          unitPrice: service.price || service.basePrice || 0,
-          totalPrice: service.clothingItems && service.clothingItems.length > 0
-            ? service.clothingItems.reduce((sum, item) => sum + (item.unitPrice || 0), 0)
-            : (service.price || service.basePrice || 0) * (service.quantity || 0),
-          specialInstructions: service.specialInstructions || '',
-          // Include individual clothing items
-          clothingItems: service.clothingItems || []
-        })),
+        items: buildOrderItems(),
         pickupAddress: {
           type: orderData.pickupAddress.type || 'home',
           street: orderData.pickupAddress.street,
@@ -364,10 +414,11 @@ const NewOrderPage = () => {
         isUrgent: orderData.isUrgent,
         priority: orderData.priority,
         specialInstructions: orderData.specialInstructions || '',
-        subtotal: subtotal,
-        tax: tax,
-        deliveryFee: deliveryFee,
-        totalAmount: totalAmount
+        subtotal: quote ? quote.subtotal : subtotal,
+        tax: quote ? quote.tax : tax,
+        deliveryFee: quote ? quote.deliveryFee : deliveryFee,
+        // The server rejects a total that no longer matches its prices; only send the one it quoted
+        ...(quote && { totalAmount: quote.totalAmount }),
       };
 
       const token = localStorage.getItem('token');
@@ -1343,28 +1394,44 @@ const NewOrderPage = () => {
         <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
           <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
             <Typography>Subtotal:</Typography>
-            <Typography>¢{calculateSubtotal().toFixed(2)}</Typography>
+            <Typography>¢{(quote ? quote.subtotal : calculateSubtotal()).toFixed(2)}</Typography>
           </Box>
           <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
-            <Typography>Tax (10%):</Typography>
-            <Typography>¢{calculateTax(calculateSubtotal()).toFixed(2)}</Typography>
+            <Typography>Tax:</Typography>
+            <Typography>¢{(quote ? quote.tax : calculateTax(calculateSubtotal())).toFixed(2)}</Typography>
           </Box>
           <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
             <Typography>Delivery Fee:</Typography>
-            <Typography>¢{orderData.isUrgent ? '10.00' : '5.00'}</Typography>
+            <Typography>¢{quote ? quote.deliveryFee.toFixed(2) : (orderData.isUrgent ? '10.00' : '5.00')}</Typography>
           </Box>
-          {orderData.isUrgent && (
+          {quote && quote.surcharge > 0 ? (
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', color: 'warning.main' }}>
+              <Typography>Urgent Service:</Typography>
+              <Typography>¢{quote.surcharge.toFixed(2)}</Typography>
+            </Box>
+          ) : orderData.isUrgent && (
             <Box sx={{ display: 'flex', justifyContent: 'space-between', color: 'warning.main' }}>
               <Typography>Urgent Service:</Typography>
               <Typography>Included</Typography>
             </Box>
           )}
+          {quote && quote.discount > 0 && (
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', color: 'success.main' }}>
+              <Typography>Discount:</Typography>
+              <Typography>-¢{quote.discount.toFixed(2)}</Typography>
+            </Box>
+          )}
           <Box sx={{ borderTop: 1, borderColor: 'divider', pt: 2, mt: 2, display: 'flex', justifyContent: 'space-between' }}>
             <Typography variant="h6">Total:</Typography>
             <Typography variant="h6" color="primary">
-              ¢{calculateTotal().toFixed(2)}
+              ¢{(quote ? quote.totalAmount : calculateTotal()).toFixed(2)}
             </Typography>
           </Box>
+          {!quote && (
+            <Typography variant="caption" color="text.secondary">
+              Estimated total; the final price is confirmed when the order is placed.
+            </Typography>
+          )}
         </Box>
       </Card>
     </Box>
@@ -1448,7 +1515,7 @@ const NewOrderPage = () => {
           open={showPaystackDialog}
           onClose={handlePaymentDialogClose}
           orderId={createdOrderId}
-          amount={calculateTotal()}
+          amount={quote ? quote.totalAmount : calculateTotal()}
           customerEmail={(JSON.parse(localStorage.getItem('user') || '{}').email || '').trim()}
           customerName={`${(JSON.parse(localStorage.getItem('user') || '{}').firstName || '').trim()} ${(JSON.parse(localStorage.getItem('user') || '{}').lastName || '').trim()}`.trim()}
           defaultMomoPhone={orderData.momoPhone}